@@ -8,6 +8,7 @@ const cors = require('cors');
 const helmet = require('helmet');
 const { RateLimiterMemory } = require('rate-limiter-flexible');
 const TriadMatrix = require('../core/TriadMatrix');
+const EpochManager = require('../core/EpochManager');
 const Wallet = require('../core/Wallet');
 const path = require('path');
 require('dotenv').config({ path: path.resolve(__dirname, '../../.env') });
@@ -81,6 +82,8 @@ class APIServer {
       complexity: parseInt(process.env.TRIAD_COMPLEXITY, 10) || 4,
       consensusThreshold: parseFloat(process.env.CONSENSUS_THRESHOLD) || 0.67,
     });
+    // Proofs only read stored epochs, so no ledger is needed here
+    this.epochs = new EpochManager({ matrix: this.matrix });
 
     this.matrix.on('initialized', (state) => {
       // console.log(`✅ TriadMatrix API ready. DB: ${dbPath}`);
@@ -111,6 +114,29 @@ class APIServer {
       res.json(this.matrix.getMatrixState());
     });
 
+    // List triads a page at a time
+    this.app.get('/triads', this.validateMatrixInitialization.bind(this), async (req, res, next) => {
+      try {
+        const { cursor, limit, order } = req.query;
+
+        if (order !== undefined && order !== 'asc' && order !== 'desc') {
+          return res.status(400).json({ error: 'order must be asc or desc' });
+        }
+        if (cursor !== undefined && !/^\d+$/.test(cursor)) {
+          return res.status(400).json({ error: 'cursor must be a non-negative integer' });
+        }
+
+        const page = await this.matrix.getTriadsPage({
+          cursor: cursor !== undefined ? parseInt(cursor, 10) : undefined,
+          limit: limit !== undefined ? parseInt(limit, 10) : undefined,
+          reverse: order === 'desc'
+        });
+        res.json(page);
+      } catch (error) {
+        next(error);
+      }
+    });
+
     // Get triad by ID
     this.app.get('/triads/:id', this.validateMatrixInitialization.bind(this), async (req, res, next) => {
       try {
@@ -142,6 +168,45 @@ class APIServer {
         next(error);
       }
     });
+
+    // Merkle proof that a triad was finalized in an epoch
+    this.app.get('/proofs/triads/:id', this.validateMatrixInitialization.bind(this), async (req, res, next) => {
+      try {
+        const proof = await this.epochs.getTriadProof(req.params.id);
+        if (!proof) {
+          return res.status(404).json({ error: 'Triad is not in any epoch yet' });
+        }
+        res.json(proof);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Merkle proof of an account's state as of the latest finalized checkpoint
+    this.app.get('/proofs/balances/:address', this.validateMatrixInitialization.bind(this), async (req, res, next) => {
+      try {
+        const proof = await this.epochs.getBalanceProof(req.params.address);
+        if (!proof) {
+          return res.status(404).json({ error: 'Account is not in the latest finalized checkpoint' });
+        }
+        res.json(proof);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Recent chain reorganizations, newest first, for clients that missed the events
+    this.app.get('/reorgs', this.validateMatrixInitialization.bind(this), async (req, res, next) => {
+      try {
+        const { limit } = req.query;
+        if (limit !== undefined && !/^[1-9]\d*$/.test(limit)) {
+          return res.status(400).json({ error: 'limit must be a positive integer' });
+        }
+        res.json(await this.epochs.getReorgs({ limit: limit !== undefined ? parseInt(limit, 10) : undefined }));
+      } catch (error) {
+        next(error);
+      }
+    });
   }
 
   /**
@@ -194,6 +259,7 @@ class APIServer {
   async start() {
     try {
       await this.matrix.init();
+      await this.epochs.load();
       this.server = this.app.listen(this.port, () => {
         // console.log(`⚡️ SeirChain API server listening on port ${this.port}`);
         this.logEnvironmentInfo();
@@ -8,6 +8,7 @@
 const blessed = require('blessed');
 const contrib = require('blessed-contrib');
 const TriadMatrix = require('../core/TriadMatrix');
+const ValidatorRegistry = require('../core/ValidatorRegistry');
 const Wallet = require('../core/Wallet');
 const path = require('path');
 const fs = require('fs');
@@ -19,6 +20,7 @@ const MINING_INTERVAL = 3000;
 const MATRIX_UPDATE_INTERVAL = 100;
 const MAX_HISTORY_POINTS = 30;
 const NEW_TRIAD_PROBABILITY = 0.2;
+const RECENT_TRIADS_LIMIT = 20;
 const WALLET_FILE = '.wallet';
 
 class SeirChainDashboard {
@@ -40,6 +42,8 @@ class SeirChainDashboard {
     this.matrix = null;
     this.wallet = new Wallet();
     this.consensusHistory = {};
+    this.recentTriads = [];
+    this.syncStatus = null;
     this._miningInterval = null;
     this.lastError = null;
   }
@@ -260,9 +264,9 @@ class SeirChainDashboard {
    * @private
    */
   drawMatrix() {
-    if (!this.matrix?.getMatrixState()?.triads) return;
+    if (!this.matrix?.isInitialized) return;
 
-    const triads = this.matrix.getMatrixState().triads;
+    const triads = this.recentTriads;
     
     // Update consensus history
     triads.forEach(triad => {
@@ -348,9 +352,60 @@ class SeirChainDashboard {
       consensusThreshold: parseFloat(process.env.CONSENSUS_THRESHOLD) || 0.67,
     });
 
+    // A fork choice sharing this matrix announces reorgs on it
+    this.matrix.on('reorg', (reorg) => {
+      const from = reorg.ancestor ? `checkpoint ${reorg.ancestor.number}` : 'genesis';
+      this.miningLog.log(`{yellow-fg}⚠{/yellow-fg} Reorg from ${from}: ${reorg.removed.length} checkpoint(s) replaced by ${reorg.added.length}, ${reorg.rolledBackTriads.length} triad(s) back to pending`);
+      this.refreshData();
+    });
+
+    // So does a P2P node syncing checkpoints into it
+    this.matrix.on('syncProgress', (status) => {
+      this.syncStatus = status;
+      this.miningLog.log(`{cyan-fg}⟳{/cyan-fg} Syncing from ${status.peerId.substring(0, 12)}: checkpoint ${this.formatCheckpoint(status.current)} of ${status.target.number}`);
+      this.refreshData();
+    });
+    this.matrix.on('syncComplete', (status) => {
+      this.syncStatus = status;
+      this.miningLog.log(`{green-fg}✓{/green-fg} Synced to checkpoint ${this.formatCheckpoint(status.current)}`);
+      this.refreshData();
+    });
+    this.matrix.on('syncFailed', ({ reason }) => {
+      this.syncStatus = null;
+      this.miningLog.log(`{red-fg}✗{/red-fg} Sync failed: ${reason}`);
+      this.refreshData();
+    });
+
     await this.matrix.init();
   }
 
+  /**
+   * Format a checkpoint number for display
+   * @private
+   * @param {number|null} number - Checkpoint number, or null before the first checkpoint
+   * @returns {string} Checkpoint number or "none"
+   */
+  formatCheckpoint(number) {
+    return number === null ? 'none' : String(number);
+  }
+
+  /**
+   * Describe how far the node has synced
+   * @private
+   * @returns {string} Sync status line content
+   */
+  getSyncDescription() {
+    if (!this.syncStatus) {
+      return '{yellow-fg}Not syncing{/yellow-fg}';
+    }
+    const { status, current, target } = this.syncStatus;
+    if (status === 'synced') {
+      return `{green-fg}Synced{/green-fg} (checkpoint ${this.formatCheckpoint(current)})`;
+    }
+    const percent = Math.floor(((current === null ? 0 : current + 1) / (target.number + 1)) * 100);
+    return `{cyan-fg}Syncing{/cyan-fg} ${percent}% (checkpoint ${this.formatCheckpoint(current)} of ${target.number})`;
+  }
+
   /**
    * Start periodic updates
    * @private
@@ -373,6 +428,7 @@ class SeirChainDashboard {
     if (!this.matrix?.isInitialized) return;
 
     try {
+      this.recentTriads = await this.matrix.getRecentTriads(RECENT_TRIADS_LIMIT);
       await this.updateMatrixStatus();
       await this.updateWalletInfo();
       await this.updateTriadsTable();
@@ -394,8 +450,9 @@ class SeirChainDashboard {
       `{bold}Complexity:{/bold} ${state.complexity}\n` +
       `{bold}Consensus Threshold:{/bold} ${(state.consensusThreshold * 100).toFixed(2)}%\n` +
       `{bold}Total Triads:{/bold} ${state.triadsCount}\n` +
-      `{bold}Validated Triads:{/bold} ${state.triads.filter(t => t.validated).length}\n` +
+      `{bold}Validated Triads:{/bold} ${state.validatedTriadsCount}\n` +
       `{bold}Validators:{/bold} ${state.validators.length}\n` +
+      `{bold}Sync:{/bold} ${this.getSyncDescription()}\n` +
       `{bold}Mining Status:{/bold} ${this._miningInterval ? '{green-fg}Active{/green-fg}' : '{yellow-fg}Inactive{/yellow-fg}'}`
     );
   }
@@ -420,8 +477,7 @@ class SeirChainDashboard {
    * @private
    */
   updateTriadsTable() {
-    const state = this.matrix.getMatrixState();
-    const tableData = state.triads.map(triad => [
+    const tableData = this.recentTriads.map(triad => [
       triad.id.substring(0, 8),
       JSON.stringify(triad.data).substring(0, 35),
       triad.validator.substring(0, 8),
@@ -476,13 +532,16 @@ class SeirChainDashboard {
   async performMiningCycle() {
     const walletAddress = this.wallet.getAddress();
     
-    if (!this.matrix.validators.has(walletAddress)) {
-      this.matrix.addValidator(walletAddress);
+    const registered = this.matrix.getValidator(walletAddress);
+    if (!registered || registered.status === ValidatorRegistry.STATUS.RETIRED) {
+      await this.matrix.addValidator(ValidatorRegistry.signRegistration(this.wallet));
       this.miningLog.log(`{green-fg}✓{/green-fg} Registered as validator`);
+    } else if (!this.matrix.registry.isActive(walletAddress)) {
+      this.miningLog.log(`{yellow-fg}⚠{/yellow-fg} Validator is ${registered.status}; skipping validation`);
+      return;
     }
 
-    const state = this.matrix.getMatrixState();
-    const unvalidatedTriads = state.triads.filter(t => !t.validated && t.validator !== walletAddress);
+    const unvalidatedTriads = await this.matrix.getPendingTriads({ excludeValidator: walletAddress });
 
     if (unvalidatedTriads.length > 0) {
       await this.validateRandomTriad(unvalidatedTriads);
@@ -505,7 +564,8 @@ class SeirChainDashboard {
     const randomTriad = unvalidatedTriads[Math.floor(Math.random() * unvalidatedTriads.length)];
     try {
       this.miningLog.log(`{cyan-fg}⚡{/cyan-fg} Validating triad ${randomTriad.id}`);
-      const updatedTriad = await this.matrix.validateTriad(randomTriad.id, this.wallet.getAddress());
+      const vote = TriadMatrix.signVote(this.wallet, randomTriad.id);
+      const updatedTriad = await this.matrix.validateTriad(randomTriad.id, vote);
       
       if (updatedTriad.validated) {
         this.miningLog.log(`{green-fg}✓{/green-fg} Validated triad ${randomTriad.id} (${(updatedTriad.consensus * 100).toFixed(2)}%)`);
@@ -540,7 +600,7 @@ class SeirChainDashboard {
         message: `Triad created at ${new Date().toISOString()}`,
         creator: this.wallet.getAddress()
       };
-      const triad = await this.matrix.createTriad(data, this.wallet.getAddress());
+      const triad = await this.matrix.createTriad(data, this.wallet.getAddress(), { wallet: this.wallet });
       this.miningLog.log(`{green-fg}✓{/green-fg} Created new triad: ${triad.id}`);
       this.refreshData();
     } catch (error) {
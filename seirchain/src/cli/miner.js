@@ -6,8 +6,11 @@
  */
 
 const TriadMatrix = require('../core/TriadMatrix');
+const ValidatorRegistry = require('../core/ValidatorRegistry');
 const Wallet = require('../core/Wallet');
 const Tokenomics = require('../core/Tokenomics');
+const Mempool = require('../core/Mempool');
+const EpochManager = require('../core/EpochManager');
 const path = require('path');
 const fs = require('fs');
 require('dotenv').config();
@@ -16,6 +19,7 @@ require('dotenv').config();
 const DEFAULT_MINING_INTERVAL = 5000;
 const WALLET_FILE = '.wallet';
 const STATS_UPDATE_INTERVAL = 1000;
+const DEFAULT_MINIMUM_STAKE = '1';
 
 class SeirMiner {
   /**
@@ -32,6 +36,8 @@ class SeirMiner {
    */
   initializeState() {
     this.matrix = null;
+    this.mempool = null;
+    this.epochs = null;
     this.wallet = new Wallet();
     this.tokenomics = new Tokenomics();
     this.dbPath = process.env.DB_PATH || path.join(process.cwd(), 'data', 'triad.db');
@@ -49,7 +55,7 @@ class SeirMiner {
   initializeStats() {
     return {
       totalValidated: 0,
-      totalRewards: 0,
+      totalRewards: 0n,
       startTime: null,
       lastReward: null,
       successfulValidations: 0,
@@ -144,10 +150,21 @@ class SeirMiner {
       dimensions: parseInt(process.env.MATRIX_DIMENSIONS, 10) || 3,
       complexity: parseInt(process.env.TRIAD_COMPLEXITY, 10) || 4,
       consensusThreshold: parseFloat(process.env.CONSENSUS_THRESHOLD) || 0.67,
+      slashingHook: (validator, evidence) => this.tokenomics.slash(validator, evidence),
+      // The matrix weighs votes by plain numbers, so stake is passed in base units
+      stakeLookup: (validator) => Number(this.tokenomics.getStake(validator)),
+      minimumStake: Number(this.tokenomics.parseAmount(process.env.MINIMUM_STAKE || DEFAULT_MINIMUM_STAKE)),
     });
 
     await this.matrix.init();
     await this.tokenomics.loadLedger();
+    this.mempool = new Mempool({ tokenomics: this.tokenomics, matrix: this.matrix });
+    this.epochs = new EpochManager({
+      matrix: this.matrix,
+      tokenomics: this.tokenomics,
+      epochLength: parseInt(process.env.CHECKPOINT_EPOCH_LENGTH, 10) || undefined
+    });
+    await this.epochs.load();
   }
 
   /**
@@ -156,8 +173,9 @@ class SeirMiner {
    */
   async registerValidator() {
     const walletAddress = this.wallet.getAddress();
-    if (!this.matrix.validators.has(walletAddress)) {
-      this.matrix.addValidator(walletAddress);
+    const registered = this.matrix.getValidator(walletAddress);
+    if (!registered || registered.status === ValidatorRegistry.STATUS.RETIRED) {
+      await this.matrix.addValidator(ValidatorRegistry.signRegistration(this.wallet));
       // console.log(`📬 Registered ${walletAddress} as a validator.`);
     }
   }
@@ -172,8 +190,8 @@ class SeirMiner {
     // ✨ Miner Initialized Successfully
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━
     //    🔑 Address: ${walletAddress}
-    //    💰 Current Balance: ${this.tokenomics.getBalance(walletAddress)} WAC
-    //    🎁 Mining Reward: ${this.tokenomics.MINING_REWARD} WAC
+    //    💰 Current Balance: ${this.tokenomics.formatAmount(this.tokenomics.getBalance(walletAddress))} WAC
+    //    🎁 Mining Reward: ${this.tokenomics.formatAmount(this.tokenomics.getMiningReward(this.matrix.validatedTriadsCount))} WAC
     //    ⏱️  Mining Interval: ${this.miningInterval}ms
     //    🎯 Consensus Threshold: ${this.matrix.consensusThreshold * 100}%
     //     `);
@@ -187,7 +205,7 @@ class SeirMiner {
     const walletAddress = this.wallet.getAddress();
     const currentBalance = this.tokenomics.getBalance(walletAddress);
     const runTime = ((Date.now() - this.stats.startTime) / 1000 / 60).toFixed(2);
-    const rewardsPerHour = (this.stats.totalRewards / (runTime / 60)).toFixed(2);
+    const rewardsPerHour = (Number(this.tokenomics.formatAmount(this.stats.totalRewards)) / (runTime / 60)).toFixed(2);
     const successRate = this.stats.totalAttempts ? 
       ((this.stats.successfulValidations / this.stats.totalAttempts) * 100).toFixed(2) : 
       0;
@@ -199,8 +217,8 @@ class SeirMiner {
 
     // 📍 Miner Details
     //    Address: ${walletAddress}
-    //    Current Balance: ${currentBalance} WAC
-    //    Mining Reward: ${this.tokenomics.MINING_REWARD} WAC per validation
+    //    Current Balance: ${this.tokenomics.formatAmount(currentBalance)} WAC
+    //    Mining Reward: ${this.tokenomics.formatAmount(this.tokenomics.getMiningReward(this.matrix.validatedTriadsCount))} WAC per validation
     //    Last Error: ${this.lastError || 'None'}
 
     // 📊 Mining Statistics
@@ -209,15 +227,15 @@ class SeirMiner {
     //    Success Rate: ${successRate}%
     //    Average Consensus: ${this.stats.averageConsensus.toFixed(2)}%
     //    Highest Consensus: ${this.stats.highestConsensus.toFixed(2)}%
-    //    Total Rewards: ${this.stats.totalRewards} WAC
+    //    Total Rewards: ${this.tokenomics.formatAmount(this.stats.totalRewards)} WAC
     //    Rewards/Hour: ${rewardsPerHour} WAC
     //    Last Reward: ${this.stats.lastReward ? new Date(this.stats.lastReward).toLocaleTimeString() : 'None'}
 
     // 💎 Network Statistics
-    //    Total Supply: ${this.tokenomics.getTotalSupply()} WAC
-    //    Your Share: ${((currentBalance / this.tokenomics.getTotalSupply()) * 100).toFixed(2)}%
-    //    Active Validators: ${this.matrix.validators.size}
-    //    Total Triads: ${this.matrix.triads.size}
+    //    Total Supply: ${this.tokenomics.formatAmount(this.tokenomics.getTotalSupply())} WAC
+    //    Your Share: ${((Number(currentBalance) / Number(this.tokenomics.getTotalSupply())) * 100).toFixed(2)}%
+    //    Active Validators: ${this.matrix.registry.getActiveValidators().length}
+    //    Total Triads: ${this.matrix.triadsCount}
 
     // ⚙️  System Status
     //    Mining: ${this.isRunning ? '🟢 Active' : '🔴 Stopped'}
@@ -235,14 +253,19 @@ class SeirMiner {
   async miningCycle() {
     try {
       const walletAddress = this.wallet.getAddress();
-      const state = this.matrix.getMatrixState();
-      const unvalidatedTriads = state.triads.filter(t => !t.validated && t.validator !== walletAddress);
+      if (!this.matrix.isEligible(walletAddress)) {
+        // Jailed, retired and unbonded validators cannot vote
+        return;
+      }
+      await this.processMempool(walletAddress);
+      const unvalidatedTriads = await this.matrix.getPendingTriads({ excludeValidator: walletAddress });
 
       if (unvalidatedTriads.length > 0) {
         for (const triad of unvalidatedTriads) {
           try {
             this.stats.totalAttempts++;
-            const updatedTriad = await this.matrix.validateTriad(triad.id, walletAddress);
+            const vote = TriadMatrix.signVote(this.wallet, triad.id);
+            const updatedTriad = await this.matrix.validateTriad(triad.id, vote);
             
             // Update consensus statistics
             const consensusPercent = updatedTriad.consensus * 100;
@@ -253,8 +276,14 @@ class SeirMiner {
             this.stats.highestConsensus = Math.max(this.stats.highestConsensus, consensusPercent);
 
             if (updatedTriad.validated) {
-              await this.tokenomics.mint(walletAddress, this.tokenomics.MINING_REWARD);
-              this.updateSuccessStats();
+              // The triad just validated is the last one counted
+              const reward = this.tokenomics.getMiningReward(this.matrix.validatedTriadsCount - 1);
+              if (reward > 0n) {
+                await this.tokenomics.mint(walletAddress, reward);
+              }
+              // Fees collected without a finalizing validator go to the wallet that finalizes this triad
+              await this.tokenomics.distributeFeePool(walletAddress);
+              this.updateSuccessStats(reward);
             } else {
               this.stats.failedValidations++;
             }
@@ -266,6 +295,7 @@ class SeirMiner {
         }
       }
 
+      await this.processEpoch(walletAddress);
       this.printStats();
     } catch (error) {
       this.lastError = error.message;
@@ -273,14 +303,64 @@ class SeirMiner {
     }
   }
 
+  /**
+   * Apply the next mempool batch: transactions with this wallet as finalizing validator, then triad proposals
+   * as triads this wallet creates and signs
+   * @private
+   * @param {string} walletAddress - Miner wallet address
+   */
+  async processMempool(walletAddress) {
+    const { transactions, triadProposals } = this.mempool.getBatch();
+
+    for (const entry of transactions) {
+      try {
+        await this.tokenomics.applyTransaction(entry.transaction, { validator: walletAddress });
+      } catch (error) {
+        // A transaction that no longer applies is dropped rather than retried
+        this.lastError = error.message;
+      }
+    }
+    for (const entry of triadProposals) {
+      try {
+        await this.matrix.createProposedTriad(entry.proposal, { wallet: this.wallet });
+      } catch (error) {
+        this.lastError = error.message;
+      }
+    }
+
+    this.mempool.remove([...transactions, ...triadProposals].map(entry => entry.id));
+  }
+
+  /**
+   * Propose the next epoch when it is due and sign the pending epoch if this wallet has not yet
+   * @private
+   * @param {string} walletAddress - Miner wallet address
+   */
+  async processEpoch(walletAddress) {
+    try {
+      const epoch = await this.epochs.proposeEpoch() || this.epochs.latest;
+      if (!epoch || epoch.status !== EpochManager.STATUS.PENDING) {
+        return;
+      }
+      const isMember = epoch.validators.some(member => member.validator === walletAddress);
+      const hasSigned = epoch.signatures.some(signature => signature.validator === walletAddress);
+      if (isMember && !hasSigned) {
+        await this.epochs.addSignature(EpochManager.signCheckpoint(this.wallet, epoch));
+      }
+    } catch (error) {
+      this.lastError = error.message;
+    }
+  }
+
   /**
    * Update statistics after successful validation
    * @private
+   * @param {bigint} reward - Reward minted for the validation, in base units
    */
-  updateSuccessStats() {
+  updateSuccessStats(reward) {
     this.stats.totalValidated++;
     this.stats.successfulValidations++;
-    this.stats.totalRewards += this.tokenomics.MINING_REWARD;
+    this.stats.totalRewards += reward;
     this.stats.lastReward = Date.now();
   }
 
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const Multisig = require('../core/Multisig');
+const Transaction = require('../core/Transaction');
+
+/**
+ * Read a JSON file written by one of the multisig commands
+ * @private
+ * @param {string} file - File path
+ * @returns {Object} Parsed contents
+ */
+function readJsonFile(file) {
+  if (!file || !fs.existsSync(file)) {
+    throw new Error(`File not found: ${file}`);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+/**
+ * Write a multisig definition or transaction to a JSON file
+ * @private
+ * @param {string} file - File path
+ * @param {Object} data - Data to write
+ */
+function writeJsonFile(file, data) {
+  fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+/**
+ * Print how many members have signed a multisig transaction
+ * @private
+ * @param {Transaction} transaction - Multisig transaction
+ * @param {string} file - File the transaction is kept in
+ */
+function printSignatureStatus(transaction, file) {
+  const signed = transaction.countSignatures();
+  const { threshold, publicKeys } = transaction.multisig;
+  console.log(`
+✍️  Multisig Transaction:
+   File: ${file}
+   From: ${transaction.sender}
+   To: ${transaction.recipient}
+   Signatures: ${signed} of ${threshold} required (${publicKeys.length} members)
+   ${signed >= threshold ? 'Ready to submit with --multisig-submit' : 'Pass the file to another member to sign with --multisig-sign'}
+  `);
+}
+
+/**
+ * Handle create multisig command
+ * @param {import('./seirchain-cli').SeirChainCLI} cli - CLI instance
+ * @param {number} threshold - Number of member signatures required
+ * @param {Array<string>} publicKeys - Hex-encoded public keys of the members
+ * @param {string} [output] - File to write the definition to
+ */
+async function handleCreateMultisig(cli, threshold, publicKeys, output) {
+  try {
+    const multisig = new Multisig({ publicKeys, threshold });
+    const definition = { address: multisig.getAddress(), ...multisig.toJSON() };
+    if (output) {
+      writeJsonFile(output, definition);
+    }
+    console.log(`
+🔐 Multisig Account Created:
+   Address: ${definition.address}
+   Threshold: ${threshold} of ${publicKeys.length}
+   ${output ? `Definition: ${output}` : 'Use --output <file> to save the definition for --multisig-transfer'}
+    `);
+  } catch (error) {
+    console.error(`❌ Multisig creation failed: ${error.message}`);
+  }
+}
+
+/**
+ * Handle multisig transfer command: write an unsigned transfer out of a multisig account to a file,
+ * signed by this wallet if it is a member
+ * @param {import('./seirchain-cli').SeirChainCLI} cli - CLI instance
+ * @param {string} definitionFile - File written by the create multisig command
+ * @param {string} recipient - Recipient address
+ * @param {string} amount - Token amount to transfer
+ * @param {Object} options - Transfer options
+ * @param {string} options.output - File to collect signatures in
+ * @param {string} [options.fee] - Token amount to pay as fee; defaults to the required fee
+ */
+async function handleMultisigTransfer(cli, definitionFile, recipient, amount, { output, fee } = {}) {
+  try {
+    const { tokenomics } = cli;
+    const multisig = Multisig.from(readJsonFile(definitionFile));
+    const sender = multisig.getAddress();
+    const transaction = new Transaction({
+      sender,
+      recipient,
+      amount: tokenomics.parseAmount(amount),
+      nonce: tokenomics.getNonce(sender),
+      multisig
+    });
+    transaction.fee = (fee !== undefined ?
+      tokenomics.parseAmount(fee) :
+      tokenomics.getRequiredFee(transaction)).toString();
+
+    if (cli.wallet.isInitialized() && multisig.isMember(cli.wallet.getPublicKey())) {
+      transaction.addSignature(cli.wallet);
+    }
+    writeJsonFile(output, transaction.toJSON());
+    printSignatureStatus(transaction, output);
+  } catch (error) {
+    console.error(`❌ Multisig transfer failed: ${error.message}`);
+  }
+}
+
+/**
+ * Handle multisig sign command: add this wallet's signature to a multisig transaction file
+ * @param {import('./seirchain-cli').SeirChainCLI} cli - CLI instance
+ * @param {string} file - Transaction file written by the multisig transfer command
+ */
+async function handleMultisigSign(cli, file) {
+  if (!cli.validateWalletState()) return;
+
+  try {
+    const transaction = new Transaction(readJsonFile(file)).addSignature(cli.wallet);
+    writeJsonFile(file, transaction.toJSON());
+    printSignatureStatus(transaction, file);
+  } catch (error) {
+    console.error(`❌ Multisig signing failed: ${error.message}`);
+  }
+}
+
+/**
+ * Handle multisig submit command: apply a multisig transaction once enough members signed
+ * @param {import('./seirchain-cli').SeirChainCLI} cli - CLI instance
+ * @param {string} file - Transaction file with the member signatures
+ */
+async function handleMultisigSubmit(cli, file) {
+  try {
+    const { tokenomics } = cli;
+    const transaction = new Transaction(readJsonFile(file));
+    await tokenomics.transfer(transaction);
+    console.log(`
+✅ Multisig Transfer Successful:
+   From: ${transaction.sender}
+   To: ${transaction.recipient}
+   Amount: ${tokenomics.formatAmount(transaction.amount)} ${tokenomics.tokenSymbol}
+   Fee: ${tokenomics.formatAmount(transaction.fee)} ${tokenomics.tokenSymbol}
+   Multisig Balance: ${tokenomics.formatAmount(tokenomics.getBalance(transaction.sender))} ${tokenomics.tokenSymbol}
+    `);
+  } catch (error) {
+    console.error(`❌ Multisig transfer failed: ${error.message}`);
+  }
+}
+
+module.exports = {
+  handleCreateMultisig,
+  handleMultisigTransfer,
+  handleMultisigSign,
+  handleMultisigSubmit
+};
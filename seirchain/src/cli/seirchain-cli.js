@@ -7,9 +7,24 @@
 
 const minimist = require('minimist');
 const TriadMatrix = require('../core/TriadMatrix');
+const ValidatorRegistry = require('../core/ValidatorRegistry');
 const Wallet = require('../core/Wallet');
 const Tokenomics = require('../core/Tokenomics');
-const { handleTokenInfo, handleTokenTransfer } = require('./token-handlers');
+const {
+  handleTokenInfo,
+  handleTokenTransfer,
+  handleStake,
+  handleUnstake,
+  handleLockTokens,
+  handleTransactionHistory,
+  handleStatement
+} = require('./token-handlers');
+const {
+  handleCreateMultisig,
+  handleMultisigTransfer,
+  handleMultisigSign,
+  handleMultisigSubmit
+} = require('./multisig-handlers');
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config({ path: path.resolve(process.cwd(), '.env') });
@@ -18,6 +33,7 @@ require('dotenv').config({ path: path.resolve(process.cwd(), '.env') });
 const WALLET_FILE = path.resolve(process.cwd(), 'data', '.wallet');
 const DEFAULT_TRIAD_LIST_LIMIT = 10;
 const WALLET_FILE_PERMISSIONS = 0o600;
+const DEFAULT_MINIMUM_STAKE = '1';
 
 class SeirChainCLI {
   /**
@@ -110,6 +126,10 @@ class SeirChainCLI {
         dimensions: parseInt(process.env.MATRIX_DIMENSIONS, 10) || 3,
         complexity: parseInt(process.env.TRIAD_COMPLEXITY, 10) || 4,
         consensusThreshold: parseFloat(process.env.CONSENSUS_THRESHOLD) || 0.67,
+        slashingHook: (validator, evidence) => this.tokenomics.slash(validator, evidence),
+        // The matrix weighs votes by plain numbers, so stake is passed in base units
+        stakeLookup: (validator) => Number(this.tokenomics.getStake(validator)),
+        minimumStake: Number(this.tokenomics.parseAmount(process.env.MINIMUM_STAKE || DEFAULT_MINIMUM_STAKE)),
       });
 
       await this.matrix.init();
@@ -243,7 +263,7 @@ class SeirChainCLI {
    */
   async getStatus() {
     const state = this.matrix.getMatrixState();
-    const validatedTriads = state.triads.filter(t => t.validated).length;
+    const validatedTriads = state.validatedTriadsCount;
 
     // console.log('\n📊 TriadMatrix Status:');
     // console.log(`   Initialized: ${state.isInitialized ? '✅' : '❌'}`);
@@ -251,7 +271,7 @@ class SeirChainCLI {
     // console.log(`   Complexity Factor: ${state.complexity}`);
     // console.log(`   Consensus Threshold: ${(state.consensusThreshold * 100).toFixed(2)}%`);
     // console.log(`   Total Triads in DB: ${state.triadsCount}`);
-    // console.log(`   Validated Triads: ${validatedTriads} / ${state.triads.length}`);
+    // console.log(`   Validated Triads: ${validatedTriads} / ${state.triadsCount}`);
     // console.log(`   Registered Validators: ${state.validators.length}`);
     
     if (state.validators.length > 0) {
@@ -267,21 +287,21 @@ class SeirChainCLI {
   /**
    * List triads
    * @param {number} limit - Maximum number of triads to list
+   * @param {number} [cursor] - Sequence number to start from, as printed by a previous page
    */
-  async listTriads(limit = DEFAULT_TRIAD_LIST_LIMIT) {
-    const state = this.matrix.getMatrixState();
+  async listTriads(limit = DEFAULT_TRIAD_LIST_LIMIT, cursor) {
+    const { triads, nextCursor } = await this.matrix.getTriadsPage({ cursor, limit });
     
-    // console.log('\n📋 Triads List (Snapshot):');
-    if (state.triads.length === 0) {
-      // console.log('   No triads found in the current matrix snapshot.');
+    // console.log('\n📋 Triads List:');
+    if (triads.length === 0) {
+      // console.log('   No triads found in the matrix.');
       return;
     }
 
-    const triadsToDisplay = state.triads.slice(0, limit);
-    this.displayTriadsList(triadsToDisplay);
+    this.displayTriadsList(triads);
 
-    if (state.triads.length > limit) {
-      // console.log(`\n   ... and ${state.triads.length - limit} more. Use --limit <num> to see more.`);
+    if (nextCursor !== null) {
+      // console.log(`\n   ... more triads available. Use --cursor ${nextCursor} to see the next page.`);
     }
   }
 
@@ -315,7 +335,17 @@ class SeirChainCLI {
 
     const walletAddress = this.wallet.getAddress();
     await this.displayMiningStart(walletAddress);
+
+    if (this.tokenomics.getStake(walletAddress) < this.matrix.minimumStake) {
+      console.error(`❌ Bond at least ${this.tokenomics.formatAmount(BigInt(this.matrix.minimumStake))} ${this.tokenomics.tokenSymbol} with --stake before mining.`);
+      return;
+    }
     await this.ensureValidatorRegistration(walletAddress);
+
+    if (!this.matrix.isEligible(walletAddress)) {
+      // console.log(`⛔ Validator is ${this.matrix.getValidator(walletAddress).status}; not mining.`);
+      return;
+    }
     await this.performMiningCycle(walletAddress);
   }
 
@@ -328,8 +358,8 @@ class SeirChainCLI {
     // console.log(`
     // 🔄 Starting TriadMatrix Validation Process
     //    Validator Address: ${walletAddress}
-    //    Mining Reward: ${this.tokenomics.MINING_REWARD} ${this.tokenomics.tokenSymbol}
-    //    Current Balance: ${this.tokenomics.getBalance(walletAddress)} ${this.tokenomics.tokenSymbol}
+    //    Mining Reward: ${this.tokenomics.formatAmount(this.tokenomics.getMiningReward(this.matrix.validatedTriadsCount))} ${this.tokenomics.tokenSymbol}
+    //    Current Balance: ${this.tokenomics.formatAmount(this.tokenomics.getBalance(walletAddress))} ${this.tokenomics.tokenSymbol}
     // `);
   }
 
@@ -339,12 +369,33 @@ class SeirChainCLI {
    * @param {string} walletAddress - Wallet address
    */
   async ensureValidatorRegistration(walletAddress) {
-    if (!this.matrix.validators.has(walletAddress)) {
-      this.matrix.addValidator(walletAddress);
+    const registered = this.matrix.getValidator(walletAddress);
+    if (!registered || registered.status === ValidatorRegistry.STATUS.RETIRED) {
+      await this.matrix.addValidator(ValidatorRegistry.signRegistration(this.wallet));
       // console.log(`📬 Successfully registered ${walletAddress} as a validator.`);
     }
   }
 
+  /**
+   * Retire the loaded wallet from the validator registry
+   */
+  async retireValidator() {
+    if (!this.validateWalletState()) return;
+
+    try {
+      const removal = ValidatorRegistry.signRegistration(this.wallet, ValidatorRegistry.ACTIONS.RETIRE);
+      const retired = await this.matrix.removeValidator(removal);
+      if (retired) {
+        // console.log(`👋 ${this.wallet.getAddress()} retired as a validator at height ${this.matrix.getHeight()}.`);
+      } else {
+        // console.log('ℹ️  This wallet is not a registered validator.');
+      }
+    } catch (error) {
+      this.lastError = error.message;
+      // console.error(`❌ Error retiring validator: ${error.message}`);
+    }
+  }
+
   /**
    * Perform mining cycle
    * @private
@@ -352,7 +403,7 @@ class SeirChainCLI {
    */
   async performMiningCycle(walletAddress) {
     const state = this.matrix.getMatrixState();
-    const unvalidatedTriads = state.triads.filter(t => !t.validated && t.validator !== walletAddress);
+    const unvalidatedTriads = await this.matrix.getPendingTriads({ excludeValidator: walletAddress });
 
     if (unvalidatedTriads.length === 0) {
       // console.log('✅ No triads available for validation in current snapshot.');
@@ -361,13 +412,13 @@ class SeirChainCLI {
 
     // console.log(`
     // 📊 Mining Status:
-    //    Total Triads: ${state.triads.length}
+    //    Total Triads: ${state.triadsCount}
     //    Unvalidated Triads: ${unvalidatedTriads.length}
     //    Consensus Threshold: ${(this.matrix.consensusThreshold * 100).toFixed(2)}%
     // `);
 
     let validatedCount = 0;
-    let totalRewards = 0;
+    let totalRewards = 0n;
 
     for (const triad of unvalidatedTriads) {
       const result = await this.validateTriad(triad, walletAddress);
@@ -391,18 +442,25 @@ class SeirChainCLI {
     try {
       // console.log(`\n🔍 Validating Triad ${triad.id}...`);
       
-      const updatedTriad = await this.matrix.validateTriad(triad.id, walletAddress);
+      const vote = TriadMatrix.signVote(this.wallet, triad.id);
+      const updatedTriad = await this.matrix.validateTriad(triad.id, vote);
       
       if (updatedTriad.validated) {
         try {
-          await this.tokenomics.mint(walletAddress, this.tokenomics.MINING_REWARD);
+          // The triad just validated is the last one counted
+          const reward = this.tokenomics.getMiningReward(this.matrix.validatedTriadsCount - 1);
+          if (reward > 0n) {
+            await this.tokenomics.mint(walletAddress, reward);
+          }
+          // Fees collected without a finalizing validator go to the wallet that finalizes this triad
+          await this.tokenomics.distributeFeePool(walletAddress);
           // console.log(`
           // ✅ Triad Validated Successfully:
           //    ID: ${triad.id}
           //    Consensus: ${(updatedTriad.consensus * 100).toFixed(2)}%
-          //    Reward: +${this.tokenomics.MINING_REWARD} ${this.tokenomics.tokenSymbol}
+          //    Reward: +${this.tokenomics.formatAmount(reward)} ${this.tokenomics.tokenSymbol}
           // `);
-          return { success: true, reward: this.tokenomics.MINING_REWARD };
+          return { success: true, reward };
         } catch (mintError) {
           this.lastError = mintError.message;
           // console.error(`
@@ -410,7 +468,7 @@ class SeirChainCLI {
           //    Triad ID: ${triad.id}
           //    Error: ${mintError.message}
           // `);
-          return { success: false, reward: 0 };
+          return { success: false, reward: 0n };
         }
       } else {
         // console.log(`
@@ -419,7 +477,7 @@ class SeirChainCLI {
         //    Current Consensus: ${(updatedTriad.consensus * 100).toFixed(2)}%
         //    Required Consensus: ${(this.matrix.consensusThreshold * 100)}%
         // `);
-        return { success: false, reward: 0 };
+        return { success: false, reward: 0n };
       }
     } catch (error) {
       this.lastError = error.message;
@@ -429,7 +487,7 @@ class SeirChainCLI {
       //    Error: ${error.message}
       //    ${process.env.DEBUG === 'true' ? '\nStack: ' + error.stack : ''}
       // `);
-      return { success: false, reward: 0 };
+      return { success: false, reward: 0n };
     }
   }
 
@@ -441,9 +499,9 @@ class SeirChainCLI {
     // console.log(`
     // 🎉 Mining Cycle Complete:
     //    Validated Triads: ${validatedCount}/${totalTriads}
-    //    Total Rewards: ${totalRewards} ${this.tokenomics.tokenSymbol}
-    //    New Balance: ${this.tokenomics.getBalance(walletAddress)} ${this.tokenomics.tokenSymbol}
-    //    Total Supply: ${this.tokenomics.getTotalSupply()} ${this.tokenomics.tokenSymbol}
+    //    Total Rewards: ${this.tokenomics.formatAmount(totalRewards)} ${this.tokenomics.tokenSymbol}
+    //    New Balance: ${this.tokenomics.formatAmount(this.tokenomics.getBalance(walletAddress))} ${this.tokenomics.tokenSymbol}
+    //    Total Supply: ${this.tokenomics.formatAmount(this.tokenomics.getTotalSupply())} ${this.tokenomics.tokenSymbol}
     // `);
   }
 
@@ -486,12 +544,37 @@ Triad & Matrix Commands:
                                 Example: --create-triad '{"message":"hello"}'
   --get-triad <triadId>         Fetch and display details for a specific triad.
   --status                       Show current TriadMatrix status and statistics.
-  --list [--limit <number>]      List triads in the matrix (default limit 10).
+  --list [--limit <number>] [--cursor <number>]
+                                 List triads in the matrix (default limit 10).
   --mine                         Run the validation process for unvalidated triads.
+  --retire-validator             Sign a request removing this wallet from the validators.
 
 Token Commands:
   --token-info                   Display WAC token info for your wallet.
-  --transfer-tokens <recipient> <amount>  Transfer WAC tokens to another wallet.
+  --stake <amount> [--fee <amount>]
+                                 Bond WAC as validator stake (required to mine).
+  --unstake <amount> [--fee <amount>]
+                                 Start unbonding stake; it becomes spendable after the unbonding period.
+  --transfer-tokens <recipient> <amount> [--fee <amount>]
+                                 Sign and send a WAC transfer to another wallet.
+                                 Without --fee the ledger's required fee is paid.
+  --lock-tokens <recipient> <amount> --unlock <date> [--start <date>] [--cliff <date>] [--fee <amount>]
+                                 Lock WAC for another wallet. Without --start everything unlocks
+                                 at --unlock; with it the amount vests linearly from --start,
+                                 with nothing unlocking before --cliff.
+  --history [--from <date>] [--to <date>] [--limit <number>] [--cursor <cursor>]
+                                 List mints, transfers, fees and burns for your wallet.
+  --statement [--format csv|json] [--from <date>] [--to <date>] [--output <file>]
+                                 Export an account statement for accounting.
+
+Multisig Commands:
+  --create-multisig --threshold <m> <publicKey>... [--output <file>]
+                                 Create an M-of-N multisig account and save its definition.
+  --multisig-transfer <definition-file> <recipient> <amount> --output <file> [--fee <amount>]
+                                 Write a transfer out of a multisig account to a file for
+                                 members to sign; signs it too if your wallet is a member.
+  --multisig-sign <file>         Add your wallet's signature to a multisig transaction file.
+  --multisig-submit <file>       Apply a multisig transaction once enough members signed.
 
 General Options:
   --help                         Show this help message.
@@ -509,8 +592,10 @@ Examples:
   node ${path.basename(process.argv[1])} --create-triad "My first triad data"
   node ${path.basename(process.argv[1])} --status
   node ${path.basename(process.argv[1])} --list --limit 5
+  node ${path.basename(process.argv[1])} --list --limit 5 --cursor 5
   node ${path.basename(process.argv[1])} --mine
   node ${path.basename(process.argv[1])} --token-info
+  node ${path.basename(process.argv[1])} --stake 50
   node ${path.basename(process.argv[1])} --transfer-tokens RECIPIENT_ADDRESS AMOUNT
     `);
   }
@@ -548,7 +633,12 @@ Examples:
  */
 async function main() {
   const cli = new SeirChainCLI();
-  const args = minimist(process.argv.slice(2));
+  // Keep amounts as typed so they are parsed exactly rather than through floats
+  const args = minimist(process.argv.slice(2), {
+    string: ['stake', 'unstake', 'fee', 'from', 'to', 'cursor', 'unlock', 'start', 'cliff', 'output',
+      'multisig-sign', 'multisig-submit', '_'],
+    boolean: ['transfer-tokens', 'lock-tokens', 'create-multisig', 'multisig-transfer']
+  });
 
   try {
     cli.loadWallet();
@@ -556,7 +646,7 @@ async function main() {
 
     // Initialize matrix for commands that need it
     if (args['create-triad'] || args.status || args.list || args.mine || 
-        args['get-triad'] || args['token-info']) {
+        args['get-triad'] || args['token-info'] || args['retire-validator']) {
       await cli.initMatrix();
     }
 
@@ -614,9 +704,13 @@ async function handleCommand(cli, args) {
   } else if (args.list) {
     const limit = args.limit && Number.isInteger(parseInt(args.limit)) ? 
       parseInt(args.limit) : DEFAULT_TRIAD_LIST_LIMIT;
-    await cli.listTriads(limit);
+    const cursor = args.cursor !== undefined && Number.isInteger(parseInt(args.cursor)) ?
+      parseInt(args.cursor) : undefined;
+    await cli.listTriads(limit, cursor);
   } else if (args.mine) {
     await cli.mine();
+  } else if (args['retire-validator']) {
+    await cli.retireValidator();
   } else if (args['token-info']) {
     await handleTokenInfo(cli);
   } else if (args['transfer-tokens']) {
@@ -625,8 +719,58 @@ async function handleCommand(cli, args) {
       cli.showHelp();
       return;
     }
-    const [recipient, amountStr] = args._;
-    await handleTokenTransfer(cli, recipient, parseFloat(amountStr));
+    const [recipient, amount] = args._;
+    await handleTokenTransfer(cli, recipient, amount, args.fee);
+  } else if (args['create-multisig']) {
+    const threshold = parseInt(args.threshold, 10);
+    if (!Number.isInteger(threshold) || args._.length === 0) {
+      console.error("❌ A --threshold and at least one public key must be provided to create a multisig account.");
+      cli.showHelp();
+      return;
+    }
+    await handleCreateMultisig(cli, threshold, args._, args.output);
+  } else if (args['multisig-transfer']) {
+    if (args._.length < 3 || !args.output) {
+      console.error("❌ Definition file, recipient, amount and --output file must be provided for a multisig transfer.");
+      cli.showHelp();
+      return;
+    }
+    const [definitionFile, recipient, amount] = args._;
+    await handleMultisigTransfer(cli, definitionFile, recipient, amount, { output: args.output, fee: args.fee });
+  } else if (args['multisig-sign']) {
+    await handleMultisigSign(cli, args['multisig-sign']);
+  } else if (args['multisig-submit']) {
+    await handleMultisigSubmit(cli, args['multisig-submit']);
+  } else if (args['lock-tokens']) {
+    if (args._.length < 2 || !args.unlock) {
+      console.error("❌ Recipient address, amount and --unlock date must be provided to lock tokens.");
+      cli.showHelp();
+      return;
+    }
+    const [recipient, amount] = args._;
+    await handleLockTokens(cli, recipient, amount, {
+      unlock: args.unlock,
+      start: args.start,
+      cliff: args.cliff,
+      fee: args.fee
+    });
+  } else if (args.history) {
+    const limit = args.limit && Number.isInteger(parseInt(args.limit)) ? parseInt(args.limit) : undefined;
+    await handleTransactionHistory(cli, { from: args.from, to: args.to, limit, cursor: args.cursor });
+  } else if (args.statement) {
+    await handleStatement(cli, { format: args.format, from: args.from, to: args.to, output: args.output });
+  } else if (args.stake !== undefined || args.unstake !== undefined) {
+    const amount = args.stake !== undefined ? args.stake : args.unstake;
+    if (amount === true || amount === '') {
+      console.error("❌ An amount must be provided to stake or unstake.");
+      cli.showHelp();
+      return;
+    }
+    if (args.stake !== undefined) {
+      await handleStake(cli, amount, args.fee);
+    } else {
+      await handleUnstake(cli, amount, args.fee);
+    }
   }
 }
 
@@ -1,3 +1,25 @@
+const fs = require('fs');
+const Transaction = require('../core/Transaction');
+
+const DEFAULT_HISTORY_LIMIT = 20;
+
+/**
+ * Build and sign a transaction for the CLI wallet
+ * @private
+ * @param {import('./seirchain-cli').SeirChainCLI} cli - CLI instance
+ * @param {Object} fields - Transaction fields other than the fee
+ * @param {string} [fee] - Token amount to pay as fee; defaults to the ledger's required fee
+ * @returns {Transaction} Signed transaction
+ */
+function createSignedTransaction(cli, fields, fee) {
+  const { tokenomics } = cli;
+  const transaction = new Transaction(fields);
+  transaction.fee = (fee !== undefined ?
+    tokenomics.parseAmount(fee) :
+    tokenomics.getRequiredFee(transaction)).toString();
+  return transaction.sign(cli.wallet);
+}
+
 /**
  * Handle token info command
  * @param {import('./seirchain-cli').SeirChainCLI} cli - CLI instance
@@ -5,16 +27,34 @@
 async function handleTokenInfo(cli) {
   if (!cli.validateWalletState()) return;
   
+  const { tokenomics } = cli;
   const address = cli.wallet.getAddress();
-  const balance = cli.tokenomics.getBalance(address);
-  const totalSupply = cli.tokenomics.getTotalSupply();
+  const balance = tokenomics.formatAmount(tokenomics.getBalance(address));
+  const bonded = tokenomics.formatAmount(tokenomics.getStake(address));
+  const unbonding = tokenomics.getUnbonding(address)
+    .map(entry => `\n     ${tokenomics.formatAmount(entry.amount)} ${tokenomics.tokenSymbol} spendable from ${new Date(entry.releaseAt).toLocaleString()}`)
+    .join('');
+  const { locked } = tokenomics.getBalance(address, { detailed: true });
+  const totalSupply = tokenomics.formatAmount(tokenomics.getTotalSupply());
+  const height = cli.matrix ? cli.matrix.validatedTriadsCount : 0;
+  const nextHalving = tokenomics.emission.getNextHalvingHeight(height);
+  const { maxSupply } = tokenomics.emission;
   
   console.log(`
 💰 Token Information:
    Symbol: ${cli.tokenomics.tokenSymbol}
+   Decimals: ${cli.tokenomics.decimals}
    Your Address: ${address}
    Your Balance: ${balance} ${cli.tokenomics.tokenSymbol}
+   Locked: ${tokenomics.formatAmount(locked)} ${tokenomics.tokenSymbol}
+   Bonded Stake: ${bonded} ${cli.tokenomics.tokenSymbol}
+   Unbonding: ${unbonding || 'None'}
    Total Supply: ${totalSupply} ${cli.tokenomics.tokenSymbol}
+   Max Supply: ${maxSupply !== null ? `${tokenomics.formatAmount(maxSupply)} ${tokenomics.tokenSymbol}` : 'Uncapped'}
+   Current Reward: ${tokenomics.formatAmount(tokenomics.getMiningReward(height))} ${tokenomics.tokenSymbol} per validated triad
+   Next Halving: ${nextHalving !== null ? `at validated triad ${nextHalving}` : 'None'}
+   Total Burned: ${tokenomics.formatAmount(tokenomics.getTotalBurned())} ${tokenomics.tokenSymbol}
+   Fee Pool: ${tokenomics.formatAmount(tokenomics.getFeePool())} ${tokenomics.tokenSymbol}
   `);
 }
 
@@ -22,26 +62,242 @@ async function handleTokenInfo(cli) {
  * Handle token transfer command
  * @param {import('./seirchain-cli').SeirChainCLI} cli - CLI instance
  * @param {string} recipient - Recipient address
- * @param {number} amount - Amount to transfer
+ * @param {string} amount - Token amount to transfer, such as `12.5`
+ * @param {string} [fee] - Token amount to pay as fee; defaults to the required fee
  */
-async function handleTokenTransfer(cli, recipient, amount) {
+async function handleTokenTransfer(cli, recipient, amount, fee) {
   if (!cli.validateWalletState()) return;
   
   try {
-    await cli.tokenomics.transfer(cli.wallet.getAddress(), recipient, amount);
+    const { tokenomics } = cli;
+    const sender = cli.wallet.getAddress();
+    const transaction = createSignedTransaction(cli, {
+      sender,
+      senderPublicKey: cli.wallet.getPublicKey(),
+      recipient,
+      amount: tokenomics.parseAmount(amount),
+      nonce: tokenomics.getNonce(sender)
+    }, fee);
+
+    await tokenomics.transfer(transaction);
     console.log(`
 ✅ Transfer Successful:
-   From: ${cli.wallet.getAddress()}
+   From: ${sender}
    To: ${recipient}
-   Amount: ${amount} ${cli.tokenomics.tokenSymbol}
-   New Balance: ${cli.tokenomics.getBalance(cli.wallet.getAddress())} ${cli.tokenomics.tokenSymbol}
+   Amount: ${tokenomics.formatAmount(transaction.amount)} ${tokenomics.tokenSymbol}
+   Fee: ${tokenomics.formatAmount(transaction.fee)} ${tokenomics.tokenSymbol}
+   New Balance: ${tokenomics.formatAmount(tokenomics.getBalance(sender))} ${tokenomics.tokenSymbol}
     `);
   } catch (error) {
     console.error(`❌ Transfer failed: ${error.message}`);
   }
 }
 
+/**
+ * Build a signed stake or unstake transaction for the CLI wallet
+ * @private
+ * @param {import('./seirchain-cli').SeirChainCLI} cli - CLI instance
+ * @param {string} type - `stake` or `unstake`
+ * @param {string} amount - Token amount to bond or unbond
+ * @param {string} [fee] - Token amount to pay as fee; defaults to the required fee
+ * @returns {Transaction} Signed transaction
+ */
+function createStakeTransaction(cli, type, amount, fee) {
+  const address = cli.wallet.getAddress();
+  return createSignedTransaction(cli, {
+    type,
+    sender: address,
+    senderPublicKey: cli.wallet.getPublicKey(),
+    recipient: address,
+    amount: cli.tokenomics.parseAmount(amount),
+    nonce: cli.tokenomics.getNonce(address)
+  }, fee);
+}
+
+/**
+ * Handle stake command
+ * @param {import('./seirchain-cli').SeirChainCLI} cli - CLI instance
+ * @param {string} amount - Token amount to bond
+ * @param {string} [fee] - Token amount to pay as fee; defaults to the required fee
+ */
+async function handleStake(cli, amount, fee) {
+  if (!cli.validateWalletState()) return;
+
+  try {
+    const { tokenomics } = cli;
+    const transaction = createStakeTransaction(cli, Transaction.TYPES.STAKE, amount, fee);
+    await tokenomics.stake(transaction);
+    console.log(`
+✅ Stake Bonded:
+   Amount: ${tokenomics.formatAmount(transaction.amount)} ${tokenomics.tokenSymbol}
+   Bonded Stake: ${tokenomics.formatAmount(tokenomics.getStake(cli.wallet.getAddress()))} ${tokenomics.tokenSymbol}
+   Spendable Balance: ${tokenomics.formatAmount(tokenomics.getBalance(cli.wallet.getAddress()))} ${tokenomics.tokenSymbol}
+    `);
+  } catch (error) {
+    console.error(`❌ Staking failed: ${error.message}`);
+  }
+}
+
+/**
+ * Handle unstake command
+ * @param {import('./seirchain-cli').SeirChainCLI} cli - CLI instance
+ * @param {string} amount - Token amount to unbond
+ * @param {string} [fee] - Token amount to pay as fee; defaults to the required fee
+ */
+async function handleUnstake(cli, amount, fee) {
+  if (!cli.validateWalletState()) return;
+
+  try {
+    const { tokenomics } = cli;
+    const entry = await tokenomics.unstake(createStakeTransaction(cli, Transaction.TYPES.UNSTAKE, amount, fee));
+    console.log(`
+✅ Unbonding Started:
+   Amount: ${tokenomics.formatAmount(entry.amount)} ${tokenomics.tokenSymbol}
+   Spendable From: ${new Date(entry.releaseAt).toLocaleString()}
+   Bonded Stake: ${tokenomics.formatAmount(tokenomics.getStake(cli.wallet.getAddress()))} ${tokenomics.tokenSymbol}
+    `);
+  } catch (error) {
+    console.error(`❌ Unstaking failed: ${error.message}`);
+  }
+}
+
+/**
+ * Handle lock command: lock tokens for another wallet until a date, or vesting between dates
+ * @param {import('./seirchain-cli').SeirChainCLI} cli - CLI instance
+ * @param {string} recipient - Address receiving the locked tokens
+ * @param {string} amount - Token amount to lock
+ * @param {Object} options - Schedule options
+ * @param {string|number} options.unlock - Date by which everything has unlocked
+ * @param {string|number} [options.start] - Date vesting starts; without it everything unlocks at `unlock`
+ * @param {string|number} [options.cliff] - Date before which nothing unlocks; defaults to `start`
+ * @param {string} [options.fee] - Token amount to pay as fee; defaults to the required fee
+ */
+async function handleLockTokens(cli, recipient, amount, { unlock, start, cliff, fee } = {}) {
+  if (!cli.validateWalletState()) return;
+
+  try {
+    const { tokenomics } = cli;
+    const end = parseDateOption(unlock);
+    if (end === undefined) {
+      throw new Error('An unlock date must be provided.');
+    }
+    const vestingStart = start !== undefined ? parseDateOption(start) : end;
+    const schedule = {
+      start: vestingStart,
+      cliff: cliff !== undefined ? parseDateOption(cliff) : vestingStart,
+      end
+    };
+
+    const lock = await tokenomics.lock(createSignedTransaction(cli, {
+      type: Transaction.TYPES.LOCK,
+      sender: cli.wallet.getAddress(),
+      senderPublicKey: cli.wallet.getPublicKey(),
+      recipient,
+      amount: tokenomics.parseAmount(amount),
+      nonce: tokenomics.getNonce(cli.wallet.getAddress()),
+      schedule
+    }, fee));
+    console.log(`
+✅ Tokens Locked:
+   Lock: ${lock.id}
+   To: ${recipient}
+   Amount: ${tokenomics.formatAmount(lock.amount)} ${tokenomics.tokenSymbol}
+   Vesting: ${new Date(lock.schedule.start).toLocaleString()} → ${new Date(lock.schedule.end).toLocaleString()}
+   Cliff: ${new Date(lock.schedule.cliff).toLocaleString()}
+    `);
+  } catch (error) {
+    console.error(`❌ Lock failed: ${error.message}`);
+  }
+}
+
+/**
+ * Parse a `--from`/`--to` date option
+ * @private
+ * @param {string|number|undefined} value - Date string, such as `2024-01-31`, or a timestamp in ms
+ * @returns {number|undefined} Timestamp in ms
+ * @throws {Error} If the value is not a date
+ */
+function parseDateOption(value) {
+  if (value === undefined) return undefined;
+  const timestamp = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(timestamp)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return timestamp;
+}
+
+/**
+ * Handle transaction history command
+ * @param {import('./seirchain-cli').SeirChainCLI} cli - CLI instance
+ * @param {Object} [options] - History options
+ * @param {string|number} [options.from] - Earliest date to include
+ * @param {string|number} [options.to] - Latest date to include
+ * @param {number} [options.limit=20] - Entries per page
+ * @param {string} [options.cursor] - Cursor printed with the previous page
+ */
+async function handleTransactionHistory(cli, { from, to, limit = DEFAULT_HISTORY_LIMIT, cursor } = {}) {
+  if (!cli.validateWalletState()) return;
+
+  try {
+    const { tokenomics } = cli;
+    const address = cli.wallet.getAddress();
+    const page = await tokenomics.getTransactions(address, {
+      from: parseDateOption(from),
+      to: parseDateOption(to),
+      limit,
+      cursor
+    });
+
+    const lines = page.transactions.map(entry => {
+      const sign = entry.to === address && entry.from !== address ? '+' :
+        entry.from === address && entry.to !== address ? '-' : ' ';
+      const counterparty = entry.from === address ? entry.to : entry.from;
+      return `   ${new Date(entry.timestamp).toLocaleString()}  ${entry.type.padEnd(8)} ${sign}${tokenomics.formatAmount(entry.amount)} ${tokenomics.tokenSymbol}${counterparty && counterparty !== address ? `  ${counterparty}` : ''}`;
+    });
+    console.log(`
+📜 Transaction History for ${address}:
+${lines.length > 0 ? lines.join('\n') : '   No transactions'}
+${page.nextCursor ? `\n   More: --history --cursor ${page.nextCursor}` : ''}`);
+  } catch (error) {
+    console.error(`❌ Could not read transaction history: ${error.message}`);
+  }
+}
+
+/**
+ * Handle statement export command
+ * @param {import('./seirchain-cli').SeirChainCLI} cli - CLI instance
+ * @param {Object} [options] - Statement options
+ * @param {string} [options.format='csv'] - `csv` or `json`
+ * @param {string|number} [options.from] - Earliest date to include
+ * @param {string|number} [options.to] - Latest date to include
+ * @param {string} [options.output] - File to write; printed to stdout when omitted
+ */
+async function handleStatement(cli, { format = 'csv', from, to, output } = {}) {
+  if (!cli.validateWalletState()) return;
+
+  try {
+    const statement = await cli.tokenomics.exportStatement(cli.wallet.getAddress(), {
+      format,
+      from: parseDateOption(from),
+      to: parseDateOption(to)
+    });
+    if (output) {
+      fs.writeFileSync(output, `${statement}\n`);
+      console.log(`✅ Statement written to ${output}`);
+    } else {
+      console.log(statement);
+    }
+  } catch (error) {
+    console.error(`❌ Statement export failed: ${error.message}`);
+  }
+}
+
 module.exports = {
   handleTokenInfo,
-  handleTokenTransfer
+  handleTokenTransfer,
+  handleStake,
+  handleUnstake,
+  handleLockTokens,
+  handleTransactionHistory,
+  handleStatement
 };
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Emission schedule for SeirChain mining rewards
+ * Works out the reward for a validated triad from its height, with halvings, a supply cap and tail emission
+ */
+
+const { DEFAULT_DECIMALS, parseAmount, toBaseUnits } = require('../utils/amount');
+
+const DEFAULT_INITIAL_REWARD = '10';
+const DEFAULT_EPOCH_LENGTH = 1;
+const DEFAULT_HALVING_INTERVAL = 0;
+
+class EmissionSchedule {
+  /**
+   * Create a new EmissionSchedule instance
+   * @param {Object} [options] - Schedule options; amounts are in base units
+   * @param {bigint|string} options.initialReward - Reward before the first halving
+   * @param {number} [options.epochLength=1] - Validated triads per epoch; the reward only changes between epochs
+   * @param {number} [options.halvingInterval=0] - Epochs between halvings; 0 never halves
+   * @param {bigint|string|null} [options.maxSupply=null] - Supply rewards may never take the total above
+   * @param {bigint|string} [options.tailEmission=0] - Reward floor once halvings bring the reward below it
+   */
+  constructor({ initialReward, epochLength = DEFAULT_EPOCH_LENGTH, halvingInterval = DEFAULT_HALVING_INTERVAL,
+    maxSupply = null, tailEmission = 0n } = {}) {
+    this.initialReward = toBaseUnits(initialReward);
+    if (this.initialReward <= 0n) {
+      throw new Error('Initial reward must be positive');
+    }
+    if (!Number.isInteger(epochLength) || epochLength <= 0) {
+      throw new Error('Epoch length must be a positive integer');
+    }
+    if (!Number.isInteger(halvingInterval) || halvingInterval < 0) {
+      throw new Error('Halving interval must be a non-negative integer');
+    }
+    this.epochLength = epochLength;
+    this.halvingInterval = halvingInterval;
+    this.maxSupply = maxSupply === null ? null : toBaseUnits(maxSupply);
+    this.tailEmission = toBaseUnits(tailEmission);
+    if (this.tailEmission < 0n || (this.maxSupply !== null && this.maxSupply <= 0n)) {
+      throw new Error('Tail emission must be non-negative and max supply positive');
+    }
+  }
+
+  /**
+   * Build a schedule from `MINING_REWARD`, `EPOCH_LENGTH`, `HALVING_INTERVAL`, `MAX_SUPPLY` and `TAIL_EMISSION`
+   *
+   * Amounts in the environment are in tokens. An invalid reward falls back to the default of 10;
+   * other invalid settings are rejected.
+   * @static
+   * @param {number} [decimals=6] - Ledger decimals used to parse token amounts
+   * @param {Object} [env=process.env] - Environment variables
+   * @returns {EmissionSchedule} Schedule
+   */
+  static fromEnvironment(decimals = DEFAULT_DECIMALS, env = process.env) {
+    let initialReward = null;
+    try {
+      initialReward = parseAmount(env.MINING_REWARD, decimals);
+    } catch (error) {
+      initialReward = null;
+    }
+    if (initialReward === null || initialReward <= 0n) {
+      console.warn(`Invalid MINING_REWARD value in environment. Using default value of ${DEFAULT_INITIAL_REWARD}.`);
+      initialReward = parseAmount(DEFAULT_INITIAL_REWARD, decimals);
+    }
+
+    return new EmissionSchedule({
+      initialReward,
+      epochLength: env.EPOCH_LENGTH ? parseInt(env.EPOCH_LENGTH, 10) : DEFAULT_EPOCH_LENGTH,
+      halvingInterval: env.HALVING_INTERVAL ? parseInt(env.HALVING_INTERVAL, 10) : DEFAULT_HALVING_INTERVAL,
+      maxSupply: env.MAX_SUPPLY ? parseAmount(env.MAX_SUPPLY, decimals) : null,
+      tailEmission: env.TAIL_EMISSION ? parseAmount(env.TAIL_EMISSION, decimals) : 0n
+    });
+  }
+
+  /**
+   * Get the epoch a height falls in
+   * @param {number} height - Number of triads validated before this one
+   * @returns {number} Epoch number, starting at 0
+   */
+  getEpoch(height) {
+    return Math.floor(Math.max(0, height) / this.epochLength);
+  }
+
+  /**
+   * Get the number of halvings applied at a height
+   * @param {number} height - Number of triads validated before this one
+   * @returns {number} Halvings so far
+   */
+  getHalvings(height) {
+    return this.halvingInterval > 0 ? Math.floor(this.getEpoch(height) / this.halvingInterval) : 0;
+  }
+
+  /**
+   * Get the first height of the next halving
+   * @param {number} height - Number of triads validated before this one
+   * @returns {number|null} Height of the next halving, or null if the reward never halves
+   */
+  getNextHalvingHeight(height) {
+    if (this.halvingInterval === 0) {
+      return null;
+    }
+    return (this.getHalvings(height) + 1) * this.halvingInterval * this.epochLength;
+  }
+
+  /**
+   * Get the reward for validating a triad
+   * @param {number} height - Number of triads validated before this one
+   * @param {bigint} [totalSupply=0n] - Current total supply, used to respect the cap
+   * @returns {bigint} Reward in base units; 0n once the cap is reached
+   */
+  getReward(height, totalSupply = 0n) {
+    const halvings = BigInt(this.getHalvings(height));
+    let reward = this.initialReward >> halvings;
+    if (reward < this.tailEmission) {
+      reward = this.tailEmission;
+    }
+
+    if (this.maxSupply !== null) {
+      const remaining = this.maxSupply - totalSupply;
+      reward = remaining <= 0n ? 0n : reward < remaining ? reward : remaining;
+    }
+    return reward;
+  }
+}
+
+module.exports = EmissionSchedule;
@@ -0,0 +1,587 @@
+/**
+ * @fileoverview Epoch checkpoints for SeirChain
+ * Batches newly finalized triads and ledger entries into epochs whose headers validators sign,
+ * so a node can trust a finalized checkpoint instead of replaying the history before it
+ */
+
+const { EventEmitter } = require('events');
+const Wallet = require('./Wallet');
+const { sha256, computeMerkleRoot, getMerkleProof } = require('../utils/merkle');
+
+const CHECKPOINT_TYPE = 'epoch-checkpoint';
+const DEFAULT_EPOCH_LENGTH = 100;
+const EPOCH_KEY_LENGTH = 16;
+const TIMESTAMP_KEY_LENGTH = 15;
+const DEFAULT_REORG_LIMIT = 20;
+
+const EPOCH_STATUS = Object.freeze({
+  PENDING: 'pending',
+  FINALIZED: 'finalized'
+});
+
+class EpochManager extends EventEmitter {
+  /**
+   * Create a new EpochManager instance
+   * @param {Object} options - Epoch options
+   * @param {TriadMatrix} options.matrix - Matrix whose finalized triads are batched; epochs are stored in its database
+   * @param {Tokenomics} [options.tokenomics] - Ledger whose entries and state are committed to; only needed to propose epochs
+   * @param {number} [options.epochLength=100] - Finalized triads gathered before an epoch is due
+   * @param {Array<{validator: string, publicKey: string, weight: number}>} [options.genesisValidators] - Validators
+   *   that sign the first epoch, so a node that has not registered them yet can still check the network's
+   *   checkpoints; the validators registered on the node by default
+   */
+  constructor({ matrix, tokenomics = null, epochLength = DEFAULT_EPOCH_LENGTH, genesisValidators = null } = {}) {
+    super();
+    if (!matrix) {
+      throw new Error('EpochManager requires a TriadMatrix instance');
+    }
+    if (!Number.isInteger(epochLength) || epochLength < 1) {
+      throw new Error('Epoch length must be a positive integer');
+    }
+    if (genesisValidators !== null && !EpochManager.isValidatorSet(genesisValidators)) {
+      throw new Error('Genesis validators must each have an address, the public key it derives from and a positive weight');
+    }
+    this.matrix = matrix;
+    this.tokenomics = tokenomics;
+    this.db = matrix.db;
+    this.epochLength = epochLength;
+    this.genesisValidators = genesisValidators;
+    this.latest = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Build the payload a validator signs to endorse an epoch
+   * @static
+   * @param {number} number - Epoch number
+   * @param {string} hash - Epoch header hash
+   * @param {string} validatorId - Address of the signing validator
+   * @returns {Object} Signature payload with a fixed key order
+   */
+  static createSignaturePayload(number, hash, validatorId) {
+    return {
+      type: CHECKPOINT_TYPE,
+      number,
+      hash,
+      validator: validatorId
+    };
+  }
+
+  /**
+   * Compute the hash that identifies an epoch from its header fields
+   * @static
+   * @param {Object} epoch - Epoch or checkpoint
+   * @returns {string} Hex-encoded SHA-256 hash
+   */
+  static computeHash(epoch) {
+    const { number, previousHash, triads, entries, stateRoot, supply, validators, threshold } = epoch;
+    return sha256(JSON.stringify({ number, previousHash, triads, entries, stateRoot, supply, validators, threshold }));
+  }
+
+  /**
+   * Create a validator's signature over an epoch
+   * @static
+   * @param {Wallet} wallet - Validator wallet
+   * @param {Object} epoch - Epoch to endorse
+   * @returns {Object} Signed endorsement
+   */
+  static signCheckpoint(wallet, epoch) {
+    const payload = EpochManager.createSignaturePayload(epoch.number, epoch.hash, wallet.getAddress());
+    return {
+      number: epoch.number,
+      hash: epoch.hash,
+      validator: payload.validator,
+      publicKey: wallet.getPublicKey(),
+      signature: wallet.signData(payload)
+    };
+  }
+
+  /**
+   * Check a checkpoint's hash, and that validators holding at least the threshold of the weight in a
+   * trusted validator set signed it
+   *
+   * The set the checkpoint carries is not enough: anyone can make up a set and sign for it.
+   * @static
+   * @param {Object} checkpoint - Epoch with its signatures
+   * @param {{validators: Array<Object>, threshold: number}} trusted - Validator set that must have signed it,
+   *   such as one from {@link EpochManager#getTrustedSet}
+   * @returns {boolean} True if the checkpoint is finalized by valid signatures
+   */
+  static verifyCheckpoint(checkpoint, trusted) {
+    if (!checkpoint || !Array.isArray(checkpoint.validators) || checkpoint.hash !== EpochManager.computeHash(checkpoint)) {
+      return false;
+    }
+    if (!trusted || !Array.isArray(trusted.validators) || typeof trusted.threshold !== 'number') {
+      return false;
+    }
+    return EpochManager.getSignedWeight(checkpoint, checkpoint.signatures, trusted.validators) >= trusted.threshold;
+  }
+
+  /**
+   * Get the validator set a checkpoint hands on: the set that signs the epoch after it
+   * @static
+   * @param {Object} checkpoint - Finalized checkpoint
+   * @returns {{validators: Array<Object>, threshold: number}} Its validators and threshold
+   */
+  static getNextValidatorSet(checkpoint) {
+    return { validators: checkpoint.validators, threshold: checkpoint.threshold };
+  }
+
+  /**
+   * Check that a list of validators can serve as a validator set
+   * @private
+   * @static
+   * @param {Array<Object>} validators - Validators with their public keys and weights
+   * @returns {boolean} True if the list is non-empty and every member is well formed
+   */
+  static isValidatorSet(validators) {
+    return Array.isArray(validators) && validators.length > 0 && validators.every(member =>
+      member && typeof member.publicKey === 'string' && Wallet.deriveAddress(member.publicKey) === member.validator &&
+      Number.isFinite(member.weight) && member.weight > 0);
+  }
+
+  /**
+   * Get the members of a validator set with a valid signature on an epoch
+   * @static
+   * @param {Object} epoch - Epoch header
+   * @param {Array<Object>} signatures - Endorsements from {@link EpochManager.signCheckpoint}
+   * @param {Array<Object>} [validators] - Validator set to count; the epoch's own by default
+   * @returns {Array<{validator: string, publicKey: string, weight: number}>} Signing members, each once
+   */
+  static getValidSigners(epoch, signatures, validators = epoch.validators) {
+    const members = new Map(validators.map(member => [member.validator, member]));
+    const signers = new Map();
+
+    for (const endorsement of Array.isArray(signatures) ? signatures : []) {
+      const member = members.get(endorsement && endorsement.validator);
+      if (!member || signers.has(member.validator) || endorsement.publicKey !== member.publicKey) {
+        continue;
+      }
+      const payload = EpochManager.createSignaturePayload(epoch.number, epoch.hash, member.validator);
+      if (endorsement.hash === epoch.hash && Wallet.verifySignature(payload, endorsement.signature, member.publicKey)) {
+        signers.set(member.validator, member);
+      }
+    }
+    return Array.from(signers.values());
+  }
+
+  /**
+   * Get the fraction of a validator set's weight with a valid signature on an epoch
+   * @private
+   * @static
+   * @param {Object} epoch - Epoch header
+   * @param {Array<Object>} signatures - Endorsements from {@link EpochManager.signCheckpoint}
+   * @param {Array<Object>} [validators] - Validator set to count; the epoch's own by default
+   * @returns {number} Signed fraction of the total weight
+   */
+  static getSignedWeight(epoch, signatures, validators = epoch.validators) {
+    const totalWeight = validators.reduce((sum, member) => sum + member.weight, 0);
+    const signedWeight = EpochManager.getValidSigners(epoch, signatures, validators)
+      .reduce((sum, member) => sum + member.weight, 0);
+    return totalWeight > 0 ? signedWeight / totalWeight : 0;
+  }
+
+  /**
+   * Load the latest epoch from the database
+   * @returns {Promise<void>}
+   */
+  async load() {
+    this.latest = null;
+    for await (const epoch of this.db.values({ gt: 'epoch:', lt: 'epoch:~', reverse: true, limit: 1 })) {
+      this.latest = epoch;
+    }
+  }
+
+  /**
+   * Check whether enough triads have finalized since the last epoch to propose the next
+   * @returns {boolean} True if an epoch is due and none is waiting for signatures
+   */
+  isDue() {
+    if (this.latest && this.latest.status === EPOCH_STATUS.PENDING) {
+      return false;
+    }
+    return this.matrix.validatedTriadsCount - this.getNextTriadIndex() >= this.epochLength;
+  }
+
+  /**
+   * Close the current epoch: gather the triads finalized and ledger entries written since the last one
+   * and commit to them, the account state and the validator set
+   *
+   * Only one epoch collects signatures at a time.
+   * @param {Object} [options] - Proposal options
+   * @param {boolean} [options.force=false] - Propose even if fewer than `epochLength` triads have finalized
+   * @returns {Promise<Object|null>} The new epoch, or null if none is due
+   */
+  async proposeEpoch({ force = false } = {}) {
+    try {
+      if (!this.tokenomics) {
+        throw new Error('A Tokenomics instance is required to propose epochs');
+      }
+      if (this.latest && this.latest.status === EPOCH_STATUS.PENDING) {
+        return null;
+      }
+      if (!force && !this.isDue()) {
+        return null;
+      }
+
+      const validators = this.matrix.getValidatorSet();
+      if (validators.length === 0) {
+        throw new Error('An epoch needs at least one eligible validator to sign it');
+      }
+
+      const triadStart = this.getNextTriadIndex();
+      const triadEnd = this.matrix.validatedTriadsCount;
+      const triadIds = await this.matrix.getFinalizedTriadIds(triadStart, triadEnd);
+      const entryStart = this.latest ? this.latest.entries.end : 0;
+      const entryEnd = this.tokenomics.getEntryCount();
+      const entries = await this.tokenomics.getEntries(entryStart, entryEnd);
+      // The account records are kept with the epoch so balance proofs can be built against its state root
+      const stateLeaves = this.tokenomics.getStateLeaves();
+
+      const epoch = {
+        number: this.latest ? this.latest.number + 1 : 0,
+        previousHash: this.latest ? this.latest.hash : null,
+        triads: { start: triadStart, end: triadEnd, root: computeMerkleRoot(triadIds) },
+        entries: { start: entryStart, end: entryEnd, root: computeMerkleRoot(entries) },
+        stateRoot: computeMerkleRoot(stateLeaves),
+        supply: this.tokenomics.getSupplySnapshot(),
+        validators,
+        threshold: this.matrix.consensusThreshold
+      };
+      epoch.hash = EpochManager.computeHash(epoch);
+      epoch.triadIds = triadIds;
+      epoch.signatures = [];
+      epoch.status = EPOCH_STATUS.PENDING;
+      epoch.createdAt = Date.now();
+      epoch.finalizedAt = null;
+
+      await this.db.batch([
+        { type: 'put', key: this.getKey(epoch.number), value: epoch },
+        { type: 'put', key: this.getStateKey(epoch.number), value: stateLeaves }
+      ]);
+      this.latest = epoch;
+      this.emit('epochProposed', epoch);
+      return epoch;
+    } catch (error) {
+      this.lastError = error.message;
+      throw new Error(`Failed to propose epoch: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a validator's signature on an epoch and finalize it once its threshold is reached
+   * @param {Object} endorsement - Signed endorsement from {@link EpochManager.signCheckpoint}
+   * @returns {Promise<Object>} Updated epoch
+   */
+  async addSignature(endorsement) {
+    try {
+      if (!endorsement || typeof endorsement !== 'object') {
+        throw new Error('A signed epoch endorsement is required');
+      }
+      const epoch = await this.getEpoch(endorsement.number);
+      if (!epoch) {
+        throw new Error(`Epoch ${endorsement.number} does not exist`);
+      }
+      if (endorsement.hash !== epoch.hash) {
+        throw new Error(`Endorsement does not match the hash of epoch ${epoch.number}`);
+      }
+      if (epoch.signatures.some(existing => existing.validator === endorsement.validator)) {
+        return epoch;
+      }
+
+      const signature = {
+        number: epoch.number,
+        hash: epoch.hash,
+        validator: endorsement.validator,
+        publicKey: endorsement.publicKey,
+        signature: endorsement.signature
+      };
+      // Other nodes check the epoch against the set before it, so that set decides when it finalizes
+      const trusted = await this.getTrustedSet(epoch.number);
+      if (EpochManager.getSignedWeight(epoch, [signature]) === 0 &&
+        EpochManager.getSignedWeight(epoch, [signature], trusted.validators) === 0) {
+        throw new Error(`Invalid endorsement from ${endorsement.validator}: not a validator of epoch ${epoch.number} or bad signature`);
+      }
+
+      const updated = { ...epoch, signatures: [...epoch.signatures, signature] };
+      const finalizes = epoch.status === EPOCH_STATUS.PENDING && EpochManager.verifyCheckpoint(updated, trusted);
+      if (finalizes) {
+        updated.status = EPOCH_STATUS.FINALIZED;
+        updated.finalizedAt = Date.now();
+      }
+
+      await this.db.put(this.getKey(epoch.number), updated);
+      if (this.latest && this.latest.number === updated.number) {
+        this.latest = updated;
+      }
+      if (finalizes) {
+        this.emit('checkpointFinalized', updated);
+      }
+      return updated;
+    } catch (error) {
+      this.lastError = error.message;
+      throw new Error(`Failed to add epoch signature: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get an epoch by number
+   * @param {number} number - Epoch number
+   * @returns {Promise<Object|null>} Epoch, or null if it does not exist
+   */
+  async getEpoch(number) {
+    if (!Number.isInteger(number) || number < 0) {
+      return null;
+    }
+    const [epoch] = await this.db.getMany([this.getKey(number)]);
+    return epoch || null;
+  }
+
+  /**
+   * Get the validator set this node trusts to sign a checkpoint
+   *
+   * That is the set handed on by the finalized epoch before it, or the genesis set for the first epoch.
+   * For a checkpoint further ahead than the next epoch, the sets in between are not known here yet,
+   * so the latest known set stands in.
+   * @param {number} number - Checkpoint number
+   * @returns {Promise<{validators: Array<Object>, threshold: number}|null>} Trusted validators and threshold,
+   *   or null for an invalid number
+   */
+  async getTrustedSet(number) {
+    if (!Number.isInteger(number) || number < 0) {
+      return null;
+    }
+    const latest = await this.getLatestCheckpoint();
+    if (number === 0 || !latest) {
+      return this.getGenesisSet();
+    }
+    return EpochManager.getNextValidatorSet(number > latest.number ? latest : await this.getEpoch(number - 1));
+  }
+
+  /**
+   * Get the validator set that signs the first epoch: the configured genesis validators, or else the
+   * validators registered on this node
+   * @returns {{validators: Array<Object>, threshold: number}} Genesis validators and threshold
+   */
+  getGenesisSet() {
+    const validators = this.genesisValidators || this.matrix.getValidatorSet();
+    return { validators, threshold: this.matrix.consensusThreshold };
+  }
+
+  /**
+   * Get the most recent finalized epoch
+   * @returns {Promise<Object|null>} Checkpoint, or null if no epoch has finalized
+   */
+  async getLatestCheckpoint() {
+    if (!this.latest) {
+      return null;
+    }
+    if (this.latest.status === EPOCH_STATUS.FINALIZED) {
+      return this.latest;
+    }
+    // Only the latest epoch can be pending, so the one before it is finalized
+    return this.getEpoch(this.latest.number - 1);
+  }
+
+  /**
+   * Prove that a triad was finalized in an epoch
+   * @param {string} triadId - Triad ID
+   * @returns {Promise<Object|null>} Triad ID as the leaf, its Merkle path to the epoch's triad root, and the
+   *   epoch without its triad list; null if no epoch includes the triad yet
+   */
+  async getTriadProof(triadId) {
+    for await (const epoch of this.db.values({ gt: 'epoch:', lt: 'epoch:~' })) {
+      const index = epoch.triadIds.indexOf(triadId);
+      if (index !== -1) {
+        return {
+          leaf: triadId,
+          index,
+          proof: getMerkleProof(epoch.triadIds, index),
+          root: epoch.triads.root,
+          checkpoint: this.toCheckpoint(epoch)
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Prove an account's balance, nonce, stake and locks as of the latest finalized checkpoint
+   * @param {string} address - Account address
+   * @returns {Promise<Object|null>} Account record as the leaf, its Merkle path to the checkpoint's state root,
+   *   and the checkpoint; null if there is no checkpoint or the account was not in its state
+   */
+  async getBalanceProof(address) {
+    const checkpoint = await this.getLatestCheckpoint();
+    if (!checkpoint) {
+      return null;
+    }
+    const leaves = await this.getStateLeaves(checkpoint.number);
+
+    // Leaves are sorted by address
+    let low = 0;
+    let high = leaves.length - 1;
+    while (low <= high) {
+      const middle = Math.floor((low + high) / 2);
+      if (leaves[middle].address === address) {
+        return {
+          leaf: leaves[middle],
+          index: middle,
+          proof: getMerkleProof(leaves, middle),
+          root: checkpoint.stateRoot,
+          checkpoint: this.toCheckpoint(checkpoint)
+        };
+      }
+      if (leaves[middle].address < address) {
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the account records an epoch's state root commits to
+   * @param {number} number - Epoch number
+   * @returns {Promise<Array<Object>>} Account records with their address, sorted by address
+   */
+  async getStateLeaves(number) {
+    const [leaves] = await this.db.getMany([this.getStateKey(number)]);
+    if (!leaves) {
+      throw new Error(`Account state for epoch ${number} was not stored`);
+    }
+    return leaves;
+  }
+
+  /**
+   * Get finalized checkpoints in order, without their triad lists
+   * @param {Object} [options] - Query options
+   * @param {number} [options.after=-1] - Only return epochs numbered above this
+   * @returns {Promise<Array<Object>>} Checkpoints, oldest first
+   */
+  async getCheckpoints({ after = -1 } = {}) {
+    const checkpoints = [];
+    const range = after >= 0 ? { gt: this.getKey(after) } : { gte: 'epoch:' };
+    for await (const epoch of this.db.values({ ...range, lt: 'epoch:~' })) {
+      if (epoch.status === EPOCH_STATUS.FINALIZED) {
+        checkpoints.push(this.toCheckpoint(epoch));
+      }
+    }
+    return checkpoints;
+  }
+
+  /**
+   * Delete every epoch from a number onwards, when a chain reorganization discards them
+   * @param {number} number - First epoch to delete
+   * @returns {Promise<void>}
+   */
+  async truncate(number) {
+    const batch = [];
+    for await (const key of this.db.keys({ gte: this.getKey(number), lt: 'epoch:~' })) {
+      batch.push({ type: 'del', key });
+      batch.push({ type: 'del', key: this.getStateKey(parseInt(key.slice('epoch:'.length), 10)) });
+    }
+    await this.db.batch(batch);
+    await this.load();
+  }
+
+  /**
+   * Store a checkpoint finalized on another node as the next epoch
+   * @param {Object} checkpoint - Finalized checkpoint
+   * @param {Array<string>} triadIds - IDs of the triads it finalized, in order
+   * @param {Array<Object>} stateLeaves - Account records its state root commits to
+   * @returns {Promise<Object>} Stored epoch
+   */
+  async importEpoch(checkpoint, triadIds, stateLeaves) {
+    const number = this.latest ? this.latest.number + 1 : 0;
+    if (checkpoint.number !== number || checkpoint.previousHash !== (this.latest ? this.latest.hash : null)) {
+      throw new Error(`Checkpoint ${checkpoint.number} does not follow epoch ${number - 1}`);
+    }
+    if (!EpochManager.verifyCheckpoint(checkpoint, await this.getTrustedSet(number))) {
+      throw new Error(`Checkpoint ${checkpoint.number} is not validly signed`);
+    }
+
+    const epoch = { ...checkpoint, triadIds, status: EPOCH_STATUS.FINALIZED };
+    await this.db.batch([
+      { type: 'put', key: this.getKey(number), value: epoch },
+      { type: 'put', key: this.getStateKey(number), value: stateLeaves }
+    ]);
+    this.latest = epoch;
+    this.emit('checkpointFinalized', epoch);
+    return epoch;
+  }
+
+  /**
+   * Keep a record of a chain reorganization for clients that were not listening
+   * @param {Object} reorg - Reorg event
+   * @returns {Promise<void>}
+   */
+  async recordReorg(reorg) {
+    const key = `reorg:${String(reorg.timestamp).padStart(TIMESTAMP_KEY_LENGTH, '0')}:${reorg.added.map(epoch => epoch.hash).join('').slice(0, 16)}`;
+    await this.db.put(key, reorg);
+  }
+
+  /**
+   * Get the most recent chain reorganizations
+   * @param {Object} [options] - Query options
+   * @param {number} [options.limit=20] - Maximum number of records
+   * @returns {Promise<Array<Object>>} Reorg events, newest first
+   */
+  async getReorgs({ limit = DEFAULT_REORG_LIMIT } = {}) {
+    const reorgs = [];
+    for await (const reorg of this.db.values({ gt: 'reorg:', lt: 'reorg:~', reverse: true, limit })) {
+      reorgs.push(reorg);
+    }
+    return reorgs;
+  }
+
+  /**
+   * Strip the triad list from an epoch; its root already commits to it
+   * @private
+   * @param {Object} epoch - Stored epoch
+   * @returns {Object} Epoch header with hash, signatures and status
+   */
+  toCheckpoint(epoch) {
+    const checkpoint = { ...epoch };
+    delete checkpoint.triadIds;
+    return checkpoint;
+  }
+
+  /**
+   * Get the finalization index the next epoch starts from
+   * @private
+   * @returns {number} Finalization index
+   */
+  getNextTriadIndex() {
+    return this.latest ? this.latest.triads.end : 0;
+  }
+
+  /**
+   * Get the database key of an epoch
+   * @private
+   * @param {number} number - Epoch number
+   * @returns {string} Sortable key
+   */
+  getKey(number) {
+    return `epoch:${String(number).padStart(EPOCH_KEY_LENGTH, '0')}`;
+  }
+
+  /**
+   * Get the database key of the account records committed to by an epoch
+   * @private
+   * @param {number} number - Epoch number
+   * @returns {string} Sortable key
+   */
+  getStateKey(number) {
+    return `epoch-state:${String(number).padStart(EPOCH_KEY_LENGTH, '0')}`;
+  }
+
+  getLastError() {
+    return this.lastError;
+  }
+}
+
+EpochManager.STATUS = EPOCH_STATUS;
+
+module.exports = EpochManager;
@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Transaction fee model for SeirChain
+ * Works out the fee a transaction must pay and how it is split between the finalizing validator and the burn address
+ */
+
+const { DEFAULT_DECIMALS, parseAmount, toBaseUnits } = require('../utils/amount');
+
+const FEE_MODEL_TYPES = Object.freeze({
+  FLAT: 'flat',
+  PER_BYTE: 'per-byte'
+});
+
+// Default flat fee and minimum fee, in thousandths of a token
+const DEFAULT_FEE_MILLIS = 1;
+const DEFAULT_BURN_SHARE = 0.5;
+// Burn shares are applied in millionths so both parts stay in whole base units
+const BURN_SHARE_PRECISION = 1000000;
+
+class FeeModel {
+  /**
+   * Create a new FeeModel instance
+   * @param {Object} [options] - Fee options; amounts are in base units
+   * @param {string} [options.type='flat'] - `flat` charges `rate` per transaction, `per-byte` charges `rate` per byte
+   * @param {bigint|string} [options.rate=0n] - Flat fee, or fee per byte of the signing payload
+   * @param {bigint|string} [options.minimumFee=0n] - Lowest fee any transaction may pay
+   * @param {number} [options.burnShare=0.5] - Fraction of each fee that is burned; the rest goes to the finalizing validator
+   */
+  constructor({ type = FEE_MODEL_TYPES.FLAT, rate = 0n, minimumFee = 0n, burnShare = DEFAULT_BURN_SHARE } = {}) {
+    if (!Object.values(FEE_MODEL_TYPES).includes(type)) {
+      throw new Error(`Fee model must be one of: ${Object.values(FEE_MODEL_TYPES).join(', ')}`);
+    }
+    if (!Number.isFinite(burnShare) || burnShare < 0 || burnShare > 1) {
+      throw new Error('Fee burn share must be between 0 and 1');
+    }
+    this.type = type;
+    this.rate = toBaseUnits(rate);
+    this.minimumFee = toBaseUnits(minimumFee);
+    if (this.rate < 0n || this.minimumFee < 0n) {
+      throw new Error('Fee rate and minimum fee must be non-negative');
+    }
+    this.burnShare = burnShare;
+  }
+
+  /**
+   * Get the default fee for a decimals setting
+   *
+   * Ledgers with fewer than three decimals cannot hold a thousandth of a token, so they default to one base unit.
+   * @private
+   * @param {number} decimals - Ledger decimals
+   * @returns {bigint} Default fee in base units
+   */
+  static getDefaultFee(decimals) {
+    return decimals >= 3 ? BigInt(DEFAULT_FEE_MILLIS) * 10n ** BigInt(decimals - 3) : 1n;
+  }
+
+  /**
+   * Build a fee model from `FEE_MODEL`, `FEE_RATE`, `MINIMUM_FEE` and `FEE_BURN_SHARE`
+   *
+   * Amounts in the environment are in tokens; unset amounts default to 0.001 tokens and the burn share to 0.5.
+   * @static
+   * @param {number} [decimals=6] - Ledger decimals used to parse token amounts
+   * @param {Object} [env=process.env] - Environment variables
+   * @returns {FeeModel} Fee model
+   */
+  static fromEnvironment(decimals = DEFAULT_DECIMALS, env = process.env) {
+    const defaultFee = FeeModel.getDefaultFee(decimals);
+    return new FeeModel({
+      type: env.FEE_MODEL || FEE_MODEL_TYPES.FLAT,
+      rate: env.FEE_RATE ? parseAmount(env.FEE_RATE, decimals) : defaultFee,
+      minimumFee: env.MINIMUM_FEE ? parseAmount(env.MINIMUM_FEE, decimals) : defaultFee,
+      burnShare: env.FEE_BURN_SHARE !== undefined && env.FEE_BURN_SHARE !== '' ?
+        parseFloat(env.FEE_BURN_SHARE) : DEFAULT_BURN_SHARE
+    });
+  }
+
+  /**
+   * Get the size a per-byte fee is charged on
+   *
+   * The fee field is left out so the size is known before the fee is chosen.
+   * @param {Object} transaction - Transaction with a `getSigningPayload` method
+   * @returns {number} Size in bytes
+   */
+  getTransactionSize(transaction) {
+    const payload = transaction.getSigningPayload();
+    delete payload.fee;
+    return Buffer.byteLength(JSON.stringify(payload));
+  }
+
+  /**
+   * Get the lowest fee a transaction may pay
+   * @param {Object} transaction - Transaction with a `getSigningPayload` method
+   * @returns {bigint} Required fee in base units
+   */
+  getRequiredFee(transaction) {
+    const fee = this.type === FEE_MODEL_TYPES.PER_BYTE ?
+      this.rate * BigInt(this.getTransactionSize(transaction)) :
+      this.rate;
+    return fee > this.minimumFee ? fee : this.minimumFee;
+  }
+
+  /**
+   * Split a fee between the burn address and the finalizing validator
+   * @param {bigint} fee - Fee in base units
+   * @returns {{burned: bigint, validatorShare: bigint}} Both parts in base units
+   */
+  split(fee) {
+    const burned = fee * BigInt(Math.round(this.burnShare * BURN_SHARE_PRECISION)) / BigInt(BURN_SHARE_PRECISION);
+    return { burned, validatorShare: fee - burned };
+  }
+}
+
+FeeModel.TYPES = FEE_MODEL_TYPES;
+
+module.exports = FeeModel;
@@ -0,0 +1,315 @@
+/**
+ * @fileoverview Fork choice for SeirChain
+ * Follows the branch of epoch checkpoints carrying the most validator weight, rolling the matrix and
+ * ledger back to the last common checkpoint when a heavier branch from another node replaces local ones
+ */
+
+const { EventEmitter } = require('events');
+const EpochManager = require('./EpochManager');
+const { computeMerkleRoot } = require('../utils/merkle');
+
+class ForkChoice extends EventEmitter {
+  /**
+   * Create a new ForkChoice instance
+   * @param {Object} options - Fork choice options
+   * @param {TriadMatrix} options.matrix - Matrix holding the finalized triads
+   * @param {Tokenomics} options.tokenomics - Ledger holding the history entries and account state
+   * @param {EpochManager} options.epochs - Local epoch checkpoints
+   */
+  constructor({ matrix, tokenomics, epochs } = {}) {
+    super();
+    if (!matrix || !tokenomics || !epochs) {
+      throw new Error('ForkChoice requires a matrix, a ledger and an epoch manager');
+    }
+    this.matrix = matrix;
+    this.tokenomics = tokenomics;
+    this.epochs = epochs;
+    this.lastError = null;
+  }
+
+  /**
+   * Get the weight a checkpoint carries: the vote weight of the validators that signed it, in the
+   * validator set trusted to sign it. Signers outside that set or with another key count for nothing.
+   * @param {Object} checkpoint - Finalized checkpoint
+   * @param {{validators: Array<Object>}} trusted - Validator set from {@link EpochManager#getTrustedSet}
+   * @returns {number} Signed weight
+   */
+  getCheckpointWeight(checkpoint, trusted) {
+    return EpochManager.getValidSigners(checkpoint, checkpoint.signatures, trusted.validators)
+      .reduce((sum, member) => sum + member.weight, 0);
+  }
+
+  /**
+   * Sum the weight of the checkpoints after a base, each counted in the validator set of the one before it
+   * @private
+   * @param {Object|null} base - Checkpoint the branch follows, or null if it starts at epoch 0
+   * @param {Array<Object>} checkpoints - Checkpoints after the base, oldest first
+   * @returns {number} Branch weight
+   */
+  getBranchWeight(base, checkpoints) {
+    let trusted = base ? EpochManager.getNextValidatorSet(base) : this.epochs.getGenesisSet();
+    return checkpoints.reduce((sum, checkpoint) => {
+      const weight = this.getCheckpointWeight(checkpoint, trusted);
+      trusted = EpochManager.getNextValidatorSet(checkpoint);
+      return sum + weight;
+    }, 0);
+  }
+
+  /**
+   * Get the local finalized checkpoints, for a peer to find the last one it has in common
+   * @returns {Promise<Array<{number: number, hash: string}>>} Checkpoint numbers and hashes, oldest first
+   */
+  async getLocator() {
+    const checkpoints = await this.epochs.getCheckpoints();
+    return checkpoints.map(({ number, hash }) => ({ number, hash }));
+  }
+
+  /**
+   * Bundle the local finalized checkpoints a peer is missing, after the last one it has in common
+   * @param {Array<{number: number, hash: string}>} locator - The peer's checkpoints from {@link ForkChoice#getLocator}
+   * @param {Object} [options] - Branch options
+   * @param {number} [options.limit] - Most checkpoints to bundle, oldest first; all of them by default
+   * @returns {Promise<Array<Object>>} Each checkpoint with its triads, history entries and account state
+   */
+  async getBranch(locator, { limit = Infinity } = {}) {
+    const known = new Map((Array.isArray(locator) ? locator : []).map(({ number, hash }) => [number, hash]));
+    const checkpoints = await this.epochs.getCheckpoints();
+    const ancestorIndex = checkpoints.map(checkpoint => known.get(checkpoint.number) === checkpoint.hash).lastIndexOf(true);
+
+    const bundles = [];
+    for (const checkpoint of checkpoints.slice(ancestorIndex + 1, ancestorIndex + 1 + limit)) {
+      const epoch = await this.epochs.getEpoch(checkpoint.number);
+      bundles.push({
+        checkpoint,
+        triads: await Promise.all(epoch.triadIds.map(id => this.matrix.getTriadById(id))),
+        entries: await this.tokenomics.getEntries(checkpoint.entries.start, checkpoint.entries.end),
+        state: await this.epochs.getStateLeaves(checkpoint.number)
+      });
+    }
+    return bundles;
+  }
+
+  /**
+   * Check a branch from another node and switch to it if it outweighs the local checkpoints it would replace
+   *
+   * Ties go to the branch whose last checkpoint has the lower hash, so every node settles on the same one.
+   * @param {Array<Object>} bundles - Branch from {@link ForkChoice#getBranch}, oldest first
+   * @returns {Promise<{added: Array<Object>, reorg: Object|null}|null>} The checkpoints added and the reorg, if
+   * any local checkpoint or finalized triad was discarded; null if the local checkpoints were kept
+   */
+  async considerBranch(bundles) {
+    try {
+      if (!Array.isArray(bundles) || bundles.length === 0) {
+        return null;
+      }
+      const first = bundles[0].checkpoint;
+      if (!first || !Number.isInteger(first.number) || first.number < 0) {
+        throw new Error('Invalid checkpoint in branch');
+      }
+      const ancestor = first.number > 0 ? await this.epochs.getEpoch(first.number - 1) : null;
+      if (first.number > 0 && (!ancestor || ancestor.status !== EpochManager.STATUS.FINALIZED)) {
+        throw new Error(`Branch starts after checkpoint ${first.number - 1}, which is not finalized here`);
+      }
+      this.verifyBranch(ancestor, bundles);
+
+      // Checkpoints both sides already share do not count towards either
+      const local = await this.epochs.getCheckpoints({ after: first.number - 1 });
+      let shared = 0;
+      while (shared < local.length && shared < bundles.length && local[shared].hash === bundles[shared].checkpoint.hash) {
+        shared++;
+      }
+      const replaced = local.slice(shared);
+      const added = bundles.slice(shared);
+      const base = shared > 0 ? bundles[shared - 1].checkpoint : ancestor;
+      if (added.length === 0 || !this.isPreferred(base, added.map(bundle => bundle.checkpoint), replaced)) {
+        return null;
+      }
+
+      // The ledger is rewritten in one queued step, so no transaction lands between the rollback and the replay
+      return await this.tokenomics.enqueueTransaction(() => this.applyBranch(base, replaced, added));
+    } catch (error) {
+      this.lastError = error.message;
+      throw new Error(`Failed to consider branch: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check that a branch links up to its ancestor and that every bundle matches its checkpoint
+   * @private
+   * @param {Object|null} ancestor - Local checkpoint the branch follows, or null if it starts at epoch 0
+   * @param {Array<Object>} bundles - Branch bundles, oldest first
+   * @throws {Error} If any checkpoint or bundle is invalid
+   */
+  verifyBranch(ancestor, bundles) {
+    let previous = ancestor;
+    for (const { checkpoint, triads, entries, state } of bundles) {
+      if (!checkpoint || !Array.isArray(triads) || !Array.isArray(entries) || !Array.isArray(state)) {
+        throw new Error('Branch bundles need a checkpoint, triads, entries and state');
+      }
+      const number = previous ? previous.number + 1 : 0;
+      if (checkpoint.number !== number || checkpoint.previousHash !== (previous ? previous.hash : null)) {
+        throw new Error(`Checkpoint ${checkpoint.number} does not follow epoch ${number - 1}`);
+      }
+      // Each checkpoint is signed by the validator set of the one before it, back to a checkpoint held here
+      const trusted = previous ? EpochManager.getNextValidatorSet(previous) : this.epochs.getGenesisSet();
+      if (!EpochManager.verifyCheckpoint(checkpoint, trusted)) {
+        throw new Error(`Checkpoint ${number} is not validly signed`);
+      }
+
+      for (const triad of triads) {
+        if (!triad || !Array.isArray(triad.parents) || this.matrix.computeTriadHash(triad) !== triad.id) {
+          throw new Error(`Triad ${triad && triad.id} does not match its hash`);
+        }
+      }
+      const triadStart = previous ? previous.triads.end : 0;
+      const triadIds = triads.map(triad => triad.id);
+      if (checkpoint.triads.start !== triadStart || checkpoint.triads.end !== triadStart + triads.length ||
+        computeMerkleRoot(triadIds) !== checkpoint.triads.root) {
+        throw new Error(`Triads do not match checkpoint ${number}`);
+      }
+
+      const entryStart = previous ? previous.entries.end : 0;
+      if (checkpoint.entries.start !== entryStart || checkpoint.entries.end !== entryStart + entries.length ||
+        computeMerkleRoot(entries) !== checkpoint.entries.root) {
+        throw new Error(`History entries do not match checkpoint ${number}`);
+      }
+      if (computeMerkleRoot(state) !== checkpoint.stateRoot) {
+        throw new Error(`Account state does not match checkpoint ${number}`);
+      }
+      previous = checkpoint;
+    }
+  }
+
+  /**
+   * Decide whether a branch should replace the local checkpoints after the same ancestor
+   * @private
+   * @param {Object|null} base - Last checkpoint both branches share, or null if they differ from epoch 0
+   * @param {Array<Object>} remote - Checkpoints of the other branch, oldest first
+   * @param {Array<Object>} local - Local checkpoints it would replace, oldest first
+   * @returns {boolean} True if the other branch wins
+   */
+  isPreferred(base, remote, local) {
+    const remoteWeight = this.getBranchWeight(base, remote);
+    const localWeight = this.getBranchWeight(base, local);
+    if (remoteWeight !== localWeight) {
+      return remoteWeight > localWeight;
+    }
+    return local.length > 0 && remoteWeight > 0 && remote[remote.length - 1].hash < local[local.length - 1].hash;
+  }
+
+  /**
+   * Roll the matrix and ledger back to a checkpoint and replay a branch on top of it
+   *
+   * Everything that would stop the replay is checked before the first write. If the replay still fails,
+   * the local branch is put back.
+   * @private
+   * @param {Object|null} base - Last checkpoint kept, or null to start from epoch 0
+   * @param {Array<Object>} replaced - Local checkpoints being discarded
+   * @param {Array<Object>} bundles - Branch bundles to apply, oldest first
+   * @returns {Promise<{added: Array<Object>, reorg: Object|null}>} The checkpoints added and the reorg, if any
+   */
+  async applyBranch(base, replaced, bundles) {
+    const last = bundles[bundles.length - 1];
+    await this.matrix.validateFinalizedImport(bundles.flatMap(bundle => bundle.triads), base ? base.triads.end : 0);
+    this.tokenomics.validateEntrySequence(bundles.flatMap(bundle => bundle.entries), base ? base.entries.end : 0);
+    this.tokenomics.readState(last.state, last.checkpoint.supply);
+
+    const backup = await this.backupBranch(base);
+    let rolledBackTriads;
+    try {
+      rolledBackTriads = await this.replaceBranch(base, bundles);
+      await this.tokenomics.loadState(last.state, last.checkpoint.supply);
+    } catch (error) {
+      try {
+        await this.restoreBranch(base, backup);
+      } catch (restoreError) {
+        throw new Error(`${error.message}; restoring the local branch also failed: ${restoreError.message}`);
+      }
+      throw error;
+    }
+
+    const added = bundles.map(({ checkpoint }) => ({ number: checkpoint.number, hash: checkpoint.hash }));
+    // Triads the branch finalized again were not really rolled back
+    const imported = new Set(bundles.flatMap(bundle => bundle.triads.map(triad => triad.id)));
+    const discarded = rolledBackTriads.filter(id => !imported.has(id));
+    if (replaced.length === 0 && discarded.length === 0) {
+      this.emit('checkpointsImported', added);
+      return { added, reorg: null };
+    }
+
+    const reorg = {
+      ancestor: base ? { number: base.number, hash: base.hash } : null,
+      removed: replaced.map(({ number, hash }) => ({ number, hash })),
+      added,
+      rolledBackTriads: discarded,
+      timestamp: Date.now()
+    };
+    await this.epochs.recordReorg(reorg);
+    this.emit('reorg', reorg);
+    this.matrix.emit('reorg', reorg);
+    return { added, reorg };
+  }
+
+  /**
+   * Roll the matrix, epochs and ledger history back to a checkpoint and replay branch bundles on top of it
+   * @private
+   * @param {Object|null} base - Last checkpoint kept, or null to start from epoch 0
+   * @param {Array<Object>} bundles - Bundles to replay, oldest first
+   * @returns {Promise<Array<string>>} IDs of the triads returned to pending by the rollback
+   */
+  async replaceBranch(base, bundles) {
+    // Everything finalized locally after the base goes back to pending, including triads not yet in a checkpoint
+    const rolledBackTriads = await this.matrix.rollbackFinalized(base ? base.triads.end : 0);
+    await this.epochs.truncate(base ? base.number + 1 : 0);
+    await this.tokenomics.truncateHistory(base ? base.entries.end : 0);
+
+    for (const { checkpoint, triads, entries, state } of bundles) {
+      await this.matrix.importFinalizedTriads(triads);
+      await this.tokenomics.appendEntries(entries);
+      await this.epochs.importEpoch(checkpoint, triads.map(triad => triad.id), state);
+    }
+    return rolledBackTriads;
+  }
+
+  /**
+   * Copy what a branch switch discards after a checkpoint: the local checkpoints with their bundles,
+   * the triads and history entries written since the last of them, and the account state
+   * @private
+   * @param {Object|null} base - Last checkpoint kept, or null to start from epoch 0
+   * @returns {Promise<Object>} Backup for {@link ForkChoice#restoreBranch}
+   */
+  async backupBranch(base) {
+    const bundles = await this.getBranch(base ? [{ number: base.number, hash: base.hash }] : []);
+    const last = bundles.length > 0 ? bundles[bundles.length - 1].checkpoint : base;
+    const triadIds = await this.matrix.getFinalizedTriadIds(last ? last.triads.end : 0);
+    return {
+      bundles,
+      triads: await Promise.all(triadIds.map(id => this.matrix.getTriadById(id))),
+      entries: await this.tokenomics.getEntries(last ? last.entries.end : 0),
+      state: this.tokenomics.getStateLeaves(),
+      supply: this.tokenomics.getSupplySnapshot()
+    };
+  }
+
+  /**
+   * Put back the local branch after a failed switch
+   *
+   * Triads finalized after the last local checkpoint are finalized again, but the votes on them are not restored.
+   * @private
+   * @param {Object|null} base - Last checkpoint kept, or null to start from epoch 0
+   * @param {Object} backup - Backup from {@link ForkChoice#backupBranch}
+   * @returns {Promise<void>}
+   */
+  async restoreBranch(base, backup) {
+    await this.replaceBranch(base, backup.bundles);
+    await this.matrix.importFinalizedTriads(backup.triads);
+    await this.tokenomics.appendEntries(backup.entries);
+    await this.tokenomics.loadState(backup.state, backup.supply);
+  }
+
+  getLastError() {
+    return this.lastError;
+  }
+}
+
+module.exports = ForkChoice;
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Lock schedules for time-locked and vesting WAC balances
+ * Works out how much of a locked amount has unlocked at a given time, with a cliff and linear vesting
+ */
+
+class LockSchedule {
+  /**
+   * Create a new LockSchedule instance
+   *
+   * Nothing unlocks before the cliff. From the cliff the amount vests linearly between `start`
+   * and `end`, so the part accrued before the cliff unlocks at once. A schedule whose start,
+   * cliff and end are the same unlocks everything at that time.
+   * @param {Object} times - Schedule times in ms since the epoch
+   * @param {number} times.start - When vesting starts
+   * @param {number} [times.cliff=start] - Time before which nothing unlocks
+   * @param {number} [times.end=cliff] - When the whole amount has unlocked
+   */
+  constructor({ start, cliff = start, end = cliff }) {
+    if (![start, cliff, end].every(Number.isSafeInteger)) {
+      throw new Error('Lock schedule times must be integer timestamps');
+    }
+    if (start > cliff || cliff > end) {
+      throw new Error('Lock schedule must satisfy start <= cliff <= end');
+    }
+    this.start = start;
+    this.cliff = cliff;
+    this.end = end;
+  }
+
+  /**
+   * Create a schedule from a plain object or return an existing instance
+   *
+   * `{ unlockAt }` is shorthand for a single unlock time.
+   * @static
+   * @param {LockSchedule|Object} data - Schedule data
+   * @returns {LockSchedule} Schedule
+   */
+  static from(data) {
+    if (data instanceof LockSchedule) {
+      return data;
+    }
+    if (!data || typeof data !== 'object') {
+      throw new Error('Lock schedule must be an object');
+    }
+    if (data.unlockAt !== undefined) {
+      return new LockSchedule({ start: data.unlockAt });
+    }
+    return new LockSchedule(data);
+  }
+
+  /**
+   * Get the part of a locked amount that has unlocked
+   * @param {bigint} amount - Locked amount in base units
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {bigint} Unlocked amount in base units
+   */
+  getVested(amount, now = Date.now()) {
+    if (now < this.cliff) {
+      return 0n;
+    }
+    if (now >= this.end) {
+      return amount;
+    }
+    return amount * BigInt(now - this.start) / BigInt(this.end - this.start);
+  }
+
+  /**
+   * Serialize the schedule
+   * @returns {{start: number, cliff: number, end: number}} Schedule times
+   */
+  toJSON() {
+    return { start: this.start, cliff: this.cliff, end: this.end };
+  }
+}
+
+module.exports = LockSchedule;
@@ -0,0 +1,364 @@
+/**
+ * @fileoverview Mempool for SeirChain
+ * Holds signed transactions and triad proposals until a validator applies them, checked against current state
+ */
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const Transaction = require('./Transaction');
+const TriadMatrix = require('./TriadMatrix');
+const { toBaseUnits } = require('../utils/amount');
+
+const DEFAULT_MAX_TRANSACTIONS = 5000;
+const DEFAULT_MAX_TRIAD_PROPOSALS = 1000;
+const DEFAULT_MAX_AGE = 60 * 60 * 1000;
+const DEFAULT_BATCH_TRANSACTIONS = 100;
+const DEFAULT_BATCH_TRIADS = 10;
+// Transactions may wait for this many earlier nonces from the same sender
+const MAX_NONCE_GAP = 16;
+
+const EVICTION_REASONS = Object.freeze({
+  EXPIRED: 'expired',
+  FULL: 'full',
+  REPLACED: 'replaced',
+  STALE: 'stale'
+});
+
+class Mempool extends EventEmitter {
+  /**
+   * Create a new Mempool instance
+   * @param {Object} options - Mempool options
+   * @param {Tokenomics} options.tokenomics - Ledger transactions are checked against
+   * @param {TriadMatrix} [options.matrix] - Matrix triad proposals are checked against
+   * @param {number} [options.maxTransactions=5000] - Pending transactions kept before the lowest fees are evicted
+   * @param {number} [options.maxTriadProposals=1000] - Pending proposals kept before the oldest are evicted
+   * @param {number} [options.maxAge=3600000] - Time in ms after which entries expire
+   */
+  constructor({ tokenomics, matrix = null, maxTransactions = DEFAULT_MAX_TRANSACTIONS,
+    maxTriadProposals = DEFAULT_MAX_TRIAD_PROPOSALS, maxAge = DEFAULT_MAX_AGE } = {}) {
+    super();
+    if (!tokenomics) {
+      throw new Error('Mempool requires a Tokenomics instance');
+    }
+    this.tokenomics = tokenomics;
+    this.matrix = matrix;
+    this.maxTransactions = maxTransactions;
+    this.maxTriadProposals = maxTriadProposals;
+    this.maxAge = maxAge;
+    this.transactions = new Map();
+    this.senders = new Map();
+    this.triadProposals = new Map();
+  }
+
+  /**
+   * Get the id a transaction is known by in the mempool and on the network
+   * @static
+   * @param {Transaction} transaction - Transaction
+   * @returns {string} Hex-encoded SHA-256 of the signing payload
+   */
+  static getTransactionId(transaction) {
+    return crypto.createHash('sha256').update(JSON.stringify(transaction.getSigningPayload())).digest('hex');
+  }
+
+  /**
+   * Get the id a triad proposal is known by in the mempool and on the network
+   * @static
+   * @param {Object} proposal - Signed proposal
+   * @returns {string} Hex-encoded SHA-256 of the signed fields
+   */
+  static getProposalId(proposal) {
+    const { type, data, validator, timestamp } = proposal;
+    return crypto.createHash('sha256').update(JSON.stringify({ type, data, validator, timestamp })).digest('hex');
+  }
+
+  /**
+   * Accept a signed transaction after checking it against the current ledger
+   *
+   * A pending transaction with the same sender and nonce is replaced only by a higher fee.
+   * @param {Transaction|Object} transaction - Signed transaction
+   * @param {Object} [options] - Add options
+   * @param {string} [options.source] - Peer the transaction came from, so it is not gossiped back
+   * @param {number} [options.now=Date.now()] - Current time
+   * @returns {Object|null} Mempool entry, or null if the transaction is already pending
+   * @throws {Error} If the transaction is invalid or cannot pay its way into a full mempool
+   */
+  addTransaction(transaction, { source = null, now = Date.now() } = {}) {
+    const tx = Transaction.from(transaction);
+    const id = Mempool.getTransactionId(tx);
+    if (this.transactions.has(id)) {
+      return null;
+    }
+
+    this.prune(now);
+    const fee = this.checkTransaction(tx);
+    const pending = this.senders.get(tx.sender);
+    const replaced = pending && pending.has(tx.nonce) ? this.transactions.get(pending.get(tx.nonce)) : null;
+    if (replaced && replaced.fee >= fee) {
+      throw new Error(`A transaction with nonce ${tx.nonce} from ${tx.sender} is already pending with an equal or higher fee.`);
+    }
+
+    if (!replaced && this.transactions.size >= this.maxTransactions) {
+      const lowest = this.findEvictionCandidate(tx.sender);
+      if (!lowest || lowest.fee >= fee) {
+        throw new Error('Mempool is full and the transaction fee is too low to replace a pending transaction.');
+      }
+      this.removeEntry(lowest.id, EVICTION_REASONS.FULL);
+    }
+    if (replaced) {
+      this.removeEntry(replaced.id, EVICTION_REASONS.REPLACED);
+    }
+
+    const entry = { id, transaction: tx, fee, source, receivedAt: now };
+    this.transactions.set(id, entry);
+    if (!this.senders.has(tx.sender)) {
+      this.senders.set(tx.sender, new Map());
+    }
+    this.senders.get(tx.sender).set(tx.nonce, id);
+
+    this.emit('transaction', entry);
+    return entry;
+  }
+
+  /**
+   * Accept a signed triad proposal
+   * @param {Object} proposal - Proposal from {@link TriadMatrix.signProposal}
+   * @param {Object} [options] - Add options
+   * @param {string} [options.source] - Peer the proposal came from, so it is not gossiped back
+   * @param {number} [options.now=Date.now()] - Current time
+   * @returns {Object|null} Mempool entry, or null if the proposal is already pending
+   * @throws {Error} If the proposal is not validly signed, its proposer is not an active validator or its data
+   *   would not make a triad
+   */
+  addTriadProposal(proposal, { source = null, now = Date.now() } = {}) {
+    if (!TriadMatrix.verifyProposal(proposal)) {
+      throw new Error('Invalid triad proposal signature.');
+    }
+    const id = Mempool.getProposalId(proposal);
+    if (this.triadProposals.has(id)) {
+      return null;
+    }
+    if (this.matrix) {
+      if (!this.matrix.isEligible(proposal.validator)) {
+        throw new Error(`Triad proposer ${proposal.validator} is not an active validator.`);
+      }
+      this.matrix.validateTriadData(proposal.data);
+    }
+
+    this.prune(now);
+    if (this.triadProposals.size >= this.maxTriadProposals) {
+      // Map iteration follows insertion order, so the first entry is the oldest
+      this.removeEntry(this.triadProposals.keys().next().value, EVICTION_REASONS.FULL);
+    }
+
+    const entry = { id, proposal, source, receivedAt: now };
+    this.triadProposals.set(id, entry);
+    this.emit('triadProposal', entry);
+    return entry;
+  }
+
+  /**
+   * Take the next batch for the validator loop without removing it
+   *
+   * Transactions are ordered by fee, highest first, but each sender's transactions stay in nonce
+   * order and only those that follow on from the ledger nonce are included. Proposals are oldest first.
+   * @param {Object} [options] - Batch options
+   * @param {number} [options.maxTransactions=100] - Most transactions to include
+   * @param {number} [options.maxTriads=10] - Most triad proposals to include
+   * @param {number} [options.now=Date.now()] - Current time
+   * @returns {{transactions: Array<Object>, triadProposals: Array<Object>}} Mempool entries
+   */
+  getBatch({ maxTransactions = DEFAULT_BATCH_TRANSACTIONS, maxTriads = DEFAULT_BATCH_TRIADS, now = Date.now() } = {}) {
+    this.prune(now);
+
+    // Each sender's executable transactions, in nonce order
+    const queues = [];
+    for (const [sender, nonces] of this.senders) {
+      const queue = [];
+      for (let nonce = this.tokenomics.getNonce(sender); nonces.has(nonce); nonce++) {
+        queue.push(this.transactions.get(nonces.get(nonce)));
+      }
+      if (queue.length > 0) {
+        queues.push(queue);
+      }
+    }
+
+    const transactions = [];
+    while (transactions.length < maxTransactions && queues.length > 0) {
+      let best = 0;
+      for (let i = 1; i < queues.length; i++) {
+        if (this.comparePriority(queues[i][0], queues[best][0]) < 0) {
+          best = i;
+        }
+      }
+      transactions.push(queues[best].shift());
+      if (queues[best].length === 0) {
+        queues.splice(best, 1);
+      }
+    }
+
+    return {
+      transactions,
+      triadProposals: Array.from(this.triadProposals.values()).slice(0, maxTriads)
+    };
+  }
+
+  /**
+   * Remove entries once the validator loop has applied or rejected them
+   * @param {Array<string>} ids - Transaction or proposal ids
+   */
+  remove(ids) {
+    for (const id of ids) {
+      this.removeEntry(id);
+    }
+  }
+
+  /**
+   * Drop expired entries and transactions whose nonce the ledger has already used
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {number} Number of entries dropped
+   */
+  prune(now = Date.now()) {
+    let dropped = 0;
+    for (const entry of [...this.transactions.values()]) {
+      if (now - entry.receivedAt > this.maxAge) {
+        this.removeEntry(entry.id, EVICTION_REASONS.EXPIRED);
+        dropped++;
+      } else if (entry.transaction.nonce < this.tokenomics.getNonce(entry.transaction.sender)) {
+        this.removeEntry(entry.id, EVICTION_REASONS.STALE);
+        dropped++;
+      }
+    }
+    for (const entry of [...this.triadProposals.values()]) {
+      if (now - entry.receivedAt > this.maxAge) {
+        this.removeEntry(entry.id, EVICTION_REASONS.EXPIRED);
+        dropped++;
+      }
+    }
+    return dropped;
+  }
+
+  /**
+   * Get the number of pending entries
+   * @returns {{transactions: number, triadProposals: number}} Pending counts
+   */
+  getSize() {
+    return { transactions: this.transactions.size, triadProposals: this.triadProposals.size };
+  }
+
+  /**
+   * Check a transaction against the ledger, counting what the sender already has pending
+   * @private
+   * @param {Transaction} tx - Transaction to check
+   * @returns {bigint} Fee in base units
+   */
+  checkTransaction(tx) {
+    if (!Object.values(Transaction.TYPES).includes(tx.type)) {
+      throw new Error(`Unknown transaction type: ${tx.type}`);
+    }
+    if (tx.networkId !== this.tokenomics.networkId) {
+      throw new Error(`Transaction is for network ${tx.networkId}, not ${this.tokenomics.networkId}.`);
+    }
+    if (!tx.verify(this.tokenomics.networkId)) {
+      throw new Error(`Invalid transaction signature for account ${tx.sender}.`);
+    }
+
+    const amount = toBaseUnits(tx.amount);
+    const fee = toBaseUnits(tx.fee);
+    if (amount <= 0n || fee < 0n) {
+      throw new Error('Transaction amount must be positive and its fee non-negative.');
+    }
+    const requiredFee = this.tokenomics.getRequiredFee(tx);
+    if (fee < requiredFee) {
+      throw new Error(`Transaction fee is below the required ${this.tokenomics.formatAmount(requiredFee)} ${this.tokenomics.tokenSymbol}.`);
+    }
+
+    const ledgerNonce = this.tokenomics.getNonce(tx.sender);
+    if (!Number.isInteger(tx.nonce) || tx.nonce < ledgerNonce) {
+      throw new Error(`Nonce ${tx.nonce} for account ${tx.sender} has already been used.`);
+    }
+    if (tx.nonce > ledgerNonce + MAX_NONCE_GAP) {
+      throw new Error(`Nonce ${tx.nonce} for account ${tx.sender} is too far ahead of ${ledgerNonce}.`);
+    }
+
+    // Unstaking spends bonded stake, so only its fee comes out of the spendable balance
+    const debit = entry => (entry.transaction.type === Transaction.TYPES.UNSTAKE ? 0n : toBaseUnits(entry.transaction.amount)) + entry.fee;
+    let pendingDebit = debit({ transaction: tx, fee });
+    for (const [nonce, id] of this.senders.get(tx.sender) || []) {
+      if (nonce !== tx.nonce) {
+        pendingDebit += debit(this.transactions.get(id));
+      }
+    }
+    const balance = this.tokenomics.getBalance(tx.sender);
+    if (pendingDebit > balance) {
+      throw new Error(`Insufficient balance in account ${tx.sender} for its pending transactions. Required: ${this.tokenomics.formatAmount(pendingDebit)}, Available: ${this.tokenomics.formatAmount(balance)}`);
+    }
+    return fee;
+  }
+
+  /**
+   * Compare two transactions for inclusion: higher fee first, then earlier arrival
+   * @private
+   * @param {Object} a - Mempool entry
+   * @param {Object} b - Mempool entry
+   * @returns {number} Negative if `a` goes first
+   */
+  comparePriority(a, b) {
+    if (a.fee !== b.fee) {
+      return a.fee > b.fee ? -1 : 1;
+    }
+    return a.receivedAt - b.receivedAt;
+  }
+
+  /**
+   * Find the transaction to evict when the mempool is full
+   *
+   * Only each sender's highest nonce is considered, so eviction never leaves a gap before a pending nonce.
+   * The incoming sender is skipped for the same reason, as its new transaction may follow on from its tail.
+   * @private
+   * @param {string} sender - Sender of the incoming transaction
+   * @returns {Object|null} Lowest-priority entry
+   */
+  findEvictionCandidate(sender) {
+    let lowest = null;
+    for (const [address, nonces] of this.senders) {
+      if (address === sender) {
+        continue;
+      }
+      const entry = this.transactions.get(nonces.get(Math.max(...nonces.keys())));
+      if (!lowest || this.comparePriority(entry, lowest) > 0) {
+        lowest = entry;
+      }
+    }
+    return lowest;
+  }
+
+  /**
+   * Remove one transaction or proposal
+   * @private
+   * @param {string} id - Entry id
+   * @param {string} [reason] - Eviction reason; entries removed after processing have none
+   */
+  removeEntry(id, reason = null) {
+    const entry = this.transactions.get(id) || this.triadProposals.get(id);
+    if (!entry) {
+      return;
+    }
+    if (entry.transaction) {
+      this.transactions.delete(id);
+      const nonces = this.senders.get(entry.transaction.sender);
+      nonces.delete(entry.transaction.nonce);
+      if (nonces.size === 0) {
+        this.senders.delete(entry.transaction.sender);
+      }
+    } else {
+      this.triadProposals.delete(id);
+    }
+    if (reason) {
+      this.emit('evicted', { id, reason });
+    }
+  }
+}
+
+Mempool.EVICTION_REASONS = EVICTION_REASONS;
+
+module.exports = Mempool;
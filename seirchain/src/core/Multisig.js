@@ -0,0 +1,107 @@
+/**
+ * @fileoverview M-of-N multi-signature accounts for SeirChain
+ * Describes a multisig account by its sorted member keys and threshold, and checks member signatures against it
+ */
+
+const Wallet = require('./Wallet');
+
+const MAX_MEMBERS = 16;
+const PUBLIC_KEY_PATTERN = /^[0-9a-f]+$/;
+
+class Multisig {
+  /**
+   * Create a new Multisig instance
+   * @param {Object} definition - Account definition
+   * @param {Array<string>} definition.publicKeys - Hex-encoded public keys of the members, in any order
+   * @param {number} definition.threshold - Number of member signatures required to move funds
+   */
+  constructor({ publicKeys, threshold }) {
+    if (!Array.isArray(publicKeys) || publicKeys.length === 0 || publicKeys.length > MAX_MEMBERS) {
+      throw new Error(`A multisig account must have between 1 and ${MAX_MEMBERS} public keys`);
+    }
+    const keys = publicKeys.map(key => String(key).toLowerCase());
+    if (!keys.every(key => PUBLIC_KEY_PATTERN.test(key))) {
+      throw new Error('Multisig public keys must be hex-encoded');
+    }
+    if (new Set(keys).size !== keys.length) {
+      throw new Error('Multisig public keys must be unique');
+    }
+    if (!Number.isInteger(threshold) || threshold < 1 || threshold > keys.length) {
+      throw new Error(`Multisig threshold must be an integer between 1 and ${keys.length}`);
+    }
+    this.publicKeys = keys.sort();
+    this.threshold = threshold;
+  }
+
+  /**
+   * Create a multisig definition from a plain object or return an existing instance
+   * @static
+   * @param {Multisig|Object} data - Definition with `publicKeys` and `threshold`
+   * @returns {Multisig} Multisig definition
+   */
+  static from(data) {
+    if (data instanceof Multisig) {
+      return data;
+    }
+    if (!data || typeof data !== 'object') {
+      throw new Error('Multisig definition must be an object');
+    }
+    return new Multisig(data);
+  }
+
+  /**
+   * Get the account address
+   * @returns {string} Address derived from the sorted keys and the threshold
+   */
+  getAddress() {
+    return Wallet.deriveMultisigAddress(this.publicKeys, this.threshold);
+  }
+
+  /**
+   * Check whether a public key belongs to a member
+   * @param {string} publicKey - Hex-encoded public key
+   * @returns {boolean} True if the key is a member
+   */
+  isMember(publicKey) {
+    return typeof publicKey === 'string' && this.publicKeys.includes(publicKey.toLowerCase());
+  }
+
+  /**
+   * Count the distinct members with a valid signature over some data
+   * @param {string|Object} data - Signed data
+   * @param {Array<{publicKey: string, signature: Object}>} signatures - Member signatures
+   * @returns {number} Number of members that signed
+   */
+  countValidSignatures(data, signatures) {
+    const signers = new Set();
+    for (const { publicKey, signature } of Array.isArray(signatures) ? signatures : []) {
+      if (this.isMember(publicKey) && !signers.has(publicKey.toLowerCase()) &&
+          Wallet.verifySignature(data, signature, publicKey)) {
+        signers.add(publicKey.toLowerCase());
+      }
+    }
+    return signers.size;
+  }
+
+  /**
+   * Check that enough members signed some data
+   * @param {string|Object} data - Signed data
+   * @param {Array<{publicKey: string, signature: Object}>} signatures - Member signatures
+   * @returns {boolean} True if at least `threshold` distinct members signed
+   */
+  verify(data, signatures) {
+    return this.countValidSignatures(data, signatures) >= this.threshold;
+  }
+
+  /**
+   * Serialize the definition
+   * @returns {{publicKeys: Array<string>, threshold: number}} Sorted keys and threshold
+   */
+  toJSON() {
+    return { publicKeys: [...this.publicKeys], threshold: this.threshold };
+  }
+}
+
+Multisig.MAX_MEMBERS = MAX_MEMBERS;
+
+module.exports = Multisig;
@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Spatial index for triad positions in the SeirChain TriadMatrix
+ * Buckets positions into a uniform grid so radius queries only visit nearby cells
+ */
+
+const DEFAULT_CELL_SIZE = 4;
+
+class SpatialIndex {
+  /**
+   * Create a new SpatialIndex instance
+   * @param {number} [cellSize] - Edge length of a grid bucket; best set to the usual query radius
+   */
+  constructor(cellSize = DEFAULT_CELL_SIZE) {
+    this.cellSize = Number.isFinite(cellSize) && cellSize > 0 ? cellSize : DEFAULT_CELL_SIZE;
+    this.buckets = new Map();
+    this.positions = new Map();
+    this.occupants = new Map();
+    this.lastQueryExamined = 0;
+  }
+
+  /**
+   * Number of indexed entries
+   * @returns {number} Entry count
+   */
+  get size() {
+    return this.positions.size;
+  }
+
+  /**
+   * Add or move an entry
+   * @param {string} id - Entry ID
+   * @param {Object} position - Position coordinates
+   */
+  insert(id, position) {
+    if (this.positions.has(id)) {
+      this.remove(id);
+    }
+
+    const bucketKey = this.getBucketKey(position);
+    if (!this.buckets.has(bucketKey)) {
+      this.buckets.set(bucketKey, new Map());
+    }
+    this.buckets.get(bucketKey).set(id, position);
+    this.positions.set(id, position);
+    this.occupants.set(this.getPositionKey(position), id);
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} id - Entry ID
+   * @returns {boolean} True if the entry was indexed
+   */
+  remove(id) {
+    const position = this.positions.get(id);
+    if (!position) {
+      return false;
+    }
+
+    const bucketKey = this.getBucketKey(position);
+    const bucket = this.buckets.get(bucketKey);
+    bucket.delete(id);
+    if (bucket.size === 0) {
+      this.buckets.delete(bucketKey);
+    }
+    this.positions.delete(id);
+    this.occupants.delete(this.getPositionKey(position));
+    return true;
+  }
+
+  /**
+   * Get the entry stored at an exact position
+   * @param {Object} position - Position coordinates
+   * @returns {string|null} Entry ID or null if the position is free
+   */
+  getAt(position) {
+    return this.occupants.get(this.getPositionKey(position)) || null;
+  }
+
+  /**
+   * Find entries within a distance of a position
+   * @param {Object} position - Centre of the search
+   * @param {number} radius - Maximum Euclidean distance
+   * @returns {Array<{id: string, position: Object, distance: number}>} Matching entries
+   */
+  queryRadius(position, radius) {
+    const reach = Math.ceil(radius / this.cellSize);
+    const centre = this.getBucketCoordinates(position);
+    const results = [];
+    let examined = 0;
+
+    for (let bx = centre.x - reach; bx <= centre.x + reach; bx++) {
+      for (let by = centre.y - reach; by <= centre.y + reach; by++) {
+        for (let bz = centre.z - reach; bz <= centre.z + reach; bz++) {
+          const bucket = this.buckets.get(`${bx}:${by}:${bz}`);
+          if (!bucket) continue;
+
+          for (const [id, candidate] of bucket) {
+            examined++;
+            const distance = Math.sqrt(
+              Math.pow(candidate.x - position.x, 2) +
+              Math.pow(candidate.y - position.y, 2) +
+              Math.pow(candidate.z - position.z, 2)
+            );
+            if (distance <= radius) {
+              results.push({ id, position: candidate, distance });
+            }
+          }
+        }
+      }
+    }
+
+    this.lastQueryExamined = examined;
+    return results;
+  }
+
+  /**
+   * Remove all entries
+   */
+  clear() {
+    this.buckets.clear();
+    this.positions.clear();
+    this.occupants.clear();
+  }
+
+  /**
+   * Get grid bucket coordinates for a position
+   * @private
+   * @param {Object} position - Position coordinates
+   * @returns {Object} Bucket coordinates
+   */
+  getBucketCoordinates(position) {
+    return {
+      x: Math.floor(position.x / this.cellSize),
+      y: Math.floor(position.y / this.cellSize),
+      z: Math.floor(position.z / this.cellSize)
+    };
+  }
+
+  /**
+   * Get the bucket key for a position
+   * @private
+   * @param {Object} position - Position coordinates
+   * @returns {string} Bucket key
+   */
+  getBucketKey(position) {
+    const { x, y, z } = this.getBucketCoordinates(position);
+    return `${x}:${y}:${z}`;
+  }
+
+  /**
+   * Get the exact-cell key for a position
+   * @private
+   * @param {Object} position - Position coordinates
+   * @returns {string} Position key
+   */
+  getPositionKey(position) {
+    return `${position.x}:${position.y}:${position.z}`;
+  }
+}
+
+module.exports = SpatialIndex;
@@ -6,10 +6,36 @@
 const { Level } = require('level');
 const path = require('path');
 const fs = require('fs');
+const Transaction = require('./Transaction');
+const EmissionSchedule = require('./EmissionSchedule');
+const FeeModel = require('./FeeModel');
+const LockSchedule = require('./LockSchedule');
+const { DEFAULT_DECIMALS, validateDecimals, parseAmount, formatAmount, toBaseUnits } = require('../utils/amount');
+const { computeMerkleRoot } = require('../utils/merkle');
 
 // Constants for validation and configuration
-const DEFAULT_MINING_REWARD = 10;
-const MIN_TRANSFER_AMOUNT = 0.000001;
+const DEFAULT_SLASH_FRACTION = 0.1;
+const DEFAULT_UNBONDING_PERIOD = 7 * 24 * 60 * 60 * 1000;
+// Slash fractions are applied in millionths so penalties stay in whole base units
+const SLASH_FRACTION_PRECISION = 1000000;
+const ENTRY_ID_LENGTH = 16;
+const TIMESTAMP_KEY_LENGTH = 15;
+const DEFAULT_HISTORY_PAGE_SIZE = 50;
+const STATEMENT_FORMATS = ['csv', 'json'];
+// Burned tokens are recorded as sent here; no key can derive an address of all zeros
+const BURN_ADDRESS = `seir${'0'.repeat(36)}`;
+
+// Kinds of immutable history entries; `from`/`to` are null where tokens are created or destroyed
+const ENTRY_TYPES = Object.freeze({
+  MINT: 'mint',
+  TRANSFER: 'transfer',
+  FEE: 'fee',
+  BURN: 'burn',
+  STAKE: 'stake',
+  UNSTAKE: 'unstake',
+  LOCK: 'lock',
+  RELEASE: 'release'
+});
 
 class Tokenomics {
   constructor(dbPath, options = {}) {
@@ -27,51 +53,144 @@ class Tokenomics {
     
     this.tokenName = options.tokenName || 'Wacłaium';
     this.tokenSymbol = options.tokenSymbol || 'WAC';
-    this.totalSupply = 0;
+    // Number of fractional digits of one token; amounts are held as integer base units
+    const decimals = options.decimals !== undefined ? options.decimals :
+      process.env.TOKEN_DECIMALS !== undefined ? parseInt(process.env.TOKEN_DECIMALS, 10) : DEFAULT_DECIMALS;
+    this.decimals = validateDecimals(decimals);
+    this.totalSupply = 0n;
+    this.totalBurned = 0n;
+    this.feePool = 0n;
+    this.burnAddress = options.burnAddress || BURN_ADDRESS;
+    // Transactions signed for another network are rejected
+    this.networkId = options.networkId || Transaction.getDefaultNetworkId();
     this.ledger = new Map();
+    this.nonces = new Map();
+    this.stakes = new Map();
+    this.unbonding = new Map();
+    this.locks = new Map();
+    this.entrySequence = 0;
+    // Ledger writes are applied one at a time, so two cannot both pass the nonce check of one account,
+    // take the same history id or roll back the totals the other changed
+    this.transactionQueue = Promise.resolve();
     this.lastError = null;
+    this.slashFraction = Number.isFinite(options.slashFraction) && options.slashFraction > 0 && options.slashFraction <= 1 ?
+      options.slashFraction : DEFAULT_SLASH_FRACTION;
+    this.unbondingPeriod = Number.isInteger(options.unbondingPeriod) && options.unbondingPeriod >= 0 ?
+      options.unbondingPeriod : DEFAULT_UNBONDING_PERIOD;
+    this.repairOnLoad = options.repairOnLoad !== false;
+    this.lastConsistencyReport = null;
     
-    // Enhanced mining reward initialization with validation
-    const miningReward = parseFloat(process.env.MINING_REWARD);
-    if (isNaN(miningReward) || miningReward <= 0) {
-      console.warn(`Invalid MINING_REWARD value in environment. Using default value of ${DEFAULT_MINING_REWARD}.`);
-      this.MINING_REWARD = DEFAULT_MINING_REWARD;
-    } else {
-      this.MINING_REWARD = miningReward;
+    // Mining rewards and the supply cap come from the emission schedule
+    this.emission = options.emissionSchedule instanceof EmissionSchedule ?
+      options.emissionSchedule : EmissionSchedule.fromEnvironment(this.decimals);
+    // Required fees and how they are split between validators and the burn address
+    this.fees = options.feeModel instanceof FeeModel ?
+      options.feeModel : FeeModel.fromEnvironment(this.decimals);
+  }
+
+  /**
+   * Get the lowest fee a transaction may pay under the fee model
+   * @param {Transaction|Object} transaction - Transaction, signed or not
+   * @returns {bigint} Required fee in base units
+   */
+  getRequiredFee(transaction) {
+    return this.fees.getRequiredFee(Transaction.from(transaction));
+  }
+
+  /**
+   * Get the reward for validating a triad from the emission schedule
+   * @param {number} height - Number of triads validated before this one
+   * @returns {bigint} Reward in base units; 0n once the supply cap is reached
+   */
+  getMiningReward(height) {
+    return this.emission.getReward(height, this.totalSupply);
+  }
+
+  /**
+   * Parse a token amount such as `12.5` into base units using the ledger's decimals
+   * @param {string|number} value - Token amount
+   * @returns {bigint} Amount in base units
+   */
+  parseAmount(value) {
+    return parseAmount(value, this.decimals);
+  }
+
+  /**
+   * Format base units as a token amount using the ledger's decimals
+   * @param {bigint|string} units - Amount in base units
+   * @returns {string} Token amount such as `12.5`
+   */
+  formatAmount(units) {
+    return formatAmount(units, this.decimals);
+  }
+
+  /**
+   * Read an amount from a stored record
+   *
+   * Ledgers written before fixed-point amounts stored whole-token numbers; those are converted
+   * to base units. Anything unreadable is returned as null.
+   * @private
+   * @param {string|number} value - Stored amount
+   * @returns {bigint|null} Amount in base units
+   */
+  readStoredAmount(value) {
+    try {
+      if (typeof value === 'number') {
+        return Number.isFinite(value) ? this.parseAmount(value.toFixed(this.decimals)) : null;
+      }
+      return toBaseUnits(value);
+    } catch (error) {
+      return null;
     }
   }
 
   async loadLedger() {
     try {
+      await this.loadDecimals();
+
       // Load account balances
       for await (const [key, value] of this.db.iterator({ gt: 'acct:', lt: 'acct:~' })) {
         const address = key.replace('acct:', '');
-        if (this.validateBalance(value.balance)) {
-          this.ledger.set(address, value.balance);
-        } else {
+        const record = this.readAccountRecord(value);
+        if (record.balance === null) {
           console.warn(`Invalid balance found for address ${address}. Setting to 0.`);
-          this.ledger.set(address, 0);
+        }
+        this.ledger.set(address, record.balance || 0n);
+        this.nonces.set(address, Number.isInteger(value.nonce) && value.nonce >= 0 ? value.nonce : 0);
+        if (record.bonded > 0n) {
+          this.stakes.set(address, record.bonded);
+        }
+        if (record.unbonding.length > 0) {
+          this.unbonding.set(address, record.unbonding);
+        }
+        if (record.locks.length > 0) {
+          this.locks.set(address, record.locks);
         }
       }
       
       // Load total supply with enhanced error handling
       try {
-        const ts = await this.db.get('totalSupply');
-        if (typeof ts === 'number' && ts >= 0) {
+        const ts = this.readStoredAmount(await this.db.get('totalSupply'));
+        if (ts !== null && ts >= 0n) {
           this.totalSupply = ts;
         } else {
           console.warn('Invalid total supply found in DB. Resetting to 0.');
-          this.totalSupply = 0;
-          await this.db.put('totalSupply', 0);
+          this.totalSupply = 0n;
+          await this.db.put('totalSupply', '0');
         }
       } catch (tsErr) {
         if (tsErr.notFound) {
           console.log('Initializing total supply to 0.');
-          await this.db.put('totalSupply', this.totalSupply);
+          await this.db.put('totalSupply', this.totalSupply.toString());
         } else {
           throw tsErr; // Propagate critical DB errors
         }
       }
+
+      this.totalBurned = await this.loadStoredTotal('totalBurned');
+      this.feePool = await this.loadStoredTotal('feePool');
+      await this.loadEntrySequence();
+      await this.checkConsistency({ repair: this.repairOnLoad });
     } catch (error) {
       this.lastError = error.message;
       console.error('Error loading token ledger:', error.message);
@@ -79,30 +198,500 @@ class Tokenomics {
     }
   }
 
+  /**
+   * Store the decimals setting on a new ledger, or check it against an existing one
+   *
+   * Amounts are kept in base units, so reopening a ledger with different decimals would rescale every balance.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async loadDecimals() {
+    try {
+      const stored = await this.db.get('decimals');
+      if (stored !== this.decimals) {
+        throw new Error(`Ledger uses ${stored} decimals but ${this.decimals} were configured`);
+      }
+    } catch (error) {
+      if (!error.notFound) {
+        throw error;
+      }
+      await this.db.put('decimals', this.decimals);
+    }
+  }
+
+  /**
+   * Load a running total kept next to the total supply
+   * @private
+   * @param {string} key - Database key
+   * @returns {Promise<bigint>} Stored total in base units, or 0n if missing or unreadable
+   */
+  async loadStoredTotal(key) {
+    try {
+      const total = this.readStoredAmount(await this.db.get(key));
+      return total !== null && total >= 0n ? total : 0n;
+    } catch (error) {
+      if (error.notFound) {
+        return 0n;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Continue history entry ids after the last stored entry
+   * @private
+   * @returns {Promise<void>}
+   */
+  async loadEntrySequence() {
+    this.entrySequence = 0;
+    for await (const key of this.db.keys({ gt: 'tx:', lt: 'tx:~', reverse: true, limit: 1 })) {
+      this.entrySequence = parseInt(key.slice('tx:'.length), 10) + 1;
+    }
+  }
+
+  /**
+   * Read the amounts of a stored account record
+   * @private
+   * @param {Object} value - Stored account record
+   * @returns {{balance: bigint|null, bonded: bigint, unbonding: Array, locks: Array}} Balance (null if unreadable), bonded stake, unbonding entries and locks
+   */
+  readAccountRecord(value) {
+    const balance = this.readStoredAmount(value.balance);
+    const bonded = value.bonded === undefined ? 0n : this.readStoredAmount(value.bonded);
+    const unbonding = (Array.isArray(value.unbonding) ? value.unbonding : [])
+      .map(entry => ({ amount: this.readStoredAmount(entry.amount), releaseAt: entry.releaseAt }))
+      .filter(entry => entry.amount !== null && entry.amount > 0n);
+    const locks = (Array.isArray(value.locks) ? value.locks : [])
+      .map(lock => ({
+        id: lock.id,
+        grantor: lock.grantor,
+        amount: this.readStoredAmount(lock.amount),
+        released: this.readStoredAmount(lock.released),
+        schedule: LockSchedule.from(lock.schedule)
+      }))
+      .filter(lock => lock.amount !== null && lock.released !== null && lock.amount > lock.released);
+    return {
+      balance: balance !== null && balance >= 0n ? balance : null,
+      bonded: bonded !== null && bonded > 0n ? bonded : 0n,
+      unbonding,
+      locks
+    };
+  }
+
+  /**
+   * Build the stored record for an account; amounts are stored as base-unit strings
+   * @private
+   * @param {string} address - Account address
+   * @returns {Object} Settled balance, nonce, bonded stake, unbonding entries and locks
+   */
+  getAccountRecord(address) {
+    return {
+      balance: this.getSettledBalance(address).toString(),
+      nonce: this.nonces.get(address) || 0,
+      bonded: this.getStake(address).toString(),
+      unbonding: this.getUnbonding(address).map(entry => ({
+        amount: entry.amount.toString(),
+        releaseAt: entry.releaseAt
+      })),
+      locks: (this.locks.get(address) || []).map(lock => ({
+        id: lock.id,
+        grantor: lock.grantor,
+        amount: lock.amount.toString(),
+        released: lock.released.toString(),
+        schedule: lock.schedule.toJSON()
+      }))
+    };
+  }
+
+  /**
+   * Persist one account together with the total supply
+   * @param {string} address - Account address
+   * @returns {Promise<void>}
+   */
   async saveAccount(address) {
+    await this.enqueueTransaction(() => this.commitLedger([address]));
+  }
+
+  /**
+   * Write the total supply and the given accounts, plus any extra records and history entries, in one batch
+   *
+   * Every ledger mutation goes through here so a crash can never persist a balance change
+   * without the matching total supply and history, or the other way round.
+   * @private
+   * @param {Array<string>} addresses - Accounts whose in-memory state should be stored
+   * @param {Array} [extraOperations] - Additional batch operations to apply atomically
+   * @param {Array<Object>} [entries] - History entries with `type`, `from`, `to`, `amount` and optional details
+   * @returns {Promise<void>}
+   */
+  async commitLedger(addresses, extraOperations = [], entries = []) {
     try {
-      const balance = this.ledger.get(address) || 0;
-      if (!this.validateBalance(balance)) {
-        throw new Error(`Invalid balance for address ${address}`);
+      const operations = [
+        { type: 'put', key: 'totalSupply', value: this.totalSupply.toString() },
+        { type: 'put', key: 'totalBurned', value: this.totalBurned.toString() },
+        { type: 'put', key: 'feePool', value: this.feePool.toString() }
+      ];
+      for (const address of new Set(addresses.filter(Boolean))) {
+        if (!this.validateBalance(this.getSettledBalance(address)) || !this.validateBalance(this.getStake(address))) {
+          throw new Error(`Invalid balance for address ${address}`);
+        }
+        operations.push({ type: 'put', key: `acct:${address}`, value: this.getAccountRecord(address) });
       }
-      await this.db.put(`acct:${address}`, { balance });
+      const history = this.createEntryOperations(entries);
+      await this.db.batch([...operations, ...extraOperations, ...history.operations]);
+      this.entrySequence = history.nextSequence;
     } catch (error) {
       this.lastError = error.message;
-      console.error(`Error saving account ${address}:`, error.message);
+      console.error('Error saving ledger:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Build the batch operations that store history entries and index them by address and time
+   * @private
+   * @param {Array<Object>} entries - History entries without id or timestamp
+   * @returns {{operations: Array, nextSequence: number}} Batch operations and the sequence to continue from
+   */
+  createEntryOperations(entries) {
+    const operations = [];
+    const timestamp = Date.now();
+    let sequence = this.entrySequence;
+
+    for (const { amount, ...details } of entries) {
+      const id = String(sequence++).padStart(ENTRY_ID_LENGTH, '0');
+      const entry = {
+        id,
+        from: null,
+        to: null,
+        ...details,
+        amount: amount.toString(),
+        timestamp
+      };
+      operations.push({ type: 'put', key: `tx:${id}`, value: entry });
+      for (const key of this.getEntryIndexKeys(entry)) {
+        operations.push({ type: 'put', key, value: id });
+      }
+    }
+
+    return { operations, nextSequence: sequence };
+  }
+
+  /**
+   * Get the keys indexing a history entry under its accounts and time
+   * @private
+   * @param {Object} entry - Stored history entry
+   * @returns {Array<string>} Index keys
+   */
+  getEntryIndexKeys(entry) {
+    const timeKey = String(entry.timestamp).padStart(TIMESTAMP_KEY_LENGTH, '0');
+    return Array.from(new Set([entry.from, entry.to]))
+      .filter(Boolean)
+      .map(address => `txidx:${address}:${timeKey}:${entry.id}`);
+  }
+
+  /**
+   * Delete the history entries from a sequence onwards, when a chain reorganization discards them
+   * @param {number} entryCount - Number of entries to keep
+   * @returns {Promise<number>} Number of entries deleted
+   */
+  async truncateHistory(entryCount) {
+    const entries = await this.getEntries(entryCount);
+    const operations = [];
+    for (const entry of entries) {
+      operations.push({ type: 'del', key: `tx:${entry.id}` });
+      for (const key of this.getEntryIndexKeys(entry)) {
+        operations.push({ type: 'del', key });
+      }
+    }
+    await this.db.batch(operations);
+    this.entrySequence = Math.min(this.entrySequence, entryCount);
+    return entries.length;
+  }
+
+  /**
+   * Append history entries written by another node, keeping their ids and timestamps
+   * @param {Array<Object>} entries - Stored history entries continuing from the current entry count
+   * @returns {Promise<void>}
+   */
+  async appendEntries(entries) {
+    this.validateEntrySequence(entries, this.entrySequence);
+    const operations = [];
+    for (const entry of entries) {
+      operations.push({ type: 'put', key: `tx:${entry.id}`, value: entry });
+      for (const key of this.getEntryIndexKeys(entry)) {
+        operations.push({ type: 'put', key, value: entry.id });
+      }
+    }
+    await this.db.batch(operations);
+    this.entrySequence += entries.length;
+  }
+
+  /**
+   * Check that history entries from another node are numbered on from a sequence
+   * @param {Array<Object>} entries - Stored history entries
+   * @param {number} start - Sequence the first entry must have
+   * @throws {Error} If an entry id is out of sequence
+   */
+  validateEntrySequence(entries, start) {
+    entries.forEach((entry, offset) => {
+      const id = String(start + offset).padStart(ENTRY_ID_LENGTH, '0');
+      if (!entry || entry.id !== id) {
+        throw new Error(`History entry ${entry && entry.id} does not continue the ledger at ${id}`);
+      }
+    });
+  }
+
+  /**
+   * Replace every account and the ledger totals with a committed state, such as an epoch's
+   * @param {Array<Object>} leaves - Account records with their address, from {@link Tokenomics#getStateLeaves}
+   * @param {Object} supply - Ledger totals as base-unit strings
+   * @param {string} supply.total - Total supply
+   * @param {string} supply.burned - Total burned
+   * @param {string} supply.feePool - Fee pool
+   * @returns {Promise<void>}
+   */
+  async loadState(leaves, supply) {
+    const previous = {
+      ledger: this.ledger,
+      nonces: this.nonces,
+      stakes: this.stakes,
+      unbonding: this.unbonding,
+      locks: this.locks,
+      totalSupply: this.totalSupply,
+      totalBurned: this.totalBurned,
+      feePool: this.feePool
+    };
+
+    try {
+      Object.assign(this, this.readState(leaves, supply));
+
+      const stale = [];
+      for await (const key of this.db.keys({ gt: 'acct:', lt: 'acct:~' })) {
+        if (!this.ledger.has(key.slice('acct:'.length))) {
+          stale.push({ type: 'del', key });
+        }
+      }
+      await this.commitLedger(Array.from(this.ledger.keys()), stale);
+    } catch (error) {
+      Object.assign(this, previous);
+      this.lastError = error.message;
+      throw new Error(`Failed to load ledger state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read a committed state into account maps and ledger totals, without applying it
+   * @param {Array<Object>} leaves - Account records with their address, from {@link Tokenomics#getStateLeaves}
+   * @param {Object} supply - Ledger totals as base-unit strings
+   * @returns {Object} Account maps and totals, keyed as the ledger holds them
+   * @throws {Error} If an account record or total is invalid
+   */
+  readState(leaves, supply) {
+    const state = {
+      ledger: new Map(),
+      nonces: new Map(),
+      stakes: new Map(),
+      unbonding: new Map(),
+      locks: new Map()
+    };
+    for (const { address, ...value } of leaves) {
+      const record = this.readAccountRecord(value);
+      if (record.balance === null || !this.validateAddress(address)) {
+        throw new Error(`Invalid account record for ${address}`);
+      }
+      state.ledger.set(address, record.balance);
+      state.nonces.set(address, Number.isInteger(value.nonce) && value.nonce >= 0 ? value.nonce : 0);
+      if (record.bonded > 0n) {
+        state.stakes.set(address, record.bonded);
+      }
+      if (record.unbonding.length > 0) {
+        state.unbonding.set(address, record.unbonding);
+      }
+      if (record.locks.length > 0) {
+        state.locks.set(address, record.locks);
+      }
+    }
+    const { total, burned, feePool } = supply || {};
+    const totals = [total, burned, feePool].map(value => this.readBaseUnits(value));
+    if (totals.some(value => value === null || value < 0n)) {
+      throw new Error('Invalid ledger totals');
+    }
+    [state.totalSupply, state.totalBurned, state.feePool] = totals;
+    return state;
+  }
+
+  /**
+   * Get an account's history entries, oldest first
+   * @param {string} address - Account address
+   * @param {Object} [options] - Query options
+   * @param {number} [options.from] - Earliest timestamp to include (ms)
+   * @param {number} [options.to] - Latest timestamp to include (ms)
+   * @param {number} [options.limit=50] - Maximum entries to return
+   * @param {string} [options.cursor] - `nextCursor` from the previous page
+   * @returns {Promise<{transactions: Array<Object>, nextCursor: string|null}>} Entries with amounts as base-unit strings
+   */
+  async getTransactions(address, { from, to, limit = DEFAULT_HISTORY_PAGE_SIZE, cursor } = {}) {
+    if (!this.validateAddress(address)) {
+      throw new Error('Invalid address provided for transaction history.');
+    }
+    const pageSize = Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_HISTORY_PAGE_SIZE;
+    const prefix = `txidx:${address}:`;
+    const range = { lt: `${prefix}~`, limit: pageSize + 1 };
+    if (cursor) {
+      range.gt = `${prefix}${cursor}`;
+    } else if (Number.isFinite(from)) {
+      range.gte = `${prefix}${String(from).padStart(TIMESTAMP_KEY_LENGTH, '0')}`;
+    } else {
+      range.gt = prefix;
+    }
+    if (Number.isFinite(to)) {
+      range.lt = `${prefix}${String(to + 1).padStart(TIMESTAMP_KEY_LENGTH, '0')}`;
+    }
+
+    const keys = [];
+    for await (const key of this.db.keys(range)) {
+      keys.push(key);
+    }
+    const page = keys.slice(0, pageSize);
+    const ids = await this.db.getMany(page.map(key => `tx:${key.slice(key.lastIndexOf(':') + 1)}`));
+
+    return {
+      transactions: ids.filter(Boolean),
+      nextCursor: keys.length > pageSize ? page[page.length - 1].slice(prefix.length) : null
+    };
+  }
+
+  /**
+   * Export an account statement for accounting
+   * @param {string} address - Account address
+   * @param {Object} [options] - Export options
+   * @param {string} [options.format='csv'] - `csv` or `json`
+   * @param {number} [options.from] - Earliest timestamp to include (ms)
+   * @param {number} [options.to] - Latest timestamp to include (ms)
+   * @returns {Promise<string>} Statement with amounts formatted in tokens
+   */
+  async exportStatement(address, { format = 'csv', from, to } = {}) {
+    if (!STATEMENT_FORMATS.includes(format)) {
+      throw new Error(`Statement format must be one of: ${STATEMENT_FORMATS.join(', ')}`);
+    }
+
+    const rows = [];
+    let received = 0n;
+    let sent = 0n;
+    let cursor;
+    do {
+      const page = await this.getTransactions(address, { from, to, cursor });
+      for (const entry of page.transactions) {
+        const direction = entry.to === address && entry.from !== address ? 'in' :
+          entry.from === address && entry.to !== address ? 'out' : 'self';
+        if (direction === 'in') received += BigInt(entry.amount);
+        if (direction === 'out') sent += BigInt(entry.amount);
+        rows.push({
+          id: entry.id,
+          date: new Date(entry.timestamp).toISOString(),
+          type: entry.type,
+          direction,
+          counterparty: (direction === 'in' ? entry.from : entry.to) || '',
+          amount: this.formatAmount(entry.amount)
+        });
+      }
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    if (format === 'json') {
+      return JSON.stringify({
+        address,
+        symbol: this.tokenSymbol,
+        decimals: this.decimals,
+        from: Number.isFinite(from) ? new Date(from).toISOString() : null,
+        to: Number.isFinite(to) ? new Date(to).toISOString() : null,
+        received: this.formatAmount(received),
+        sent: this.formatAmount(sent),
+        entries: rows
+      }, null, 2);
+    }
+
+    const columns = ['id', 'date', 'type', 'direction', 'counterparty', 'amount'];
+    const escape = value => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+    return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n');
+  }
+
+  /**
+   * Recompute the total supply from the stored accounts and compare it with the recorded value
+   * @param {Object} [options] - Check options
+   * @param {boolean} [options.repair=false] - Overwrite the recorded total supply when it drifted
+   * @returns {Promise<Object>} Report with `consistent`, `recordedSupply`, `computedSupply`, `drift` (base units) and `repaired`
+   */
+  async checkConsistency({ repair = false } = {}) {
+    // Fees waiting in the pool still exist until a validator is paid from it
+    let computedSupply = this.feePool;
+    let accounts = 0;
+    for await (const value of this.db.values({ gt: 'acct:', lt: 'acct:~' })) {
+      const record = this.readAccountRecord(value);
+      computedSupply += (record.balance || 0n) + record.bonded +
+        record.unbonding.reduce((sum, entry) => sum + entry.amount, 0n) +
+        record.locks.reduce((sum, lock) => sum + lock.amount - lock.released, 0n);
+      accounts++;
+    }
+
+    const recordedSupply = this.totalSupply;
+    const drift = computedSupply - recordedSupply;
+    const report = {
+      consistent: drift === 0n,
+      accounts,
+      recordedSupply,
+      computedSupply,
+      drift,
+      repaired: false
+    };
+
+    if (!report.consistent) {
+      console.warn(`Ledger drift detected: total supply is ${this.formatAmount(recordedSupply)} but accounts hold ${this.formatAmount(computedSupply)} ${this.tokenSymbol}.`);
+      if (repair) {
+        this.totalSupply = computedSupply;
+        await this.db.put('totalSupply', this.totalSupply.toString());
+        report.repaired = true;
+        console.warn(`Total supply repaired to ${this.formatAmount(computedSupply)} ${this.tokenSymbol}.`);
+      }
+    }
+
+    this.lastConsistencyReport = report;
+    return report;
+  }
+
+  /**
+   * Create new tokens in an account
+   * @param {string} address - Account address
+   * @param {bigint|string} amount - Amount in base units
+   * @returns {Promise<boolean>} True if the tokens were minted
+   */
   async mint(address, amount) {
+    return this.enqueueTransaction(() => this.applyMint(address, amount));
+  }
+
+  /**
+   * Mint once the ledger writes queued before it are applied
+   * @private
+   * @param {string} address - Account address
+   * @param {bigint|string} amount - Amount in base units
+   * @returns {Promise<boolean>} True if the tokens were minted
+   */
+  async applyMint(address, amount) {
     if (!this.validateAddress(address)) {
       throw new Error('Invalid address provided for minting.');
     }
     
+    amount = this.readBaseUnits(amount);
     if (!this.validateAmount(amount)) {
-      throw new Error('Mint amount must be a positive number.');
+      throw new Error('Mint amount must be a positive number of base units.');
+    }
+
+    const { maxSupply } = this.emission;
+    if (maxSupply !== null && this.totalSupply + amount > maxSupply) {
+      throw new Error(`Minting ${this.formatAmount(amount)} ${this.tokenSymbol} would exceed the max supply of ${this.formatAmount(maxSupply)} ${this.tokenSymbol}.`);
     }
 
-    const currentBalance = this.ledger.get(address) || 0;
+    const currentBalance = this.getSettledBalance(address);
     const previousTotalSupply = this.totalSupply;
 
     try {
@@ -111,19 +700,15 @@ class Tokenomics {
       this.ledger.set(address, newBalance);
       this.totalSupply += amount;
 
-      // Persist changes atomically
-      await Promise.all([
-        this.db.put('totalSupply', this.totalSupply),
-        this.saveAccount(address)
-      ]);
+      await this.commitLedger([address], [], [{ type: ENTRY_TYPES.MINT, to: address, amount }]);
 
       console.log(`
 🎯 Mining Reward Minted Successfully:
    Address: ${address}
-   Amount: +${amount} ${this.tokenSymbol}
-   Previous Balance: ${currentBalance} ${this.tokenSymbol}
-   New Balance: ${newBalance} ${this.tokenSymbol}
-   Total Supply: ${previousTotalSupply} → ${this.totalSupply} ${this.tokenSymbol}
+   Amount: +${this.formatAmount(amount)} ${this.tokenSymbol}
+   Previous Balance: ${this.formatAmount(currentBalance)} ${this.tokenSymbol}
+   New Balance: ${this.formatAmount(newBalance)} ${this.tokenSymbol}
+   Total Supply: ${this.formatAmount(previousTotalSupply)} → ${this.formatAmount(this.totalSupply)} ${this.tokenSymbol}
       `);
 
       return true;
@@ -138,78 +723,894 @@ class Tokenomics {
     }
   }
 
-  async transfer(fromAddress, toAddress, amount) {
-    if (!this.validateAddress(fromAddress) || !this.validateAddress(toAddress)) {
-      throw new Error('Invalid addresses provided for transfer.');
-    }
-    
-    if (!this.validateAmount(amount)) {
-      throw new Error('Transfer amount must be a positive number.');
+  /**
+   * Apply a signed transaction of any type, such as one taken from the mempool
+   * @param {Transaction|Object} transaction - Signed transaction
+   * @param {Object} [options] - Options passed on to the handler for the transaction type
+   * @param {string} [options.validator] - Validator finalizing the transaction
+   * @returns {Promise<boolean|Object>} Result of {@link Tokenomics#transfer}, `stake`, `unstake` or `lock`
+   */
+  async applyTransaction(transaction, options = {}) {
+    const tx = Transaction.from(transaction);
+    switch (tx.type) {
+    case Transaction.TYPES.TRANSFER:
+      return this.transfer(tx, options);
+    case Transaction.TYPES.STAKE:
+      return this.stake(tx, options);
+    case Transaction.TYPES.UNSTAKE:
+      return this.unstake(tx, options);
+    case Transaction.TYPES.LOCK:
+      return this.lock(tx, options);
+    default:
+      throw new Error(`Unknown transaction type: ${tx.type}`);
     }
+  }
+
+  /**
+   * Apply a signed transfer to the ledger
+   * @param {Transaction|Object} transaction - Transaction signed by the sender
+   * @param {Object} [options] - Transfer options
+   * @param {string} [options.validator] - Validator finalizing the transfer; without one its fee share goes to the fee pool
+   * @returns {Promise<boolean>} True if the transfer was applied
+   */
+  async transfer(transaction, options = {}) {
+    return this.enqueueTransaction(() => this.applyTransfer(transaction, options));
+  }
 
-    const fromBalance = this.ledger.get(fromAddress) || 0;
-    if (fromBalance < amount) {
-      throw new Error(`Insufficient balance in account ${fromAddress}. Required: ${amount}, Available: ${fromBalance}`);
+  /**
+   * Apply a transfer once the transactions queued before it are applied
+   * @private
+   * @param {Transaction|Object} transaction - Signed transaction
+   * @param {Object} options - Options passed to {@link Tokenomics#transfer}
+   * @returns {Promise<boolean>} True if the transfer was applied
+   */
+  async applyTransfer(transaction, { validator = null }) {
+    const tx = Transaction.from(transaction);
+    const { sender: fromAddress, recipient: toAddress } = tx;
+
+    const { amount, fee } = this.validateTransaction(tx, Transaction.TYPES.TRANSFER);
+    const expectedNonce = this.getNonce(fromAddress);
+    // Everything unlocked up to one point in time is released, so the settled balance is all that can be spent;
+    // counting amounts that unlock later as well would spend them without marking them released
+    const now = Date.now();
+    await this.applyReleaseUnbonded(fromAddress, now);
+    await this.applyReleaseVested(fromAddress, now);
+
+    const fromBalance = this.getSettledBalance(fromAddress);
+    const totalDebit = amount + fee;
+    if (fromBalance < totalDebit) {
+      throw new Error(`Insufficient balance in account ${fromAddress}. Required: ${this.formatAmount(totalDebit)}, Available: ${this.formatAmount(fromBalance)}`);
     }
 
-    const toBalance = this.ledger.get(toAddress) || 0;
+    const toBalance = this.getBalance(toAddress);
+    const snapshot = this.captureState([fromAddress, toAddress, validator]);
 
     try {
-      // Update ledger
-      this.ledger.set(fromAddress, fromBalance - amount);
-      this.ledger.set(toAddress, toBalance + amount);
+      this.ledger.set(fromAddress, fromBalance - totalDebit);
+      this.ledger.set(toAddress, this.getSettledBalance(toAddress) + amount);
+      this.nonces.set(fromAddress, expectedNonce + 1);
+      const feeEntries = this.chargeFee(fromAddress, fee, expectedNonce, validator);
 
-      // Persist changes atomically
-      await Promise.all([
-        this.saveAccount(fromAddress),
-        this.saveAccount(toAddress)
+      await this.commitLedger([fromAddress, toAddress, validator], [], [
+        { type: ENTRY_TYPES.TRANSFER, from: fromAddress, to: toAddress, amount, nonce: expectedNonce },
+        ...feeEntries
       ]);
 
       console.log(`
 💸 Transfer Completed Successfully:
    From: ${fromAddress}
    To: ${toAddress}
-   Amount: ${amount} ${this.tokenSymbol}
-   Sender Balance: ${fromBalance} → ${fromBalance - amount} ${this.tokenSymbol}
-   Recipient Balance: ${toBalance} → ${toBalance + amount} ${this.tokenSymbol}
+   Amount: ${this.formatAmount(amount)} ${this.tokenSymbol}
+   Fee: ${this.formatAmount(fee)} ${this.tokenSymbol}
+   Sender Balance: ${this.formatAmount(fromBalance)} → ${this.formatAmount(this.getBalance(fromAddress))} ${this.tokenSymbol}
+   Recipient Balance: ${this.formatAmount(toBalance)} → ${this.formatAmount(this.getBalance(toAddress))} ${this.tokenSymbol}
       `);
 
       return true;
     } catch (error) {
       // Revert memory state on DB failure
-      this.ledger.set(fromAddress, fromBalance);
-      this.ledger.set(toAddress, toBalance);
+      this.restoreState(snapshot);
       this.lastError = error.message;
       throw new Error(`Failed to complete transfer: ${error.message}`);
     }
   }
 
-  getBalance(address) {
+  /**
+   * Bond part of an account's spendable balance as validator stake
+   * @param {Transaction|Object} transaction - Signed `stake` transaction with the sender as recipient
+   * @param {Object} [options] - Stake options
+   * @param {string} [options.validator] - Validator finalizing the transaction; without one its fee share goes to the fee pool
+   * @returns {Promise<boolean>} True if the stake was bonded
+   */
+  async stake(transaction, options = {}) {
+    return this.enqueueTransaction(() => this.applyStake(transaction, options));
+  }
+
+  /**
+   * Bond stake once the transactions queued before it are applied
+   * @private
+   * @param {Transaction|Object} transaction - Signed transaction
+   * @param {Object} options - Options passed to {@link Tokenomics#stake}
+   * @returns {Promise<boolean>} True if the stake was bonded
+   */
+  async applyStake(transaction, { validator = null }) {
+    const tx = Transaction.from(transaction);
+    const { sender: address } = tx;
+
+    const { amount, fee } = this.validateTransaction(tx, Transaction.TYPES.STAKE);
+    const expectedNonce = this.getNonce(address);
+    const now = Date.now();
+    await this.applyReleaseUnbonded(address, now);
+    await this.applyReleaseVested(address, now);
+
+    const balance = this.getSettledBalance(address);
+    if (balance < amount + fee) {
+      throw new Error(`Insufficient balance in account ${address}. Required: ${this.formatAmount(amount + fee)}, Available: ${this.formatAmount(balance)}`);
+    }
+
+    const bonded = this.getStake(address);
+    const snapshot = this.captureState([address, validator]);
+
+    try {
+      this.ledger.set(address, balance - amount - fee);
+      this.stakes.set(address, bonded + amount);
+      this.nonces.set(address, expectedNonce + 1);
+      const feeEntries = this.chargeFee(address, fee, expectedNonce, validator);
+
+      await this.commitLedger([address, validator], [], [
+        { type: ENTRY_TYPES.STAKE, from: address, to: address, amount, nonce: expectedNonce },
+        ...feeEntries
+      ]);
+
+      console.log(`
+🔒 Stake Bonded:
+   Address: ${address}
+   Amount: ${this.formatAmount(amount)} ${this.tokenSymbol}
+   Bonded Stake: ${this.formatAmount(bonded)} → ${this.formatAmount(this.getStake(address))} ${this.tokenSymbol}
+      `);
+
+      return true;
+    } catch (error) {
+      this.restoreState(snapshot);
+      this.lastError = error.message;
+      throw new Error(`Failed to bond stake: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start unbonding stake; it becomes spendable once the unbonding period has passed
+   * @param {Transaction|Object} transaction - Signed `unstake` transaction with the sender as recipient
+   * @param {Object} [options] - Unstake options
+   * @param {string} [options.validator] - Validator finalizing the transaction; without one its fee share goes to the fee pool
+   * @returns {Promise<Object>} Unbonding entry with `amount` (base units) and `releaseAt`
+   */
+  async unstake(transaction, options = {}) {
+    return this.enqueueTransaction(() => this.applyUnstake(transaction, options));
+  }
+
+  /**
+   * Start unbonding once the transactions queued before it are applied
+   * @private
+   * @param {Transaction|Object} transaction - Signed transaction
+   * @param {Object} options - Options passed to {@link Tokenomics#unstake}
+   * @returns {Promise<Object>} Unbonding entry
+   */
+  async applyUnstake(transaction, { validator = null }) {
+    const tx = Transaction.from(transaction);
+    const { sender: address } = tx;
+
+    const { amount, fee } = this.validateTransaction(tx, Transaction.TYPES.UNSTAKE);
+    const expectedNonce = this.getNonce(address);
+    const now = Date.now();
+    await this.applyReleaseUnbonded(address, now);
+    await this.applyReleaseVested(address, now);
+
+    const bonded = this.getStake(address);
+    if (bonded < amount) {
+      throw new Error(`Insufficient stake in account ${address}. Required: ${this.formatAmount(amount)}, Bonded: ${this.formatAmount(bonded)}`);
+    }
+    const balance = this.getSettledBalance(address);
+    if (balance < fee) {
+      throw new Error(`Insufficient balance in account ${address} for the fee. Required: ${this.formatAmount(fee)}, Available: ${this.formatAmount(balance)}`);
+    }
+
+    const entries = this.getUnbonding(address);
+    const entry = { amount, releaseAt: now + this.unbondingPeriod };
+    const snapshot = this.captureState([address, validator]);
+
+    try {
+      this.ledger.set(address, balance - fee);
+      this.stakes.set(address, bonded - amount);
+      this.unbonding.set(address, [...entries, entry]);
+      this.nonces.set(address, expectedNonce + 1);
+      const feeEntries = this.chargeFee(address, fee, expectedNonce, validator);
+
+      await this.commitLedger([address, validator], [], [
+        { type: ENTRY_TYPES.UNSTAKE, from: address, to: address, amount, nonce: expectedNonce },
+        ...feeEntries
+      ]);
+
+      console.log(`
+🔓 Stake Unbonding:
+   Address: ${address}
+   Amount: ${this.formatAmount(amount)} ${this.tokenSymbol}
+   Spendable From: ${new Date(entry.releaseAt).toLocaleString()}
+      `);
+
+      return entry;
+    } catch (error) {
+      this.restoreState(snapshot);
+      this.lastError = error.message;
+      throw new Error(`Failed to unbond stake: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move unbonded stake whose unbonding period has passed back to the spendable balance
+   * @param {string} address - Account address
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {Promise<bigint>} Amount released in base units
+   */
+  async releaseUnbonded(address, now = Date.now()) {
+    return this.enqueueTransaction(() => this.applyReleaseUnbonded(address, now));
+  }
+
+  /**
+   * Release unbonded stake from within a queued ledger write
+   * @private
+   * @param {string} address - Account address
+   * @param {number} now - Current time
+   * @returns {Promise<bigint>} Amount released in base units
+   */
+  async applyReleaseUnbonded(address, now) {
+    const entries = this.getUnbonding(address);
+    const matured = entries.filter(entry => entry.releaseAt <= now);
+    if (matured.length === 0) {
+      return 0n;
+    }
+
+    const released = matured.reduce((sum, entry) => sum + entry.amount, 0n);
+    const balance = this.getSettledBalance(address);
+
+    try {
+      this.ledger.set(address, balance + released);
+      this.unbonding.set(address, entries.filter(entry => entry.releaseAt > now));
+      await this.commitLedger([address], [], [
+        { type: ENTRY_TYPES.RELEASE, from: address, to: address, amount: released }
+      ]);
+      return released;
+    } catch (error) {
+      this.ledger.set(address, balance);
+      this.unbonding.set(address, entries);
+      this.lastError = error.message;
+      throw new Error(`Failed to release unbonded stake: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lock tokens for an account under an unlock schedule, such as a contributor's vesting grant
+   *
+   * The amount leaves the grantor's balance at once and becomes spendable by the recipient as it unlocks.
+   * @param {Transaction|Object} transaction - Signed `lock` transaction from the grantor with a `schedule`
+   * @param {Object} [options] - Lock options
+   * @param {string} [options.validator] - Validator finalizing the transaction; without one its fee share goes to the fee pool
+   * @returns {Promise<Object>} Lock with `id`, `grantor`, `amount` (base units) and `schedule`
+   */
+  async lock(transaction, options = {}) {
+    return this.enqueueTransaction(() => this.applyLock(transaction, options));
+  }
+
+  /**
+   * Lock tokens once the transactions queued before it are applied
+   * @private
+   * @param {Transaction|Object} transaction - Signed transaction
+   * @param {Object} options - Options passed to {@link Tokenomics#lock}
+   * @returns {Promise<Object>} Lock
+   */
+  async applyLock(transaction, { validator = null }) {
+    const tx = Transaction.from(transaction);
+    const { sender: grantor, recipient } = tx;
+
+    const { amount, fee } = this.validateTransaction(tx, Transaction.TYPES.LOCK);
+    const expectedNonce = this.getNonce(grantor);
+    const now = Date.now();
+    await this.applyReleaseUnbonded(grantor, now);
+    await this.applyReleaseVested(grantor, now);
+
+    const balance = this.getSettledBalance(grantor);
+    if (balance < amount + fee) {
+      throw new Error(`Insufficient balance in account ${grantor}. Required: ${this.formatAmount(amount + fee)}, Available: ${this.formatAmount(balance)}`);
+    }
+
+    const lock = {
+      id: `${grantor}:${expectedNonce}`,
+      grantor,
+      amount,
+      released: 0n,
+      schedule: LockSchedule.from(tx.schedule)
+    };
+    const snapshot = this.captureState([grantor, recipient, validator]);
+
+    try {
+      this.ledger.set(grantor, balance - amount - fee);
+      this.locks.set(recipient, [...(this.locks.get(recipient) || []), lock]);
+      this.nonces.set(grantor, expectedNonce + 1);
+      const feeEntries = this.chargeFee(grantor, fee, expectedNonce, validator);
+
+      await this.commitLedger([grantor, recipient, validator], [], [
+        {
+          type: ENTRY_TYPES.LOCK,
+          from: grantor,
+          to: recipient,
+          amount,
+          nonce: expectedNonce,
+          lockId: lock.id,
+          schedule: lock.schedule.toJSON()
+        },
+        ...feeEntries
+      ]);
+
+      console.log(`
+⏳ Tokens Locked:
+   From: ${grantor}
+   To: ${recipient}
+   Amount: ${this.formatAmount(amount)} ${this.tokenSymbol}
+   Unlocks: ${new Date(lock.schedule.cliff).toLocaleString()} → ${new Date(lock.schedule.end).toLocaleString()}
+      `);
+
+      return { id: lock.id, grantor, amount, schedule: lock.schedule.toJSON() };
+    } catch (error) {
+      this.restoreState(snapshot);
+      this.lastError = error.message;
+      throw new Error(`Failed to lock tokens: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move locked amounts that have unlocked to the settled balance
+   * @param {string} address - Account address
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {Promise<bigint>} Amount released in base units
+   */
+  async releaseVested(address, now = Date.now()) {
+    return this.enqueueTransaction(() => this.applyReleaseVested(address, now));
+  }
+
+  /**
+   * Release unlocked amounts from within a queued ledger write
+   * @private
+   * @param {string} address - Account address
+   * @param {number} now - Current time
+   * @returns {Promise<bigint>} Amount released in base units
+   */
+  async applyReleaseVested(address, now) {
+    const locks = this.locks.get(address) || [];
+    const updated = locks.map(lock => ({ ...lock, released: this.getLockVested(lock, now) }));
+    const released = updated.reduce((sum, lock, index) => sum + lock.released - locks[index].released, 0n);
+    if (released === 0n) {
+      return 0n;
+    }
+
+    const balance = this.getSettledBalance(address);
+
+    try {
+      this.ledger.set(address, balance + released);
+      this.locks.set(address, updated.filter(lock => lock.released < lock.amount));
+      await this.commitLedger([address], [], [
+        { type: ENTRY_TYPES.RELEASE, from: address, to: address, amount: released, reason: 'vesting' }
+      ]);
+      return released;
+    } catch (error) {
+      this.ledger.set(address, balance);
+      this.locks.set(address, locks);
+      this.lastError = error.message;
+      throw new Error(`Failed to release unlocked tokens: ${error.message}`);
+    }
+  }
+
+  /**
+   * Burn part of a validator's stake as a penalty for misbehaviour
+   *
+   * Stake that is still unbonding can be slashed too, so leaving does not escape a penalty.
+   * @param {string} address - Validator address
+   * @param {Object} evidence - Proof of the offence, such as equivocation evidence from the TriadMatrix
+   * @returns {Promise<bigint>} Amount burned in base units
+   */
+  async slash(address, evidence = {}) {
+    return this.enqueueTransaction(() => this.applySlash(address, evidence));
+  }
+
+  /**
+   * Slash once the ledger writes queued before it are applied
+   * @private
+   * @param {string} address - Validator address
+   * @param {Object} evidence - Proof of the offence
+   * @returns {Promise<bigint>} Amount burned in base units
+   */
+  async applySlash(address, evidence) {
+    if (!this.validateAddress(address)) {
+      throw new Error('Invalid address provided for slashing.');
+    }
+
+    const bonded = this.getStake(address);
+    const entries = this.getUnbonding(address);
+    const slashable = bonded + entries.reduce((sum, entry) => sum + entry.amount, 0n);
+    const penalty = slashable * BigInt(Math.round(this.slashFraction * SLASH_FRACTION_PRECISION)) /
+      BigInt(SLASH_FRACTION_PRECISION);
+    const previousTotalSupply = this.totalSupply;
+    const previousTotalBurned = this.totalBurned;
+    const record = {
+      address,
+      amount: penalty.toString(),
+      triadId: evidence.triadId || null,
+      height: Number.isInteger(evidence.height) ? evidence.height : null,
+      timestamp: Date.now()
+    };
+
+    try {
+      // Take the penalty from bonded stake first, then from the newest unbonding entries
+      let remaining = penalty;
+      const fromBonded = bonded < remaining ? bonded : remaining;
+      this.stakes.set(address, bonded - fromBonded);
+      remaining -= fromBonded;
+
+      const slashedEntries = entries.slice().reverse().map(entry => {
+        const taken = entry.amount < remaining ? entry.amount : remaining;
+        remaining -= taken;
+        return { ...entry, amount: entry.amount - taken };
+      }).reverse().filter(entry => entry.amount > 0n);
+      this.unbonding.set(address, slashedEntries);
+      this.totalSupply -= penalty;
+      this.totalBurned += penalty;
+
+      await this.commitLedger([address], [
+        { type: 'put', key: `slash:${address}:${record.timestamp}`, value: record }
+      ], penalty > 0n ? [{
+        type: ENTRY_TYPES.BURN,
+        from: address,
+        to: this.burnAddress,
+        amount: penalty,
+        reason: 'slash',
+        triadId: record.triadId
+      }] : []);
+
+      console.warn(`
+⚔️  Validator Slashed:
+   Address: ${address}
+   Burned: ${this.formatAmount(penalty)} ${this.tokenSymbol}
+   Bonded Stake: ${this.formatAmount(bonded)} → ${this.formatAmount(this.getStake(address))} ${this.tokenSymbol}
+      `);
+
+      return penalty;
+    } catch (error) {
+      this.stakes.set(address, bonded);
+      this.unbonding.set(address, entries);
+      this.totalSupply = previousTotalSupply;
+      this.totalBurned = previousTotalBurned;
+      this.lastError = error.message;
+      throw new Error(`Failed to slash validator: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pay the fee pool out to the validator finalizing a triad
+   * @param {string} validator - Validator address
+   * @returns {Promise<bigint>} Amount paid in base units
+   */
+  async distributeFeePool(validator) {
+    return this.enqueueTransaction(() => this.applyFeePoolDistribution(validator));
+  }
+
+  /**
+   * Pay out the fee pool once the ledger writes queued before it are applied
+   * @private
+   * @param {string} validator - Validator address
+   * @returns {Promise<bigint>} Amount paid in base units
+   */
+  async applyFeePoolDistribution(validator) {
+    if (!this.validateAddress(validator)) {
+      throw new Error('Invalid validator address provided for fee distribution.');
+    }
+    if (this.feePool === 0n) {
+      return 0n;
+    }
+
+    const amount = this.feePool;
+    const snapshot = this.captureState([validator]);
+
+    try {
+      this.ledger.set(validator, this.getSettledBalance(validator) + amount);
+      this.feePool = 0n;
+      await this.commitLedger([validator], [], [
+        { type: ENTRY_TYPES.FEE, to: validator, amount, reason: 'fee-pool' }
+      ]);
+      return amount;
+    } catch (error) {
+      this.restoreState(snapshot);
+      this.lastError = error.message;
+      throw new Error(`Failed to distribute fee pool: ${error.message}`);
+    }
+  }
+
+  /**
+   * Charge a fee already debited from the payer: burn its burn share and pay the rest to the
+   * finalizing validator, or into the fee pool when there is none
+   * @private
+   * @param {string} payer - Account that paid the fee
+   * @param {bigint} fee - Fee in base units
+   * @param {number} nonce - Nonce of the transaction that paid it
+   * @param {string|null} validator - Validator finalizing the transaction
+   * @returns {Array<Object>} History entries for the burned and validator parts
+   */
+  chargeFee(payer, fee, nonce, validator) {
+    const { burned, validatorShare } = this.fees.split(fee);
+    this.totalSupply -= burned;
+    this.totalBurned += burned;
+    if (validator) {
+      this.ledger.set(validator, this.getSettledBalance(validator) + validatorShare);
+    } else {
+      this.feePool += validatorShare;
+    }
+
+    const entries = [];
+    if (burned > 0n) {
+      entries.push({ type: ENTRY_TYPES.BURN, from: payer, to: this.burnAddress, amount: burned, reason: 'fee', nonce });
+    }
+    if (validatorShare > 0n) {
+      entries.push({ type: ENTRY_TYPES.FEE, from: payer, to: validator, amount: validatorShare, nonce });
+    }
+    return entries;
+  }
+
+  /**
+   * Copy the in-memory state of some accounts and the ledger totals
+   * @private
+   * @param {Array<string|null>} addresses - Accounts to copy; empty values are skipped
+   * @returns {Object} Snapshot for {@link Tokenomics#restoreState}
+   */
+  captureState(addresses) {
+    const accounts = new Map();
+    for (const address of addresses.filter(Boolean)) {
+      accounts.set(address, {
+        balance: this.ledger.get(address),
+        nonce: this.nonces.get(address),
+        bonded: this.stakes.get(address),
+        unbonding: this.unbonding.get(address),
+        locks: this.locks.get(address)
+      });
+    }
+    return {
+      accounts,
+      totalSupply: this.totalSupply,
+      totalBurned: this.totalBurned,
+      feePool: this.feePool
+    };
+  }
+
+  /**
+   * Put back the state copied by {@link Tokenomics#captureState} after a failed write
+   *
+   * Snapshots are only taken inside queued ledger writes, so restoring the totals cannot undo another write's change.
+   * @private
+   * @param {Object} snapshot - Snapshot to restore
+   */
+  restoreState(snapshot) {
+    const restore = (map, address, value) => (value === undefined ? map.delete(address) : map.set(address, value));
+    for (const [address, account] of snapshot.accounts) {
+      restore(this.ledger, address, account.balance);
+      restore(this.nonces, address, account.nonce);
+      restore(this.stakes, address, account.bonded);
+      restore(this.unbonding, address, account.unbonding);
+      restore(this.locks, address, account.locks);
+    }
+    this.totalSupply = snapshot.totalSupply;
+    this.totalBurned = snapshot.totalBurned;
+    this.feePool = snapshot.feePool;
+  }
+
+  /**
+   * Get the penalties applied to a validator
+   * @param {string} address - Validator address
+   * @returns {Promise<Array>} Slash records, oldest first, with `amount` as a base-unit string
+   */
+  async getSlashes(address) {
+    const records = [];
+    for await (const record of this.db.values({ gt: `slash:${address}:`, lt: `slash:${address}:~` })) {
+      records.push(record);
+    }
+    return records;
+  }
+
+  /**
+   * Get an account's spendable balance, including locked amounts that have unlocked but are not yet released
+   * @param {string} address - Account address
+   * @param {Object} [options] - Balance options
+   * @param {boolean} [options.detailed=false] - Return a breakdown instead of the spendable balance
+   * @param {number} [options.now=Date.now()] - Time to work out unlocked amounts at
+   * @returns {bigint|{spendable: bigint, locked: bigint, bonded: bigint, unbonding: bigint}} Spendable balance,
+   *   or the breakdown, in base units
+   */
+  getBalance(address, { detailed = false, now = Date.now() } = {}) {
     if (!this.validateAddress(address)) {
       console.warn(`Invalid address format: ${address}`);
-      return 0;
+      return detailed ? { spendable: 0n, locked: 0n, bonded: 0n, unbonding: 0n } : 0n;
     }
-    return this.ledger.get(address) || 0;
+
+    let unlocked = 0n;
+    let locked = 0n;
+    for (const lock of this.locks.get(address) || []) {
+      const vested = this.getLockVested(lock, now);
+      unlocked += vested - lock.released;
+      locked += lock.amount - vested;
+    }
+    const spendable = this.getSettledBalance(address) + unlocked;
+    if (!detailed) {
+      return spendable;
+    }
+    return {
+      spendable,
+      locked,
+      bonded: this.getStake(address),
+      unbonding: this.getUnbonding(address).reduce((sum, entry) => sum + entry.amount, 0n)
+    };
+  }
+
+  /**
+   * Get the balance stored for an account, without locked amounts that have unlocked since the last release
+   * @private
+   * @param {string} address - Account address
+   * @returns {bigint} Settled balance in base units
+   */
+  getSettledBalance(address) {
+    return this.ledger.get(address) || 0n;
+  }
+
+  /**
+   * Get the part of a lock that has unlocked, never less than what was already released
+   * @private
+   * @param {Object} lock - Lock held for an account
+   * @param {number} now - Time to work out the unlocked amount at
+   * @returns {bigint} Unlocked amount in base units, released part included
+   */
+  getLockVested(lock, now) {
+    const vested = lock.schedule.getVested(lock.amount, now);
+    return vested > lock.released ? vested : lock.released;
   }
 
+  /**
+   * Get the locks held for an account and how far each has unlocked
+   * @param {string} address - Account address
+   * @param {number} [now=Date.now()] - Time to work out unlocked amounts at
+   * @returns {Array<Object>} Locks with `id`, `grantor`, `schedule` and `amount`, `released`, `unlocked` and `locked` in base units
+   */
+  getLocks(address, now = Date.now()) {
+    return (this.locks.get(address) || []).map(lock => {
+      const vested = this.getLockVested(lock, now);
+      return {
+        id: lock.id,
+        grantor: lock.grantor,
+        schedule: lock.schedule.toJSON(),
+        amount: lock.amount,
+        released: lock.released,
+        unlocked: vested - lock.released,
+        locked: lock.amount - vested
+      };
+    });
+  }
+
+  /**
+   * Get the nonce the next transaction from an account must use
+   * @param {string} address - Account address
+   * @returns {number} Next expected nonce
+   */
+  getNonce(address) {
+    return this.nonces.get(address) || 0;
+  }
+
+  /**
+   * Get the stake an account has bonded
+   * @param {string} address - Account address
+   * @returns {bigint} Bonded stake in base units
+   */
+  getStake(address) {
+    return this.stakes.get(address) || 0n;
+  }
+
+  /**
+   * Get stake that is unbonding and when each part becomes spendable
+   * @param {string} address - Account address
+   * @returns {Array<{amount: bigint, releaseAt: number}>} Unbonding entries, amounts in base units
+   */
+  getUnbonding(address) {
+    return this.unbonding.get(address) || [];
+  }
+
+  /**
+   * Get the number of tokens in existence, bonded, unbonding and locked amounts included
+   * @returns {bigint} Total supply in base units
+   */
   getTotalSupply() {
     return this.totalSupply;
   }
 
+  /**
+   * Get the number of tokens burned by fees and slashing; they are no longer part of the total supply
+   * @returns {bigint} Total burned in base units
+   */
+  getTotalBurned() {
+    return this.totalBurned;
+  }
+
+  /**
+   * Get the validator share of fees paid without a finalizing validator, waiting to be distributed
+   * @returns {bigint} Fee pool in base units
+   */
+  getFeePool() {
+    return this.feePool;
+  }
+
+  /**
+   * Get the number of history entries written so far; the next entry takes this sequence
+   * @returns {number} Entry count
+   */
+  getEntryCount() {
+    return this.entrySequence;
+  }
+
+  /**
+   * Get history entries by sequence
+   * @param {number} start - Sequence to start from, inclusive
+   * @param {number} [end] - Sequence to stop at, exclusive; defaults to the entry count
+   * @returns {Promise<Array<Object>>} Entries with amounts as base-unit strings
+   */
+  async getEntries(start, end = this.entrySequence) {
+    const entries = [];
+    if (end <= start) {
+      return entries;
+    }
+    const range = {
+      gte: `tx:${String(start).padStart(ENTRY_ID_LENGTH, '0')}`,
+      lt: `tx:${String(end).padStart(ENTRY_ID_LENGTH, '0')}`
+    };
+    for await (const entry of this.db.values(range)) {
+      entries.push(entry);
+    }
+    return entries;
+  }
+
+  /**
+   * Get every account's stored record, sorted by address, as the leaves of the state tree
+   * @returns {Array<Object>} Account records with their address
+   */
+  getStateLeaves() {
+    const addresses = new Set([
+      ...this.ledger.keys(), ...this.nonces.keys(), ...this.stakes.keys(), ...this.unbonding.keys(), ...this.locks.keys()
+    ]);
+    return Array.from(addresses).sort().map(address => ({ address, ...this.getAccountRecord(address) }));
+  }
+
+  /**
+   * Get the Merkle root of every account's balance, nonce, stake and locks
+   * @returns {string} Hex-encoded state root
+   */
+  getStateRoot() {
+    return computeMerkleRoot(this.getStateLeaves());
+  }
+
+  /**
+   * Get the ledger totals that are not held by any account record
+   * @returns {{total: string, burned: string, feePool: string}} Totals as base-unit strings
+   */
+  getSupplySnapshot() {
+    return {
+      total: this.totalSupply.toString(),
+      burned: this.totalBurned.toString(),
+      feePool: this.feePool.toString()
+    };
+  }
+
   getLastError() {
     return this.lastError;
   }
 
+  /**
+   * Run a ledger write once those queued before it have finished, whether or not they succeeded
+   *
+   * Code that rewrites the ledger from outside, such as a chain reorganization, runs through here too.
+   * @param {Function} task - Applies the write
+   * @returns {Promise<*>} Result of the task
+   */
+  enqueueTransaction(task) {
+    const result = this.transactionQueue.then(task);
+    this.transactionQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Check a signed transaction's fields, signature and nonce
+   * @private
+   * @param {Transaction} tx - Transaction to check
+   * @param {string} type - Transaction type the caller applies
+   * @returns {{amount: bigint, fee: bigint}} Amount and fee in base units
+   */
+  validateTransaction(tx, type) {
+    const { sender, recipient, nonce } = tx;
+    const amount = this.readBaseUnits(tx.amount);
+    const fee = this.readBaseUnits(tx.fee);
+    const label = `${type.charAt(0).toUpperCase()}${type.slice(1)}`;
+
+    if (tx.type !== type) {
+      throw new Error(`Expected a ${type} transaction, received ${tx.type}.`);
+    }
+
+    if (!this.validateAddress(sender) || !this.validateAddress(recipient)) {
+      throw new Error(`Invalid addresses provided for ${type}.`);
+    }
+
+    if ((type === Transaction.TYPES.STAKE || type === Transaction.TYPES.UNSTAKE) && recipient !== sender) {
+      throw new Error(`The recipient of a ${type} transaction must be the sender.`);
+    }
+
+    if (type === Transaction.TYPES.LOCK && !tx.schedule) {
+      throw new Error('A lock transaction must include an unlock schedule.');
+    }
+
+    if (!this.validateAmount(amount)) {
+      throw new Error(`${label} amount must be a positive number of base units.`);
+    }
+
+    if (!this.validateBalance(fee)) {
+      throw new Error(`${label} fee must be a non-negative number of base units.`);
+    }
+
+    const requiredFee = this.fees.getRequiredFee(tx);
+    if (fee < requiredFee) {
+      throw new Error(`${label} fee is below the required ${this.formatAmount(requiredFee)} ${this.tokenSymbol}.`);
+    }
+
+    if (tx.networkId !== this.networkId) {
+      throw new Error(`${label} is for network ${tx.networkId}, not ${this.networkId}.`);
+    }
+
+    if (!tx.verify(this.networkId)) {
+      if (tx.multisig && tx.countSignatures() < tx.multisig.threshold) {
+        throw new Error(`Multisig account ${sender} requires ${tx.multisig.threshold} signatures, received ${tx.countSignatures()}.`);
+      }
+      throw new Error(`Invalid transaction signature for account ${sender}.`);
+    }
+
+    const expectedNonce = this.getNonce(sender);
+    if (nonce !== expectedNonce) {
+      throw new Error(`Invalid nonce for account ${sender}. Expected: ${expectedNonce}, Received: ${nonce}`);
+    }
+
+    return { amount, fee };
+  }
+
+  /**
+   * Read an amount passed in base units, such as a transaction amount or fee
+   * @private
+   * @param {bigint|string} value - BigInt or integer string of base units
+   * @returns {bigint|null} Amount, or null if it is not a whole number of base units
+   */
+  readBaseUnits(value) {
+    try {
+      return toBaseUnits(value);
+    } catch (error) {
+      return null;
+    }
+  }
+
   validateAddress(address) {
     return typeof address === 'string' && address.length > 0;
   }
 
   validateAmount(amount) {
-    return Number.isFinite(amount) && amount >= MIN_TRANSFER_AMOUNT;
+    return typeof amount === 'bigint' && amount > 0n;
   }
 
   validateBalance(balance) {
-    return Number.isFinite(balance) && balance >= 0;
+    return typeof balance === 'bigint' && balance >= 0n;
   }
 
   /**
@@ -231,4 +1632,7 @@ class Tokenomics {
   }
 }
 
+Tokenomics.ENTRY_TYPES = ENTRY_TYPES;
+Tokenomics.BURN_ADDRESS = BURN_ADDRESS;
+
 module.exports = Tokenomics;
@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Signed token transactions for the SeirChain blockchain
+ * Builds the canonical payload a sender signs and verifies ownership of the sending account
+ */
+
+const Wallet = require('./Wallet');
+const LockSchedule = require('./LockSchedule');
+const Multisig = require('./Multisig');
+
+// Network used when neither the transaction nor the node names one
+const DEFAULT_NETWORK_ID = 'seirchain-default';
+
+const TRANSACTION_TYPES = Object.freeze({
+  TRANSFER: 'transfer',
+  STAKE: 'stake',
+  UNSTAKE: 'unstake',
+  LOCK: 'lock'
+});
+
+class Transaction {
+  /**
+   * Create a new Transaction instance
+   * @param {Object} fields - Transaction fields
+   * @param {string} [fields.type='transfer'] - `transfer`, `stake`, `unstake` or `lock`
+   * @param {string} [fields.networkId] - Network the transaction is valid on; defaults to NETWORK_ID
+   * @param {string} fields.sender - Address of the sending account
+   * @param {string} [fields.senderPublicKey] - Hex-encoded public key of the sender; omitted for multisig senders
+   * @param {string} fields.recipient - Address of the receiving account; the sender itself for stake and unstake
+   * @param {bigint|string} fields.amount - Amount to transfer in base units
+   * @param {number} fields.nonce - Sender account nonce this transaction consumes
+   * @param {bigint|string} [fields.fee='0'] - Fee paid by the sender in base units
+   * @param {LockSchedule|Object} [fields.schedule] - Unlock schedule of a `lock` transaction
+   * @param {Multisig|Object} [fields.multisig] - Definition of the multisig account sending the transaction
+   * @param {Object} [fields.signature] - Signature over the signing payload
+   * @param {Array<{publicKey: string, signature: Object}>} [fields.signatures] - Member signatures of a multisig transaction
+   */
+  constructor({ type = TRANSACTION_TYPES.TRANSFER, networkId = Transaction.getDefaultNetworkId(), sender,
+    senderPublicKey = null, recipient, amount, nonce, fee = '0', schedule = null, multisig = null, signature = null,
+    signatures = [] }) {
+    this.type = type;
+    this.networkId = networkId;
+    this.sender = sender;
+    this.senderPublicKey = senderPublicKey;
+    this.recipient = recipient;
+    // Amounts are signed and serialized as base-unit strings
+    this.amount = typeof amount === 'bigint' ? amount.toString() : amount;
+    this.nonce = nonce;
+    this.fee = typeof fee === 'bigint' ? fee.toString() : fee;
+    // Schedules are signed in their canonical `{start, cliff, end}` form
+    this.schedule = schedule ? LockSchedule.from(schedule).toJSON() : null;
+    // Multisig definitions are signed with their keys sorted
+    this.multisig = multisig ? Multisig.from(multisig).toJSON() : null;
+    this.signature = signature;
+    this.signatures = Array.isArray(signatures) ? signatures : [];
+  }
+
+  /**
+   * Get the network transactions and nodes use when none is configured
+   * @static
+   * @returns {string} NETWORK_ID from the environment, or the default network
+   */
+  static getDefaultNetworkId() {
+    return process.env.NETWORK_ID || DEFAULT_NETWORK_ID;
+  }
+
+  /**
+   * Create a transaction from a plain object or return an existing instance
+   * @static
+   * @param {Transaction|Object} data - Transaction data
+   * @returns {Transaction} Transaction instance
+   */
+  static from(data) {
+    if (data instanceof Transaction) {
+      return data;
+    }
+    if (!data || typeof data !== 'object') {
+      throw new Error('Transaction must be an object.');
+    }
+    return new Transaction(data);
+  }
+
+  /**
+   * Get the payload covered by the sender's signature
+   *
+   * The network ID is always signed, so a transaction cannot be replayed on another network.
+   * The schedule and multisig definition are only included when set.
+   * @returns {Object} Signing payload with a fixed key order
+   */
+  getSigningPayload() {
+    const payload = {
+      networkId: this.networkId,
+      type: this.type,
+      sender: this.sender,
+      senderPublicKey: this.senderPublicKey,
+      recipient: this.recipient,
+      amount: this.amount,
+      nonce: this.nonce,
+      fee: this.fee
+    };
+    if (this.schedule) {
+      payload.schedule = this.schedule;
+    }
+    if (this.multisig) {
+      payload.multisig = this.multisig;
+    }
+    return payload;
+  }
+
+  /**
+   * Sign the transaction with the sender's wallet
+   * @param {Wallet} wallet - Wallet holding the sender's private key
+   * @returns {Transaction} This transaction
+   * @throws {Error} If the wallet does not belong to the sender
+   */
+  sign(wallet) {
+    if (this.multisig) {
+      return this.addSignature(wallet);
+    }
+    if (wallet.getPublicKey() !== this.senderPublicKey) {
+      throw new Error('Wallet public key does not match transaction sender public key.');
+    }
+    this.signature = wallet.signData(this.getSigningPayload());
+    return this;
+  }
+
+  /**
+   * Add a member's signature to a multisig transaction
+   *
+   * Signing again with the same key replaces that member's earlier signature.
+   * @param {Wallet} wallet - Wallet of one of the multisig members
+   * @returns {Transaction} This transaction
+   * @throws {Error} If the transaction has no multisig sender or the wallet is not a member
+   */
+  addSignature(wallet) {
+    if (!this.multisig) {
+      throw new Error('Only multisig transactions collect member signatures.');
+    }
+    const publicKey = wallet.getPublicKey();
+    if (!Multisig.from(this.multisig).isMember(publicKey)) {
+      throw new Error('Wallet public key is not a member of the multisig account.');
+    }
+    this.signatures = [
+      ...this.signatures.filter(entry => entry.publicKey !== publicKey),
+      { publicKey, signature: wallet.signData(this.getSigningPayload()) }
+    ];
+    return this;
+  }
+
+  /**
+   * Count the valid member signatures of a multisig transaction
+   * @returns {number} Distinct members that signed; 0 for single-key transactions
+   */
+  countSignatures() {
+    return this.multisig ?
+      Multisig.from(this.multisig).countValidSignatures(this.getSigningPayload(), this.signatures) : 0;
+  }
+
+  /**
+   * Verify the signature and that the sender address belongs to the signing key
+   *
+   * A multisig sender must be the address of its definition, with at least the threshold of member signatures.
+   * @param {string} [networkId] - Network the transaction must be for; defaults to NETWORK_ID
+   * @returns {boolean} True if the transaction is for the network and authorized by the sender
+   */
+  verify(networkId = Transaction.getDefaultNetworkId()) {
+    if (this.networkId !== networkId) {
+      return false;
+    }
+    if (this.multisig) {
+      const multisig = Multisig.from(this.multisig);
+      return multisig.getAddress() === this.sender && multisig.verify(this.getSigningPayload(), this.signatures);
+    }
+    if (typeof this.senderPublicKey !== 'string' || !/^[0-9a-fA-F]+$/.test(this.senderPublicKey)) {
+      return false;
+    }
+    if (Wallet.deriveAddress(this.senderPublicKey) !== this.sender) {
+      return false;
+    }
+    return Wallet.verifySignature(this.getSigningPayload(), this.signature, this.senderPublicKey);
+  }
+
+  /**
+   * Serialize the transaction
+   * @returns {Object} Plain transaction object
+   */
+  toJSON() {
+    const json = {
+      ...this.getSigningPayload(),
+      signature: this.signature
+    };
+    if (this.multisig) {
+      json.signatures = this.signatures;
+    }
+    return json;
+  }
+}
+
+Transaction.TYPES = TRANSACTION_TYPES;
+
+module.exports = Transaction;
@@ -8,6 +8,11 @@ const { EventEmitter } = require('events');
 const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
+const Wallet = require('./Wallet');
+const SpatialIndex = require('./SpatialIndex');
+const ValidatorRegistry = require('./ValidatorRegistry');
+const ValidatorReputation = require('./ValidatorReputation');
+const LRUCache = require('../utils/LRUCache');
 const { createChildLogger } = require('../utils/logger');
 const ErrorHandler = require('../utils/errorHandler');
 
@@ -15,6 +20,14 @@ const ErrorHandler = require('../utils/errorHandler');
 const DEFAULT_DIMENSIONS = 3;
 const DEFAULT_COMPLEXITY = 4;
 const DEFAULT_CONSENSUS_THRESHOLD = 0.67;
+const CONNECTION_SCORE_WEIGHT = 0.3;
+const VOTE_TYPE = 'triad-vote';
+const PROPOSAL_TYPE = 'triad-proposal';
+const TRIAD_TYPE = 'triad';
+const DEFAULT_CACHE_SIZE = 1000;
+const DEFAULT_PAGE_SIZE = 50;
+const SEQUENCE_KEY_LENGTH = 16;
+const DEFAULT_MINIMUM_STAKE = 1;
 
 class TriadMatrix extends EventEmitter {
   /**
@@ -28,9 +41,20 @@ class TriadMatrix extends EventEmitter {
     this.dimensions = this.validateDimensions(options.dimensions);
     this.complexity = this.validateComplexity(options.complexity);
     this.consensusThreshold = this.validateConsensusThreshold(options.consensusThreshold);
-    this.matrix = [];
-    this.triads = new Map();
-    this.validators = new Set();
+    this.distanceWeighting = options.distanceWeighting === true;
+    this.slashingHook = typeof options.slashingHook === 'function' ? options.slashingHook : null;
+    this.stakeLookup = typeof options.stakeLookup === 'function' ? options.stakeLookup : null;
+    this.minimumStake = Number.isFinite(options.minimumStake) && options.minimumStake >= 0 ?
+      options.minimumStake : DEFAULT_MINIMUM_STAKE;
+    this.triadCache = new LRUCache(options.cacheSize || DEFAULT_CACHE_SIZE);
+    this.triadsCount = 0;
+    this.validatedTriadsCount = 0;
+    this.tips = new Map();
+    this.initPromise = null;
+    // Votes are applied one at a time, so a vote never overwrites consensus counted without another
+    this.voteQueue = Promise.resolve();
+    this.resetLattice();
+    this.lastPlacementProbes = 0;
     this.isInitialized = false;
     this.dbPath = dbPath;
     this.lastError = null;
@@ -43,6 +67,8 @@ class TriadMatrix extends EventEmitter {
       createIfMissing: true,
       errorIfExists: false
     });
+    this.registry = new ValidatorRegistry(this.db);
+    this.reputation = new ValidatorReputation(this.db);
 
     // Initialize the matrix
     this.init().catch(err => {
@@ -73,64 +99,86 @@ class TriadMatrix extends EventEmitter {
       this.logger.debug('Matrix already initialized, skipping initialization');
       return;
     }
-    
-    try {
-    // this.logger.info('Initializing TriadMatrix...');
-    await this.loadMatrixState();
-    this.isInitialized = true;
-    const state = this.getMatrixState();
-    // this.logger.info('Matrix initialized successfully', {
-    //   triadsCount: state.triadsCount,
-    //   validatorsCount: state.validators.length
-    // });
-    this.emit('initialized', state);
-  } catch (error) {
-    this.lastError = error.message;
-    // this.logger.error('Failed to initialize matrix', {
-    //   error: error.message,
-    //   stack: error.stack
-    // });
-    this.emit('error', error);
-    throw error;
+
+    // Concurrent callers share one load of the database
+    if (!this.initPromise) {
+      this.initPromise = this.initialize();
+    }
+    return this.initPromise;
   }
+
+  /**
+   * Load state and mark the matrix initialized
+   * @private
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    try {
+      // this.logger.info('Initializing TriadMatrix...');
+      await this.loadMatrixState();
+      this.isInitialized = true;
+      const state = this.getMatrixState();
+      // this.logger.info('Matrix initialized successfully', {
+      //   triadsCount: state.triadsCount,
+      //   validatorsCount: state.validators.length
+      // });
+      this.emit('initialized', state);
+    } catch (error) {
+      this.lastError = error.message;
+      // this.logger.error('Failed to initialize matrix', {
+      //   error: error.message,
+      //   stack: error.stack
+      // });
+      this.emit('error', error);
+      throw error;
+    }
   }
 
   /**
    * Create a new triad in the matrix
    * @param {Object|string} data - Triad data
    * @param {string} validator - Validator ID
+   * @param {Object} [options] - Creation options
+   * @param {Wallet} [options.wallet] - Wallet of the validator, to sign the triad so other nodes accept it
    * @returns {Promise<Object>} Created triad
    */
-  async createTriad(data, validator) {
+  async createTriad(data, validator, { wallet = null } = {}) {
     try {
       this.validateInitialization();
       this.validateTriadData(data);
       this.validateValidator(validator);
+      if (wallet && wallet.getAddress() !== validator) {
+        throw new Error('Wallet does not belong to the triad validator');
+      }
 
       // this.logger.debug('Creating new triad', { validator });
 
+      const parents = Array.from(this.tips.keys()).sort();
+
       const triad = {
-        id: this.generateTriadId(),
+        id: null,
         data,
         validator,
         timestamp: Date.now(),
-        position: this.calculateOptimalPosition(),
+        parents,
+        height: this.getHeight(),
+        sequence: this.triadsCount,
+        position: null,
         connections: [],
         validated: false,
         consensus: 0,
-        validationAttempts: 0
+        validationAttempts: 0,
+        publicKey: null,
+        signature: null
       };
-
-      // Use batch operations for atomic updates
-      const batch = [
-        { type: 'put', key: `triad:${triad.id}`, value: triad }
-      ];
-
-      this.matrix.push(triad);
-      this.triads.set(triad.id, triad);
-      
-      await this.db.batch(batch);
-      await this.saveMatrixState();
+      triad.id = this.computeTriadHash(triad);
+      if (wallet) {
+        triad.publicKey = wallet.getPublicKey();
+        triad.signature = wallet.signData(TriadMatrix.createTriadPayload(triad.id));
+      }
+      await this.insertTriad(triad, [
+        { type: 'put', key: `pending:${this.formatSequence(triad.sequence)}`, value: triad.id }
+      ]);
 
       // this.logger.info('Triad created successfully', {
       //   triadId: triad.id,
@@ -153,142 +201,635 @@ class TriadMatrix extends EventEmitter {
   }
 
   /**
-   * Validate a triad
+   * Create a triad from a proposal taken from the mempool
+   *
+   * The validator creating it signs it and is recorded as its validator, since the proposer's signature
+   * cannot cover the parents picked here; the proposer must still be an active validator.
+   * @param {Object} proposal - Proposal from {@link TriadMatrix.signProposal}
+   * @param {Object} options - Creation options
+   * @param {Wallet} options.wallet - Wallet of the validator creating the triad
+   * @returns {Promise<Object>} Created triad
+   */
+  async createProposedTriad(proposal, { wallet } = {}) {
+    if (!wallet) {
+      throw new Error('A wallet is required to sign a proposed triad');
+    }
+    if (!TriadMatrix.verifyProposal(proposal)) {
+      throw new Error('Invalid triad proposal signature');
+    }
+    if (!this.isEligible(proposal.validator)) {
+      throw new Error(`Proposer ${proposal.validator} is not an active validator`);
+    }
+    return this.createTriad(proposal.data, wallet.getAddress(), { wallet });
+  }
+
+  /**
+   * Place a new triad in the matrix, connect it to its neighbours and store it
+   * @private
+   * @param {Object} triad - Triad with its ID and sequence set
+   * @param {Array} [operations] - Additional batch operations to apply atomically
+   * @returns {Promise<void>}
+   */
+  async insertTriad(triad, operations = []) {
+    triad.position = this.calculateOptimalPosition(triad.id);
+
+    // Find the triads already within reach before this one is indexed
+    const neighborIds = this.findTriadsInRange(triad.position, triad.id);
+
+    this.triadsCount += 1;
+    // The new triad links to its parents, so they stop being tips
+    triad.parents.forEach(parent => this.tips.delete(parent));
+    this.tips.set(triad.id, triad.height);
+    this.indexTriad(triad);
+    this.triadCache.set(triad.id, triad);
+
+    // Connect both ways to the neighbours
+    const neighbors = await Promise.all(neighborIds.map(id => this.getTriadById(id)));
+    triad.connections = neighbors.map(neighbor => neighbor.id);
+    const updatedNeighbors = neighbors.map(neighbor => ({
+      ...neighbor,
+      connections: [...(neighbor.connections || []), triad.id]
+    }));
+
+    // Use batch operations for atomic updates
+    const batch = [
+      { type: 'put', key: `triad:${triad.id}`, value: triad },
+      { type: 'put', key: `seq:${this.formatSequence(triad.sequence)}`, value: triad.id },
+      ...operations,
+      ...updatedNeighbors.map(neighbor => ({ type: 'put', key: `triad:${neighbor.id}`, value: neighbor }))
+    ];
+
+    await this.db.batch(batch);
+    updatedNeighbors.forEach(neighbor => this.updateCachedTriad(neighbor));
+    await this.saveMatrixState();
+  }
+
+  /**
+   * Undo the finalization of every triad validated at or after an index, when a chain reorganization
+   * discards them; they return to pending with their votes cleared so they can be voted on again
+   *
+   * Reputation earned for those votes is kept.
+   * @param {number} index - Finalization index to roll back to
+   * @returns {Promise<Array<string>>} IDs of the triads returned to pending
+   */
+  async rollbackFinalized(index) {
+    this.validateInitialization();
+
+    const triadIds = await this.getFinalizedTriadIds(index);
+    const batch = [];
+    const triads = [];
+    for (let i = 0; i < triadIds.length; i++) {
+      const triad = { ...await this.getTriadById(triadIds[i]), validated: false, consensus: 0 };
+      triads.push(triad);
+      batch.push({ type: 'del', key: `final:${this.formatSequence(index + i)}` });
+      batch.push({ type: 'put', key: `triad:${triad.id}`, value: triad });
+      if (Number.isInteger(triad.sequence)) {
+        batch.push({ type: 'put', key: `pending:${this.formatSequence(triad.sequence)}`, value: triad.id });
+      }
+      for await (const key of this.db.keys({ gt: `vote:${triad.id}:`, lt: `vote:${triad.id}:~` })) {
+        batch.push({ type: 'del', key });
+      }
+    }
+
+    await this.db.batch(batch);
+    triads.forEach(triad => this.updateCachedTriad(triad));
+    this.validatedTriadsCount = Math.min(this.validatedTriadsCount, index);
+    await this.saveMatrixState();
+    return triadIds;
+  }
+
+  /**
+   * Record triads finalized on another node, in their finalization order, creating those not yet known here
+   * @param {Array<Object>} triads - Finalized triads as stored by the other node
+   * @returns {Promise<void>}
+   */
+  async importFinalizedTriads(triads) {
+    this.validateInitialization();
+
+    for (const remote of triads) {
+      this.validateFinalizedTriad(remote);
+      const finalKey = { type: 'put', key: `final:${this.formatSequence(this.validatedTriadsCount)}`, value: remote.id };
+      const [stored] = await this.db.getMany([`triad:${remote.id}`]);
+
+      if (stored) {
+        if (stored.validated) {
+          throw new Error(`Triad ${remote.id} is already finalized`);
+        }
+        const triad = { ...stored, validated: true, consensus: remote.consensus };
+        const batch = [{ type: 'put', key: `triad:${triad.id}`, value: triad }, finalKey];
+        if (Number.isInteger(triad.sequence)) {
+          batch.push({ type: 'del', key: `pending:${this.formatSequence(triad.sequence)}` });
+        }
+        await this.db.batch(batch);
+        this.updateCachedTriad(triad);
+      } else {
+        await this.insertTriad({
+          id: remote.id,
+          data: remote.data,
+          validator: remote.validator,
+          timestamp: remote.timestamp,
+          parents: remote.parents,
+          height: remote.height,
+          sequence: this.triadsCount,
+          position: null,
+          connections: [],
+          validated: true,
+          consensus: remote.consensus,
+          validationAttempts: remote.validationAttempts,
+          publicKey: remote.publicKey || null,
+          signature: remote.signature || null
+        }, [finalKey]);
+      }
+      this.validatedTriadsCount += 1;
+    }
+    await this.saveMatrixState();
+  }
+
+  /**
+   * Check, without writing anything, that triads finalized on another node can be imported once the
+   * triads finalized here from an index on are rolled back
+   * @param {Array<Object>} triads - Finalized triads as stored by the other node, in finalization order
+   * @param {number} index - Finalization index the local triads would be rolled back to
+   * @returns {Promise<void>}
+   * @throws {Error} If a triad does not match its hash, has invalid data, appears twice or stays finalized here
+   */
+  async validateFinalizedImport(triads, index) {
+    this.validateInitialization();
+
+    const seen = new Set();
+    for (const remote of triads) {
+      this.validateFinalizedTriad(remote);
+      if (seen.has(remote.id)) {
+        throw new Error(`Triad ${remote.id} is already finalized`);
+      }
+      seen.add(remote.id);
+    }
+
+    const rolledBack = new Set(await this.getFinalizedTriadIds(index));
+    const stored = await this.db.getMany(triads.map(remote => `triad:${remote.id}`));
+    for (const triad of stored) {
+      if (triad && triad.validated && !rolledBack.has(triad.id)) {
+        throw new Error(`Triad ${triad.id} is already finalized`);
+      }
+    }
+  }
+
+  /**
+   * Build the payload a validator signs to vote on a triad
+   * @static
+   * @param {string} triadId - ID of the triad being voted on
+   * @param {string} validatorId - Address of the voting validator
+   * @param {boolean} [approve=true] - Whether the validator approves the triad
+   * @returns {Object} Vote payload with a fixed key order
+   */
+  static createVotePayload(triadId, validatorId, approve = true) {
+    return {
+      type: VOTE_TYPE,
+      triadId,
+      validator: validatorId,
+      approve
+    };
+  }
+
+  /**
+   * Build the payload a validator signs when creating a triad
+   * @static
+   * @param {string} triadId - Triad hash, which covers its data, validator, timestamp and parents
+   * @returns {Object} Triad payload with a fixed key order
+   */
+  static createTriadPayload(triadId) {
+    return {
+      type: TRIAD_TYPE,
+      triadId
+    };
+  }
+
+  /**
+   * Create a signed vote for a triad
+   * @static
+   * @param {Wallet} wallet - Validator wallet
+   * @param {string} triadId - ID of the triad being voted on
+   * @param {boolean} [approve=true] - Whether the validator approves the triad
+   * @returns {Object} Signed vote
+   */
+  static signVote(wallet, triadId, approve = true) {
+    const payload = TriadMatrix.createVotePayload(triadId, wallet.getAddress(), approve);
+    return {
+      triadId,
+      validator: payload.validator,
+      approve,
+      publicKey: wallet.getPublicKey(),
+      signature: wallet.signData(payload)
+    };
+  }
+
+  /**
+   * Create a signed proposal for a triad, to be created by a validator once it leaves the mempool
+   * @static
+   * @param {Wallet} wallet - Wallet of the proposer, which must be an active validator
+   * @param {Object|string} data - Triad data
+   * @returns {Object} Signed proposal
+   */
+  static signProposal(wallet, data) {
+    const payload = {
+      type: PROPOSAL_TYPE,
+      data,
+      validator: wallet.getAddress(),
+      timestamp: Date.now()
+    };
+    return {
+      ...payload,
+      publicKey: wallet.getPublicKey(),
+      signature: wallet.signData(payload)
+    };
+  }
+
+  /**
+   * Check that a triad proposal was signed by the validator it names
+   * @static
+   * @param {Object} proposal - Proposal from {@link TriadMatrix.signProposal}
+   * @returns {boolean} True if the signature is valid
+   */
+  static verifyProposal(proposal) {
+    if (!proposal || typeof proposal !== 'object' || proposal.type !== PROPOSAL_TYPE) {
+      return false;
+    }
+    if (typeof proposal.publicKey !== 'string' || Wallet.deriveAddress(proposal.publicKey) !== proposal.validator) {
+      return false;
+    }
+    const { type, data, validator, timestamp } = proposal;
+    return Wallet.verifySignature({ type, data, validator, timestamp }, proposal.signature, proposal.publicKey);
+  }
+
+  /**
+   * Add a pending triad created on another node, so local validators can vote on it
+   *
+   * The triad must be signed by the active validator that created it and link only to triads known here;
+   * its height follows from those parents.
+   * @param {Object} remote - Triad as created by the other node
+   * @param {string} remote.id - Triad hash
+   * @param {Object|string} remote.data - Triad data
+   * @param {string} remote.validator - Validator that created it
+   * @param {number} remote.timestamp - Creation time
+   * @param {Array<string>} remote.parents - IDs of the tips it links to
+   * @param {string} remote.publicKey - Public key of the validator
+   * @param {string} remote.signature - Validator signature over {@link TriadMatrix.createTriadPayload}
+   * @returns {Promise<Object|null>} Stored triad, or null if it was already known
+   */
+  async importTriad(remote) {
+    try {
+      this.validateInitialization();
+      if (!remote || !Array.isArray(remote.parents) || this.computeTriadHash(remote) !== remote.id) {
+        throw new Error(`Triad ${remote && remote.id} does not match its hash`);
+      }
+      const [stored] = await this.db.getMany([`triad:${remote.id}`]);
+      if (stored) {
+        return null;
+      }
+      this.validateTriadData(remote.data);
+      this.validateTriadSignature(remote);
+
+      const parents = await this.db.getMany(remote.parents.map(parent => `triad:${parent}`));
+      const missing = remote.parents.filter((parent, index) => !parents[index]);
+      if (missing.length > 0) {
+        throw new Error(`Unknown parent triads: ${missing.join(', ')}`);
+      }
+
+      const triad = {
+        id: remote.id,
+        data: remote.data,
+        validator: remote.validator,
+        timestamp: remote.timestamp,
+        parents: remote.parents,
+        height: parents.length > 0 ? Math.max(...parents.map(parent => parent.height)) + 1 : 0,
+        sequence: this.triadsCount,
+        position: null,
+        connections: [],
+        validated: false,
+        consensus: 0,
+        validationAttempts: 0,
+        publicKey: remote.publicKey,
+        signature: remote.signature
+      };
+      await this.insertTriad(triad, [
+        { type: 'put', key: `pending:${this.formatSequence(triad.sequence)}`, value: triad.id }
+      ]);
+
+      this.emit('triadReceived', triad);
+      return triad;
+    } catch (error) {
+      this.lastError = error.message;
+      throw new Error(`Failed to import triad: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a validator's signed vote on a triad and update its consensus
+   * @param {string} triadId - ID of the triad to validate
+   * @param {Object} vote - Signed vote from {@link TriadMatrix.signVote}
+   * @returns {Promise<Object>} Updated triad
+   */
+  async validateTriad(triadId, vote) {
+    const result = this.voteQueue.then(() => this.applyVote(triadId, vote));
+    this.voteQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Record a vote once the votes before it are applied
+   * @private
    * @param {string} triadId - ID of the triad to validate
-   * @param {string} validatorId - ID of the validator
+   * @param {Object} vote - Signed vote from {@link TriadMatrix.signVote}
    * @returns {Promise<Object>} Updated triad
    */
-  async validateTriad(triadId, validatorId) {
+  async applyVote(triadId, vote) {
     try {
       this.validateInitialization();
-      
-      // this.logger.debug('Starting triad validation', {
-      //   triadId,
-      //   validatorId
-      // });
 
       const triad = await this.getTriadById(triadId);
-      this.validateValidator(validatorId);
+      this.validateVote(triadId, vote);
+
+      const voteRecord = {
+        triadId,
+        validator: vote.validator,
+        approve: vote.approve !== false,
+        publicKey: vote.publicKey,
+        signature: vote.signature,
+        timestamp: Date.now()
+      };
+
+      // Each validator's vote is stored once; signing the opposite vote is equivocation
+      const votes = await this.getVotes(triadId);
+      const previousVote = votes.find(v => v.validator === vote.validator);
+      if (previousVote) {
+        if (previousVote.approve !== voteRecord.approve) {
+          await this.handleEquivocation(triad, previousVote, voteRecord);
+        }
+        return triad;
+      }
 
       if (triad.validated) {
-        // this.logger.debug('Triad already validated', { triadId });
         return triad;
       }
+      votes.push(voteRecord);
 
-      const previousConsensus = triad.consensus;
-      const consensusScore = await this.calculateConsensus(triad, validatorId);
+      const consensusScore = await this.calculateConsensus(triad, votes);
       triad.consensus = consensusScore;
       triad.validationAttempts += 1;
 
-      const batch = [];
+      // Use batch operation for atomic update
+      const batch = [
+        { type: 'put', key: `vote:${triadId}:${vote.validator}`, value: voteRecord },
+        { type: 'put', key: `triad:${triadId}`, value: triad }
+      ];
+
+      let reputationUpdate = null;
       if (consensusScore >= this.consensusThreshold) {
         triad.validated = true;
-        // this.logger.info('Triad reached consensus threshold', {
-        //   triadId,
-        //   consensusScore,
-        //   threshold: this.consensusThreshold,
-        //   attempts: triad.validationAttempts
-        // });
-      } else {
-        // this.logger.debug('Consensus threshold not yet reached', {
-        //   triadId,
-        //   currentConsensus: consensusScore,
-        //   previousConsensus,
-        //   threshold: this.consensusThreshold,
-        //   attempts: triad.validationAttempts
-        // });
+        if (Number.isInteger(triad.sequence)) {
+          batch.push({ type: 'del', key: `pending:${this.formatSequence(triad.sequence)}` });
+        }
+        // Index triads in the order they finalize so epochs can gather them
+        batch.push({ type: 'put', key: `final:${this.formatSequence(this.validatedTriadsCount)}`, value: triadId });
+        reputationUpdate = this.reputation.prepare(this.getVoteOutcomes(triad, votes));
+        batch.push(...reputationUpdate.operations);
       }
 
-      // Use batch operation for atomic update
-      batch.push({
-        type: 'put',
-        key: `triad:${triadId}`,
-        value: triad
-      });
-
       await this.db.batch(batch);
-      this.emit('triadValidated', triad);
+      if (reputationUpdate) {
+        this.reputation.apply(reputationUpdate.records);
+      }
+      this.updateCachedTriad(triad);
+      if (triad.validated) {
+        this.validatedTriadsCount += 1;
+        await this.saveMatrixState();
+      }
+      this.emit('triadValidated', triad, vote);
 
       return triad;
     } catch (error) {
       this.lastError = error.message;
-      // this.logger.error('Failed to validate triad', {
-      //   error: error.message,
-      //   triadId,
-      //   validatorId,
-      //   stack: error.stack
-      // });
       ErrorHandler.handleError(error, 'Triad validation');
       throw new Error(`Failed to validate triad: ${error.message}`);
     }
   }
 
+  /**
+   * Work out how each validator in a finalized triad's electorate voted
+   * @private
+   * @param {Object} triad - Finalized triad
+   * @param {Array} votes - Votes recorded for the triad
+   * @returns {Array<{validator: string, event: string}>} Reputation outcomes
+   */
+  getVoteOutcomes(triad, votes) {
+    const { CORRECT, INCORRECT, MISSED } = ValidatorReputation.EVENTS;
+    const byValidator = new Map(votes.map(v => [v.validator, v]));
+
+    return this.getElectorate(triad)
+      .map(validator => {
+        const vote = byValidator.get(validator);
+        if (!vote) {
+          return { validator, event: MISSED };
+        }
+        return { validator, event: vote.approve ? CORRECT : INCORRECT };
+      });
+  }
+
+  /**
+   * Record proof that a validator signed conflicting votes, jail it and hand it to the slashing hook
+   * @private
+   * @param {Object} triad - Triad that received both votes
+   * @param {Object} previousVote - Vote already stored for the validator
+   * @param {Object} conflictingVote - New vote with the opposite decision
+   * @returns {Promise<Object>} Equivocation evidence
+   */
+  async handleEquivocation(triad, previousVote, conflictingVote) {
+    const validator = conflictingVote.validator;
+    const evidence = {
+      triadId: triad.id,
+      validator,
+      votes: [previousVote, conflictingVote],
+      height: this.getHeight(),
+      detectedAt: Date.now()
+    };
+
+    const reputationUpdate = this.reputation.prepare([
+      { validator, event: ValidatorReputation.EVENTS.EQUIVOCATION }
+    ]);
+    await this.db.batch([
+      { type: 'put', key: `equivocation:${triad.id}:${validator}`, value: evidence },
+      ...reputationUpdate.operations
+    ]);
+    this.reputation.apply(reputationUpdate.records);
+
+    await this.registry.jail(validator, {
+      height: evidence.height,
+      reason: `Conflicting votes on triad ${triad.id}`
+    });
+
+    this.logger.warn('Validator equivocation detected', { validator, triadId: triad.id });
+    this.emit('equivocation', evidence);
+
+    if (this.slashingHook) {
+      try {
+        await this.slashingHook(validator, evidence);
+      } catch (error) {
+        this.lastError = error.message;
+        ErrorHandler.handleError(error, 'Validator slashing');
+      }
+    }
+
+    return evidence;
+  }
+
+  /**
+   * Get recorded equivocation evidence, optionally for one validator
+   * @param {string} [validatorId] - Validator address
+   * @returns {Promise<Array>} Evidence records
+   */
+  async getEquivocations(validatorId) {
+    const evidence = [];
+    for await (const record of this.db.values({ gt: 'equivocation:', lt: 'equivocation:~' })) {
+      if (!validatorId || record.validator === validatorId) {
+        evidence.push(record);
+      }
+    }
+    return evidence;
+  }
+
+  /**
+   * Get all votes recorded for a triad
+   * @param {string} triadId - ID of the triad
+   * @returns {Promise<Array>} Stored vote records
+   */
+  async getVotes(triadId) {
+    const votes = [];
+    for await (const value of this.db.values({ gt: `vote:${triadId}:`, lt: `vote:${triadId}:~` })) {
+      votes.push(value);
+    }
+    return votes;
+  }
+
   /**
    * Calculate consensus score for a triad
    * @private
    * @param {Object} triad - Triad to calculate consensus for
-   * @param {string} currentValidatorId - Current validator's ID
-   * @returns {Promise<number>} Consensus score
+   * @param {Array} votes - Votes recorded for the triad
+   * @returns {Promise<number>} Fraction of the validator set weight that approved the triad
    */
-  async calculateConsensus(triad, currentValidatorId) {
-    try {
-      // this.logger.debug('Calculating consensus', {
-      //   triadId: triad.id,
-      //   validatorId: currentValidatorId
-      // });
+  async calculateConsensus(triad, votes) {
+    const electorate = this.getElectorate(triad);
+    if (electorate.length === 0) {
+      return 0;
+    }
 
-      if (!this.validators.has(currentValidatorId)) {
-        // this.logger.warn('Invalid validator attempting consensus calculation', {
-        //   validatorId: currentValidatorId,
-        //   triadId: triad.id
-        // });
-        return 0;
+    const totalWeight = electorate.reduce((sum, v) => sum + this.getVoteWeight(v), 0);
+    const approvingWeight = votes
+      .filter(v => v.approve && electorate.includes(v.validator))
+      .reduce((sum, v) => sum + this.getVoteWeight(v.validator), 0);
+
+    let consensusScore = totalWeight > 0 ? approvingWeight / totalWeight : 0;
+
+    // Optionally scale the quorum by how well the triad is anchored to its neighbours
+    if (this.distanceWeighting) {
+      const connections = await this.getTriadConnections(triad);
+      if (connections.length > 0) {
+        const connectionScore = connections.reduce((sum, conn) => {
+          const score = this.calculateConnectionScore(triad, conn);
+          return sum + (conn.validated ? score : 0.5 * score);
+        }, 0) / connections.length;
+        consensusScore *= (1 - CONNECTION_SCORE_WEIGHT) + connectionScore * CONNECTION_SCORE_WEIGHT;
       }
+    }
 
-      // Base validation score for registered validators
-      let consensusScore = 0.7;  // Start with 70% consensus for registered validators
+    return Math.min(1, consensusScore);
+  }
 
-      // Additional score based on connections
-      const connections = this.getTriadConnections(triad);
-      // this.logger.debug('Found connected triads', {
-      //   triadId: triad.id,
-      //   connectionCount: connections.length
-      // });
+  /**
+   * Get the weight of a validator's vote
+   * @private
+   * @param {string} validatorId - Validator address
+   * @returns {number} Vote weight
+   */
+  getVoteWeight(validatorId) {
+    const reputationWeight = this.reputation.getVoteWeight(validatorId);
+    return this.stakeLookup ? reputationWeight * this.getBondedStake(validatorId) : reputationWeight;
+  }
 
-      if (connections.length > 0) {
-        const validationScores = connections.map(conn => {
-          const score = conn.validated ? 
-            this.calculateConnectionScore(triad, conn) : 
-            0.5 * this.calculateConnectionScore(triad, conn);
-          
-          return {
-            connectedTriadId: conn.id,
-            validated: conn.validated,
-            score
-          };
-        });
+  /**
+   * Get the validators whose votes count towards a triad
+   * @private
+   * @param {Object} triad - Triad being voted on
+   * @returns {Array<string>} Addresses of eligible validators other than the creator
+   */
+  getElectorate(triad) {
+    // The creator's own vote does not count towards its triad
+    return this.registry.getActiveValidators()
+      .filter(v => v !== triad.validator && this.hasMinimumStake(v));
+  }
 
-        const connectionScore = validationScores.reduce((a, b) => a + b.score, 0) / validationScores.length;
-        consensusScore += connectionScore * 0.3;  // Connection score can add up to 30%
+  /**
+   * Check whether a validator is active and has bonded enough stake to vote
+   * @param {string} validatorId - Validator address
+   * @returns {boolean} True if the validator may vote
+   */
+  isEligible(validatorId) {
+    return this.registry.isActive(validatorId) && this.hasMinimumStake(validatorId);
+  }
 
-        // this.logger.debug('Calculated connection scores', {
-        //   triadId: triad.id,
-        //   validationScores,
-        //   connectionScore,
-        //   finalConsensusScore: Math.min(1, consensusScore)
-        // });
-      }
+  /**
+   * Get a validator's bonded stake from the stake lookup
+   * @private
+   * @param {string} validatorId - Validator address
+   * @returns {number} Bonded stake, or 0 without a stake lookup
+   */
+  getBondedStake(validatorId) {
+    if (!this.stakeLookup) {
+      return 0;
+    }
+    const stake = this.stakeLookup(validatorId);
+    return Number.isFinite(stake) && stake > 0 ? stake : 0;
+  }
 
-      return Math.min(1, consensusScore);
-    } catch (error) {
-      // this.logger.error('Error calculating consensus', {
-      //   error: error.message,
-      //   triadId: triad.id,
-      //   validatorId: currentValidatorId,
-      //   stack: error.stack
-      // });
-      throw error;
+  /**
+   * Check a validator's bonded stake against the minimum; always true without a stake lookup
+   * @private
+   * @param {string} validatorId - Validator address
+   * @returns {boolean} True if the validator has bonded enough stake
+   */
+  hasMinimumStake(validatorId) {
+    return !this.stakeLookup || this.getBondedStake(validatorId) >= this.minimumStake;
+  }
+
+  /**
+   * Set the function that returns a validator's bonded stake
+   * @param {Function|null} lookup - Function `(validatorId) => number`
+   */
+  setStakeLookup(lookup) {
+    if (lookup !== null && typeof lookup !== 'function') {
+      throw new Error('Stake lookup must be a function');
+    }
+    this.stakeLookup = lookup;
+  }
+
+  /**
+   * Get a validator's reputation
+   * @param {string} validatorId - Validator address
+   * @returns {Object} Score and vote history counts
+   */
+  getValidatorReputation(validatorId) {
+    return this.reputation.get(validatorId);
+  }
+
+  /**
+   * Set the function called with a validator and the evidence when it is caught equivocating
+   * @param {Function|null} hook - Async function `(validatorId, evidence) => Promise`
+   */
+  setSlashingHook(hook) {
+    if (hook !== null && typeof hook !== 'function') {
+      throw new Error('Slashing hook must be a function');
     }
+    this.slashingHook = hook;
   }
 
   /**
@@ -306,6 +847,11 @@ class TriadMatrix extends EventEmitter {
         throw new Error('Invalid triad ID provided');
       }
 
+      const cached = this.triadCache.get(triadId);
+      if (cached) {
+        return cached;
+      }
+
       const triad = await this.db.get(`triad:${triadId}`);
       
       if (!triad) {
@@ -320,6 +866,7 @@ class TriadMatrix extends EventEmitter {
       //   validationAttempts: triad.validationAttempts
       // });
 
+      this.triadCache.set(triadId, triad);
       return triad;
     } catch (error) {
       if (error.notFound) {
@@ -336,6 +883,124 @@ class TriadMatrix extends EventEmitter {
     }
   }
 
+  /**
+   * Iterate over stored triads in creation order without loading them all
+   * @param {Object} [options] - Range options
+   * @param {number} [options.from=0] - First sequence number to include
+   * @param {number} [options.to] - Sequence number to stop before
+   * @param {number} [options.limit] - Maximum number of triads to yield
+   * @param {boolean} [options.reverse=false] - Iterate from the newest triad
+   * @yields {Object} Triads
+   */
+  async *iterateTriads({ from = 0, to, limit, reverse = false } = {}) {
+    const range = {
+      gte: `seq:${this.formatSequence(from)}`,
+      lt: to !== undefined ? `seq:${this.formatSequence(to)}` : 'seq:~',
+      reverse
+    };
+    if (limit !== undefined) {
+      range.limit = limit;
+    }
+
+    for await (const triadId of this.db.values(range)) {
+      yield await this.getTriadById(triadId);
+    }
+  }
+
+  /**
+   * Get one page of triads in creation order
+   * @param {Object} [options] - Page options
+   * @param {number} [options.cursor] - Sequence number to start from, as returned in `nextCursor`
+   * @param {number} [options.limit] - Page size
+   * @param {boolean} [options.reverse=false] - Page from the newest triad backwards
+   * @returns {Promise<{triads: Array, nextCursor: number|null}>} Page of triads
+   */
+  async getTriadsPage({ cursor, limit = DEFAULT_PAGE_SIZE, reverse = false } = {}) {
+    this.validateInitialization();
+
+    const pageSize = Math.max(1, Math.min(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, this.triadCache.maxSize));
+    const range = reverse ?
+      { from: 0, to: cursor !== undefined ? cursor + 1 : undefined, reverse: true } :
+      { from: cursor !== undefined ? cursor : 0 };
+
+    const triads = [];
+    for await (const triad of this.iterateTriads({ ...range, limit: pageSize + 1 })) {
+      triads.push(triad);
+    }
+
+    const next = triads.length > pageSize ? triads.pop() : null;
+    return {
+      triads,
+      nextCursor: next ? next.sequence : null
+    };
+  }
+
+  /**
+   * Get the most recently created triads
+   * @param {number} [limit] - Number of triads to return
+   * @returns {Promise<Array>} Triads, newest first
+   */
+  async getRecentTriads(limit = DEFAULT_PAGE_SIZE) {
+    const { triads } = await this.getTriadsPage({ limit, reverse: true });
+    return triads;
+  }
+
+  /**
+   * Get triads that have not been validated yet, oldest first
+   * @param {Object} [options] - Query options
+   * @param {number} [options.limit] - Maximum number of triads to return
+   * @param {string} [options.excludeValidator] - Leave out triads created by this validator
+   * @returns {Promise<Array>} Pending triads
+   */
+  async getPendingTriads({ limit = DEFAULT_PAGE_SIZE, excludeValidator } = {}) {
+    this.validateInitialization();
+
+    const pending = [];
+    for await (const triadId of this.db.values({ gt: 'pending:', lt: 'pending:~' })) {
+      const triad = await this.getTriadById(triadId);
+      if (triad.validated || triad.validator === excludeValidator) continue;
+      pending.push(triad);
+      if (pending.length >= limit) break;
+    }
+    return pending;
+  }
+
+  /**
+   * Get the IDs of triads in the order they were validated
+   * @param {number} start - Finalization index to start from, inclusive
+   * @param {number} [end] - Finalization index to stop at, exclusive; defaults to the validated count
+   * @returns {Promise<Array<string>>} Triad IDs
+   */
+  async getFinalizedTriadIds(start, end = this.validatedTriadsCount) {
+    this.validateInitialization();
+
+    const ids = [];
+    if (end <= start) {
+      return ids;
+    }
+    const range = { gte: `final:${this.formatSequence(start)}`, lt: `final:${this.formatSequence(end)}` };
+    for await (const triadId of this.db.values(range)) {
+      ids.push(triadId);
+    }
+    return ids;
+  }
+
+  /**
+   * Get the eligible validators with their public keys and vote weights
+   * @returns {Array<{validator: string, publicKey: string, weight: number}>} Validators sorted by address
+   */
+  getValidatorSet() {
+    return this.registry.getActiveValidators()
+      .filter(validator => this.hasMinimumStake(validator))
+      .sort()
+      .map(validator => ({
+        validator,
+        publicKey: this.registry.get(validator).publicKey,
+        weight: this.getVoteWeight(validator)
+      }))
+      .filter(member => member.publicKey && member.weight > 0);
+  }
+
   /**
    * Get the current state of the matrix
    * @returns {Object} Matrix state
@@ -344,68 +1009,300 @@ class TriadMatrix extends EventEmitter {
     return {
       dimensions: this.dimensions,
       complexity: this.complexity,
-      triadsCount: this.matrix.length,
-      triads: Array.from(this.triads.values()),
-      validators: Array.from(this.validators),
+      triadsCount: this.triadsCount,
+      validatedTriadsCount: this.validatedTriadsCount,
+      validators: this.registry.getActiveValidators(),
       consensusThreshold: this.consensusThreshold,
       isInitialized: this.isInitialized
     };
   }
 
   /**
-   * Add a validator to the matrix
-   * @param {string} validatorId - ID of the validator to add
-   * @returns {boolean} True if validator was added
+   * Get the height the next triad will be created at
+   * @returns {number} Matrix height
    */
-  addValidator(validatorId) {
-    this.validateValidator(validatorId);
-    if (this.validators.has(validatorId)) return false;
-    
-    this.validators.add(validatorId);
-    this.saveMatrixState().catch(err => {
-      this.lastError = err.message;
-      this.logger.error('Failed to save state after adding validator', { 
-        error: err.message,
-        validatorId 
+  getHeight() {
+    return this.tips.size > 0 ? Math.max(...this.tips.values()) + 1 : 0;
+  }
+
+  /**
+   * Add a validator to the registry
+   * @param {Object} registration - Signed request from {@link ValidatorRegistry.signRegistration}
+   * @returns {Promise<boolean>} True if validator was added or reactivated
+   */
+  async addValidator(registration) {
+    try {
+      this.validateInitialization();
+      if (registration && registration.validator && !this.hasMinimumStake(registration.validator)) {
+        throw new Error(`Validator ${registration.validator} must bond at least ${this.minimumStake} in stake`);
+      }
+      const added = await this.registry.register(registration, this.getHeight());
+      if (added) {
+        this.emit('validatorAdded', this.registry.get(registration.validator));
+      }
+      return added;
+    } catch (error) {
+      this.lastError = error.message;
+      this.logger.error('Failed to add validator', {
+        error: error.message,
+        validatorId: registration && registration.validator
+      });
+      throw new Error(`Failed to add validator: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retire a validator from the registry
+   * @param {Object} removal - Signed request from {@link ValidatorRegistry.signRegistration} with action `retire`
+   * @returns {Promise<boolean>} True if validator was retired
+   */
+  async removeValidator(removal) {
+    try {
+      this.validateInitialization();
+      const removed = await this.registry.retire(removal, this.getHeight());
+      if (removed) {
+        this.emit('validatorRemoved', this.registry.get(removal.validator));
+      }
+      return removed;
+    } catch (error) {
+      this.lastError = error.message;
+      this.logger.error('Failed to remove validator', {
+        error: error.message,
+        validatorId: removal && removal.validator
       });
+      throw new Error(`Failed to remove validator: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a validator's registry record
+   * @param {string} validatorId - Validator address
+   * @returns {Object|null} Validator record with status, public key and join/leave heights
+   */
+  getValidator(validatorId) {
+    return this.registry.get(validatorId);
+  }
+
+  /**
+   * Get the audit trail of registry changes for a validator
+   * @param {string} validatorId - Validator address
+   * @returns {Promise<Array>} Audit entries, oldest first
+   */
+  async getValidatorAuditTrail(validatorId) {
+    return this.registry.getAuditTrail(validatorId);
+  }
+
+  /**
+   * Compute the content hash that identifies a triad
+   * @param {Object} triad - Triad with data, validator, timestamp and parents
+   * @returns {string} Hex-encoded SHA256 hash
+   */
+  computeTriadHash(triad) {
+    const content = JSON.stringify({
+      data: triad.data,
+      validator: triad.validator,
+      timestamp: triad.timestamp,
+      parents: triad.parents
     });
-    return true;
+    return crypto.createHash('sha256').update(content).digest('hex');
   }
 
   /**
-   * Generate a unique triad ID
-   * @private
-   * @returns {string} Generated ID
+   * Walk the stored triad history and check every hash link
+   * @returns {Promise<Object>} Result with `valid` and, on failure, the first broken triad and reason
    */
-  generateTriadId() {
-    return crypto.randomBytes(16).toString('hex');
+  async verifyIntegrity() {
+    this.validateInitialization();
+
+    const links = new Map();
+    for await (const [key, triad] of this.db.iterator({ gte: 'triad:', lte: 'triad:~' })) {
+      links.set(key.slice('triad:'.length), {
+        id: triad.id,
+        parents: Array.isArray(triad.parents) ? triad.parents : null,
+        height: triad.height,
+        timestamp: triad.timestamp,
+        hash: this.computeTriadHash(triad)
+      });
+    }
+
+    // Walk from the oldest triads so the earliest break is reported
+    const ordered = Array.from(links.entries()).sort(([idA, a], [idB, b]) =>
+      (a.height - b.height) || (a.timestamp - b.timestamp) || idA.localeCompare(idB));
+
+    for (const [key, link] of ordered) {
+      const broken = (reason) => ({ valid: false, triadId: key, height: link.height, reason });
+
+      if (link.id !== key || link.hash !== key) {
+        return broken('Triad content does not match its hash');
+      }
+      if (!link.parents) {
+        return broken('Triad has no parent links');
+      }
+      for (const parentId of link.parents) {
+        const parent = links.get(parentId);
+        if (!parent) {
+          return broken(`Parent triad ${parentId} is missing`);
+        }
+        if (parent.height >= link.height || parent.timestamp > link.timestamp) {
+          return broken(`Parent triad ${parentId} does not precede its child`);
+        }
+      }
+      if (link.parents.length === 0 && link.height !== 0) {
+        return broken('Triad without parents must be at height 0');
+      }
+    }
+
+    for (const tipId of this.tips.keys()) {
+      if (!links.has(tipId)) {
+        return { valid: false, triadId: tipId, reason: 'Recorded tip triad is missing' };
+      }
+    }
+
+    return { valid: true, checked: ordered.length };
   }
 
   /**
-   * Calculate optimal position for a new triad
+   * Calculate the position for a new triad
+   *
+   * The lattice is `dimensions` cells wide and deep and `layers` cells high. The triad hash
+   * picks a starting cell and the first free cell from there (wrapping around) is used, so
+   * replicas that apply the same triads in the same order place them identically. When every
+   * cell is taken a new z layer is added on top of the lattice.
+   *
+   * Full layers hold no free cell, so they are skipped without probing; only the open layers are searched.
    * @private
+   * @param {string} triadHash - Hex-encoded triad hash
    * @returns {Object} Position coordinates
    */
-  calculateOptimalPosition() {
-    return {
-      x: Math.floor(Math.random() * this.dimensions),
-      y: Math.floor(Math.random() * this.dimensions),
-      z: Math.floor(Math.random() * this.dimensions)
-    };
+  calculateOptimalPosition(triadHash) {
+    const layerSize = this.dimensions * this.dimensions;
+    let layers = this.layers;
+    let openLayers = Array.from(this.openLayers).sort((a, b) => a - b);
+    if (openLayers.length === 0) {
+      openLayers = [layers];
+      layers += 1;
+    }
+
+    const start = Number(BigInt(`0x${triadHash}`) % BigInt(layerSize * layers));
+    const startLayer = Math.floor(start / layerSize);
+    const first = openLayers.findIndex(z => z >= startLayer);
+    const order = first > 0 ? [...openLayers.slice(first), ...openLayers.slice(0, first)] : openLayers;
+    // The start layer is searched from the start cell first, and from its beginning last
+    const ranges = order.map(z => ({ z, from: z === startLayer ? start % layerSize : 0, to: layerSize }));
+    if (openLayers.includes(startLayer)) {
+      ranges.push({ z: startLayer, from: 0, to: start % layerSize });
+    }
+
+    this.lastPlacementProbes = 0;
+    for (const { z, from, to } of ranges) {
+      for (let cell = from; cell < to; cell++) {
+        const position = { x: cell % this.dimensions, y: Math.floor(cell / this.dimensions), z };
+        this.lastPlacementProbes++;
+        if (!this.spatialIndex.getAt(position)) {
+          return position;
+        }
+      }
+    }
+
+    throw new Error('No free position left in the matrix lattice');
+  }
+
+  /**
+   * Add a triad to the spatial index and grow the lattice height if needed
+   * @private
+   * @param {Object} triad - Triad with a position
+   */
+  indexTriad(triad) {
+    const { z } = triad.position;
+    this.spatialIndex.insert(triad.id, triad.position);
+    for (let layer = this.layers; layer <= z; layer++) {
+      this.openLayers.add(layer);
+    }
+    this.layers = Math.max(this.layers, z + 1);
+
+    const count = (this.layerCounts.get(z) || 0) + 1;
+    this.layerCounts.set(z, count);
+    if (count >= this.dimensions * this.dimensions) {
+      this.openLayers.delete(z);
+    }
+  }
+
+  /**
+   * Empty the lattice, leaving `dimensions` open layers
+   * @private
+   */
+  resetLattice() {
+    this.spatialIndex = new SpatialIndex(this.complexity);
+    this.layers = this.dimensions;
+    // Triads placed in each z layer, and the layers that still have a free cell
+    this.layerCounts = new Map();
+    this.openLayers = new Set(Array.from({ length: this.layers }, (_, z) => z));
   }
 
   /**
    * Get connected triads for a given triad
    * @private
    * @param {Object} triad - Triad to get connections for
-   * @returns {Array} Connected triads
+   * @returns {Promise<Array>} Connected triads
    */
-  getTriadConnections(triad) {
-    return this.matrix.filter(t => {
-      if (t.id === triad.id) return false;
-      const distance = this.calculateDistance(t.position, triad.position);
-      return distance <= this.complexity && distance > 0;
-    });
+  async getTriadConnections(triad) {
+    return Promise.all((triad.connections || []).map(id => this.getTriadById(id)));
+  }
+
+  /**
+   * Get the triads reachable from a triad through stored connections
+   * @param {string} triadId - ID of the starting triad
+   * @param {number} [depth=1] - Maximum number of hops to follow
+   * @returns {Promise<Array<{triad: Object, depth: number}>>} Neighbouring triads in breadth-first order
+   */
+  async getNeighbors(triadId, depth = 1) {
+    if (!Number.isInteger(depth) || depth < 1) {
+      throw new Error('Neighbor depth must be a positive integer');
+    }
+
+    const start = await this.getTriadById(triadId);
+    const visited = new Set([start.id]);
+    const neighbors = [];
+    let frontier = [start];
+
+    for (let hop = 1; hop <= depth && frontier.length > 0; hop++) {
+      const next = [];
+      for (const current of frontier) {
+        for (const connectedId of current.connections || []) {
+          if (visited.has(connectedId)) continue;
+          visited.add(connectedId);
+          const connected = await this.getTriadById(connectedId);
+          neighbors.push({ triad: connected, depth: hop });
+          next.push(connected);
+        }
+      }
+      frontier = next;
+    }
+
+    return neighbors;
+  }
+
+  /**
+   * Find the triads within connection range of a position
+   * @private
+   * @param {Object} position - Position to search around
+   * @param {string} [excludeId] - Triad ID to leave out of the result
+   * @returns {Array<string>} IDs of triads within `complexity` distance
+   */
+  findTriadsInRange(position, excludeId = null) {
+    return this.spatialIndex.queryRadius(position, this.complexity)
+      .filter(entry => entry.id !== excludeId && entry.distance > 0)
+      .map(entry => entry.id);
+  }
+
+  /**
+   * Format a sequence number as a sortable key segment
+   * @private
+   * @param {number} sequence - Sequence number
+   * @returns {string} Zero-padded sequence
+   */
+  formatSequence(sequence) {
+    return String(sequence).padStart(SEQUENCE_KEY_LENGTH, '0');
   }
 
   /**
@@ -445,26 +1342,54 @@ class TriadMatrix extends EventEmitter {
     try {
       this.logger.debug('Loading matrix state from database...');
       
+      await this.registry.load();
+      await this.reputation.load();
+
       const state = await this.db.get('matrix:state_metadata');
       this.dimensions = state.dimensions || this.dimensions;
       this.complexity = state.complexity || this.complexity;
       this.consensusThreshold = state.consensusThreshold || this.consensusThreshold;
-      this.validators = new Set(state.validators || []);
-      
-      this.matrix = [];
-      this.triads.clear();
+      if (Array.isArray(state.validators)) {
+        // Validators used to be a plain address list in the metadata
+        await this.registry.importLegacy(state.validators);
+      }
+      this.triadsCount = state.triadsCount || 0;
+      this.validatedTriadsCount = state.validatedTriadsCount || 0;
+      this.tips = new Map((state.tips || []).map(tip => typeof tip === 'string' ? [tip, 0] : [tip.id, tip.height]));
       
-      let triadCount = 0;
-      for await (const [key, value] of this.db.iterator({ gte: 'triad:', lte: 'triad:~' })) {
-        this.matrix.push(value);
-        this.triads.set(value.id, value);
-        triadCount++;
+      this.triadCache.clear();
+      this.resetLattice();
+
+      // Only positions are kept in memory; triads are read on demand
+      const unsequenced = [];
+      const unfinalized = [];
+      for await (const value of this.db.values({ gte: 'triad:', lte: 'triad:~' })) {
+        if (value.position) {
+          this.indexTriad(value);
+        }
+        if (this.tips.has(value.id)) {
+          // Older metadata stored tip IDs without their heights
+          this.tips.set(value.id, value.height || 0);
+        }
+        if (!state.sequenceIndexed) {
+          unsequenced.push({ id: value.id, height: value.height || 0, timestamp: value.timestamp, validated: value.validated });
+        }
+        if (!state.finalityIndexed && value.validated) {
+          unfinalized.push({ id: value.id, height: value.height || 0, timestamp: value.timestamp });
+        }
+      }
+
+      if (!state.finalityIndexed) {
+        await this.buildFinalityIndex(unfinalized);
+      }
+      if (!state.sequenceIndexed) {
+        await this.buildSequenceIndex(unsequenced);
       }
 
       // this.logger.info('Matrix state loaded successfully', {
       //   dimensions: this.dimensions,
       //   complexity: this.complexity,
-      //   validatorsCount: this.validators.size,
+      //   validatorsCount: this.registry.getActiveValidators().length,
       //   triadsCount: triadCount
       // });
     } catch (error) {
@@ -482,6 +1407,53 @@ class TriadMatrix extends EventEmitter {
     }
   }
 
+  /**
+   * Build the sequence and pending indexes for a database written before they existed
+   * @private
+   * @param {Array} triads - ID, height, timestamp and validation status of every stored triad
+   * @returns {Promise<void>}
+   */
+  async buildSequenceIndex(triads) {
+    triads.sort((a, b) => (a.height - b.height) || (a.timestamp - b.timestamp) || a.id.localeCompare(b.id));
+
+    const batch = [];
+    triads.forEach((triad, sequence) => {
+      const sequenceKey = this.formatSequence(sequence);
+      batch.push({ type: 'put', key: `seq:${sequenceKey}`, value: triad.id });
+      if (!triad.validated) {
+        batch.push({ type: 'put', key: `pending:${sequenceKey}`, value: triad.id });
+      }
+    });
+
+    for (let i = 0; i < triads.length; i++) {
+      const stored = await this.db.get(`triad:${triads[i].id}`);
+      batch.push({ type: 'put', key: `triad:${triads[i].id}`, value: { ...stored, sequence: i } });
+    }
+
+    await this.db.batch(batch);
+    this.triadsCount = triads.length;
+    this.validatedTriadsCount = triads.filter(t => t.validated).length;
+    await this.saveMatrixState();
+  }
+
+  /**
+   * Build the finalization index for a database written before it existed
+   *
+   * The order triads were validated in was not recorded, so they are indexed in creation order.
+   * @private
+   * @param {Array} triads - ID, height and timestamp of every validated triad
+   * @returns {Promise<void>}
+   */
+  async buildFinalityIndex(triads) {
+    triads.sort((a, b) => (a.height - b.height) || (a.timestamp - b.timestamp) || a.id.localeCompare(b.id));
+
+    await this.db.batch(triads.map((triad, index) => ({
+      type: 'put', key: `final:${this.formatSequence(index)}`, value: triad.id
+    })));
+    this.validatedTriadsCount = triads.length;
+    await this.saveMatrixState();
+  }
+
   /**
    * Save matrix state to database
    * @private
@@ -495,10 +1467,12 @@ class TriadMatrix extends EventEmitter {
         dimensions: this.dimensions,
         complexity: this.complexity,
         consensusThreshold: this.consensusThreshold,
-        validators: Array.from(this.validators),
+        tips: Array.from(this.tips, ([id, height]) => ({ id, height })),
         lastUpdated: Date.now(),
-        triadsCount: this.matrix.length,
-        validatedTriadsCount: this.matrix.filter(t => t.validated).length
+        triadsCount: this.triadsCount,
+        validatedTriadsCount: this.validatedTriadsCount,
+        sequenceIndexed: true,
+        finalityIndexed: true
       };
 
       // Use batch operation for atomic update
@@ -511,8 +1485,8 @@ class TriadMatrix extends EventEmitter {
       // this.logger.info('Matrix state saved successfully', {
       //   dimensions: this.dimensions,
       //   complexity: this.complexity,
-      //   validatorsCount: this.validators.size,
-      //   triadsCount: this.matrix.length,
+      //   validatorsCount: this.registry.getActiveValidators().length,
+      //   triadsCount: this.triadsCount,
       //   validatedTriadsCount: stateMetadata.validatedTriadsCount,
       //   timestamp: stateMetadata.lastUpdated
       // });
@@ -559,6 +1533,98 @@ class TriadMatrix extends EventEmitter {
     }
   }
 
+  /**
+   * Validate a signed vote
+   * @private
+   * @param {string} triadId - ID of the triad being voted on
+   * @param {Object} vote - Signed vote
+   */
+  validateVote(triadId, vote) {
+    if (!vote || typeof vote !== 'object') {
+      throw new Error('A signed vote is required to validate a triad');
+    }
+
+    const registered = this.validateActiveValidator(vote.validator);
+
+    if (vote.triadId !== undefined && vote.triadId !== triadId) {
+      throw new Error('Vote does not belong to this triad');
+    }
+
+    if (typeof vote.publicKey !== 'string' || Wallet.deriveAddress(vote.publicKey) !== vote.validator) {
+      throw new Error('Vote public key does not match validator address');
+    }
+    if (registered.publicKey && registered.publicKey !== vote.publicKey) {
+      throw new Error('Vote public key does not match the registered key');
+    }
+
+    const payload = TriadMatrix.createVotePayload(triadId, vote.validator, vote.approve !== false);
+    if (!Wallet.verifySignature(payload, vote.signature, vote.publicKey)) {
+      throw new Error('Invalid vote signature');
+    }
+  }
+
+  /**
+   * Validate the hash and data of a triad finalized on another node
+   * @private
+   * @param {Object} remote - Triad as stored by the other node
+   */
+  validateFinalizedTriad(remote) {
+    if (!remote || !Array.isArray(remote.parents) || this.computeTriadHash(remote) !== remote.id) {
+      throw new Error(`Triad ${remote && remote.id} does not match its hash`);
+    }
+    this.validateTriadData(remote.data);
+  }
+
+  /**
+   * Validate the signature of a triad created on another node
+   * @private
+   * @param {Object} triad - Triad with its creator's public key and signature
+   */
+  validateTriadSignature(triad) {
+    const registered = this.validateActiveValidator(triad.validator);
+
+    if (typeof triad.publicKey !== 'string' || Wallet.deriveAddress(triad.publicKey) !== triad.validator) {
+      throw new Error('Triad public key does not match validator address');
+    }
+    if (registered.publicKey && registered.publicKey !== triad.publicKey) {
+      throw new Error('Triad public key does not match the registered key');
+    }
+    if (!Wallet.verifySignature(TriadMatrix.createTriadPayload(triad.id), triad.signature, triad.publicKey)) {
+      throw new Error('Invalid triad signature');
+    }
+  }
+
+  /**
+   * Check that a validator is registered, active and has bonded the minimum stake
+   * @private
+   * @param {string} validatorId - Validator address
+   * @returns {Object} Registry record of the validator
+   */
+  validateActiveValidator(validatorId) {
+    this.validateValidator(validatorId);
+
+    const registered = this.registry.get(validatorId);
+    if (!registered) {
+      throw new Error(`Validator ${validatorId} is not registered`);
+    }
+    if (registered.status !== ValidatorRegistry.STATUS.ACTIVE) {
+      throw new Error(`Validator ${validatorId} is ${registered.status}`);
+    }
+    if (!this.hasMinimumStake(validatorId)) {
+      throw new Error(`Validator ${validatorId} has not bonded the minimum stake`);
+    }
+    return registered;
+  }
+
+  /**
+   * Replace the cached copy of a triad after it changed
+   * @private
+   * @param {Object} triad - Updated triad
+   */
+  updateCachedTriad(triad) {
+    this.triadCache.set(triad.id, triad);
+  }
+
   /**
    * Validate triad data
    * @private
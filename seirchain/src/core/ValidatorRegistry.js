@@ -0,0 +1,314 @@
+/**
+ * @fileoverview Validator registry for the SeirChain TriadMatrix
+ * Tracks which validators may vote, their public keys and status, and keeps an audit trail of every change
+ */
+
+const Wallet = require('./Wallet');
+
+const REGISTRATION_TYPE = 'validator-registration';
+const AUDIT_KEY_LENGTH = 8;
+
+const VALIDATOR_STATUS = Object.freeze({
+  ACTIVE: 'active',
+  JAILED: 'jailed',
+  RETIRED: 'retired'
+});
+
+const REGISTRY_ACTIONS = Object.freeze({
+  REGISTER: 'register',
+  RETIRE: 'retire'
+});
+
+class ValidatorRegistry {
+  /**
+   * Create a new ValidatorRegistry instance
+   * @param {Level} db - Open LevelDB instance with JSON values, shared with the matrix
+   */
+  constructor(db) {
+    this.db = db;
+    this.validators = new Map();
+  }
+
+  /**
+   * Build the payload a validator signs to join or leave the registry
+   * @static
+   * @param {string} action - `register` or `retire`
+   * @param {string} validatorId - Address of the validator
+   * @param {string} publicKey - Hex-encoded public key of the validator
+   * @param {number} timestamp - Time of the request; must be newer than the validator's last signed request
+   * @returns {Object} Registration payload with a fixed key order
+   */
+  static createRegistrationPayload(action, validatorId, publicKey, timestamp) {
+    return {
+      type: REGISTRATION_TYPE,
+      action,
+      validator: validatorId,
+      publicKey,
+      timestamp
+    };
+  }
+
+  /**
+   * Create a signed registry request
+   * @static
+   * @param {Wallet} wallet - Validator wallet
+   * @param {string} [action='register'] - `register` or `retire`
+   * @returns {Object} Signed request
+   */
+  static signRegistration(wallet, action = REGISTRY_ACTIONS.REGISTER) {
+    const payload = ValidatorRegistry.createRegistrationPayload(
+      action, wallet.getAddress(), wallet.getPublicKey(), Date.now());
+    return {
+      ...payload,
+      signature: wallet.signData(payload)
+    };
+  }
+
+  /**
+   * Load every validator record into memory
+   * @returns {Promise<void>}
+   */
+  async load() {
+    this.validators.clear();
+    for await (const record of this.db.values({ gt: 'validator:', lt: 'validator:~' })) {
+      this.validators.set(record.address, record);
+    }
+  }
+
+  /**
+   * Import addresses from the state metadata written before the registry existed
+   * @param {Array<string>} addresses - Previously registered validator addresses
+   * @returns {Promise<number>} Number of addresses imported
+   */
+  async importLegacy(addresses) {
+    let imported = 0;
+    for (const address of addresses) {
+      if (this.validators.has(address)) continue;
+      await this.saveChange(this.createRecord(address, null, 0), { action: 'import', height: 0 });
+      imported++;
+    }
+    return imported;
+  }
+
+  /**
+   * Register a validator, or reactivate a retired one, from a signed request
+   * @param {Object} registration - Signed request from {@link ValidatorRegistry.signRegistration}
+   * @param {number} height - Matrix height the validator joins at
+   * @returns {Promise<boolean>} True if the validator was not already active
+   */
+  async register(registration, height) {
+    this.verifyRequest(registration, REGISTRY_ACTIONS.REGISTER);
+
+    const existing = this.validators.get(registration.validator);
+    if (existing && existing.status === VALIDATOR_STATUS.ACTIVE) {
+      return false;
+    }
+    if (existing && existing.status === VALIDATOR_STATUS.JAILED) {
+      throw new Error(`Validator ${registration.validator} is jailed`);
+    }
+
+    const record = existing ?
+      { ...existing, status: VALIDATOR_STATUS.ACTIVE, joinHeight: height, leaveHeight: null } :
+      this.createRecord(registration.validator, registration.publicKey, height);
+    record.publicKey = registration.publicKey;
+    record.lastRequestAt = registration.timestamp;
+
+    await this.saveChange(record, {
+      action: REGISTRY_ACTIONS.REGISTER,
+      height,
+      signature: registration.signature
+    });
+    return true;
+  }
+
+  /**
+   * Retire a validator from a signed request
+   * @param {Object} removal - Signed request from {@link ValidatorRegistry.signRegistration} with action `retire`
+   * @param {number} height - Matrix height the validator leaves at
+   * @returns {Promise<boolean>} True if the validator was active or jailed
+   */
+  async retire(removal, height) {
+    this.verifyRequest(removal, REGISTRY_ACTIONS.RETIRE);
+
+    const existing = this.validators.get(removal.validator);
+    if (!existing || existing.status === VALIDATOR_STATUS.RETIRED) {
+      return false;
+    }
+
+    const record = {
+      ...existing,
+      status: VALIDATOR_STATUS.RETIRED,
+      leaveHeight: height,
+      lastRequestAt: removal.timestamp
+    };
+
+    await this.saveChange(record, {
+      action: REGISTRY_ACTIONS.RETIRE,
+      height,
+      signature: removal.signature
+    });
+    return true;
+  }
+
+  /**
+   * Suspend an active validator from voting
+   * @param {string} validatorId - Address of the validator
+   * @param {Object} details - Audit details
+   * @param {number} details.height - Matrix height the validator is jailed at
+   * @param {string} details.reason - Why the validator was jailed
+   * @returns {Promise<boolean>} True if the validator was active
+   */
+  async jail(validatorId, { height, reason }) {
+    const existing = this.validators.get(validatorId);
+    if (!existing || existing.status !== VALIDATOR_STATUS.ACTIVE) {
+      return false;
+    }
+
+    const record = { ...existing, status: VALIDATOR_STATUS.JAILED, leaveHeight: height };
+    await this.saveChange(record, { action: 'jail', height, reason });
+    return true;
+  }
+
+  /**
+   * Let a jailed validator vote again
+   * @param {string} validatorId - Address of the validator
+   * @param {Object} details - Audit details
+   * @param {number} details.height - Matrix height the validator rejoins at
+   * @param {string} [details.reason] - Why the validator was released
+   * @returns {Promise<boolean>} True if the validator was jailed
+   */
+  async unjail(validatorId, { height, reason = null }) {
+    const existing = this.validators.get(validatorId);
+    if (!existing || existing.status !== VALIDATOR_STATUS.JAILED) {
+      return false;
+    }
+
+    const record = { ...existing, status: VALIDATOR_STATUS.ACTIVE, joinHeight: height, leaveHeight: null };
+    await this.saveChange(record, { action: 'unjail', height, reason });
+    return true;
+  }
+
+  /**
+   * Get a validator record
+   * @param {string} validatorId - Address of the validator
+   * @returns {Object|null} Validator record or null if never registered
+   */
+  get(validatorId) {
+    return this.validators.get(validatorId) || null;
+  }
+
+  /**
+   * Check whether a validator may vote
+   * @param {string} validatorId - Address of the validator
+   * @returns {boolean} True if the validator is active
+   */
+  isActive(validatorId) {
+    const record = this.validators.get(validatorId);
+    return Boolean(record && record.status === VALIDATOR_STATUS.ACTIVE);
+  }
+
+  /**
+   * Get the addresses of all active validators
+   * @returns {Array<string>} Active validator addresses
+   */
+  getActiveValidators() {
+    return Array.from(this.validators.values())
+      .filter(record => record.status === VALIDATOR_STATUS.ACTIVE)
+      .map(record => record.address);
+  }
+
+  /**
+   * Get every registry change for a validator, oldest first
+   * @param {string} validatorId - Address of the validator
+   * @returns {Promise<Array>} Audit entries
+   */
+  async getAuditTrail(validatorId) {
+    const entries = [];
+    const prefix = `validator-audit:${validatorId}:`;
+    for await (const entry of this.db.values({ gt: prefix, lt: `${prefix}~` })) {
+      entries.push(entry);
+    }
+    return entries;
+  }
+
+  /**
+   * Create a fresh validator record
+   * @private
+   * @param {string} address - Validator address
+   * @param {string|null} publicKey - Validator public key, unknown for imported records
+   * @param {number} height - Join height
+   * @returns {Object} Validator record
+   */
+  createRecord(address, publicKey, height) {
+    return {
+      address,
+      publicKey,
+      status: VALIDATOR_STATUS.ACTIVE,
+      joinHeight: height,
+      leaveHeight: null,
+      lastRequestAt: 0,
+      auditCount: 0
+    };
+  }
+
+  /**
+   * Store a record change together with its audit entry, then apply it in memory
+   * @private
+   * @param {Object} record - Updated copy of the validator record
+   * @param {Object} details - Audit details (action, height, and optionally signature and reason)
+   * @returns {Promise<void>}
+   */
+  async saveChange(record, details) {
+    const auditIndex = String(record.auditCount).padStart(AUDIT_KEY_LENGTH, '0');
+    const entry = {
+      validator: record.address,
+      status: record.status,
+      timestamp: Date.now(),
+      ...details
+    };
+    const updated = { ...record, auditCount: record.auditCount + 1 };
+
+    await this.db.batch([
+      { type: 'put', key: `validator:${record.address}`, value: updated },
+      { type: 'put', key: `validator-audit:${record.address}:${auditIndex}`, value: entry }
+    ]);
+    this.validators.set(record.address, updated);
+  }
+
+  /**
+   * Verify a signed registry request
+   * @private
+   * @param {Object} request - Signed request
+   * @param {string} action - Expected action
+   */
+  verifyRequest(request, action) {
+    if (!request || typeof request !== 'object') {
+      throw new Error('A signed registry request is required');
+    }
+    if (request.type !== REGISTRATION_TYPE || request.action !== action) {
+      throw new Error(`Registry request must be a signed ${action} request`);
+    }
+    if (typeof request.publicKey !== 'string' || Wallet.deriveAddress(request.publicKey) !== request.validator) {
+      throw new Error('Registry request public key does not match validator address');
+    }
+
+    const existing = this.validators.get(request.validator);
+    if (existing && existing.publicKey && existing.publicKey !== request.publicKey) {
+      throw new Error('Registry request public key does not match the registered key');
+    }
+    if (!Number.isFinite(request.timestamp) || (existing && request.timestamp <= existing.lastRequestAt)) {
+      throw new Error('Registry request is stale or replayed');
+    }
+
+    const payload = ValidatorRegistry.createRegistrationPayload(
+      request.action, request.validator, request.publicKey, request.timestamp);
+    if (!Wallet.verifySignature(payload, request.signature, request.publicKey)) {
+      throw new Error('Invalid registry request signature');
+    }
+  }
+}
+
+ValidatorRegistry.STATUS = VALIDATOR_STATUS;
+ValidatorRegistry.ACTIONS = REGISTRY_ACTIONS;
+
+module.exports = ValidatorRegistry;
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Validator reputation for the SeirChain TriadMatrix
+ * Scores validators on how they vote and turns the score into a consensus weight
+ */
+
+const INITIAL_SCORE = 0.5;
+const MIN_SCORE = 0;
+const MAX_SCORE = 1;
+const MIN_VOTE_WEIGHT = 0.1;
+
+// Score change per outcome; an equivocation resets the score to the minimum
+const SCORE_CHANGES = Object.freeze({
+  correct: 0.01,
+  incorrect: -0.02,
+  missed: -0.005
+});
+
+const REPUTATION_EVENTS = Object.freeze({
+  CORRECT: 'correct',
+  INCORRECT: 'incorrect',
+  MISSED: 'missed',
+  EQUIVOCATION: 'equivocation'
+});
+
+class ValidatorReputation {
+  /**
+   * Create a new ValidatorReputation instance
+   * @param {Level} db - Open LevelDB instance with JSON values, shared with the matrix
+   */
+  constructor(db) {
+    this.db = db;
+    this.records = new Map();
+  }
+
+  /**
+   * Load every reputation record into memory
+   * @returns {Promise<void>}
+   */
+  async load() {
+    this.records.clear();
+    for await (const record of this.db.values({ gt: 'reputation:', lt: 'reputation:~' })) {
+      this.records.set(record.address, record);
+    }
+  }
+
+  /**
+   * Get a validator's reputation record
+   * @param {string} validatorId - Validator address
+   * @returns {Object} Reputation record; validators without history get the initial score
+   */
+  get(validatorId) {
+    return this.records.get(validatorId) || {
+      address: validatorId,
+      score: INITIAL_SCORE,
+      correctVotes: 0,
+      incorrectVotes: 0,
+      missedVotes: 0,
+      equivocations: 0,
+      updatedAt: null
+    };
+  }
+
+  /**
+   * Get a validator's score
+   * @param {string} validatorId - Validator address
+   * @returns {number} Score between 0 and 1
+   */
+  getScore(validatorId) {
+    return this.get(validatorId).score;
+  }
+
+  /**
+   * Get the consensus weight a validator's vote carries
+   * @param {string} validatorId - Validator address
+   * @returns {number} Vote weight
+   */
+  getVoteWeight(validatorId) {
+    return Math.max(MIN_VOTE_WEIGHT, this.getScore(validatorId));
+  }
+
+  /**
+   * Work out updated records for a set of outcomes without applying them
+   * @param {Array<{validator: string, event: string}>} events - Outcomes to record
+   * @returns {{records: Map, operations: Array}} Updated records and the batch operations that store them
+   */
+  prepare(events) {
+    const records = new Map();
+    const now = Date.now();
+
+    for (const { validator, event } of events) {
+      const record = { ...(records.get(validator) || this.get(validator)) };
+
+      switch (event) {
+      case REPUTATION_EVENTS.CORRECT:
+        record.correctVotes += 1;
+        break;
+      case REPUTATION_EVENTS.INCORRECT:
+        record.incorrectVotes += 1;
+        break;
+      case REPUTATION_EVENTS.MISSED:
+        record.missedVotes += 1;
+        break;
+      case REPUTATION_EVENTS.EQUIVOCATION:
+        record.equivocations += 1;
+        break;
+      default:
+        throw new Error(`Unknown reputation event: ${event}`);
+      }
+
+      record.score = event === REPUTATION_EVENTS.EQUIVOCATION ?
+        MIN_SCORE :
+        Math.min(MAX_SCORE, Math.max(MIN_SCORE, record.score + SCORE_CHANGES[event]));
+      record.updatedAt = now;
+      records.set(validator, record);
+    }
+
+    const operations = Array.from(records.values(), record => ({
+      type: 'put',
+      key: `reputation:${record.address}`,
+      value: record
+    }));
+    return { records, operations };
+  }
+
+  /**
+   * Apply records from {@link ValidatorReputation#prepare} once they are stored
+   * @param {Map} records - Updated records
+   */
+  apply(records) {
+    for (const [validator, record] of records) {
+      this.records.set(validator, record);
+    }
+  }
+}
+
+ValidatorReputation.EVENTS = REPUTATION_EVENTS;
+ValidatorReputation.INITIAL_SCORE = INITIAL_SCORE;
+
+module.exports = ValidatorReputation;
@@ -172,7 +172,8 @@ class Wallet {
    * @returns {string|null} Hex-encoded private key or null if wallet not initialized
    */
   getPrivateKey() {
-    return this.keyPair ? this.keyPair.getPrivate('hex') : null;
+    // elliptic drops leading zeros, so pad back to the full key length
+    return this.keyPair ? this.keyPair.getPrivate('hex').padStart(PRIVATE_KEY_LENGTH, '0') : null;
   }
 
   /**
@@ -208,17 +209,7 @@ class Wallet {
         publicKeyLength: publicKeyHex.length
       });
 
-      // Double hash: SHA256 -> RIPEMD160 (similar to Bitcoin's address generation)
-      const hash1 = crypto.createHash('sha256').update(Buffer.from(publicKeyHex, 'hex')).digest();
-      const hash2 = crypto.createHash('ripemd160').update(hash1).digest('hex');
-      
-      this.logger.debug('Generated intermediate hashes', {
-        sha256Length: hash1.length,
-        ripemd160Length: hash2.length
-      });
-
-      // Create address with prefix and fixed length
-      const address = `${ADDRESS_PREFIX}${hash2.substring(0, ADDRESS_HASH_LENGTH)}`;
+      const address = Wallet.deriveAddress(publicKeyHex);
       
       // Validate generated address
       if (!this._validateAddress(address)) {
@@ -248,6 +239,42 @@ class Wallet {
     }
   }
 
+  /**
+   * Derive the address that belongs to a public key
+   * @static
+   * @param {string} publicKeyHex - Hex-encoded public key
+   * @returns {string} Address derived from the public key
+   */
+  static deriveAddress(publicKeyHex) {
+    // Double hash: SHA256 -> RIPEMD160 (similar to Bitcoin's address generation)
+    const hash1 = crypto.createHash('sha256').update(Buffer.from(publicKeyHex, 'hex')).digest();
+    const hash2 = crypto.createHash('ripemd160').update(hash1).digest('hex');
+
+    // Create address with prefix and fixed length
+    return `${ADDRESS_PREFIX}${hash2.substring(0, ADDRESS_HASH_LENGTH)}`;
+  }
+
+  /**
+   * Derive the address of an M-of-N multisig account
+   *
+   * Keys are sorted first, so the same members and threshold always give the same address
+   * whatever order they are listed in. The threshold and a domain prefix are hashed with the
+   * keys, so a multisig address can never collide with a single-key address.
+   * @static
+   * @param {Array<string>} publicKeys - Hex-encoded public keys of the members
+   * @param {number} threshold - Number of member signatures required
+   * @returns {string} Multisig address
+   */
+  static deriveMultisigAddress(publicKeys, threshold) {
+    const keys = [...publicKeys].map(key => key.toLowerCase()).sort();
+    const hash1 = crypto.createHash('sha256')
+      .update(`multisig:${threshold}:${keys.join(',')}`)
+      .digest();
+    const hash2 = crypto.createHash('ripemd160').update(hash1).digest('hex');
+
+    return `${ADDRESS_PREFIX}${hash2.substring(0, ADDRESS_HASH_LENGTH)}`;
+  }
+
   /**
    * Sign data with the wallet's private key
    * @param {string|Object} data - Data to sign
@@ -5,31 +5,74 @@
 
 const WebSocket = require('ws');
 const EventEmitter = require('events');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
+const fs = require('fs');
 const ErrorHandler = require('../utils/errorHandler');
-const syncLedger = require('../ledger/ledgerSync');
+const EpochManager = require('../core/EpochManager');
+const Wallet = require('../core/Wallet');
+const Transaction = require('../core/Transaction');
+const SecureChannel = require('./SecureChannel');
 
 // Message types for P2P communication
 const MESSAGE_TYPES = {
   HANDSHAKE: 'HANDSHAKE',
+  HANDSHAKE_ACK: 'HANDSHAKE_ACK',
   DISCOVERY: 'DISCOVERY',
   PEERS: 'PEERS',
   NEW_TRIAD: 'NEW_TRIAD',
+  NEW_TRANSACTION: 'NEW_TRANSACTION',
   VALIDATE_TRIAD: 'VALIDATE_TRIAD',
   TRIAD_VALIDATED: 'TRIAD_VALIDATED_CONFIRMATION',
   GET_STATUS: 'GET_STATUS',
   STATUS_UPDATE: 'STATUS_UPDATE',
   ERROR: 'ERROR',
-  SYNC_LEDGER: 'SYNC_LEDGER',
-  SYNC_LEDGER_CONFIRMATION: 'SYNC_LEDGER_CONFIRMATION'
+  NEW_CHECKPOINT: 'NEW_CHECKPOINT',
+  GET_BRANCH: 'GET_BRANCH',
+  BRANCH: 'BRANCH',
+  GET_LATEST_CHECKPOINT: 'GET_LATEST_CHECKPOINT',
+  LATEST_CHECKPOINT: 'LATEST_CHECKPOINT',
+  GET_SYNC_RANGE: 'GET_SYNC_RANGE',
+  SYNC_RANGE: 'SYNC_RANGE'
 };
 
+// Stages of catching up with the checkpoints of other nodes
+const SYNC_STATUS = Object.freeze({
+  IDLE: 'idle',
+  SYNCING: 'syncing',
+  SYNCED: 'synced'
+});
+
+// Messages relayed from peer to peer; each carries an ID derived from its content
+const GOSSIP_TYPES = new Set([
+  MESSAGE_TYPES.NEW_TRIAD,
+  MESSAGE_TYPES.NEW_TRANSACTION,
+  MESSAGE_TYPES.VALIDATE_TRIAD,
+  MESSAGE_TYPES.TRIAD_VALIDATED,
+  MESSAGE_TYPES.NEW_CHECKPOINT
+]);
+
+// Messages a peer may send before it has proven its identity
+const HANDSHAKE_TYPES = new Set([
+  MESSAGE_TYPES.HANDSHAKE,
+  MESSAGE_TYPES.HANDSHAKE_ACK,
+  MESSAGE_TYPES.ERROR
+]);
+
 // Constants for network configuration
+const PROTOCOL_NAME = 'seirchain';
+const PROTOCOL_VERSION = 1;
+const HANDSHAKE_SIGNATURE_TYPE = 'p2p-handshake';
+const CHALLENGE_BYTES = 32;
 const DEFAULT_MAX_PEERS = 10;
-const DEFAULT_NETWORK_ID = 'seirchain-default';
 const PEER_DISCOVERY_INTERVAL = 60000; // 60 seconds
 const HANDSHAKE_TIMEOUT = 5000; // 5 seconds
+const MAX_SEEN_MESSAGES = 10000;
+const SYNC_RANGE_SIZE = 10; // checkpoints requested at a time
+const MAX_SYNC_RANGE_SIZE = 50; // checkpoints sent at a time
+const SYNC_RESPONSE_TIMEOUT = 30000; // 30 seconds
+const NODE_KEY_FILE = '.node-key';
 
 class P2PNode extends EventEmitter {
   /**
@@ -37,17 +80,45 @@ class P2PNode extends EventEmitter {
    * @param {number} port - Port to listen on
    * @param {Object} triadMatrix - TriadMatrix instance
    * @param {Array<string>} initialPeers - Initial peer addresses to connect to
+   * @param {Object} [options] - Node options
+   * @param {Mempool} [options.mempool] - Mempool that gossiped transactions and triad proposals are added to
+   * @param {ForkChoice} [options.forkChoice] - Fork choice that checkpoint branches from peers are offered to;
+   *   a node with one syncs the checkpoints it is missing from its peers before it takes part in gossip
+   * @param {number} [options.syncRangeSize] - Checkpoints to request at a time while syncing
+   * @param {Wallet} [options.identity] - Long-term node key; a node without one gets a new key on every start
+   * @param {string} [options.networkId] - Network to join; defaults to NETWORK_ID
+   * @param {boolean} [options.encryption] - Encrypt traffic to peers; defaults to true unless P2P_ENCRYPTION is false.
+   *   Nodes that disagree on encryption do not connect.
    */
-  constructor(port, triadMatrix, initialPeers = [], dbConnection = null) {
+  constructor(port, triadMatrix, initialPeers = [], options = {}) {
     super();
-    this.nodeId = uuidv4();
+    if (options.identity) {
+      this.identity = options.identity;
+    } else {
+      this.identity = new Wallet();
+      this.identity.generateKeyPair();
+    }
+    if (!this.identity.isInitialized()) {
+      throw new Error('P2P node identity wallet has no key loaded');
+    }
+    // Peers know this node by the address of its identity key, which it proves it holds in every handshake
+    this.nodeId = this.identity.getAddress();
     this.port = port;
     this.triadMatrix = triadMatrix;
     this.peers = new Map();
     this.maxPeers = parseInt(process.env.MAX_PEERS, 10) || DEFAULT_MAX_PEERS;
-    this.networkId = process.env.NETWORK_ID || DEFAULT_NETWORK_ID;
+    // Transactions resolve their default network the same way, so a node accepts the ones its wallets sign
+    this.networkId = options.networkId || Transaction.getDefaultNetworkId();
+    this.encryption = typeof options.encryption === 'boolean' ? options.encryption : process.env.P2P_ENCRYPTION !== 'false';
     this.lastError = null;
-    this.dbConnection = dbConnection;
+    this.mempool = options.mempool || null;
+    this.forkChoice = options.forkChoice || null;
+    this.syncRangeSize = Math.min(options.syncRangeSize || SYNC_RANGE_SIZE, MAX_SYNC_RANGE_SIZE);
+    // The peer being synced from, the last local checkpoint and the peer checkpoint being synced towards
+    this.sync = { status: SYNC_STATUS.IDLE, peerId: null, current: null, target: null, timer: null };
+    // IDs of gossip messages already handled, oldest first
+    this.seenMessages = new Set();
+    this.discoveryInterval = null;
 
     this.initializeServer();
     this.setupEventHandlers();
@@ -76,35 +147,13 @@ class P2PNode extends EventEmitter {
   }
 
   /**
-   * Handle WebSocket protocols
+   * Accept only connections that ask for the SeirChain subprotocol
    * @private
-   * @param {Array<string>} protocols - Requested protocols
-   * @param {Object} request - HTTP request
-   * @returns {string|false} Selected protocol or false to reject
+   * @param {Set<string>} protocols - Requested subprotocols
+   * @returns {string|false} Selected subprotocol or false to reject
    */
-  handleProtocols(protocols, request) {
-    try {
-      // Accept any protocol that includes 'seirchain'
-      const validProtocol = protocols.find(p => p.includes('seirchain'));
-      if (validProtocol) {
-        return validProtocol;
-      }
-
-      // If no valid protocol found but protocols array is not empty,
-      // accept the first protocol as fallback
-      if (protocols.length > 0) {
-        // console.warn('[P2P] No seirchain protocol found, using fallback:', protocols[0]);
-        return protocols[0];
-      }
-
-      // If no protocols provided, use default
-      return 'seirchain-default';
-    } catch (error) {
-      this.lastError = error.message;
-      ErrorHandler.handleError(error, 'WebSocket protocol handling');
-      // console.error('[P2P] Protocol handling error:', error.message);
-      return false; // Reject the connection on error
-    }
+  handleProtocols(protocols) {
+    return protocols.has(PROTOCOL_NAME) ? PROTOCOL_NAME : false;
   }
 
   /**
@@ -141,15 +190,45 @@ class P2PNode extends EventEmitter {
     this.server.on('connection', (ws, req) => this.handleNewConnection(ws, req));
     this.server.on('error', this.handleServerError.bind(this));
 
+    // Local triads and votes are gossiped; those received from peers were seen already and are relayed as received.
+    // Peers only import triads signed by their creator, so unsigned ones stay local.
     if (this.triadMatrix) {
       this.triadMatrix.on('triadCreated', (triad) => {
-        // this.broadcast({ type: MESSAGE_TYPES.NEW_TRIAD, payload: triad });
+        if (!triad.signature) {
+          return;
+        }
+        const { id, data, validator, timestamp, parents, publicKey, signature } = triad;
+        this.gossip(MESSAGE_TYPES.VALIDATE_TRIAD, { id, data, validator, timestamp, parents, publicKey, signature });
+      });
+
+      this.triadMatrix.on('triadValidated', (triad, vote) => {
+        if (vote) {
+          this.gossip(MESSAGE_TYPES.TRIAD_VALIDATED, vote);
+        }
+      });
+    }
+
+    if (this.mempool) {
+      this.mempool.on('transaction', (entry) => {
+        this.gossip(MESSAGE_TYPES.NEW_TRANSACTION, entry.transaction.toJSON(), entry.source);
       });
 
-      this.triadMatrix.on('triadValidated', (triad) => {
-        // this.broadcast({ type: MESSAGE_TYPES.TRIAD_VALIDATED, payload: triad });
+      this.mempool.on('triadProposal', (entry) => {
+        this.gossip(MESSAGE_TYPES.NEW_TRIAD, entry.proposal, entry.source);
       });
     }
+
+    // Finalized checkpoints are announced; peers that lack one ask for the branch leading to it
+    if (this.forkChoice) {
+      this.forkChoice.epochs.on('checkpointFinalized', (epoch) => {
+        // Checkpoints imported while syncing are old news to the peers they came from
+        if (this.sync.status !== SYNC_STATUS.SYNCING) {
+          this.gossip(MESSAGE_TYPES.NEW_CHECKPOINT, epoch);
+        }
+      });
+
+      this.forkChoice.on('reorg', (reorg) => this.emit('reorg', reorg));
+    }
   }
 
   /**
@@ -157,7 +236,7 @@ class P2PNode extends EventEmitter {
    * @private
    */
   startPeerDiscovery() {
-    setInterval(() => {
+    this.discoveryInterval = setInterval(() => {
       if (this.peers.size < this.maxPeers / 2) {
         this.broadcast({ 
           type: MESSAGE_TYPES.DISCOVERY, 
@@ -170,6 +249,17 @@ class P2PNode extends EventEmitter {
     }, PEER_DISCOVERY_INTERVAL);
   }
 
+  /**
+   * Connect to the peers the node was started with
+   * @private
+   * @param {Array<string>} initialPeers - Peer addresses
+   */
+  connectToInitialPeers(initialPeers) {
+    for (const peerAddress of Array.isArray(initialPeers) ? initialPeers : []) {
+      this.connectToPeer(peerAddress);
+    }
+  }
+
   /**
    * Handle new WebSocket connection
    * @private
@@ -185,15 +275,22 @@ class P2PNode extends EventEmitter {
       return;
     }
 
-    const peerId = uuidv4();
-    // console.log(`[P2P] 🔗 New peer connected: ${peerIp} (assigned ID: ${peerId})`);
+    // Clients that asked for no subprotocol at all are not seen by handleProtocols
+    if (ws.protocol !== PROTOCOL_NAME) {
+      ws.close(1002, 'Unsupported protocol');
+      return;
+    }
+
+    // Known by a temporary ID until the handshake proves its node ID
+    const tempId = `incoming-${uuidv4()}`;
+    // console.log(`[P2P] 🔗 New peer connected: ${peerIp} (assigned ID: ${tempId})`);
     
-    this.addPeer(ws, peerId, 'incoming');
-    this.sendHandshake(ws);
+    const peer = this.addPeer(ws, tempId, 'incoming');
+    this.sendHandshake(peer);
 
-    ws.on('message', (messageBuffer) => this.handleMessage(ws, messageBuffer, peerId));
-    ws.on('close', () => this.handlePeerDisconnection(peerId, peerIp));
-    ws.on('error', (error) => this.handlePeerError(error, peerId, peerIp));
+    ws.on('message', (messageBuffer) => this.handleMessage(ws, messageBuffer, this.findPeerIdByWs(ws) || tempId));
+    ws.on('close', () => this.handlePeerDisconnection(this.findPeerIdByWs(ws) || tempId, peerIp));
+    ws.on('error', (error) => this.handlePeerError(error, this.findPeerIdByWs(ws) || tempId, peerIp));
   }
 
   /**
@@ -220,8 +317,9 @@ class P2PNode extends EventEmitter {
       // console.log(`[P2P] 🔌 Peer disconnected: ${peerIp} (ID: ${peerId})`);
       
       const peer = this.peers.get(peerId);
+      // Peers dropped by this node are already gone
       if (!peer) {
-        throw new Error(`Peer ${peerId} not found in peers map`);
+        return;
       }
 
       // Clean up any pending operations for this peer
@@ -234,10 +332,16 @@ class P2PNode extends EventEmitter {
       }
 
       // Remove from peers map
+      clearTimeout(peer.handshakeTimer);
       this.peers.delete(peerId);
+      if (this.sync.status === SYNC_STATUS.SYNCING && this.sync.peerId === peerId) {
+        this.failSync('Sync peer disconnected');
+      }
       
       // Emit disconnection event
-      this.emit('peerDisconnected', { peerId, peerIp });
+      if (peer.verified) {
+        this.emit('peerDisconnected', { peerId, peerIp });
+      }
 
       // If peers count is low, trigger discovery
       if (this.peers.size < this.maxPeers / 2) {
@@ -270,7 +374,7 @@ class P2PNode extends EventEmitter {
 
     // console.log(`[P2P] 🚀 Attempting to connect to peer: ${peerAddress}`);
     
-    const ws = new WebSocket(peerAddress, { 
+    const ws = new WebSocket(peerAddress, PROTOCOL_NAME, { 
       handshakeTimeout: HANDSHAKE_TIMEOUT,
       headers: { 'X-Node-ID': this.nodeId }
     });
@@ -288,10 +392,9 @@ class P2PNode extends EventEmitter {
    */
   setupOutgoingConnection(ws, tempId, peerAddress) {
     ws.on('open', () => {
-      const peerId = this.addPeer(ws, tempId, 'outgoing', peerAddress);
-      // console.log(`[P2P] ✅ Successfully connected to peer: ${peerAddress} (as ID: ${peerId})`);
-      this.sendHandshake(ws);
-      this.sendMessage(ws, { type: MESSAGE_TYPES.DISCOVERY });
+      const peer = this.addPeer(ws, tempId, 'outgoing', peerAddress);
+      // console.log(`[P2P] ✅ Successfully connected to peer: ${peerAddress} (as ID: ${tempId})`);
+      this.sendHandshake(peer);
     });
 
     ws.on('message', (messageBuffer) => {
@@ -312,25 +415,32 @@ class P2PNode extends EventEmitter {
   }
 
   /**
-   * Add a peer to the network
+   * Add a connection that has yet to complete the handshake; it is dropped if it does not in time
    * @private
    * @param {WebSocket} ws - WebSocket connection
-   * @param {string} peerId - Peer ID
+   * @param {string} peerId - Temporary peer ID
    * @param {string} direction - Connection direction ('incoming' or 'outgoing')
    * @param {string} [url] - Peer URL (optional)
-   * @returns {string} Peer ID
+   * @returns {Object} Peer record
    */
   addPeer(ws, peerId, direction, url = null) {
-    this.peers.set(peerId, { 
-      ws, 
-      id: peerId, 
-      direction, 
-      url, 
-      connectedAt: Date.now() 
-    });
-    
-    this.emit('peerConnected', { peerId, direction, url });
-    return peerId;
+    const peer = {
+      ws,
+      id: peerId,
+      direction,
+      url,
+      connectedAt: Date.now(),
+      challenge: crypto.randomBytes(CHALLENGE_BYTES).toString('hex'),
+      keyExchange: this.encryption ? SecureChannel.createKeyExchange() : null,
+      channel: null,
+      nodeId: null,
+      publicKey: null,
+      address: null,
+      verified: false
+    };
+    peer.handshakeTimer = setTimeout(() => this.dropPeer(peer.id, 'Handshake timed out'), HANDSHAKE_TIMEOUT);
+    this.peers.set(peerId, peer);
+    return peer;
   }
 
   /**
@@ -345,11 +455,279 @@ class P2PNode extends EventEmitter {
           peer.ws.readyState === WebSocket.CONNECTING) {
         peer.ws.terminate();
       }
+      clearTimeout(peer.handshakeTimer);
       this.peers.delete(peerId);
+      if (peer.verified) {
+        this.emit('peerDisconnected', { peerId });
+      }
+    }
+  }
+
+  /**
+   * Disconnect a peer that broke the protocol, telling it why
+   * @private
+   * @param {string} peerId - Peer ID
+   * @param {string} reason - Reason sent to the peer
+   */
+  dropPeer(peerId, reason) {
+    const peer = this.peers.get(peerId);
+    if (!peer) {
+      return;
+    }
+    this.sendMessage(peer.ws, { type: MESSAGE_TYPES.ERROR, payload: { message: reason } });
+    clearTimeout(peer.handshakeTimer);
+    this.peers.delete(peerId);
+    // Closing rather than terminating lets the error reach the peer first
+    peer.ws.close(1008);
+    this.emit('peerRejected', { peerId, nodeId: peer.nodeId, reason });
+    if (peer.verified) {
       this.emit('peerDisconnected', { peerId });
     }
   }
 
+  /**
+   * Check whether a peer address is already connected, by the URL dialled or the address it announced
+   * @private
+   * @param {string} peerAddress - Peer address
+   * @returns {boolean} True if connected
+   */
+  isConnectedTo(peerAddress) {
+    return Array.from(this.peers.values()).some(peer => peer.url === peerAddress || peer.address === peerAddress);
+  }
+
+  /**
+   * Find the ID a connection is registered under
+   * @private
+   * @param {WebSocket} ws - WebSocket connection
+   * @returns {string|null} Peer ID, or null if the connection is not a peer
+   */
+  findPeerIdByWs(ws) {
+    for (const [peerId, peer] of this.peers) {
+      if (peer.ws === ws) {
+        return peerId;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the addresses of connected peers, for peers doing discovery
+   * @private
+   * @returns {Array<string>} Peer addresses
+   */
+  getPeerAddresses() {
+    return Array.from(this.peers.values())
+      .map(peer => peer.address || peer.url)
+      .filter(Boolean);
+  }
+
+  /**
+   * Build the payload a node signs to prove it holds its identity key
+   * @static
+   * @param {string} networkId - Network both nodes are on
+   * @param {string} challenge - Random challenge chosen by the verifying node
+   * @param {string} nodeId - Node ID of the signer
+   * @param {string|null} sessionKey - Signer's ephemeral key for this connection, or null without encryption
+   * @returns {Object} Handshake signature payload with a fixed key order
+   */
+  static createHandshakePayload(networkId, challenge, nodeId, sessionKey) {
+    return {
+      type: HANDSHAKE_SIGNATURE_TYPE,
+      networkId,
+      challenge,
+      nodeId,
+      sessionKey
+    };
+  }
+
+  /**
+   * Get the ephemeral public key this node offers a peer
+   * @private
+   * @param {Object} peer - Peer record
+   * @returns {string|null} Hex-encoded key, or null without encryption
+   */
+  getSessionKey(peer) {
+    return peer.keyExchange ? peer.keyExchange.getPublicKey('hex') : null;
+  }
+
+  /**
+   * Introduce this node to a peer, with a challenge for the peer to sign
+   * @private
+   * @param {Object} peer - Peer record
+   */
+  sendHandshake(peer) {
+    this.sendMessage(peer.ws, {
+      type: MESSAGE_TYPES.HANDSHAKE,
+      payload: {
+        networkId: this.networkId,
+        protocolVersion: PROTOCOL_VERSION,
+        nodeId: this.nodeId,
+        publicKey: this.identity.getPublicKey(),
+        challenge: peer.challenge,
+        sessionKey: this.getSessionKey(peer),
+        address: this.getPublicAddress()
+      }
+    });
+  }
+
+  /**
+   * Check a peer's introduction and answer its challenge; peers on another network or protocol
+   * version, or whose node ID is not the address of their key, are dropped
+   * @private
+   * @param {WebSocket} ws - WebSocket connection
+   * @param {Object} message - HANDSHAKE message
+   * @param {Object} peer - Peer record
+   */
+  handleHandshake(ws, message, peer) {
+    const { networkId, protocolVersion, nodeId, publicKey, challenge, sessionKey, address } = message.payload || {};
+    if (peer.publicKey) {
+      this.dropPeer(peer.id, 'Handshake already received');
+      return;
+    }
+    if (networkId !== this.networkId) {
+      this.dropPeer(peer.id, `Network ${networkId} does not match ${this.networkId}`);
+      return;
+    }
+    if (protocolVersion !== PROTOCOL_VERSION) {
+      this.dropPeer(peer.id, `Protocol version ${protocolVersion} is not supported`);
+      return;
+    }
+    if (typeof publicKey !== 'string' || Wallet.deriveAddress(publicKey) !== nodeId) {
+      this.dropPeer(peer.id, 'Node ID does not match its public key');
+      return;
+    }
+    if (typeof challenge !== 'string' || challenge.length !== CHALLENGE_BYTES * 2) {
+      this.dropPeer(peer.id, 'Invalid handshake challenge');
+      return;
+    }
+    if (nodeId === this.nodeId) {
+      this.dropPeer(peer.id, 'Connected to self');
+      return;
+    }
+    if (Boolean(sessionKey) !== this.encryption) {
+      this.dropPeer(peer.id, this.encryption ? 'Encrypted transport is required' : 'Encrypted transport is disabled');
+      return;
+    }
+    if (this.encryption) {
+      try {
+        // Used once the peer's signature over its session key has been checked
+        peer.channel = new SecureChannel({
+          keyExchange: peer.keyExchange,
+          peerKey: sessionKey,
+          localId: this.nodeId,
+          remoteId: nodeId,
+          challenges: [peer.challenge, challenge]
+        });
+      } catch (error) {
+        this.dropPeer(peer.id, error.message);
+        return;
+      }
+    }
+
+    peer.nodeId = nodeId;
+    peer.sessionKey = sessionKey || null;
+    peer.publicKey = publicKey;
+    peer.address = typeof address === 'string' ? address : null;
+    this.sendMessage(ws, {
+      type: MESSAGE_TYPES.HANDSHAKE_ACK,
+      payload: {
+        signature: this.identity.signData(
+          P2PNode.createHandshakePayload(this.networkId, challenge, this.nodeId, this.getSessionKey(peer))
+        )
+      }
+    });
+  }
+
+  /**
+   * Check a peer's signature on this node's challenge, and register it under its node ID once valid
+   * @private
+   * @param {Object} message - HANDSHAKE_ACK message
+   * @param {Object} peer - Peer record
+   */
+  handleHandshakeAck(message, peer) {
+    if (peer.verified) {
+      return;
+    }
+    if (!peer.publicKey) {
+      this.dropPeer(peer.id, 'Handshake acknowledged before it was received');
+      return;
+    }
+    const payload = P2PNode.createHandshakePayload(this.networkId, peer.challenge, peer.nodeId, peer.sessionKey);
+    if (!Wallet.verifySignature(payload, message.payload && message.payload.signature, peer.publicKey)) {
+      this.dropPeer(peer.id, 'Invalid handshake signature');
+      return;
+    }
+    this.authenticatePeer(peer);
+  }
+
+  /**
+   * Re-register a verified peer under its node ID
+   *
+   * When two nodes dial each other at once, both keep the connection dialled by the node with the
+   * lower ID, so they do not each close a different one.
+   * @private
+   * @param {Object} peer - Peer record that passed the handshake
+   */
+  authenticatePeer(peer) {
+    const existing = this.peers.get(peer.nodeId);
+    if (existing) {
+      const dialer = connection => (connection.direction === 'outgoing' ? this.nodeId : connection.nodeId);
+      if (dialer(existing) <= dialer(peer)) {
+        this.dropPeer(peer.id, 'Already connected');
+        return;
+      }
+      this.dropPeer(existing.id, 'Already connected');
+    }
+
+    clearTimeout(peer.handshakeTimer);
+    this.peers.delete(peer.id);
+    peer.id = peer.nodeId;
+    peer.verified = true;
+    this.peers.set(peer.id, peer);
+    this.emit('peerConnected', { peerId: peer.id, direction: peer.direction, url: peer.url, address: peer.address });
+
+    if (peer.direction === 'outgoing') {
+      this.sendMessage(peer.ws, { type: MESSAGE_TYPES.DISCOVERY });
+    }
+    if (this.forkChoice) {
+      this.sendMessage(peer.ws, { type: MESSAGE_TYPES.GET_LATEST_CHECKPOINT });
+    }
+  }
+
+  /**
+   * Connect to peers another node knows about, up to the peer limit
+   * @private
+   * @param {Array<string>} peerAddresses - Addresses from a PEERS message
+   */
+  handlePeersList(peerAddresses) {
+    if (!Array.isArray(peerAddresses)) {
+      throw new Error('Peers list must be an array of addresses');
+    }
+    const ownAddress = this.getPublicAddress();
+    for (const peerAddress of peerAddresses) {
+      if (typeof peerAddress === 'string' && peerAddress !== ownAddress && !this.isConnectedTo(peerAddress)) {
+        this.connectToPeer(peerAddress);
+      }
+    }
+  }
+
+  /**
+   * Reply to a status request with this node's view of the network
+   * @private
+   * @param {WebSocket} ws - WebSocket connection
+   */
+  handleStatusRequest(ws) {
+    this.sendMessage(ws, {
+      type: MESSAGE_TYPES.STATUS_UPDATE,
+      payload: {
+        nodeId: this.nodeId,
+        networkId: this.networkId,
+        peers: this.peers.size,
+        matrix: typeof this.triadMatrix.getMatrixState === 'function' ? this.triadMatrix.getMatrixState() : null
+      }
+    });
+  }
+
   /**
    * Handle incoming message
    * @private
@@ -359,7 +737,6 @@ class P2PNode extends EventEmitter {
    */
   async handleMessage(ws, messageBuffer, peerId) {
     try {
-      const message = JSON.parse(messageBuffer.toString());
       const peer = this.peers.get(peerId);
       
       if (!peer) {
@@ -367,11 +744,49 @@ class P2PNode extends EventEmitter {
         return;
       }
 
+      // Once both sides are authenticated, every frame from an encrypting peer is sealed
+      let message;
+      if (peer.verified && peer.channel) {
+        try {
+          message = peer.channel.decrypt(messageBuffer);
+        } catch (error) {
+          this.dropPeer(peerId, error.message);
+          return;
+        }
+      } else {
+        message = JSON.parse(messageBuffer.toString());
+      }
+
+      if (!peer.verified && !HANDSHAKE_TYPES.has(message.type)) {
+        this.dropPeer(peerId, `${message.type} sent before the handshake completed`);
+        return;
+      }
+
+      // Gossip seen before, from this or another peer, is dropped so it cannot loop. A message that fails
+      // is forgotten again, so a copy arriving later (say, after the triad a vote is for) is retried.
+      if (GOSSIP_TYPES.has(message.type)) {
+        if (message.id !== P2PNode.computeMessageId(message.type, message.payload)) {
+          throw new Error('Gossip message ID does not match its content');
+        }
+        // A node still syncing cannot check triads and votes against the state it has yet to catch up on,
+        // so it leaves them unseen; checkpoints only move its sync target
+        if (this.sync.status === SYNC_STATUS.SYNCING && message.type !== MESSAGE_TYPES.NEW_CHECKPOINT) {
+          return;
+        }
+        if (!this.markSeen(message.id)) {
+          return;
+        }
+      }
+
   switch (message.type) {
         case MESSAGE_TYPES.HANDSHAKE:
           this.handleHandshake(ws, message, peer);
           break;
 
+        case MESSAGE_TYPES.HANDSHAKE_ACK:
+          this.handleHandshakeAck(message, peer);
+          break;
+
         case MESSAGE_TYPES.DISCOVERY:
           this.sendMessage(ws, { 
             type: MESSAGE_TYPES.PEERS, 
@@ -390,17 +805,35 @@ class P2PNode extends EventEmitter {
 
         case MESSAGE_TYPES.NEW_TRIAD:
           try {
-            this.handleNewTriad(message, peerId);
+            if (this.handleNewTriad(message, peerId)) {
+              this.relay(message, peerId);
+            }
           } catch (error) {
+            this.seenMessages.delete(message.id);
             ErrorHandler.handleError(error, 'New triad handling');
             console.error(`[P2P] Failed to handle new triad: ${error.message}`);
           }
           break;
 
+        case MESSAGE_TYPES.NEW_TRANSACTION:
+          try {
+            if (this.handleNewTransaction(message, peerId)) {
+              this.relay(message, peerId);
+            }
+          } catch (error) {
+            this.seenMessages.delete(message.id);
+            ErrorHandler.handleError(error, 'New transaction handling');
+            console.error(`[P2P] Failed to handle new transaction: ${error.message}`);
+          }
+          break;
+
         case MESSAGE_TYPES.VALIDATE_TRIAD:
           try {
-            this.handleTriadValidation(message);
+            if (await this.handleTriadValidation(message)) {
+              this.relay(message, peerId);
+            }
           } catch (error) {
+            this.seenMessages.delete(message.id);
             ErrorHandler.handleError(error, 'Triad validation handling');
             console.error(`[P2P] Failed to handle triad validation: ${error.message}`);
           }
@@ -408,8 +841,11 @@ class P2PNode extends EventEmitter {
 
         case MESSAGE_TYPES.TRIAD_VALIDATED:
           try {
-            this.handleTriadValidated(message, peerId);
+            if (await this.handleTriadValidated(message)) {
+              this.relay(message, peerId);
+            }
           } catch (error) {
+            this.seenMessages.delete(message.id);
             ErrorHandler.handleError(error, 'Triad validation confirmation');
             console.error(`[P2P] Failed to handle triad validation confirmation: ${error.message}`);
           }
@@ -424,6 +860,37 @@ class P2PNode extends EventEmitter {
           }
           break;
 
+        case MESSAGE_TYPES.STATUS_UPDATE:
+          this.emit('peerStatus', { peerId, status: message.payload });
+          break;
+
+        case MESSAGE_TYPES.NEW_CHECKPOINT:
+          try {
+            await this.handleNewCheckpoint(ws, message);
+          } catch (error) {
+            ErrorHandler.handleError(error, 'New checkpoint handling');
+            console.error(`[P2P] Failed to handle new checkpoint: ${error.message}`);
+          }
+          break;
+
+        case MESSAGE_TYPES.GET_BRANCH:
+          try {
+            await this.handleGetBranch(ws, message);
+          } catch (error) {
+            ErrorHandler.handleError(error, 'Branch request handling');
+            console.error(`[P2P] Failed to handle branch request: ${error.message}`);
+          }
+          break;
+
+        case MESSAGE_TYPES.BRANCH:
+          try {
+            await this.handleBranch(message);
+          } catch (error) {
+            ErrorHandler.handleError(error, 'Branch handling');
+            console.error(`[P2P] Failed to handle branch from peer ${peerId}: ${error.message}`);
+          }
+          break;
+
         case MESSAGE_TYPES.ERROR:
           this.lastError = message.payload.message;
           ErrorHandler.handleError(
@@ -433,25 +900,39 @@ class P2PNode extends EventEmitter {
           console.warn(`[P2P] Received error message from peer ${peerId}: ${message.payload.message}`);
           break;
 
-        case MESSAGE_TYPES.SYNC_LEDGER:
-          if (!this.dbConnection) {
-            this.sendMessage(ws, {
-              type: MESSAGE_TYPES.ERROR,
-              payload: { message: "Database connection not available for ledger sync" }
-            });
-            return;
+        case MESSAGE_TYPES.GET_LATEST_CHECKPOINT:
+          try {
+            await this.handleLatestCheckpointRequest(ws);
+          } catch (error) {
+            ErrorHandler.handleError(error, 'Latest checkpoint request handling');
+            console.error(`[P2P] Failed to handle latest checkpoint request: ${error.message}`);
+          }
+          break;
+
+        case MESSAGE_TYPES.LATEST_CHECKPOINT:
+          try {
+            await this.handleLatestCheckpoint(message, peerId);
+          } catch (error) {
+            ErrorHandler.handleError(error, 'Latest checkpoint handling');
+            console.error(`[P2P] Failed to handle latest checkpoint from peer ${peerId}: ${error.message}`);
           }
+          break;
+
+        case MESSAGE_TYPES.GET_SYNC_RANGE:
           try {
-            const result = await syncLedger(this.dbConnection, message.payload.ledgerData);
-            this.sendMessage(ws, {
-              type: MESSAGE_TYPES.SYNC_LEDGER_CONFIRMATION,
-              payload: { status: result.status }
-            });
+            await this.handleSyncRangeRequest(ws, message);
           } catch (error) {
-            this.sendMessage(ws, {
-              type: MESSAGE_TYPES.ERROR,
-              payload: { message: error.message }
-            });
+            ErrorHandler.handleError(error, 'Sync range request handling');
+            console.error(`[P2P] Failed to handle sync range request: ${error.message}`);
+          }
+          break;
+
+        case MESSAGE_TYPES.SYNC_RANGE:
+          try {
+            await this.handleSyncRange(message, peerId);
+          } catch (error) {
+            ErrorHandler.handleError(error, 'Sync range handling');
+            console.error(`[P2P] Failed to handle sync range from peer ${peerId}: ${error.message}`);
           }
           break;
 
@@ -477,6 +958,293 @@ class P2PNode extends EventEmitter {
     }
   }
 
+  /**
+   * Add a gossiped triad proposal to the mempool
+   * @private
+   * @param {Object} message - NEW_TRIAD message carrying a signed proposal
+   * @param {string} peerId - Peer the message came from
+   * @returns {boolean} True if the proposal was new and should be relayed
+   */
+  handleNewTriad(message, peerId) {
+    if (!this.mempool) {
+      return false;
+    }
+    return this.mempool.addTriadProposal(message.payload, { source: peerId }) !== null;
+  }
+
+  /**
+   * Add a gossiped transaction to the mempool
+   * @private
+   * @param {Object} message - NEW_TRANSACTION message carrying a signed transaction
+   * @param {string} peerId - Peer the message came from
+   * @returns {boolean} True if the transaction was new and should be relayed
+   */
+  handleNewTransaction(message, peerId) {
+    if (!this.mempool) {
+      return false;
+    }
+    return this.mempool.addTransaction(message.payload, { source: peerId }) !== null;
+  }
+
+  /**
+   * Add a triad created on another node to the local matrix, so local validators can vote on it
+   * @private
+   * @param {Object} message - VALIDATE_TRIAD message carrying the triad
+   * @returns {Promise<boolean>} True if the triad was new and should be relayed
+   */
+  async handleTriadValidation(message) {
+    return await this.triadMatrix.importTriad(message.payload) !== null;
+  }
+
+  /**
+   * Apply a validator's signed vote received from another node to the local matrix
+   * @private
+   * @param {Object} message - TRIAD_VALIDATED message carrying a signed vote
+   * @returns {Promise<boolean>} True once the vote is recorded and should be relayed
+   */
+  async handleTriadValidated(message) {
+    const vote = message.payload;
+    if (!vote || typeof vote.triadId !== 'string') {
+      throw new Error('Vote must name a triad');
+    }
+    await this.triadMatrix.validateTriad(vote.triadId, vote);
+    return true;
+  }
+
+  /**
+   * Ask a peer for its branch when it announces a validly signed checkpoint this node does not have
+   * @private
+   * @param {WebSocket} ws - Connection of the announcing peer
+   * @param {Object} message - NEW_CHECKPOINT message carrying a finalized checkpoint
+   * @returns {Promise<void>}
+   */
+  async handleNewCheckpoint(ws, message) {
+    const checkpoint = message.payload;
+    if (!this.forkChoice || !(await this.isTrustedCheckpoint(checkpoint))) {
+      return;
+    }
+    if (this.sync.status === SYNC_STATUS.SYNCING) {
+      if (checkpoint.number > this.sync.target.number) {
+        this.sync.target = { number: checkpoint.number, hash: checkpoint.hash };
+      }
+      return;
+    }
+    const local = await this.forkChoice.epochs.getEpoch(checkpoint.number);
+    if (local && local.hash === checkpoint.hash && local.status === EpochManager.STATUS.FINALIZED) {
+      return;
+    }
+    this.sendMessage(ws, {
+      type: MESSAGE_TYPES.GET_BRANCH,
+      payload: { locator: await this.forkChoice.getLocator() }
+    });
+  }
+
+  /**
+   * Check a checkpoint from a peer against the validators this node trusts to sign it,
+   * so a checkpoint signed by a made-up validator set cannot start a sync or a branch request
+   * @private
+   * @param {Object} checkpoint - Checkpoint from a peer
+   * @returns {Promise<boolean>} True if trusted validators finalized it
+   */
+  async isTrustedCheckpoint(checkpoint) {
+    if (!checkpoint || typeof checkpoint !== 'object') {
+      return false;
+    }
+    return EpochManager.verifyCheckpoint(checkpoint, await this.forkChoice.epochs.getTrustedSet(checkpoint.number));
+  }
+
+  /**
+   * Send a peer the local checkpoints after the last one it has in common with this node
+   * @private
+   * @param {WebSocket} ws - Connection of the requesting peer
+   * @param {Object} message - GET_BRANCH message carrying the peer's checkpoint locator
+   * @returns {Promise<void>}
+   */
+  async handleGetBranch(ws, message) {
+    if (!this.forkChoice) {
+      return;
+    }
+    const bundles = await this.forkChoice.getBranch(message.payload && message.payload.locator);
+    if (bundles.length > 0) {
+      this.sendMessage(ws, { type: MESSAGE_TYPES.BRANCH, payload: { bundles } });
+    }
+  }
+
+  /**
+   * Offer a peer's branch to the fork choice, which switches to it if it carries more validator weight
+   * @private
+   * @param {Object} message - BRANCH message carrying checkpoint bundles
+   * @returns {Promise<void>}
+   */
+  async handleBranch(message) {
+    if (!this.forkChoice) {
+      return;
+    }
+    await this.forkChoice.considerBranch(message.payload && message.payload.bundles);
+  }
+
+  /**
+   * Get how far this node has caught up with the checkpoints of its peers
+   * @returns {{status: string, peerId: string|null, current: number|null, target: Object|null}} Sync status from
+   *   {@link P2PNode.SYNC_STATUS}, the peer being synced from, the number of the last local checkpoint and the
+   *   number and hash of the checkpoint being synced towards
+   */
+  getSyncStatus() {
+    const { status, peerId, current, target } = this.sync;
+    return { status, peerId, current, target };
+  }
+
+  /**
+   * Tell a peer about the latest checkpoint finalized here
+   * @private
+   * @param {WebSocket} ws - Connection of the requesting peer
+   * @returns {Promise<void>}
+   */
+  async handleLatestCheckpointRequest(ws) {
+    if (!this.forkChoice) {
+      return;
+    }
+    this.sendMessage(ws, {
+      type: MESSAGE_TYPES.LATEST_CHECKPOINT,
+      payload: { checkpoint: await this.forkChoice.epochs.getLatestCheckpoint() }
+    });
+  }
+
+  /**
+   * Start syncing from a peer whose latest checkpoint is ahead of the local one
+   *
+   * A node syncs from one peer at a time; a peer further ahead only moves the target of a sync in progress.
+   * @private
+   * @param {Object} message - LATEST_CHECKPOINT message carrying the peer's latest checkpoint, if any
+   * @param {string} peerId - Peer the message came from
+   * @returns {Promise<void>}
+   */
+  async handleLatestCheckpoint(message, peerId) {
+    const checkpoint = message.payload && message.payload.checkpoint;
+    if (!this.forkChoice || !(await this.isTrustedCheckpoint(checkpoint))) {
+      return;
+    }
+    const target = { number: checkpoint.number, hash: checkpoint.hash };
+    const latest = await this.forkChoice.epochs.getLatestCheckpoint();
+    if (this.sync.status === SYNC_STATUS.SYNCING) {
+      if (target.number > this.sync.target.number) {
+        this.sync.target = target;
+      }
+      return;
+    }
+    if (latest && latest.number >= target.number) {
+      return;
+    }
+
+    this.sync = { status: SYNC_STATUS.SYNCING, peerId, current: latest ? latest.number : null, target, timer: null };
+    this.emitSyncEvent('syncProgress');
+    await this.requestSyncRange();
+  }
+
+  /**
+   * Ask the sync peer for the next range of checkpoints after the last one both have
+   * @private
+   * @returns {Promise<void>}
+   */
+  async requestSyncRange() {
+    const peer = this.peers.get(this.sync.peerId);
+    if (!peer) {
+      this.failSync('Sync peer disconnected');
+      return;
+    }
+    clearTimeout(this.sync.timer);
+    this.sync.timer = setTimeout(() => this.failSync('Sync peer did not answer in time'), SYNC_RESPONSE_TIMEOUT);
+    this.sendMessage(peer.ws, {
+      type: MESSAGE_TYPES.GET_SYNC_RANGE,
+      payload: { locator: await this.forkChoice.getLocator(), limit: this.syncRangeSize }
+    });
+  }
+
+  /**
+   * Send a peer the next range of local checkpoints after the last one it has in common with this node
+   * @private
+   * @param {WebSocket} ws - Connection of the requesting peer
+   * @param {Object} message - GET_SYNC_RANGE message carrying the peer's checkpoint locator and range size
+   * @returns {Promise<void>}
+   */
+  async handleSyncRangeRequest(ws, message) {
+    if (!this.forkChoice) {
+      return;
+    }
+    const { locator, limit } = message.payload || {};
+    const size = Math.min(Math.max(parseInt(limit, 10) || 1, 1), MAX_SYNC_RANGE_SIZE);
+    this.sendMessage(ws, {
+      type: MESSAGE_TYPES.SYNC_RANGE,
+      payload: { bundles: await this.forkChoice.getBranch(locator, { limit: size }) }
+    });
+  }
+
+  /**
+   * Verify and apply a range of checkpoints from the sync peer, then ask for the next one
+   *
+   * Syncing completes once the target is reached. It fails when the peer has nothing more this node will
+   * take before then, and a range that fails verification also drops the peer.
+   * @private
+   * @param {Object} message - SYNC_RANGE message carrying checkpoint bundles
+   * @param {string} peerId - Peer the message came from
+   * @returns {Promise<void>}
+   */
+  async handleSyncRange(message, peerId) {
+    if (this.sync.status !== SYNC_STATUS.SYNCING || this.sync.peerId !== peerId) {
+      return;
+    }
+    clearTimeout(this.sync.timer);
+
+    let result;
+    try {
+      result = await this.forkChoice.considerBranch(message.payload && message.payload.bundles);
+    } catch (error) {
+      this.dropPeer(peerId, `Invalid sync range: ${error.message}`);
+      this.failSync(error.message);
+      return;
+    }
+    const latest = await this.forkChoice.epochs.getLatestCheckpoint();
+    this.sync.current = latest ? latest.number : null;
+
+    if (this.sync.current !== null && this.sync.current >= this.sync.target.number) {
+      this.sync.status = SYNC_STATUS.SYNCED;
+      this.emitSyncEvent('syncComplete');
+      return;
+    }
+    if (!result) {
+      this.failSync(`Checkpoint ${this.sync.target.number} is not reachable from the peer's branch`);
+      return;
+    }
+    this.emitSyncEvent('syncProgress');
+    await this.requestSyncRange();
+  }
+
+  /**
+   * Give up on the sync peer and ask the other peers for their latest checkpoints to sync from one of them
+   * @private
+   * @param {string} reason - Why syncing stopped
+   */
+  failSync(reason) {
+    clearTimeout(this.sync.timer);
+    const failedPeerId = this.sync.peerId;
+    this.sync = { ...this.sync, status: SYNC_STATUS.IDLE, peerId: null, timer: null };
+    this.emitSyncEvent('syncFailed', { peerId: failedPeerId, reason });
+    this.broadcast({ type: MESSAGE_TYPES.GET_LATEST_CHECKPOINT }, failedPeerId);
+  }
+
+  /**
+   * Report sync status on the node and on the matrix, where the dashboard follows it
+   * @private
+   * @param {string} event - syncProgress, syncComplete or syncFailed
+   * @param {Object} [details] - Fields to report instead of the current sync status
+   */
+  emitSyncEvent(event, details = this.getSyncStatus()) {
+    this.emit(event, details);
+    if (this.triadMatrix) {
+      this.triadMatrix.emit(event, details);
+    }
+  }
+
   /**
    * Send message to a peer
    * @private
@@ -486,7 +1254,8 @@ class P2PNode extends EventEmitter {
   sendMessage(ws, message) {
     if (ws.readyState === WebSocket.OPEN) {
       try {
-        ws.send(JSON.stringify(message));
+        const peer = this.peers.get(this.findPeerIdByWs(ws));
+        ws.send(peer && peer.verified && peer.channel ? peer.channel.encrypt(message) : JSON.stringify(message));
       } catch (error) {
         this.lastError = error.message;
         ErrorHandler.handleError(error, 'P2P message sending');
@@ -504,6 +1273,61 @@ class P2PNode extends EventEmitter {
     }
   }
 
+  /**
+   * Derive a gossip message's ID from its type and payload, so every copy of a message shares one ID
+   * @static
+   * @param {string} type - Message type
+   * @param {*} payload - Message payload
+   * @returns {string} Hex-encoded message ID
+   */
+  static computeMessageId(type, payload) {
+    return crypto.createHash('sha256').update(JSON.stringify({ type, payload })).digest('hex');
+  }
+
+  /**
+   * Remember a gossip message ID, forgetting the oldest once the limit is reached
+   * @private
+   * @param {string} id - Message ID
+   * @returns {boolean} True if the ID had not been seen before
+   */
+  markSeen(id) {
+    if (this.seenMessages.has(id)) {
+      return false;
+    }
+    this.seenMessages.add(id);
+    if (this.seenMessages.size > MAX_SEEN_MESSAGES) {
+      this.seenMessages.delete(this.seenMessages.values().next().value);
+    }
+    return true;
+  }
+
+  /**
+   * Send a message to every peer as gossip, unless the same message has been seen already
+   * @param {string} type - Gossip message type
+   * @param {*} payload - Message payload
+   * @param {string} [originatorPeerId] - Peer the payload came from, which is skipped
+   * @returns {boolean} True if the message was sent
+   */
+  gossip(type, payload, originatorPeerId = null) {
+    const id = P2PNode.computeMessageId(type, payload);
+    if (!this.markSeen(id)) {
+      return false;
+    }
+    this.broadcast({ type, id, payload }, originatorPeerId);
+    return true;
+  }
+
+  /**
+   * Pass a received gossip message on to every other peer, unchanged
+   * @private
+   * @param {Object} message - Gossip message
+   * @param {string} peerId - Peer the message came from
+   */
+  relay(message, peerId) {
+    const { type, id, payload } = message;
+    this.broadcast({ type, id, payload }, peerId);
+  }
+
   /**
    * Broadcast message to all peers
    * @param {Object} message - Message to broadcast
@@ -515,7 +1339,7 @@ class P2PNode extends EventEmitter {
       let errorCount = 0;
       
       this.peers.forEach((peer, peerId) => {
-        if (peerId !== originatorPeerId) {
+        if (peerId !== originatorPeerId && peer.verified) {
           try {
             this.sendMessage(peer.ws, message);
             sentCount++;
@@ -554,6 +1378,9 @@ class P2PNode extends EventEmitter {
   async close() {
     // console.log('[P2P] Closing P2P node...');
     
+    clearInterval(this.discoveryInterval);
+    clearTimeout(this.sync.timer);
+
     try {
       // Notify peers about shutdown
       this.broadcast({
@@ -565,15 +1392,18 @@ class P2PNode extends EventEmitter {
       const closePromises = Array.from(this.peers.values()).map(peer => {
         return new Promise((resolve) => {
           if (peer.ws.readyState === WebSocket.OPEN) {
-            peer.ws.close(1000, 'Node shutting down');
-            peer.ws.once('close', resolve);
             // Force close after timeout
-            setTimeout(() => {
+            const forceClose = setTimeout(() => {
               if (peer.ws.readyState !== WebSocket.CLOSED) {
                 peer.ws.terminate();
                 resolve();
               }
             }, 5000);
+            peer.ws.close(1000, 'Node shutting down');
+            peer.ws.once('close', () => {
+              clearTimeout(forceClose);
+              resolve();
+            });
           } else {
             resolve();
           }
@@ -581,10 +1411,14 @@ class P2PNode extends EventEmitter {
       });
 
       // Wait for all connections to close with timeout
+      let closeTimeout;
       await Promise.race([
         Promise.all(closePromises),
-        new Promise(resolve => setTimeout(resolve, 6000))
+        new Promise(resolve => {
+          closeTimeout = setTimeout(resolve, 6000);
+        })
       ]);
+      clearTimeout(closeTimeout);
 
       this.peers.clear();
 
@@ -634,7 +1468,18 @@ if (require.main === module) {
     initialPeersEnv.split(',').map(s => s.trim()).filter(Boolean) : 
     [];
 
-  const p2pNode = new P2PNode(port, new EventEmitter(), initialPeers);
+  // The identity key is kept so the node ID survives restarts
+  const keyPath = path.join(process.cwd(), 'data', NODE_KEY_FILE);
+  const identity = new Wallet();
+  if (fs.existsSync(keyPath)) {
+    identity.importFromPrivateKey(fs.readFileSync(keyPath, 'utf-8').trim());
+  } else {
+    const { privateKey } = identity.generateKeyPair();
+    fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+    fs.writeFileSync(keyPath, privateKey, { mode: 0o600 });
+  }
+
+  const p2pNode = new P2PNode(port, new EventEmitter(), initialPeers, { identity });
 
   process.on('SIGINT', async () => {
     console.log("Shutting down P2P node...");
@@ -643,4 +1488,8 @@ if (require.main === module) {
   });
 }
 
+P2PNode.PROTOCOL_NAME = PROTOCOL_NAME;
+P2PNode.PROTOCOL_VERSION = PROTOCOL_VERSION;
+P2PNode.SYNC_STATUS = SYNC_STATUS;
+
 module.exports = P2PNode;
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Encrypted P2P frames for SeirChain
+ * Derives per-connection keys from an ephemeral ECDH exchange and seals every frame with AES-256-GCM
+ */
+
+const crypto = require('crypto');
+
+const CURVE = 'secp256k1';
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const NONCE_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_INFO_PREFIX = 'seirchain-p2p:';
+
+class SecureChannel {
+  /**
+   * Create an ephemeral key pair for one connection's key exchange
+   * @static
+   * @returns {crypto.ECDH} Key exchange holding a fresh key pair
+   */
+  static createKeyExchange() {
+    const ecdh = crypto.createECDH(CURVE);
+    ecdh.generateKeys();
+    return ecdh;
+  }
+
+  /**
+   * Create a channel from both sides of a key exchange
+   *
+   * Each direction gets its own key, bound to the sending node and to both handshake challenges,
+   * so frames cannot be reflected back to their sender or carried over to another connection.
+   * @param {Object} options - Channel options
+   * @param {crypto.ECDH} options.keyExchange - This node's ephemeral key pair from {@link SecureChannel.createKeyExchange}
+   * @param {string} options.peerKey - Hex-encoded ephemeral public key of the peer
+   * @param {string} options.localId - Node ID of this node
+   * @param {string} options.remoteId - Node ID of the peer
+   * @param {Array<string>} options.challenges - Handshake challenges of both nodes
+   * @throws {Error} If the peer key is not a point on the curve
+   */
+  constructor({ keyExchange, peerKey, localId, remoteId, challenges }) {
+    let secret;
+    try {
+      secret = keyExchange.computeSecret(Buffer.from(String(peerKey), 'hex'));
+    } catch (error) {
+      throw new Error(`Invalid session key: ${error.message}`);
+    }
+    const salt = crypto.createHash('sha256').update([...challenges].sort().join('')).digest();
+    this.sendKey = SecureChannel.deriveKey(secret, salt, localId);
+    this.receiveKey = SecureChannel.deriveKey(secret, salt, remoteId);
+    this.sendCounter = 0n;
+    this.receiveCounter = 0n;
+  }
+
+  /**
+   * Derive the key for frames sent by one node
+   * @private
+   * @static
+   * @param {Buffer} secret - ECDH shared secret
+   * @param {Buffer} salt - Connection salt
+   * @param {string} senderId - Node ID of the sender
+   * @returns {Buffer} AES-256 key
+   */
+  static deriveKey(secret, salt, senderId) {
+    return Buffer.from(crypto.hkdfSync('sha256', secret, salt, `${KEY_INFO_PREFIX}${senderId}`, KEY_LENGTH));
+  }
+
+  /**
+   * Build the nonce for a frame; frames are numbered, so a nonce is never reused under a key
+   * @private
+   * @static
+   * @param {bigint} counter - Frame number
+   * @returns {Buffer} 12-byte nonce
+   */
+  static createNonce(counter) {
+    const nonce = Buffer.alloc(NONCE_LENGTH);
+    nonce.writeBigUInt64BE(counter, NONCE_LENGTH - 8);
+    return nonce;
+  }
+
+  /**
+   * Seal a message into the next outgoing frame
+   * @param {Object} message - Message to send
+   * @returns {Buffer} Nonce, ciphertext and authentication tag
+   */
+  encrypt(message) {
+    const nonce = SecureChannel.createNonce(this.sendCounter);
+    this.sendCounter += 1n;
+    const cipher = crypto.createCipheriv(CIPHER, this.sendKey, nonce);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(message), 'utf8'), cipher.final()]);
+    return Buffer.concat([nonce, ciphertext, cipher.getAuthTag()]);
+  }
+
+  /**
+   * Open the next incoming frame
+   * @param {Buffer} frame - Frame from the peer's {@link SecureChannel#encrypt}
+   * @returns {Object} Decrypted message
+   * @throws {Error} If the frame is out of order, altered or not from the peer
+   */
+  decrypt(frame) {
+    if (!Buffer.isBuffer(frame) || frame.length < NONCE_LENGTH + TAG_LENGTH) {
+      throw new Error('Frame is too short');
+    }
+    const nonce = frame.subarray(0, NONCE_LENGTH);
+    if (!nonce.equals(SecureChannel.createNonce(this.receiveCounter))) {
+      throw new Error('Frame is out of order');
+    }
+    const decipher = crypto.createDecipheriv(CIPHER, this.receiveKey, nonce);
+    decipher.setAuthTag(frame.subarray(frame.length - TAG_LENGTH));
+    let plaintext;
+    try {
+      plaintext = Buffer.concat([decipher.update(frame.subarray(NONCE_LENGTH, frame.length - TAG_LENGTH)), decipher.final()]);
+    } catch (error) {
+      throw new Error('Frame failed authentication');
+    }
+    this.receiveCounter += 1n;
+    return JSON.parse(plaintext.toString('utf8'));
+  }
+}
+
+module.exports = SecureChannel;
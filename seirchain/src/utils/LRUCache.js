@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Least-recently-used cache for SeirChain
+ * Keeps a bounded number of hot entries in memory, evicting the least recently used first
+ */
+
+class LRUCache {
+  /**
+   * Create a new LRUCache instance
+   * @param {number} maxSize - Maximum number of entries to keep
+   */
+  constructor(maxSize) {
+    if (!Number.isInteger(maxSize) || maxSize <= 0) {
+      throw new Error('LRU cache size must be a positive integer');
+    }
+    this.maxSize = maxSize;
+    this.entries = new Map();
+  }
+
+  /**
+   * Number of cached entries
+   * @returns {number} Entry count
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Get an entry and mark it as recently used
+   * @param {string} key - Entry key
+   * @returns {*} Cached value or undefined
+   */
+  get(key) {
+    if (!this.entries.has(key)) {
+      return undefined;
+    }
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  /**
+   * Check whether a key is cached without touching its recency
+   * @param {string} key - Entry key
+   * @returns {boolean} True if cached
+   */
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  /**
+   * Add or replace an entry, evicting the least recently used one when full
+   * @param {string} key - Entry key
+   * @param {*} value - Value to cache
+   */
+  set(key, value) {
+    if (this.entries.has(key)) {
+      this.entries.delete(key);
+    } else if (this.entries.size >= this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, value);
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Entry key
+   * @returns {boolean} True if the entry was cached
+   */
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * Remove all entries
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = LRUCache;
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Fixed-point token amounts for SeirChain
+ * Converts between human-readable token amounts and integer base units held as BigInt
+ */
+
+const DEFAULT_DECIMALS = 6;
+const MAX_DECIMALS = 18;
+const AMOUNT_PATTERN = /^(-)?(\d*)(?:\.(\d*))?$/;
+const BASE_UNITS_PATTERN = /^-?\d+$/;
+
+/**
+ * Check a decimals setting
+ * @param {number} decimals - Number of fractional digits of one token
+ * @returns {number} The decimals setting
+ * @throws {Error} If the setting is not an integer between 0 and 18
+ */
+function validateDecimals(decimals) {
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > MAX_DECIMALS) {
+    throw new Error(`Decimals must be an integer between 0 and ${MAX_DECIMALS}`);
+  }
+  return decimals;
+}
+
+/**
+ * Parse a token amount such as `12.5` into base units
+ * @param {string|number} value - Token amount; numbers are read from their decimal representation
+ * @param {number} [decimals=6] - Number of fractional digits of one token
+ * @returns {bigint} Amount in base units
+ * @throws {Error} If the value is not a plain decimal or has more fractional digits than allowed
+ */
+function parseAmount(value, decimals = DEFAULT_DECIMALS) {
+  validateDecimals(decimals);
+  const text = typeof value === 'number' && Number.isFinite(value) ? String(value) : value;
+  const match = typeof text === 'string' ? AMOUNT_PATTERN.exec(text.trim()) : null;
+  if (!match || (!match[2] && !match[3])) {
+    throw new Error(`Invalid token amount: ${value}`);
+  }
+
+  const [, sign, whole, fraction = ''] = match;
+  if (fraction.length > decimals) {
+    throw new Error(`Token amount ${value} has more than ${decimals} decimal places`);
+  }
+
+  const units = BigInt(`${whole || '0'}${fraction.padEnd(decimals, '0')}`);
+  return sign ? -units : units;
+}
+
+/**
+ * Format base units as a token amount without trailing zeros
+ * @param {bigint|string} units - Amount in base units
+ * @param {number} [decimals=6] - Number of fractional digits of one token
+ * @returns {string} Token amount such as `12.5`
+ */
+function formatAmount(units, decimals = DEFAULT_DECIMALS) {
+  validateDecimals(decimals);
+  const value = toBaseUnits(units);
+  const digits = (value < 0n ? -value : value).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return `${value < 0n ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Read a base-unit amount as stored or transmitted
+ * @param {bigint|string} value - BigInt or integer string of base units
+ * @returns {bigint} Amount in base units
+ * @throws {Error} If the value is not a whole number of base units
+ */
+function toBaseUnits(value) {
+  if (typeof value === 'bigint') {
+    return value;
+  }
+  if (typeof value === 'string' && BASE_UNITS_PATTERN.test(value)) {
+    return BigInt(value);
+  }
+  throw new Error(`Invalid base unit amount: ${value}`);
+}
+
+module.exports = {
+  DEFAULT_DECIMALS,
+  MAX_DECIMALS,
+  validateDecimals,
+  parseAmount,
+  formatAmount,
+  toBaseUnits
+};
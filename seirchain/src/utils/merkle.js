@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Merkle trees for SeirChain
+ * Commits to an ordered list of leaves with a single SHA-256 root
+ */
+
+const crypto = require('crypto');
+
+// Leaves and inner nodes are hashed with different prefixes so a node can never pass for a leaf
+const LEAF_PREFIX = '\x00';
+const NODE_PREFIX = '\x01';
+
+// Side of the current node a proof step's sibling hash sits on
+const PROOF_POSITIONS = Object.freeze({
+  LEFT: 'left',
+  RIGHT: 'right'
+});
+
+/**
+ * Hash a string with SHA-256
+ * @param {string} value - Value to hash
+ * @returns {string} Hex-encoded hash
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Hash a leaf; objects are hashed by their JSON encoding
+ * @param {string|Object} data - Leaf data
+ * @returns {string} Hex-encoded leaf hash
+ */
+function hashLeaf(data) {
+  return sha256(LEAF_PREFIX + (typeof data === 'string' ? data : JSON.stringify(data)));
+}
+
+/**
+ * Hash two child nodes into their parent
+ * @param {string} left - Hex-encoded left child
+ * @param {string} right - Hex-encoded right child
+ * @returns {string} Hex-encoded parent hash
+ */
+function hashPair(left, right) {
+  return sha256(NODE_PREFIX + left + right);
+}
+
+/**
+ * Compute the Merkle root of a list of leaves
+ *
+ * A node without a sibling moves up a level unchanged rather than being paired with itself.
+ * @param {Array<string|Object>} leaves - Leaf data, in order
+ * @returns {string} Hex-encoded root; the hash of an empty string for no leaves
+ */
+function computeMerkleRoot(leaves) {
+  if (leaves.length === 0) {
+    return sha256('');
+  }
+  let level = leaves.map(hashLeaf);
+  while (level.length > 1) {
+    level = hashLevel(level);
+  }
+  return level[0];
+}
+
+/**
+ * Hash one level of a tree into the level above it
+ * @private
+ * @param {Array<string>} level - Hex-encoded node hashes
+ * @returns {Array<string>} Parent hashes
+ */
+function hashLevel(level) {
+  const next = [];
+  for (let i = 0; i < level.length; i += 2) {
+    next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+  }
+  return next;
+}
+
+/**
+ * Build the Merkle path from one leaf to the root
+ * @param {Array<string|Object>} leaves - Leaf data, in order
+ * @param {number} index - Position of the leaf to prove
+ * @returns {Array<{position: string, hash: string}>} Sibling hashes from the leaf upwards
+ * @throws {Error} If the index is not a leaf position
+ */
+function getMerkleProof(leaves, index) {
+  if (!Number.isInteger(index) || index < 0 || index >= leaves.length) {
+    throw new Error(`Leaf index ${index} is out of range`);
+  }
+  const proof = [];
+  let level = leaves.map(hashLeaf);
+  let position = index;
+  while (level.length > 1) {
+    const sibling = position % 2 === 0 ? position + 1 : position - 1;
+    // A node carried up without a sibling adds no step
+    if (sibling < level.length) {
+      proof.push({
+        position: sibling < position ? PROOF_POSITIONS.LEFT : PROOF_POSITIONS.RIGHT,
+        hash: level[sibling]
+      });
+    }
+    level = hashLevel(level);
+    position = Math.floor(position / 2);
+  }
+  return proof;
+}
+
+/**
+ * Check that a leaf belongs to a tree, using only the leaf, its path and the root
+ * @param {string|Object} leaf - Leaf data
+ * @param {Array<{position: string, hash: string}>} proof - Path from {@link getMerkleProof}
+ * @param {string} root - Hex-encoded root the leaf should hash up to
+ * @returns {boolean} True if the path leads from the leaf to the root
+ */
+function verifyProof(leaf, proof, root) {
+  if (!Array.isArray(proof) || typeof root !== 'string') {
+    return false;
+  }
+  let hash = hashLeaf(leaf);
+  for (const step of proof) {
+    if (!step || typeof step.hash !== 'string') {
+      return false;
+    }
+    if (step.position === PROOF_POSITIONS.LEFT) {
+      hash = hashPair(step.hash, hash);
+    } else if (step.position === PROOF_POSITIONS.RIGHT) {
+      hash = hashPair(hash, step.hash);
+    } else {
+      return false;
+    }
+  }
+  return hash === root;
+}
+
+module.exports = {
+  PROOF_POSITIONS,
+  sha256,
+  hashLeaf,
+  hashPair,
+  computeMerkleRoot,
+  getMerkleProof,
+  verifyProof
+};
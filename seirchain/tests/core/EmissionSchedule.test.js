@@ -0,0 +1,56 @@
+const EmissionSchedule = require('../../src/core/EmissionSchedule');
+const { parseAmount } = require('../../src/utils/amount');
+
+describe('EmissionSchedule', () => {
+  const units = value => parseAmount(value);
+
+  test('should pay a flat reward by default', () => {
+    const schedule = new EmissionSchedule({ initialReward: units('10') });
+
+    expect(schedule.getReward(0)).toBe(units('10'));
+    expect(schedule.getReward(1000000)).toBe(units('10'));
+    expect(schedule.getNextHalvingHeight(5)).toBeNull();
+  });
+
+  test('should halve the reward every interval of epochs', () => {
+    const schedule = new EmissionSchedule({ initialReward: units('8'), epochLength: 10, halvingInterval: 2 });
+
+    expect(schedule.getEpoch(19)).toBe(1);
+    expect(schedule.getReward(19)).toBe(units('8'));
+    expect(schedule.getReward(20)).toBe(units('4'));
+    expect(schedule.getReward(45)).toBe(units('2'));
+    expect(schedule.getNextHalvingHeight(45)).toBe(60);
+  });
+
+  test('should fall back to the tail emission', () => {
+    const schedule = new EmissionSchedule({ initialReward: units('8'), halvingInterval: 1, tailEmission: units('1.5') });
+
+    expect(schedule.getReward(2)).toBe(units('2'));
+    expect(schedule.getReward(3)).toBe(units('1.5'));
+    expect(schedule.getReward(200)).toBe(units('1.5'));
+  });
+
+  test('should not emit past the max supply', () => {
+    const schedule = new EmissionSchedule({ initialReward: units('10'), maxSupply: units('25') });
+
+    expect(schedule.getReward(0, units('10'))).toBe(units('10'));
+    expect(schedule.getReward(2, units('20'))).toBe(units('5'));
+    expect(schedule.getReward(3, units('25'))).toBe(0n);
+  });
+
+  test('should read the schedule from the environment', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const schedule = EmissionSchedule.fromEnvironment(6, {
+      MINING_REWARD: '2.5',
+      HALVING_INTERVAL: '100',
+      MAX_SUPPLY: '1000'
+    });
+
+    expect(schedule).toMatchObject({ initialReward: units('2.5'), halvingInterval: 100, maxSupply: units('1000') });
+    expect(EmissionSchedule.fromEnvironment(6, { MINING_REWARD: 'lots' }).initialReward).toBe(units('10'));
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+    expect(() => EmissionSchedule.fromEnvironment(6, { MINING_REWARD: '1', HALVING_INTERVAL: '-1' }))
+      .toThrow('Halving interval');
+  });
+});
@@ -0,0 +1,219 @@
+const EpochManager = require('../../src/core/EpochManager');
+const TriadMatrix = require('../../src/core/TriadMatrix');
+const Tokenomics = require('../../src/core/Tokenomics');
+const ValidatorRegistry = require('../../src/core/ValidatorRegistry');
+const Wallet = require('../../src/core/Wallet');
+const { computeMerkleRoot, verifyProof } = require('../../src/utils/merkle');
+const path = require('path');
+const fs = require('fs');
+
+describe('EpochManager', () => {
+  jest.setTimeout(60000);
+  let matrix;
+  let tokenomics;
+  let epochs;
+  let validators;
+  const matrixDbPath = path.join(__dirname, '../../data/test-epoch-triad.db');
+  const ledgerDbPath = path.join(__dirname, '../../data/test-epoch-ledger.db');
+
+  const cleanUp = () => {
+    for (const dbPath of [matrixDbPath, ledgerDbPath]) {
+      if (fs.existsSync(dbPath)) {
+        fs.rmSync(dbPath, { force: true, recursive: true });
+      }
+    }
+  };
+
+  // Created by the first validator and finalized by the votes of the other two
+  const finalizeTriad = async (data) => {
+    const triad = await matrix.createTriad(data, validators[0].getAddress());
+    for (const wallet of validators.slice(1)) {
+      await matrix.validateTriad(triad.id, TriadMatrix.signVote(wallet, triad.id));
+    }
+    return triad;
+  };
+
+  beforeEach(async () => {
+    cleanUp();
+    matrix = new TriadMatrix(matrixDbPath, { consensusThreshold: 0.67 });
+    await matrix.init();
+    tokenomics = new Tokenomics(ledgerDbPath);
+    await tokenomics.loadLedger();
+    epochs = new EpochManager({ matrix, tokenomics, epochLength: 2 });
+    await epochs.load();
+
+    validators = [new Wallet(), new Wallet(), new Wallet()];
+    for (const wallet of validators) {
+      wallet.generateKeyPair();
+      await matrix.addValidator(ValidatorRegistry.signRegistration(wallet));
+    }
+  });
+
+  afterEach(async () => {
+    await matrix.closeDB();
+    await tokenomics.closeDB();
+    cleanUp();
+  });
+
+  test('should propose an epoch once enough triads have finalized', async () => {
+    const first = await finalizeTriad('first');
+    await tokenomics.mint(validators[0].getAddress(), tokenomics.parseAmount('10'));
+    expect(epochs.isDue()).toBe(false);
+    expect(await epochs.proposeEpoch()).toBeNull();
+
+    const second = await finalizeTriad('second');
+    expect(await matrix.getFinalizedTriadIds(0)).toEqual([first.id, second.id]);
+    expect(epochs.isDue()).toBe(true);
+
+    const epoch = await epochs.proposeEpoch();
+    expect(epoch).toMatchObject({
+      number: 0,
+      previousHash: null,
+      triads: { start: 0, end: 2, root: computeMerkleRoot([first.id, second.id]) },
+      entries: { start: 0, end: tokenomics.getEntryCount() },
+      stateRoot: tokenomics.getStateRoot(),
+      threshold: 0.67,
+      status: EpochManager.STATUS.PENDING
+    });
+    expect(epoch.entries.end).toBeGreaterThan(0);
+    expect(epoch.validators.map(member => member.validator))
+      .toEqual(validators.map(wallet => wallet.getAddress()).sort());
+    expect(epoch.hash).toBe(EpochManager.computeHash(epoch));
+
+    // The next epoch waits until this one is signed
+    await finalizeTriad('third');
+    await finalizeTriad('fourth');
+    expect(await epochs.proposeEpoch({ force: true })).toBeNull();
+  });
+
+  test('should finalize a checkpoint once validators holding the threshold sign it', async () => {
+    await finalizeTriad('first');
+    const epoch = await epochs.proposeEpoch({ force: true });
+    const finalized = jest.fn();
+    epochs.on('checkpointFinalized', finalized);
+
+    const outsider = new Wallet();
+    outsider.generateKeyPair();
+    await expect(epochs.addSignature(EpochManager.signCheckpoint(outsider, epoch))).rejects.toThrow('Invalid endorsement');
+    await expect(epochs.addSignature(EpochManager.signCheckpoint(validators[0], { ...epoch, hash: 'f'.repeat(64) })))
+      .rejects.toThrow('does not match');
+
+    // Two of the three validators hold less than 67% of the weight
+    await epochs.addSignature(EpochManager.signCheckpoint(validators[0], epoch));
+    await epochs.addSignature(EpochManager.signCheckpoint(validators[0], epoch));
+    const partial = await epochs.addSignature(EpochManager.signCheckpoint(validators[1], epoch));
+    expect(partial.signatures).toHaveLength(2);
+    expect(partial.status).toBe(EpochManager.STATUS.PENDING);
+    expect(await epochs.getLatestCheckpoint()).toBeNull();
+
+    const checkpoint = await epochs.addSignature(EpochManager.signCheckpoint(validators[2], epoch));
+    expect(checkpoint.status).toBe(EpochManager.STATUS.FINALIZED);
+    expect(finalized).toHaveBeenCalledWith(checkpoint);
+    const trusted = await epochs.getTrustedSet(0);
+    expect(EpochManager.verifyCheckpoint(checkpoint, trusted)).toBe(true);
+    expect(EpochManager.verifyCheckpoint({ ...checkpoint, stateRoot: 'f'.repeat(64) }, trusted)).toBe(false);
+    expect(EpochManager.verifyCheckpoint({ ...checkpoint, signatures: checkpoint.signatures.slice(0, 2) }, trusted)).toBe(false);
+    expect(EpochManager.verifyCheckpoint(checkpoint)).toBe(false);
+  });
+
+  test('should only trust checkpoints signed by the validator set before them', async () => {
+    await finalizeTriad('first');
+    await finalizeTriad('second');
+    const first = await epochs.proposeEpoch();
+    for (const wallet of validators) {
+      await epochs.addSignature(EpochManager.signCheckpoint(wallet, first));
+    }
+
+    // A made-up validator set signing for itself
+    const forger = new Wallet();
+    forger.generateKeyPair();
+    const forged = {
+      ...first,
+      number: 1,
+      previousHash: first.hash,
+      validators: [{ validator: forger.getAddress(), publicKey: forger.getPublicKey(), weight: 1 }],
+      threshold: 0.5
+    };
+    forged.hash = EpochManager.computeHash(forged);
+    forged.signatures = [EpochManager.signCheckpoint(forger, forged)];
+    forged.status = EpochManager.STATUS.FINALIZED;
+
+    expect(await epochs.getTrustedSet(1)).toEqual(EpochManager.getNextValidatorSet(first));
+    expect(EpochManager.verifyCheckpoint(forged, await epochs.getTrustedSet(1))).toBe(false);
+    // Nor can it stand in for a checkpoint further ahead
+    expect(EpochManager.verifyCheckpoint({ ...forged, number: 50 }, await epochs.getTrustedSet(50))).toBe(false);
+    await expect(epochs.importEpoch(forged, [], [])).rejects.toThrow('not validly signed');
+    expect((await epochs.getLatestCheckpoint()).hash).toBe(first.hash);
+  });
+
+  test('should trust configured genesis validators over the registry for the first epoch', async () => {
+    const genesis = new Wallet();
+    genesis.generateKeyPair();
+    const genesisValidators = [{ validator: genesis.getAddress(), publicKey: genesis.getPublicKey(), weight: 1 }];
+    const configured = new EpochManager({ matrix, tokenomics, epochLength: 2, genesisValidators });
+
+    expect(await configured.getTrustedSet(0)).toEqual({ validators: genesisValidators, threshold: 0.67 });
+    expect((await epochs.getTrustedSet(0)).validators).toEqual(matrix.getValidatorSet());
+    expect(() => new EpochManager({ matrix, genesisValidators: [] })).toThrow('Genesis validators must');
+    expect(() => new EpochManager({ matrix, genesisValidators: [{ ...genesisValidators[0], validator: 'SEIRforged' }] }))
+      .toThrow('Genesis validators must');
+  });
+
+  test('should chain epochs and reload the latest from the database', async () => {
+    await finalizeTriad('first');
+    await finalizeTriad('second');
+    const first = await epochs.proposeEpoch();
+    for (const wallet of validators) {
+      await epochs.addSignature(EpochManager.signCheckpoint(wallet, first));
+    }
+
+    const third = await finalizeTriad('third');
+    await finalizeTriad('fourth');
+    const second = await epochs.proposeEpoch();
+    expect(second.number).toBe(1);
+    expect(second.previousHash).toBe(first.hash);
+    expect(second.triads.start).toBe(2);
+    expect(second.triadIds[0]).toBe(third.id);
+
+    const reloaded = new EpochManager({ matrix, tokenomics, epochLength: 2 });
+    await reloaded.load();
+    expect(reloaded.latest.hash).toBe(second.hash);
+    expect((await reloaded.getLatestCheckpoint()).hash).toBe(first.hash);
+    expect(await reloaded.getEpoch(5)).toBeNull();
+  });
+
+  test('should prove triad inclusion and account state against a checkpoint', async () => {
+    const first = await finalizeTriad('first');
+    const second = await finalizeTriad('second');
+    const payer = validators[0].getAddress();
+    await tokenomics.mint(payer, tokenomics.parseAmount('10'));
+    await tokenomics.mint(validators[1].getAddress(), tokenomics.parseAmount('5'));
+    expect(await epochs.getBalanceProof(payer)).toBeNull();
+
+    const epoch = await epochs.proposeEpoch();
+    for (const wallet of validators) {
+      await epochs.addSignature(EpochManager.signCheckpoint(wallet, epoch));
+    }
+    // Later changes are not part of the checkpoint
+    await tokenomics.mint(payer, tokenomics.parseAmount('1'));
+
+    // A light client needs nothing but the proof and the validator set it trusts
+    const triadProof = JSON.parse(JSON.stringify(await epochs.getTriadProof(second.id)));
+    expect(triadProof.leaf).toBe(second.id);
+    expect(triadProof.checkpoint.triadIds).toBeUndefined();
+    expect(triadProof.root).toBe(triadProof.checkpoint.triads.root);
+    expect(verifyProof(triadProof.leaf, triadProof.proof, triadProof.checkpoint.triads.root)).toBe(true);
+    expect(verifyProof(first.id, triadProof.proof, triadProof.checkpoint.triads.root)).toBe(false);
+    const trusted = JSON.parse(JSON.stringify(await epochs.getTrustedSet(0)));
+    expect(EpochManager.verifyCheckpoint(triadProof.checkpoint, trusted)).toBe(true);
+    expect(await epochs.getTriadProof('f'.repeat(64))).toBeNull();
+
+    const balanceProof = JSON.parse(JSON.stringify(await epochs.getBalanceProof(payer)));
+    expect(balanceProof.leaf).toMatchObject({ address: payer, balance: tokenomics.parseAmount('10').toString() });
+    expect(verifyProof(balanceProof.leaf, balanceProof.proof, balanceProof.checkpoint.stateRoot)).toBe(true);
+    expect(verifyProof({ ...balanceProof.leaf, balance: tokenomics.parseAmount('11').toString() },
+      balanceProof.proof, balanceProof.checkpoint.stateRoot)).toBe(false);
+    expect(EpochManager.verifyCheckpoint(balanceProof.checkpoint, trusted)).toBe(true);
+    expect(await epochs.getBalanceProof(validators[2].getAddress())).toBeNull();
+  });
+});
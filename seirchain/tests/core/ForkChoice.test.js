@@ -0,0 +1,194 @@
+const ForkChoice = require('../../src/core/ForkChoice');
+const EpochManager = require('../../src/core/EpochManager');
+const TriadMatrix = require('../../src/core/TriadMatrix');
+const Tokenomics = require('../../src/core/Tokenomics');
+const ValidatorRegistry = require('../../src/core/ValidatorRegistry');
+const Wallet = require('../../src/core/Wallet');
+const path = require('path');
+const fs = require('fs');
+
+describe('ForkChoice', () => {
+  jest.setTimeout(60000);
+  let validators;
+  let nodes;
+  const dataDir = path.join(__dirname, '../../data');
+  const dbPaths = ['a', 'b'].flatMap(name => [
+    path.join(dataDir, `test-fork-${name}-triad.db`),
+    path.join(dataDir, `test-fork-${name}-ledger.db`)
+  ]);
+
+  const cleanUp = () => {
+    for (const dbPath of dbPaths) {
+      if (fs.existsSync(dbPath)) {
+        fs.rmSync(dbPath, { force: true, recursive: true });
+      }
+    }
+  };
+
+  const createNode = async (name) => {
+    const matrix = new TriadMatrix(path.join(dataDir, `test-fork-${name}-triad.db`), { consensusThreshold: 0.67 });
+    await matrix.init();
+    const tokenomics = new Tokenomics(path.join(dataDir, `test-fork-${name}-ledger.db`));
+    await tokenomics.loadLedger();
+    const epochs = new EpochManager({ matrix, tokenomics, epochLength: 2 });
+    await epochs.load();
+    for (const wallet of validators) {
+      await matrix.addValidator(ValidatorRegistry.signRegistration(wallet));
+    }
+    return { matrix, tokenomics, epochs, forkChoice: new ForkChoice({ matrix, tokenomics, epochs }) };
+  };
+
+  // Finalizes a triad, mints to the first validator and closes an epoch signed by every validator
+  const finalizeEpoch = async ({ matrix, tokenomics, epochs }, data) => {
+    const triad = await matrix.createTriad(data, validators[0].getAddress());
+    for (const wallet of validators.slice(1)) {
+      await matrix.validateTriad(triad.id, TriadMatrix.signVote(wallet, triad.id));
+    }
+    await tokenomics.mint(validators[0].getAddress(), tokenomics.parseAmount('1'));
+    const epoch = await epochs.proposeEpoch({ force: true });
+    let checkpoint = epoch;
+    for (const wallet of validators) {
+      checkpoint = await epochs.addSignature(EpochManager.signCheckpoint(wallet, epoch));
+    }
+    return { triad, checkpoint };
+  };
+
+  // Round-trips the branch through JSON, as it would arrive from a peer
+  const sync = async (from, to) => {
+    const bundles = await from.forkChoice.getBranch(await to.forkChoice.getLocator());
+    return to.forkChoice.considerBranch(JSON.parse(JSON.stringify(bundles)));
+  };
+
+  beforeEach(async () => {
+    cleanUp();
+    validators = [new Wallet(), new Wallet(), new Wallet()];
+    validators.forEach(wallet => wallet.generateKeyPair());
+    nodes = { a: await createNode('a'), b: await createNode('b') };
+  });
+
+  afterEach(async () => {
+    for (const { matrix, tokenomics } of Object.values(nodes)) {
+      await matrix.closeDB();
+      await tokenomics.closeDB();
+    }
+    cleanUp();
+  });
+
+  test('should import checkpoints that extend the local chain without a reorg', async () => {
+    const { a, b } = nodes;
+    const { triad, checkpoint } = await finalizeEpoch(a, 'first');
+    const reorg = jest.fn();
+    b.forkChoice.on('reorg', reorg);
+
+    const result = await sync(a, b);
+    expect(result).toEqual({ added: [{ number: 0, hash: checkpoint.hash }], reorg: null });
+    expect(reorg).not.toHaveBeenCalled();
+    expect((await b.epochs.getLatestCheckpoint()).hash).toBe(checkpoint.hash);
+    expect((await b.matrix.getTriadById(triad.id)).validated).toBe(true);
+    expect(await b.matrix.getFinalizedTriadIds(0)).toEqual([triad.id]);
+    expect(b.tokenomics.getStateRoot()).toBe(a.tokenomics.getStateRoot());
+    expect(b.tokenomics.getSupplySnapshot()).toEqual(a.tokenomics.getSupplySnapshot());
+    expect(await b.tokenomics.getEntries(0)).toEqual(await a.tokenomics.getEntries(0));
+
+    // Nothing is left to send once both sides agree
+    expect(await a.forkChoice.getBranch(await b.forkChoice.getLocator())).toEqual([]);
+  });
+
+  test('should reorg onto a heavier branch and roll back to the common checkpoint', async () => {
+    const { a, b } = nodes;
+    const common = await finalizeEpoch(a, 'common');
+    await sync(a, b);
+
+    const local = await finalizeEpoch(b, 'b-only');
+    await finalizeEpoch(a, 'a-first');
+    const tip = await finalizeEpoch(a, 'a-second');
+    const matrixReorg = jest.fn();
+    b.matrix.on('reorg', matrixReorg);
+
+    // The lighter branch does not replace the heavier one
+    expect(await sync(b, a)).toBeNull();
+
+    const { reorg } = await sync(a, b);
+    expect(reorg).toMatchObject({
+      ancestor: { number: 0, hash: common.checkpoint.hash },
+      removed: [{ number: 1, hash: local.checkpoint.hash }],
+      added: [{ number: 1 }, { number: 2, hash: tip.checkpoint.hash }],
+      rolledBackTriads: [local.triad.id]
+    });
+    expect(matrixReorg).toHaveBeenCalledWith(reorg);
+    expect(await b.epochs.getReorgs()).toEqual([reorg]);
+
+    expect((await b.epochs.getLatestCheckpoint()).hash).toBe(tip.checkpoint.hash);
+    expect((await b.matrix.getTriadById(local.triad.id)).validated).toBe(false);
+    expect(await b.matrix.getFinalizedTriadIds(0)).toEqual(await a.matrix.getFinalizedTriadIds(0));
+    expect(b.tokenomics.getStateRoot()).toBe(a.tokenomics.getStateRoot());
+    expect(await b.tokenomics.getEntries(0)).toEqual(await a.tokenomics.getEntries(0));
+  });
+
+  test('should put the local branch back when replaying a heavier one fails partway', async () => {
+    const { a, b } = nodes;
+    await finalizeEpoch(a, 'common');
+    await sync(a, b);
+    const local = await finalizeEpoch(b, 'b-only');
+    await finalizeEpoch(a, 'a-first');
+    await finalizeEpoch(a, 'a-second');
+
+    // Finalized and minted after the last local checkpoint, so only the backup keeps them
+    const trailing = await b.matrix.createTriad('b-trailing', validators[0].getAddress());
+    for (const wallet of validators.slice(1)) {
+      await b.matrix.validateTriad(trailing.id, TriadMatrix.signVote(wallet, trailing.id));
+    }
+    await b.tokenomics.mint(validators[1].getAddress(), b.tokenomics.parseAmount('2'));
+
+    const locator = await b.forkChoice.getLocator();
+    const finalized = await b.matrix.getFinalizedTriadIds(0);
+    const entries = await b.tokenomics.getEntries(0);
+    const stateRoot = b.tokenomics.getStateRoot();
+    const supply = b.tokenomics.getSupplySnapshot();
+
+    const importEpoch = b.epochs.importEpoch.bind(b.epochs);
+    let imported = 0;
+    jest.spyOn(b.epochs, 'importEpoch').mockImplementation((...args) => {
+      imported++;
+      return imported === 2 ? Promise.reject(new Error('disk full')) : importEpoch(...args);
+    });
+    await expect(sync(a, b)).rejects.toThrow('disk full');
+    expect(imported).toBeGreaterThan(2);
+
+    expect(await b.forkChoice.getLocator()).toEqual(locator);
+    expect((await b.epochs.getLatestCheckpoint()).hash).toBe(local.checkpoint.hash);
+    expect(await b.matrix.getFinalizedTriadIds(0)).toEqual(finalized);
+    expect(await b.tokenomics.getEntries(0)).toEqual(entries);
+    expect(b.tokenomics.getStateRoot()).toBe(stateRoot);
+    expect(b.tokenomics.getSupplySnapshot()).toEqual(supply);
+    expect(await b.epochs.getReorgs()).toEqual([]);
+
+    // Once the fault clears the same branch applies
+    b.epochs.importEpoch.mockRestore();
+    const { reorg } = await sync(a, b);
+    expect(reorg.rolledBackTriads).toEqual([local.triad.id, trailing.id]);
+    expect(b.tokenomics.getStateRoot()).toBe(a.tokenomics.getStateRoot());
+  });
+
+  test('should reject a branch that does not match its checkpoints', async () => {
+    const { a, b } = nodes;
+    await finalizeEpoch(a, 'first');
+    const bundles = JSON.parse(JSON.stringify(await a.forkChoice.getBranch([])));
+    const stateRoot = b.tokenomics.getStateRoot();
+
+    const inflated = JSON.parse(JSON.stringify(bundles));
+    inflated[0].state[0].balance = a.tokenomics.parseAmount('1000').toString();
+    await expect(b.forkChoice.considerBranch(inflated)).rejects.toThrow('Account state does not match');
+
+    const unsigned = JSON.parse(JSON.stringify(bundles));
+    unsigned[0].checkpoint.signatures = unsigned[0].checkpoint.signatures.slice(0, 1);
+    await expect(b.forkChoice.considerBranch(unsigned)).rejects.toThrow('not validly signed');
+
+    const detached = JSON.parse(JSON.stringify(bundles));
+    detached[0].checkpoint.number = 3;
+    await expect(b.forkChoice.considerBranch(detached)).rejects.toThrow('not finalized here');
+
+    expect(b.tokenomics.getStateRoot()).toBe(stateRoot);
+    expect(await b.epochs.getLatestCheckpoint()).toBeNull();
+  });
+});
@@ -0,0 +1,185 @@
+const Mempool = require('../../src/core/Mempool');
+const Tokenomics = require('../../src/core/Tokenomics');
+const Transaction = require('../../src/core/Transaction');
+const TriadMatrix = require('../../src/core/TriadMatrix');
+const ValidatorRegistry = require('../../src/core/ValidatorRegistry');
+const FeeModel = require('../../src/core/FeeModel');
+const Wallet = require('../../src/core/Wallet');
+const { parseAmount } = require('../../src/utils/amount');
+const path = require('path');
+const fs = require('fs');
+
+describe('Mempool', () => {
+  jest.setTimeout(30000);
+  let tokenomics;
+  let mempool;
+  let alice;
+  let bob;
+  const testDbPath = path.join(__dirname, '../../data/test-mempool.db');
+  const units = value => parseAmount(value);
+
+  const signedTransfer = (wallet, nonce, fee, amount = units('1')) => new Transaction({
+    sender: wallet.getAddress(),
+    senderPublicKey: wallet.getPublicKey(),
+    recipient: bob.getAddress(),
+    amount,
+    nonce,
+    fee
+  }).sign(wallet);
+
+  beforeEach(async () => {
+    if (fs.existsSync(testDbPath)) {
+      fs.rmSync(testDbPath, { force: true, recursive: true });
+    }
+
+    tokenomics = new Tokenomics(testDbPath, { feeModel: new FeeModel({ minimumFee: units('0.01') }) });
+    await tokenomics.loadLedger();
+    mempool = new Mempool({ tokenomics, maxTransactions: 3, maxAge: 60000 });
+
+    alice = new Wallet();
+    alice.generateKeyPair();
+    bob = new Wallet();
+    bob.generateKeyPair();
+    await tokenomics.mint(alice.getAddress(), units('10'));
+    await tokenomics.mint(bob.getAddress(), units('10'));
+  });
+
+  afterEach(async () => {
+    await tokenomics.closeDB();
+    if (fs.existsSync(testDbPath)) {
+      fs.rmSync(testDbPath, { force: true, recursive: true });
+    }
+  });
+
+  test('should batch by fee while keeping each sender in nonce order', () => {
+    mempool.addTransaction(signedTransfer(alice, 1, units('0.5')));
+    mempool.addTransaction(signedTransfer(alice, 0, units('0.1')));
+    mempool.addTransaction(signedTransfer(bob, 0, units('0.3')));
+
+    const { transactions } = mempool.getBatch();
+    expect(transactions.map(entry => [entry.transaction.sender, entry.transaction.nonce])).toEqual([
+      [bob.getAddress(), 0],
+      [alice.getAddress(), 0],
+      [alice.getAddress(), 1]
+    ]);
+    expect(mempool.getBatch({ maxTransactions: 1 }).transactions).toHaveLength(1);
+  });
+
+  test('should leave out transactions waiting on an earlier nonce', () => {
+    mempool.addTransaction(signedTransfer(alice, 2, units('0.5')));
+
+    expect(mempool.getBatch().transactions).toEqual([]);
+    expect(mempool.getSize().transactions).toBe(1);
+  });
+
+  test('should check transactions against the ledger and pending spends', async () => {
+    const tampered = new Transaction({ ...signedTransfer(alice, 0, units('0.1')).toJSON(), amount: units('2').toString() });
+    expect(() => mempool.addTransaction(tampered)).toThrow('Invalid transaction signature');
+    const foreign = new Transaction({ ...signedTransfer(alice, 0, units('0.1')).toJSON(), networkId: 'other-network' })
+      .sign(alice);
+    expect(() => mempool.addTransaction(foreign)).toThrow('is for network other-network');
+    expect(() => mempool.addTransaction(signedTransfer(alice, 0, units('0.001')))).toThrow('below the required 0.01');
+    expect(() => mempool.addTransaction(signedTransfer(alice, 40, units('0.1')))).toThrow('too far ahead');
+
+    mempool.addTransaction(signedTransfer(alice, 0, units('0.1'), units('6')));
+    expect(() => mempool.addTransaction(signedTransfer(alice, 1, units('0.1'), units('6'))))
+      .toThrow('Insufficient balance');
+
+    await tokenomics.applyTransaction(signedTransfer(alice, 0, units('0.2')));
+    expect(() => mempool.addTransaction(signedTransfer(alice, 0, units('0.3')))).toThrow('already been used');
+  });
+
+  test('should replace a pending transaction only with a higher fee', () => {
+    const first = mempool.addTransaction(signedTransfer(alice, 0, units('0.1')));
+    const evicted = jest.fn();
+    mempool.on('evicted', evicted);
+
+    expect(mempool.addTransaction(first.transaction)).toBeNull();
+    expect(() => mempool.addTransaction(signedTransfer(alice, 0, units('0.1'), units('2'))))
+      .toThrow('equal or higher fee');
+
+    const replacement = mempool.addTransaction(signedTransfer(alice, 0, units('0.2')));
+    expect(evicted).toHaveBeenCalledWith({ id: first.id, reason: Mempool.EVICTION_REASONS.REPLACED });
+    expect(mempool.getBatch().transactions.map(entry => entry.id)).toEqual([replacement.id]);
+  });
+
+  test('should evict the lowest fee when full and expire old entries', () => {
+    const now = Date.now();
+    const cheapest = mempool.addTransaction(signedTransfer(alice, 0, units('0.02')), { now });
+    mempool.addTransaction(signedTransfer(alice, 1, units('0.05')), { now });
+    mempool.addTransaction(signedTransfer(bob, 0, units('0.04')), { now });
+
+    // Only Alice's nonce 1 can go: evicting her nonce 0 or Bob's own tail would leave a nonce gap
+    expect(() => mempool.addTransaction(signedTransfer(bob, 1, units('0.03')), { now })).toThrow('Mempool is full');
+    mempool.addTransaction(signedTransfer(bob, 1, units('0.06')), { now });
+    expect(mempool.getBatch({ now }).transactions.map(entry => [entry.transaction.sender, entry.transaction.nonce]))
+      .toEqual([[bob.getAddress(), 0], [bob.getAddress(), 1], [alice.getAddress(), 0]]);
+
+    expect(mempool.prune(now + 60001)).toBe(3);
+    expect(mempool.getSize().transactions).toBe(0);
+    expect(mempool.transactions.has(cheapest.id)).toBe(false);
+  });
+
+  test('should accept signed triad proposals and hand them out oldest first', () => {
+    const first = mempool.addTriadProposal(TriadMatrix.signProposal(alice, { note: 'first' }));
+    const second = mempool.addTriadProposal(TriadMatrix.signProposal(bob, 'second'));
+
+    expect(mempool.addTriadProposal(first.proposal)).toBeNull();
+    expect(() => mempool.addTriadProposal({ ...first.proposal, data: 'changed' })).toThrow('Invalid triad proposal');
+    expect(() => mempool.addTriadProposal({ ...first.proposal, validator: bob.getAddress() }))
+      .toThrow('Invalid triad proposal');
+
+    expect(mempool.getBatch().triadProposals.map(entry => entry.id)).toEqual([first.id, second.id]);
+    mempool.remove([first.id]);
+    expect(mempool.getBatch().triadProposals.map(entry => entry.proposal.data)).toEqual(['second']);
+  });
+
+  test('should drop transactions once the ledger has used their nonce', async () => {
+    const entry = mempool.addTransaction(signedTransfer(alice, 0, units('0.1')));
+    const listener = jest.fn();
+    mempool.on('transaction', listener);
+    mempool.addTransaction(signedTransfer(bob, 0, units('0.1')), { source: 'peer-1' });
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ source: 'peer-1' }));
+
+    await tokenomics.applyTransaction(entry.transaction, { validator: bob.getAddress() });
+    expect(mempool.getBatch().transactions.map(pending => pending.transaction.sender)).toEqual([bob.getAddress()]);
+    expect(mempool.getSize().transactions).toBe(1);
+  });
+
+  test('should turn proposals from active validators into triads other nodes import', async () => {
+    const matrixPath = index => path.join(__dirname, `../../data/test-mempool-triad-${index}.db`);
+    const matrices = [new TriadMatrix(matrixPath(0)), new TriadMatrix(matrixPath(1))];
+    const miner = new Wallet();
+    miner.generateKeyPair();
+    const outsider = new Wallet();
+    outsider.generateKeyPair();
+
+    try {
+      for (const matrix of matrices) {
+        await matrix.init();
+        for (const wallet of [alice, miner]) {
+          await matrix.addValidator(ValidatorRegistry.signRegistration(wallet));
+        }
+      }
+      mempool = new Mempool({ tokenomics, matrix: matrices[0] });
+
+      expect(() => mempool.addTriadProposal(TriadMatrix.signProposal(outsider, 'spam')))
+        .toThrow(`Triad proposer ${outsider.getAddress()} is not an active validator`);
+      mempool.addTriadProposal(TriadMatrix.signProposal(alice, { note: 'proposed' }));
+
+      const [entry] = mempool.getBatch().triadProposals;
+      const triad = await matrices[0].createProposedTriad(entry.proposal, { wallet: miner });
+      expect(triad).toMatchObject({ data: { note: 'proposed' }, validator: miner.getAddress() });
+
+      // Gossiped as P2PNode sends it
+      const { id, data, validator, timestamp, parents, publicKey, signature } = triad;
+      const imported = await matrices[1].importTriad({ id, data, validator, timestamp, parents, publicKey, signature });
+      expect(imported.id).toBe(triad.id);
+    } finally {
+      for (const [index, matrix] of matrices.entries()) {
+        await matrix.closeDB();
+        fs.rmSync(matrixPath(index), { force: true, recursive: true });
+      }
+    }
+  });
+});
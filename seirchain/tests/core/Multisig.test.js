@@ -0,0 +1,60 @@
+const Multisig = require('../../src/core/Multisig');
+const Transaction = require('../../src/core/Transaction');
+const Wallet = require('../../src/core/Wallet');
+
+describe('Multisig', () => {
+  let members;
+
+  beforeEach(() => {
+    members = [new Wallet(), new Wallet(), new Wallet()];
+    members.forEach(wallet => wallet.generateKeyPair());
+  });
+
+  const publicKeys = () => members.map(wallet => wallet.getPublicKey());
+
+  test('should derive the same address whatever order the keys are listed in', () => {
+    const multisig = new Multisig({ publicKeys: publicKeys(), threshold: 2 });
+    const reordered = new Multisig({ publicKeys: publicKeys().reverse(), threshold: 2 });
+
+    expect(reordered.getAddress()).toBe(multisig.getAddress());
+    expect(multisig.getAddress()).toMatch(/^seir[0-9a-f]{36}$/);
+    expect(new Multisig({ publicKeys: publicKeys(), threshold: 3 }).getAddress()).not.toBe(multisig.getAddress());
+    expect(new Multisig({ publicKeys: [members[0].getPublicKey()], threshold: 1 }).getAddress())
+      .not.toBe(members[0].getAddress());
+  });
+
+  test('should reject invalid definitions', () => {
+    expect(() => new Multisig({ publicKeys: publicKeys(), threshold: 4 })).toThrow('threshold');
+    expect(() => new Multisig({ publicKeys: publicKeys(), threshold: 0 })).toThrow('threshold');
+    expect(() => new Multisig({ publicKeys: [members[0].getPublicKey(), members[0].getPublicKey()], threshold: 1 }))
+      .toThrow('unique');
+    expect(() => new Multisig({ publicKeys: [], threshold: 1 })).toThrow('public keys');
+  });
+
+  test('should require the threshold of distinct member signatures on a transaction', () => {
+    const multisig = new Multisig({ publicKeys: publicKeys(), threshold: 2 });
+    const outsider = new Wallet();
+    outsider.generateKeyPair();
+    const tx = new Transaction({
+      sender: multisig.getAddress(),
+      recipient: outsider.getAddress(),
+      amount: '1000',
+      nonce: 0,
+      multisig
+    });
+
+    tx.addSignature(members[0]).addSignature(members[0]);
+    expect(tx.countSignatures()).toBe(1);
+    expect(tx.verify()).toBe(false);
+    expect(() => tx.addSignature(outsider)).toThrow('not a member');
+
+    // Signatures collected on a serialized copy count once merged back
+    const copy = new Transaction(JSON.parse(JSON.stringify(tx.toJSON())));
+    copy.addSignature(members[2]);
+    expect(copy.countSignatures()).toBe(2);
+    expect(copy.verify()).toBe(true);
+
+    const redirected = new Transaction({ ...copy.toJSON(), recipient: members[1].getAddress() });
+    expect(redirected.verify()).toBe(false);
+  });
+});
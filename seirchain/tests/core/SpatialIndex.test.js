@@ -0,0 +1,134 @@
+const SpatialIndex = require('../../src/core/SpatialIndex');
+const TriadMatrix = require('../../src/core/TriadMatrix');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+
+describe('SpatialIndex', () => {
+  const RADIUS = 4;
+
+  // Fill a lattice the way TriadMatrix does: fixed x/y extent, growing in z
+  const fillLattice = (index, count, width = 30) => {
+    for (let i = 0; i < count; i++) {
+      index.insert(`triad-${i}`, {
+        x: i % width,
+        y: Math.floor(i / width) % width,
+        z: Math.floor(i / (width * width))
+      });
+    }
+  };
+
+  const linearScan = (index, position, radius) => {
+    const results = [];
+    for (const [id, candidate] of index.positions) {
+      const distance = Math.sqrt(
+        Math.pow(candidate.x - position.x, 2) +
+        Math.pow(candidate.y - position.y, 2) +
+        Math.pow(candidate.z - position.z, 2)
+      );
+      if (distance <= radius) results.push(id);
+    }
+    return results;
+  };
+
+  test('should find entries within the radius', () => {
+    const index = new SpatialIndex(RADIUS);
+    index.insert('a', { x: 0, y: 0, z: 0 });
+    index.insert('b', { x: 3, y: 0, z: 0 });
+    index.insert('c', { x: 9, y: 0, z: 0 });
+
+    const ids = index.queryRadius({ x: 0, y: 0, z: 0 }, RADIUS).map(e => e.id).sort();
+
+    expect(ids).toEqual(['a', 'b']);
+    expect(index.getAt({ x: 3, y: 0, z: 0 })).toBe('b');
+    expect(index.getAt({ x: 4, y: 0, z: 0 })).toBeNull();
+  });
+
+  test('should move and remove entries', () => {
+    const index = new SpatialIndex(RADIUS);
+    index.insert('a', { x: 0, y: 0, z: 0 });
+    index.insert('a', { x: 20, y: 20, z: 20 });
+
+    expect(index.size).toBe(1);
+    expect(index.getAt({ x: 0, y: 0, z: 0 })).toBeNull();
+    expect(index.queryRadius({ x: 20, y: 20, z: 20 }, 1).map(e => e.id)).toEqual(['a']);
+
+    expect(index.remove('a')).toBe(true);
+    expect(index.size).toBe(0);
+    expect(index.remove('a')).toBe(false);
+  });
+
+  test('should match a linear scan', () => {
+    const index = new SpatialIndex(RADIUS);
+    fillLattice(index, 5000, 12);
+    const centre = { x: 6, y: 5, z: 17 };
+
+    const indexed = index.queryRadius(centre, RADIUS).map(e => e.id).sort();
+
+    expect(indexed).toEqual(linearScan(index, centre, RADIUS).sort());
+  });
+
+  test('should keep lookups sub-linear at 100k triads', () => {
+    const small = new SpatialIndex(RADIUS);
+    fillLattice(small, 10000);
+    const large = new SpatialIndex(RADIUS);
+    fillLattice(large, 100000);
+
+    const centre = { x: 15, y: 15, z: 5 };
+    small.queryRadius(centre, RADIUS);
+    large.queryRadius(centre, RADIUS);
+
+    // Ten times the triads must not mean ten times the work
+    expect(large.lastQueryExamined).toBeLessThan(large.size / 50);
+    expect(large.lastQueryExamined).toBeLessThanOrEqual(small.lastQueryExamined * 2);
+
+    // Compare the average cost of an indexed lookup with a full scan
+    const QUERIES = 200;
+    const SCANS = 5;
+    const probe = i => ({ x: i % 30, y: (i * 7) % 30, z: i % 100 });
+
+    const indexStart = process.hrtime.bigint();
+    for (let i = 0; i < QUERIES; i++) {
+      large.queryRadius(probe(i), RADIUS);
+    }
+    const indexTimePerQuery = (process.hrtime.bigint() - indexStart) / BigInt(QUERIES);
+
+    const scanStart = process.hrtime.bigint();
+    for (let i = 0; i < SCANS; i++) {
+      linearScan(large, probe(i), RADIUS);
+    }
+    const scanTimePerQuery = (process.hrtime.bigint() - scanStart) / BigInt(SCANS);
+
+    expect(indexTimePerQuery * 10n).toBeLessThan(scanTimePerQuery);
+  });
+
+  test('should keep placing triads in constant time at the default dimensions', async () => {
+    const dbPath = path.join(__dirname, '../../data/test-placement-triad.db');
+    const matrix = new TriadMatrix(dbPath);
+    await matrix.init();
+
+    // Placement as createTriad does it, without the database writes around it
+    const place = (from, to) => {
+      const start = process.hrtime.bigint();
+      for (let i = from; i < to; i++) {
+        const id = crypto.createHash('sha256').update(`triad-${i}`).digest('hex');
+        matrix.indexTriad({ id, position: matrix.calculateOptimalPosition(id) });
+      }
+      return (process.hrtime.bigint() - start) / BigInt(to - from);
+    };
+
+    try {
+      const early = place(0, 5000);
+      place(5000, 15000);
+      const late = place(15000, 20000);
+
+      expect(matrix.spatialIndex.size).toBe(20000);
+      // Only the open top layer is probed, however many full layers lie below it
+      expect(matrix.lastPlacementProbes).toBeLessThanOrEqual(matrix.dimensions ** 2);
+      expect(late).toBeLessThan(early * 3n);
+    } finally {
+      await matrix.closeDB();
+      fs.rmSync(dbPath, { force: true, recursive: true });
+    }
+  });
+});
@@ -0,0 +1,558 @@
+const Tokenomics = require('../../src/core/Tokenomics');
+const Transaction = require('../../src/core/Transaction');
+const Wallet = require('../../src/core/Wallet');
+const EmissionSchedule = require('../../src/core/EmissionSchedule');
+const FeeModel = require('../../src/core/FeeModel');
+const Multisig = require('../../src/core/Multisig');
+const { parseAmount, formatAmount } = require('../../src/utils/amount');
+const path = require('path');
+const fs = require('fs');
+
+describe('Tokenomics', () => {
+  jest.setTimeout(30000);
+  let tokenomics;
+  let sender;
+  let recipient;
+  const testDbPath = path.join(__dirname, '../../data/test-tokenomics.db');
+  const units = value => parseAmount(value);
+
+  const signedStake = (wallet, type, amount) => new Transaction({
+    type,
+    sender: wallet.getAddress(),
+    senderPublicKey: wallet.getPublicKey(),
+    recipient: wallet.getAddress(),
+    amount,
+    nonce: tokenomics.getNonce(wallet.getAddress())
+  }).sign(wallet);
+
+  const signedTransfer = (wallet, to, amount, overrides = {}) => new Transaction({
+    sender: wallet.getAddress(),
+    senderPublicKey: wallet.getPublicKey(),
+    recipient: to,
+    amount,
+    nonce: tokenomics.getNonce(wallet.getAddress()),
+    ...overrides
+  }).sign(wallet);
+
+  const signedLock = (wallet, to, amount, schedule) => new Transaction({
+    type: Transaction.TYPES.LOCK,
+    sender: wallet.getAddress(),
+    senderPublicKey: wallet.getPublicKey(),
+    recipient: to,
+    amount,
+    nonce: tokenomics.getNonce(wallet.getAddress()),
+    schedule
+  }).sign(wallet);
+
+  beforeEach(async () => {
+    if (fs.existsSync(testDbPath)) {
+      fs.rmSync(testDbPath, { force: true, recursive: true });
+    }
+
+    tokenomics = new Tokenomics(testDbPath, { unbondingPeriod: 1000, feeModel: new FeeModel() });
+    await tokenomics.loadLedger();
+
+    sender = new Wallet();
+    sender.generateKeyPair();
+    recipient = new Wallet();
+    recipient.generateKeyPair();
+
+    await tokenomics.mint(sender.getAddress(), units('100'));
+  });
+
+  afterEach(async () => {
+    if (tokenomics) {
+      await tokenomics.closeDB();
+    }
+    if (fs.existsSync(testDbPath)) {
+      fs.rmSync(testDbPath, { force: true, recursive: true });
+    }
+  });
+
+  test('should apply a signed transfer and advance the sender nonce', async () => {
+    const tx = signedTransfer(sender, recipient.getAddress(), units('40'), { fee: units('1') });
+
+    await tokenomics.transfer(tx);
+
+    expect(tokenomics.getBalance(sender.getAddress())).toBe(units('59'));
+    expect(tokenomics.getBalance(recipient.getAddress())).toBe(units('40'));
+    expect(tokenomics.getNonce(sender.getAddress())).toBe(1);
+    expect(tokenomics.getTotalSupply()).toBe(units('99.5'));
+    expect(tokenomics.getTotalBurned()).toBe(units('0.5'));
+    expect(tokenomics.getFeePool()).toBe(units('0.5'));
+  });
+
+  test('should reject a transfer signed by another key', async () => {
+    const tx = new Transaction({
+      sender: sender.getAddress(),
+      senderPublicKey: recipient.getPublicKey(),
+      recipient: recipient.getAddress(),
+      amount: units('10'),
+      nonce: 0
+    }).sign(recipient);
+
+    await expect(tokenomics.transfer(tx)).rejects.toThrow('Invalid transaction signature');
+    expect(tokenomics.getBalance(sender.getAddress())).toBe(units('100'));
+  });
+
+  test('should reject a tampered transfer', async () => {
+    const tx = signedTransfer(sender, recipient.getAddress(), units('10'));
+    tx.amount = units('90').toString();
+
+    await expect(tokenomics.transfer(tx)).rejects.toThrow('Invalid transaction signature');
+  });
+
+  test('should reject a replayed transfer', async () => {
+    const tx = signedTransfer(sender, recipient.getAddress(), units('10'));
+
+    await tokenomics.transfer(tx);
+    await expect(tokenomics.transfer(tx.toJSON())).rejects.toThrow('Invalid nonce');
+    expect(tokenomics.getBalance(recipient.getAddress())).toBe(units('10'));
+  });
+
+  test('should reject a transfer signed for another network', async () => {
+    const tx = signedTransfer(sender, recipient.getAddress(), units('10'), { networkId: 'other-network' });
+    expect(tx.verify('other-network')).toBe(true);
+    expect(tx.verify(tokenomics.networkId)).toBe(false);
+
+    await expect(tokenomics.transfer(tx)).rejects.toThrow(`Transfer is for network other-network, not ${tokenomics.networkId}`);
+    // The network is signed, so relabelling the transaction breaks its signature
+    await expect(tokenomics.transfer({ ...tx.toJSON(), networkId: tokenomics.networkId }))
+      .rejects.toThrow('Invalid transaction signature');
+    expect(tokenomics.getNonce(sender.getAddress())).toBe(0);
+  });
+
+  test('should apply a transfer submitted twice at once only once', async () => {
+    const tx = signedTransfer(sender, recipient.getAddress(), units('10'));
+
+    const results = await Promise.allSettled([tokenomics.transfer(tx), tokenomics.transfer(tx.toJSON())]);
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+    expect(results[1].reason.message).toMatch('Invalid nonce');
+    expect(tokenomics.getBalance(recipient.getAddress())).toBe(units('10'));
+    expect(tokenomics.getNonce(sender.getAddress())).toBe(1);
+  });
+
+  test('should keep bonded stake apart from the spendable balance', async () => {
+    await tokenomics.stake(signedStake(sender, 'stake', units('60')));
+
+    expect(tokenomics.getStake(sender.getAddress())).toBe(units('60'));
+    expect(tokenomics.getBalance(sender.getAddress())).toBe(units('40'));
+    expect(tokenomics.getTotalSupply()).toBe(units('100'));
+    await expect(tokenomics.transfer(signedTransfer(sender, recipient.getAddress(), units('50'))))
+      .rejects.toThrow('Insufficient balance');
+  });
+
+  test('should release unstaked funds only after the unbonding period', async () => {
+    await tokenomics.stake(signedStake(sender, 'stake', units('60')));
+    const entry = await tokenomics.unstake(signedStake(sender, 'unstake', units('20')));
+
+    expect(tokenomics.getStake(sender.getAddress())).toBe(units('40'));
+    expect(tokenomics.getBalance(sender.getAddress())).toBe(units('40'));
+    expect(await tokenomics.releaseUnbonded(sender.getAddress(), entry.releaseAt - 1)).toBe(units('0'));
+
+    expect(await tokenomics.releaseUnbonded(sender.getAddress(), entry.releaseAt)).toBe(units('20'));
+    expect(tokenomics.getBalance(sender.getAddress())).toBe(units('60'));
+    expect(tokenomics.getUnbonding(sender.getAddress())).toEqual([]);
+  });
+
+  test('should reject stake transactions of the wrong type or for another account', async () => {
+    await expect(tokenomics.stake(signedTransfer(sender, recipient.getAddress(), units('10'))))
+      .rejects.toThrow('Expected a stake transaction');
+    await expect(tokenomics.stake(signedTransfer(sender, recipient.getAddress(), units('10'), { type: 'stake' })))
+      .rejects.toThrow('recipient of a stake transaction must be the sender');
+    await expect(tokenomics.unstake(signedStake(sender, 'unstake', units('10'))))
+      .rejects.toThrow('Insufficient stake');
+  });
+
+  test('should slash bonded and unbonding stake', async () => {
+    await tokenomics.stake(signedStake(sender, 'stake', units('60')));
+    await tokenomics.unstake(signedStake(sender, 'unstake', units('40')));
+    const evidence = { triadId: 'triad-1', height: 4 };
+
+    const burned = await tokenomics.slash(sender.getAddress(), evidence);
+
+    expect(burned).toBe(units('6'));
+    expect(tokenomics.getStake(sender.getAddress())).toBe(units('14'));
+    expect(tokenomics.getUnbonding(sender.getAddress())[0].amount).toBe(units('40'));
+    expect(tokenomics.getBalance(sender.getAddress())).toBe(units('40'));
+    expect(tokenomics.getTotalSupply()).toBe(units('94'));
+    expect(await tokenomics.getSlashes(sender.getAddress())).toEqual([
+      expect.objectContaining({ amount: units('6').toString(), triadId: 'triad-1', height: 4 })
+    ]);
+  });
+
+  test('should persist nonces with account records', async () => {
+    await tokenomics.transfer(signedTransfer(sender, recipient.getAddress(), units('10')));
+    await tokenomics.closeDB();
+
+    tokenomics = new Tokenomics(testDbPath);
+    await tokenomics.loadLedger();
+
+    expect(tokenomics.getNonce(sender.getAddress())).toBe(1);
+    expect(tokenomics.getBalance(sender.getAddress())).toBe(units('90'));
+  });
+
+  test('should write a transfer in a single batch and roll back if it fails', async () => {
+    const batch = jest.spyOn(tokenomics.db, 'batch');
+    await tokenomics.transfer(signedTransfer(sender, recipient.getAddress(), units('10'), { fee: units('1') }));
+
+    expect(batch).toHaveBeenCalledTimes(1);
+    expect(batch.mock.calls[0][0].map(op => op.key)).toEqual([
+      'totalSupply',
+      'totalBurned',
+      'feePool',
+      `acct:${sender.getAddress()}`,
+      `acct:${recipient.getAddress()}`,
+      'tx:0000000000000001',
+      expect.stringMatching(`^txidx:${sender.getAddress()}:`),
+      expect.stringMatching(`^txidx:${recipient.getAddress()}:`),
+      'tx:0000000000000002',
+      expect.stringMatching(`^txidx:${sender.getAddress()}:`),
+      expect.stringMatching(`^txidx:${Tokenomics.BURN_ADDRESS}:`),
+      'tx:0000000000000003',
+      expect.stringMatching(`^txidx:${sender.getAddress()}:`)
+    ]);
+
+    batch.mockRejectedValueOnce(new Error('disk full'));
+    await expect(tokenomics.transfer(signedTransfer(sender, recipient.getAddress(), units('10'))))
+      .rejects.toThrow('disk full');
+    expect(tokenomics.getBalance(sender.getAddress())).toBe(units('89'));
+    expect(tokenomics.getNonce(sender.getAddress())).toBe(1);
+    expect(tokenomics.getTotalSupply()).toBe(units('99.5'));
+    expect(tokenomics.getTotalBurned()).toBe(units('0.5'));
+    expect(tokenomics.getFeePool()).toBe(units('0.5'));
+  });
+
+  test('should repair a drifted total supply on load', async () => {
+    await tokenomics.db.put('totalSupply', units('250').toString());
+    await tokenomics.closeDB();
+
+    tokenomics = new Tokenomics(testDbPath, { repairOnLoad: false });
+    await tokenomics.loadLedger();
+    expect(tokenomics.lastConsistencyReport).toMatchObject({
+      consistent: false,
+      recordedSupply: units('250'),
+      computedSupply: units('100'),
+      repaired: false
+    });
+    expect(tokenomics.getTotalSupply()).toBe(units('250'));
+    await tokenomics.closeDB();
+
+    tokenomics = new Tokenomics(testDbPath);
+    await tokenomics.loadLedger();
+    expect(tokenomics.lastConsistencyReport).toMatchObject({ drift: units('-150'), repaired: true });
+    expect(tokenomics.getTotalSupply()).toBe(units('100'));
+    expect((await tokenomics.checkConsistency()).consistent).toBe(true);
+  });
+
+  test('should keep fractional transfers exact', async () => {
+    for (let i = 0; i < 10; i++) {
+      await tokenomics.transfer(signedTransfer(sender, recipient.getAddress(), units('0.1')));
+    }
+
+    expect(tokenomics.getBalance(recipient.getAddress())).toBe(units('1'));
+    expect(formatAmount(tokenomics.getBalance(sender.getAddress()))).toBe('99');
+    expect((await tokenomics.checkConsistency()).consistent).toBe(true);
+  });
+
+  test('should convert whole-token records from older ledgers', async () => {
+    await tokenomics.db.batch([
+      { type: 'put', key: 'totalSupply', value: 112.5 },
+      { type: 'put', key: `acct:${recipient.getAddress()}`, value: { balance: 12.5, nonce: 2 } }
+    ]);
+    await tokenomics.closeDB();
+
+    tokenomics = new Tokenomics(testDbPath);
+    await tokenomics.loadLedger();
+
+    expect(tokenomics.getBalance(recipient.getAddress())).toBe(units('12.5'));
+    expect(tokenomics.getNonce(recipient.getAddress())).toBe(2);
+    expect(tokenomics.getTotalSupply()).toBe(units('112.5'));
+    expect(tokenomics.lastConsistencyReport.consistent).toBe(true);
+  });
+
+  test('should refuse to reopen a ledger with different decimals', async () => {
+    await tokenomics.closeDB();
+
+    tokenomics = new Tokenomics(testDbPath, { decimals: 2 });
+    await expect(tokenomics.loadLedger()).rejects.toThrow('Ledger uses 6 decimals but 2 were configured');
+  });
+
+  test('should record mints, transfers and fees in each account history', async () => {
+    await tokenomics.transfer(signedTransfer(sender, recipient.getAddress(), units('40'), { fee: units('1') }));
+
+    const { transactions, nextCursor } = await tokenomics.getTransactions(sender.getAddress());
+    expect(transactions.map(entry => [entry.type, entry.from, entry.to, entry.amount])).toEqual([
+      ['mint', null, sender.getAddress(), units('100').toString()],
+      ['transfer', sender.getAddress(), recipient.getAddress(), units('40').toString()],
+      ['burn', sender.getAddress(), Tokenomics.BURN_ADDRESS, units('0.5').toString()],
+      ['fee', sender.getAddress(), null, units('0.5').toString()]
+    ]);
+    expect(nextCursor).toBeNull();
+
+    const received = await tokenomics.getTransactions(recipient.getAddress());
+    expect(received.transactions).toEqual([transactions[1]]);
+  });
+
+  test('should give ledger writes made at the same time their own history entries', async () => {
+    const first = sender.getAddress();
+    const second = recipient.getAddress();
+
+    await Promise.all([tokenomics.mint(first, 5n), tokenomics.mint(second, 7n)]);
+
+    expect(tokenomics.getEntryCount()).toBe(3);
+    const entries = await tokenomics.getEntries(1);
+    expect(entries.map(entry => [entry.id, entry.to, entry.amount])).toEqual([
+      ['0000000000000001', first, '5'],
+      ['0000000000000002', second, '7']
+    ]);
+    expect((await tokenomics.getTransactions(first)).transactions.map(entry => entry.amount))
+      .toEqual([units('100').toString(), '5']);
+    expect((await tokenomics.getTransactions(second)).transactions.map(entry => entry.amount)).toEqual(['7']);
+  });
+
+  test('should keep a mint made while a failing transfer rolls back', async () => {
+    const batch = tokenomics.db.batch.bind(tokenomics.db);
+    jest.spyOn(tokenomics.db, 'batch')
+      .mockImplementationOnce(() => Promise.reject(new Error('disk full')))
+      .mockImplementation(batch);
+
+    const results = await Promise.allSettled([
+      tokenomics.transfer(signedTransfer(sender, recipient.getAddress(), units('10'), { fee: units('1') })),
+      tokenomics.mint(recipient.getAddress(), units('5'))
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['rejected', 'fulfilled']);
+    expect(tokenomics.getTotalSupply()).toBe(units('105'));
+    expect(tokenomics.getBalance(recipient.getAddress())).toBe(units('5'));
+    expect((await tokenomics.checkConsistency()).consistent).toBe(true);
+  });
+
+  test('should page and filter history by time', async () => {
+    const now = jest.spyOn(Date, 'now');
+    for (let i = 1; i <= 3; i++) {
+      now.mockReturnValue(1000 * i);
+      await tokenomics.mint(sender.getAddress(), units(String(i)));
+    }
+    now.mockRestore();
+
+    const first = await tokenomics.getTransactions(sender.getAddress(), { from: 1000, limit: 2 });
+    expect(first.transactions.map(entry => entry.timestamp)).toEqual([1000, 2000]);
+    const second = await tokenomics.getTransactions(sender.getAddress(), { limit: 2, cursor: first.nextCursor });
+    expect(second.transactions.map(entry => entry.timestamp)).toEqual([3000, expect.any(Number)]);
+
+    const window = await tokenomics.getTransactions(sender.getAddress(), { from: 2000, to: 3000 });
+    expect(window.transactions.map(entry => entry.amount)).toEqual([units('2').toString(), units('3').toString()]);
+  });
+
+  test('should not record history for a failed write and continue ids after reload', async () => {
+    jest.spyOn(tokenomics.db, 'batch').mockRejectedValueOnce(new Error('disk full'));
+    await expect(tokenomics.mint(sender.getAddress(), units('5'))).rejects.toThrow('disk full');
+    await tokenomics.closeDB();
+
+    tokenomics = new Tokenomics(testDbPath);
+    await tokenomics.loadLedger();
+    await tokenomics.mint(sender.getAddress(), units('5'));
+
+    const { transactions } = await tokenomics.getTransactions(sender.getAddress());
+    expect(transactions.map(entry => entry.id)).toEqual(['0000000000000000', '0000000000000001']);
+  });
+
+  test('should export account statements as CSV and JSON', async () => {
+    await tokenomics.transfer(signedTransfer(sender, recipient.getAddress(), units('12.5'), { fee: units('0.5') }));
+
+    const csv = (await tokenomics.exportStatement(sender.getAddress())).split('\n');
+    expect(csv[0]).toBe('id,date,type,direction,counterparty,amount');
+    expect(csv.slice(1).map(row => row.split(',').slice(2))).toEqual([
+      ['mint', 'in', '', '100'],
+      ['transfer', 'out', recipient.getAddress(), '12.5'],
+      ['burn', 'out', Tokenomics.BURN_ADDRESS, '0.25'],
+      ['fee', 'out', '', '0.25']
+    ]);
+
+    const statement = JSON.parse(await tokenomics.exportStatement(recipient.getAddress(), { format: 'json' }));
+    expect(statement).toMatchObject({ address: recipient.getAddress(), symbol: 'WAC', received: '12.5', sent: '0' });
+    expect(statement.entries).toHaveLength(1);
+    await expect(tokenomics.exportStatement(sender.getAddress(), { format: 'xml' }))
+      .rejects.toThrow('Statement format must be one of');
+  });
+
+  test('should take mining rewards from the emission schedule and respect its cap', async () => {
+    await tokenomics.closeDB();
+    const emission = new EmissionSchedule({ initialReward: units('10'), maxSupply: units('105') });
+    tokenomics = new Tokenomics(testDbPath, { emissionSchedule: emission });
+    await tokenomics.loadLedger();
+
+    expect(tokenomics.getMiningReward(0)).toBe(units('5'));
+    await expect(tokenomics.mint(sender.getAddress(), units('6'))).rejects.toThrow('would exceed the max supply');
+    await tokenomics.mint(sender.getAddress(), tokenomics.getMiningReward(0));
+    expect(tokenomics.getMiningReward(1)).toBe(0n);
+  });
+
+  test('should require the minimum fee and pay the validator share to the finalizing validator', async () => {
+    const validator = new Wallet();
+    validator.generateKeyPair();
+    tokenomics.fees = new FeeModel({ rate: units('0.01'), minimumFee: units('0.5'), burnShare: 0.2 });
+
+    await expect(tokenomics.transfer(signedTransfer(sender, recipient.getAddress(), units('10'), { fee: units('0.4') })))
+      .rejects.toThrow('Transfer fee is below the required 0.5 WAC');
+
+    await tokenomics.transfer(signedTransfer(sender, recipient.getAddress(), units('10'), { fee: units('1') }),
+      { validator: validator.getAddress() });
+
+    expect(tokenomics.getBalance(validator.getAddress())).toBe(units('0.8'));
+    expect(tokenomics.getTotalBurned()).toBe(units('0.2'));
+    expect(tokenomics.getTotalSupply()).toBe(units('99.8'));
+    expect(tokenomics.getFeePool()).toBe(0n);
+    expect((await tokenomics.checkConsistency()).consistent).toBe(true);
+  });
+
+  test('should charge per-byte fees on the signing payload', () => {
+    const fees = new FeeModel({ type: 'per-byte', rate: 2n, minimumFee: 10n });
+    const tx = signedTransfer(sender, recipient.getAddress(), units('1'));
+
+    expect(fees.getRequiredFee(tx)).toBe(2n * BigInt(fees.getTransactionSize(tx)));
+    expect(fees.getTransactionSize(new Transaction({ ...tx.toJSON(), fee: '123456' }))).toBe(fees.getTransactionSize(tx));
+    expect(new FeeModel({ rate: 1n, minimumFee: 10n }).getRequiredFee(tx)).toBe(10n);
+    expect(() => new FeeModel({ burnShare: 1.5 })).toThrow('burn share');
+  });
+
+  test('should pay the fee pool to the validator that finalizes a triad', async () => {
+    const validator = new Wallet();
+    validator.generateKeyPair();
+    await tokenomics.transfer(signedTransfer(sender, recipient.getAddress(), units('10'), { fee: units('3') }));
+    await tokenomics.closeDB();
+
+    tokenomics = new Tokenomics(testDbPath, { feeModel: new FeeModel() });
+    await tokenomics.loadLedger();
+    expect(tokenomics.getFeePool()).toBe(units('1.5'));
+    expect(tokenomics.getTotalBurned()).toBe(units('1.5'));
+    expect(tokenomics.lastConsistencyReport.consistent).toBe(true);
+
+    expect(await tokenomics.distributeFeePool(validator.getAddress())).toBe(units('1.5'));
+    expect(await tokenomics.distributeFeePool(validator.getAddress())).toBe(0n);
+    expect(tokenomics.getBalance(validator.getAddress())).toBe(units('1.5'));
+    expect(tokenomics.getFeePool()).toBe(0n);
+    expect((await tokenomics.checkConsistency()).consistent).toBe(true);
+  });
+
+  test('should vest locked tokens linearly after the cliff', async () => {
+    const start = Date.now();
+    const schedule = { start, cliff: start + 60000, end: start + 240000 };
+    const lock = await tokenomics.lock(signedLock(sender, recipient.getAddress(), units('40'), schedule));
+
+    expect(lock).toMatchObject({ id: `${sender.getAddress()}:0`, grantor: sender.getAddress(), amount: units('40') });
+    expect(tokenomics.getBalance(sender.getAddress())).toBe(units('60'));
+    expect(tokenomics.getBalance(recipient.getAddress(), { detailed: true, now: start + 30000 }))
+      .toEqual({ spendable: 0n, locked: units('40'), bonded: 0n, unbonding: 0n });
+    expect(tokenomics.getBalance(recipient.getAddress(), { detailed: true, now: start + 120000 }))
+      .toMatchObject({ spendable: units('20'), locked: units('20') });
+    expect(tokenomics.getTotalSupply()).toBe(units('100'));
+
+    await expect(tokenomics.transfer(signedTransfer(recipient, sender.getAddress(), units('1'))))
+      .rejects.toThrow('Insufficient balance');
+
+    expect(await tokenomics.releaseVested(recipient.getAddress(), start + 120000)).toBe(units('20'));
+    await tokenomics.transfer(signedTransfer(recipient, sender.getAddress(), units('15')));
+    expect(tokenomics.getBalance(recipient.getAddress(), { detailed: true, now: start + 120000 }))
+      .toMatchObject({ spendable: units('5'), locked: units('20') });
+    expect(tokenomics.getLocks(recipient.getAddress(), start + 240000)).toEqual([expect.objectContaining({
+      released: units('20'),
+      unlocked: units('20'),
+      locked: 0n
+    })]);
+    expect((await tokenomics.checkConsistency()).consistent).toBe(true);
+  });
+
+  test('should count amounts that unlock during a transaction only once', async () => {
+    const start = Date.now();
+    await tokenomics.lock(signedLock(sender, recipient.getAddress(), 1000000n, { start, cliff: start, end: start + 1000000 }));
+    // Every reading of the clock is a second later, one base unit per millisecond unlocks in between
+    let clock = start;
+    const now = jest.spyOn(Date, 'now').mockImplementation(() => (clock += 1000));
+
+    try {
+      for (let index = 0; index < 5; index++) {
+        await tokenomics.transfer(signedTransfer(recipient, sender.getAddress(), 1n));
+      }
+    } finally {
+      now.mockRestore();
+    }
+
+    const [lock] = tokenomics.getLocks(recipient.getAddress(), clock);
+    expect(tokenomics.getBalance(recipient.getAddress(), { now: clock }) + lock.locked).toBe(1000000n - 5n);
+    expect((await tokenomics.checkConsistency()).consistent).toBe(true);
+  });
+
+  test('should persist a single unlock time and release it once reached', async () => {
+    const unlockAt = Date.now() + 60000;
+    await tokenomics.lock(signedLock(sender, recipient.getAddress(), units('25'), { unlockAt }));
+    await tokenomics.closeDB();
+
+    tokenomics = new Tokenomics(testDbPath, { feeModel: new FeeModel() });
+    await tokenomics.loadLedger();
+    expect(tokenomics.lastConsistencyReport.consistent).toBe(true);
+    expect(tokenomics.getLocks(recipient.getAddress())).toEqual([expect.objectContaining({
+      grantor: sender.getAddress(),
+      schedule: { start: unlockAt, cliff: unlockAt, end: unlockAt },
+      locked: units('25')
+    })]);
+    expect(tokenomics.getBalance(recipient.getAddress(), { now: unlockAt - 1 })).toBe(0n);
+
+    expect(await tokenomics.releaseVested(recipient.getAddress(), unlockAt)).toBe(units('25'));
+    expect(tokenomics.getLocks(recipient.getAddress())).toEqual([]);
+    expect(tokenomics.getBalance(recipient.getAddress())).toBe(units('25'));
+
+    const { transactions } = await tokenomics.getTransactions(recipient.getAddress());
+    expect(transactions.map(entry => [entry.type, entry.reason])).toEqual([['lock', undefined], ['release', 'vesting']]);
+  });
+
+  test('should only create locks from signed lock transactions with a schedule', async () => {
+    const schedule = { unlockAt: Date.now() + 60000 };
+    const tx = signedLock(sender, recipient.getAddress(), units('10'), schedule);
+    const tampered = new Transaction({ ...tx.toJSON(), schedule: { unlockAt: Date.now() } });
+
+    await expect(tokenomics.lock(tampered)).rejects.toThrow('Invalid transaction signature');
+    await expect(tokenomics.lock(signedTransfer(sender, recipient.getAddress(), units('10'))))
+      .rejects.toThrow('Expected a lock transaction');
+    await expect(tokenomics.lock(signedLock(sender, recipient.getAddress(), units('10'))))
+      .rejects.toThrow('must include an unlock schedule');
+    expect(() => signedLock(sender, recipient.getAddress(), units('10'), { start: 2, cliff: 1 }))
+      .toThrow('start <= cliff <= end');
+    expect(tokenomics.getBalance(recipient.getAddress(), { detailed: true }).locked).toBe(0n);
+  });
+
+  test('should move funds out of a multisig account only with enough member signatures', async () => {
+    const multisig = new Multisig({ publicKeys: [sender.getPublicKey(), recipient.getPublicKey()], threshold: 2 });
+    const treasury = multisig.getAddress();
+    await tokenomics.mint(treasury, units('50'));
+    const tx = new Transaction({
+      sender: treasury,
+      recipient: sender.getAddress(),
+      amount: units('20'),
+      nonce: tokenomics.getNonce(treasury),
+      multisig
+    }).addSignature(sender);
+
+    await expect(tokenomics.transfer(tx)).rejects.toThrow('requires 2 signatures, received 1');
+
+    await tokenomics.transfer(tx.addSignature(recipient));
+    expect(tokenomics.getBalance(treasury)).toBe(units('30'));
+    expect(tokenomics.getBalance(sender.getAddress())).toBe(units('120'));
+    expect(tokenomics.getNonce(treasury)).toBe(1);
+    await expect(tokenomics.transfer(tx)).rejects.toThrow('Invalid nonce');
+  });
+
+  test('should persist stake with account records', async () => {
+    await tokenomics.stake(signedStake(sender, 'stake', units('30')));
+    await tokenomics.unstake(signedStake(sender, 'unstake', units('10')));
+    await tokenomics.closeDB();
+
+    tokenomics = new Tokenomics(testDbPath);
+    await tokenomics.loadLedger();
+
+    expect(tokenomics.getStake(sender.getAddress())).toBe(units('20'));
+    expect(tokenomics.getUnbonding(sender.getAddress())).toHaveLength(1);
+    expect(tokenomics.getBalance(sender.getAddress())).toBe(units('70'));
+  });
+});
@@ -1,4 +1,6 @@
 const TriadMatrix = require('../../src/core/TriadMatrix');
+const Wallet = require('../../src/core/Wallet');
+const ValidatorRegistry = require('../../src/core/ValidatorRegistry');
 const path = require('path');
 const fs = require('fs');
 
@@ -7,6 +9,21 @@ describe('TriadMatrix', () => {
   let matrix;
   const testDbPath = path.join(__dirname, '../../data/test-triad.db');
 
+  const registerValidator = async () => {
+    const wallet = new Wallet();
+    wallet.generateKeyPair();
+    await matrix.addValidator(ValidatorRegistry.signRegistration(wallet));
+    return wallet;
+  };
+
+  const registerValidators = async (count) => {
+    const wallets = [];
+    for (let i = 0; i < count; i++) {
+      wallets.push(await registerValidator());
+    }
+    return wallets;
+  };
+
   beforeEach(async () => {
     // Clean up test database if it exists
     if (fs.existsSync(testDbPath)) {
@@ -80,21 +97,59 @@ describe('TriadMatrix', () => {
     expect(retrievedTriad).toEqual(createdTriad);
   });
 
-  test('should add validator', () => {
-    const validatorId = 'test-validator';
+  test('should add validator', async () => {
+    const wallet = new Wallet();
+    wallet.generateKeyPair();
     
-    const result = matrix.addValidator(validatorId);
+    const result = await matrix.addValidator(ValidatorRegistry.signRegistration(wallet));
     
     expect(result).toBe(true);
-    expect(matrix.validators.has(validatorId)).toBe(true);
+    expect(matrix.getValidator(wallet.getAddress())).toMatchObject({
+      status: 'active',
+      publicKey: wallet.getPublicKey(),
+      joinHeight: 0
+    });
+    expect(matrix.getMatrixState().validators).toEqual([wallet.getAddress()]);
     
     // Adding same validator again should return false
-    const secondResult = matrix.addValidator(validatorId);
+    const secondResult = await matrix.addValidator(ValidatorRegistry.signRegistration(wallet));
     expect(secondResult).toBe(false);
   });
 
+  test('should reject unsigned validator registrations', async () => {
+    const wallet = new Wallet();
+    wallet.generateKeyPair();
+    const impostor = new Wallet();
+    impostor.generateKeyPair();
+    const forged = { ...ValidatorRegistry.signRegistration(impostor), validator: wallet.getAddress() };
+
+    await expect(matrix.addValidator('test-validator'))
+      .rejects.toThrow('A signed registry request is required');
+    await expect(matrix.addValidator(forged))
+      .rejects.toThrow('public key does not match validator address');
+    expect(matrix.getValidator(wallet.getAddress())).toBeNull();
+  });
+
+  test('should leave retired validators out of the electorate', async () => {
+    const [creator, voter, retiring] = await registerValidators(3);
+    await matrix.createTriad({ message: 'before' }, creator.getAddress());
+
+    await matrix.removeValidator(ValidatorRegistry.signRegistration(retiring, 'retire'));
+    const triad = await matrix.createTriad({ message: 'after' }, creator.getAddress());
+
+    expect(matrix.getValidator(retiring.getAddress())).toMatchObject({ status: 'retired', leaveHeight: 1 });
+    await expect(matrix.validateTriad(triad.id, TriadMatrix.signVote(retiring, triad.id)))
+      .rejects.toThrow('is retired');
+
+    const validated = await matrix.validateTriad(triad.id, TriadMatrix.signVote(voter, triad.id));
+    expect(validated.validated).toBe(true);
+
+    const trail = await matrix.getValidatorAuditTrail(retiring.getAddress());
+    expect(trail.map(entry => entry.action)).toEqual(['register', 'retire']);
+  });
+
   test('should calculate optimal position within dimensions', () => {
-    const position = matrix.calculateOptimalPosition();
+    const position = matrix.calculateOptimalPosition(matrix.computeTriadHash({ data: 'position' }));
     
     expect(position).toBeDefined();
     expect(position.x).toBeGreaterThanOrEqual(0);
@@ -105,21 +160,369 @@ describe('TriadMatrix', () => {
     expect(position.z).toBeLessThan(matrix.dimensions);
   });
 
+  test('should derive the position from the triad hash', () => {
+    const hash = matrix.computeTriadHash({ data: 'deterministic' });
+
+    expect(matrix.calculateOptimalPosition(hash)).toEqual(matrix.calculateOptimalPosition(hash));
+  });
+
+  test('should fill every lattice cell before adding a new layer', async () => {
+    const cells = matrix.dimensions ** 3;
+    const positions = [];
+    for (let i = 0; i <= cells; i++) {
+      const triad = await matrix.createTriad({ message: `cell ${i}` }, 'test-validator');
+      positions.push(triad.position);
+    }
+
+    const firstLayers = positions.slice(0, cells);
+    const keys = new Set(firstLayers.map(p => `${p.x}:${p.y}:${p.z}`));
+    expect(keys.size).toBe(cells);
+    firstLayers.forEach(p => expect(p.z).toBeLessThan(matrix.dimensions));
+    expect(positions[cells].z).toBe(matrix.dimensions);
+  });
+
+  test('should store connections both ways when a neighbour arrives', async () => {
+    const first = await matrix.createTriad({ message: 'first' }, 'test-validator');
+    const second = await matrix.createTriad({ message: 'second' }, 'test-validator');
+
+    expect(second.connections).toEqual([first.id]);
+    const storedFirst = await matrix.getTriadById(first.id);
+    expect(storedFirst.connections).toEqual([second.id]);
+  });
+
+  test('should walk neighbours up to the requested depth', async () => {
+    const sparse = new TriadMatrix(path.join(__dirname, '../../data/test-sparse-triad.db'), {
+      dimensions: 5,
+      complexity: 1
+    });
+    await sparse.init();
+
+    try {
+      sparse.calculateOptimalPosition = jest.fn()
+        .mockReturnValueOnce({ x: 0, y: 0, z: 0 })
+        .mockReturnValueOnce({ x: 1, y: 0, z: 0 })
+        .mockReturnValueOnce({ x: 2, y: 0, z: 0 });
+      const a = await sparse.createTriad({ message: 'a' }, 'test-validator');
+      const b = await sparse.createTriad({ message: 'b' }, 'test-validator');
+      const c = await sparse.createTriad({ message: 'c' }, 'test-validator');
+
+      const direct = await sparse.getNeighbors(a.id);
+      expect(direct.map(n => n.triad.id)).toEqual([b.id]);
+
+      const twoHops = await sparse.getNeighbors(a.id, 2);
+      expect(twoHops.map(n => [n.triad.id, n.depth])).toEqual([[b.id, 1], [c.id, 2]]);
+    } finally {
+      await sparse.closeDB();
+      fs.rmSync(sparse.dbPath, { force: true, recursive: true });
+    }
+  });
+
   test('should validate triad with sufficient consensus', async () => {
     const testData = { message: 'Test Triad' };
     const validatorId = 'test-validator';
-    const validatorId2 = 'test-validator-2';
-    
-    matrix.addValidator(validatorId);
-    matrix.addValidator(validatorId2);
+    const validator2 = await registerValidator();
     
     const triad = await matrix.createTriad(testData, validatorId);
-    const validatedTriad = await matrix.validateTriad(triad.id, validatorId2);
+    const vote = TriadMatrix.signVote(validator2, triad.id);
+    const validatedTriad = await matrix.validateTriad(triad.id, vote);
     
     expect(validatedTriad.validationAttempts).toBe(1);
     expect(validatedTriad.consensus).toBeGreaterThan(0);
   });
 
+  test('should finalize only once the quorum crosses the threshold', async () => {
+    const voters = await registerValidators(3);
+    const triad = await matrix.createTriad({ message: 'quorum' }, voters[0].getAddress());
+
+    const afterFirst = await matrix.validateTriad(triad.id, TriadMatrix.signVote(voters[1], triad.id));
+    expect(afterFirst.consensus).toBe(0.5);
+    expect(afterFirst.validated).toBe(false);
+
+    const afterSecond = await matrix.validateTriad(triad.id, TriadMatrix.signVote(voters[2], triad.id));
+    expect(afterSecond.consensus).toBe(1);
+    expect(afterSecond.validated).toBe(true);
+  });
+
+  test('should store each validator vote once', async () => {
+    const voters = await registerValidators(4);
+    const triad = await matrix.createTriad({ message: 'once' }, voters[0].getAddress());
+    const vote = TriadMatrix.signVote(voters[1], triad.id);
+
+    await matrix.validateTriad(triad.id, vote);
+    const repeated = await matrix.validateTriad(triad.id, vote);
+
+    expect(repeated.validationAttempts).toBe(1);
+    expect(await matrix.getVotes(triad.id)).toHaveLength(1);
+  });
+
+  test('should score validators when a triad is finalized', async () => {
+    const [creator, approver, rejecter, absent] = await registerValidators(4);
+    matrix.consensusThreshold = 0.3;
+    const triad = await matrix.createTriad({ message: 'scored' }, creator.getAddress());
+
+    await matrix.validateTriad(triad.id, TriadMatrix.signVote(rejecter, triad.id, false));
+    await matrix.validateTriad(triad.id, TriadMatrix.signVote(approver, triad.id));
+
+    expect(matrix.getValidatorReputation(approver.getAddress())).toMatchObject({ score: 0.51, correctVotes: 1 });
+    expect(matrix.getValidatorReputation(rejecter.getAddress())).toMatchObject({ score: 0.48, incorrectVotes: 1 });
+    expect(matrix.getValidatorReputation(absent.getAddress())).toMatchObject({ score: 0.495, missedVotes: 1 });
+    expect(matrix.getValidatorReputation(creator.getAddress()).updatedAt).toBeNull();
+
+    // Higher scores carry more weight
+    const next = await matrix.createTriad({ message: 'weighted' }, creator.getAddress());
+    const voted = await matrix.validateTriad(next.id, TriadMatrix.signVote(approver, next.id));
+    expect(voted.consensus).toBeCloseTo(0.51 / (0.51 + 0.48 + 0.495));
+  });
+
+  test('should jail and slash a validator that signs conflicting votes', async () => {
+    const slashingHook = jest.fn().mockResolvedValue(5);
+    matrix.setSlashingHook(slashingHook);
+    const [creator, voter, cheat] = await registerValidators(3);
+    const triad = await matrix.createTriad({ message: 'conflict' }, creator.getAddress());
+
+    await matrix.validateTriad(triad.id, TriadMatrix.signVote(cheat, triad.id, false));
+    await matrix.validateTriad(triad.id, TriadMatrix.signVote(cheat, triad.id, true));
+
+    expect(matrix.getValidator(cheat.getAddress()).status).toBe('jailed');
+    expect(matrix.getValidatorReputation(cheat.getAddress())).toMatchObject({ score: 0, equivocations: 1 });
+
+    const [evidence] = await matrix.getEquivocations(cheat.getAddress());
+    expect(evidence.votes.map(v => v.approve)).toEqual([false, true]);
+    expect(slashingHook).toHaveBeenCalledWith(cheat.getAddress(), evidence);
+
+    // The jailed validator no longer counts towards the quorum
+    const validated = await matrix.validateTriad(triad.id, TriadMatrix.signVote(voter, triad.id));
+    expect(validated.validated).toBe(true);
+  });
+
+  test('should weight votes by bonded stake and require the minimum', async () => {
+    const creator = await registerValidator();
+    const [small, large] = await registerValidators(2);
+    const stakes = new Map([[small.getAddress(), 10], [large.getAddress(), 30]]);
+    matrix.setStakeLookup(validator => stakes.get(validator) || 0);
+    matrix.minimumStake = 5;
+
+    const unbonded = new Wallet();
+    unbonded.generateKeyPair();
+    await expect(matrix.addValidator(ValidatorRegistry.signRegistration(unbonded)))
+      .rejects.toThrow('must bond at least 5');
+
+    const triad = await matrix.createTriad({ message: 'staked' }, creator.getAddress());
+    await expect(matrix.validateTriad(triad.id, TriadMatrix.signVote(creator, triad.id)))
+      .rejects.toThrow('has not bonded the minimum stake');
+
+    const voted = await matrix.validateTriad(triad.id, TriadMatrix.signVote(large, triad.id));
+    expect(voted.consensus).toBe(0.75);
+    expect(voted.validated).toBe(true);
+  });
+
+  test('should reject unsigned or forged votes', async () => {
+    const voter = await registerValidator();
+    const impostor = new Wallet();
+    impostor.generateKeyPair();
+    const triad = await matrix.createTriad({ message: 'forged' }, 'test-validator');
+
+    const forged = { ...TriadMatrix.signVote(impostor, triad.id), validator: voter.getAddress() };
+
+    await expect(matrix.validateTriad(triad.id, voter.getAddress()))
+      .rejects.toThrow('A signed vote is required');
+    await expect(matrix.validateTriad(triad.id, forged))
+      .rejects.toThrow('Vote public key does not match validator address');
+  });
+
+  test('should link each new triad to its parents by hash', async () => {
+    const first = await matrix.createTriad({ message: 'first' }, 'test-validator');
+    const second = await matrix.createTriad({ message: 'second' }, 'test-validator');
+
+    expect(first.parents).toEqual([]);
+    expect(first.height).toBe(0);
+    expect(second.parents).toEqual([first.id]);
+    expect(second.height).toBe(1);
+    expect(second.id).toBe(matrix.computeTriadHash(second));
+  });
+
+  // A triad as another node would gossip it, signed by the given wallet
+  const remoteTriad = (creator, signer, parents = []) => {
+    const triad = { data: { message: 'remote' }, validator: creator.getAddress(), timestamp: Date.now(), parents };
+    triad.id = matrix.computeTriadHash(triad);
+    triad.publicKey = signer.getPublicKey();
+    triad.signature = signer.signData(TriadMatrix.createTriadPayload(triad.id));
+    return triad;
+  };
+
+  test('should import a signed triad at the height of its parents', async () => {
+    const creator = await registerValidator();
+    await matrix.createTriad({ message: 'first' }, 'test-validator');
+    const parent = await matrix.createTriad({ message: 'second' }, creator.getAddress(), { wallet: creator });
+    expect(TriadMatrix.createTriadPayload(parent.id)).toEqual({ type: 'triad', triadId: parent.id });
+
+    const remote = { ...remoteTriad(creator, creator, [parent.id]), height: 99 };
+    const imported = await matrix.importTriad(remote);
+
+    expect(imported.height).toBe(parent.height + 1);
+    expect(imported.validated).toBe(false);
+    expect(await matrix.importTriad(remote)).toBeNull();
+  });
+
+  test('should reject imported triads whose parents are not known', async () => {
+    const creator = await registerValidator();
+
+    await expect(matrix.importTriad(remoteTriad(creator, creator, ['f'.repeat(64)])))
+      .rejects.toThrow(`Unknown parent triads: ${'f'.repeat(64)}`);
+    expect(matrix.getMatrixState().triadsCount).toBe(0);
+  });
+
+  test('should reject imported triads not signed by their registered creator', async () => {
+    const creator = await registerValidator();
+    const impostor = new Wallet();
+    impostor.generateKeyPair();
+
+    const unsigned = { ...remoteTriad(creator, creator), signature: undefined };
+    await expect(matrix.importTriad(unsigned)).rejects.toThrow('Invalid triad signature');
+
+    const forged = { ...remoteTriad(creator, impostor), publicKey: creator.getPublicKey() };
+    await expect(matrix.importTriad(forged)).rejects.toThrow('Invalid triad signature');
+
+    await expect(matrix.importTriad(remoteTriad(creator, impostor)))
+      .rejects.toThrow('Triad public key does not match validator address');
+    await expect(matrix.importTriad(remoteTriad(impostor, impostor)))
+      .rejects.toThrow(`Validator ${impostor.getAddress()} is not registered`);
+    await expect(matrix.createTriad({ message: 'own' }, creator.getAddress(), { wallet: impostor }))
+      .rejects.toThrow('Wallet does not belong to the triad validator');
+    expect(matrix.getMatrixState().triadsCount).toBe(0);
+  });
+
+  test('should sign proposed triads as their creator and only for active proposers', async () => {
+    const [proposer, creator] = await registerValidators(2);
+    const outsider = new Wallet();
+    outsider.generateKeyPair();
+    const proposal = TriadMatrix.signProposal(proposer, { message: 'proposed' });
+
+    await expect(matrix.createProposedTriad({ ...proposal, data: 'changed' }, { wallet: creator }))
+      .rejects.toThrow('Invalid triad proposal signature');
+    await expect(matrix.createProposedTriad(TriadMatrix.signProposal(outsider, 'spam'), { wallet: creator }))
+      .rejects.toThrow(`Proposer ${outsider.getAddress()} is not an active validator`);
+
+    const triad = await matrix.createProposedTriad(proposal, { wallet: creator });
+    expect(triad.validator).toBe(creator.getAddress());
+    expect(triad.publicKey).toBe(creator.getPublicKey());
+  });
+
+  test('should verify an untouched history', async () => {
+    await matrix.createTriad({ message: 'first' }, 'test-validator');
+    await matrix.createTriad({ message: 'second' }, 'test-validator');
+    await matrix.createTriad({ message: 'third' }, 'test-validator');
+
+    const result = await matrix.verifyIntegrity();
+
+    expect(result).toEqual({ valid: true, checked: 3 });
+  });
+
+  test('should report the first broken link after an offline edit', async () => {
+    await matrix.createTriad({ message: 'first' }, 'test-validator');
+    const second = await matrix.createTriad({ message: 'second' }, 'test-validator');
+    const third = await matrix.createTriad({ message: 'third' }, 'test-validator');
+
+    await matrix.db.put(`triad:${second.id}`, { ...second, data: { message: 'rewritten' } });
+    await matrix.db.del(`triad:${third.id}`);
+
+    const result = await matrix.verifyIntegrity();
+
+    expect(result.valid).toBe(false);
+    expect(result.triadId).toBe(second.id);
+  });
+
+  test('should page through triads in creation order', async () => {
+    const created = [];
+    for (let i = 0; i < 5; i++) {
+      created.push(await matrix.createTriad({ message: `page ${i}` }, 'test-validator'));
+    }
+
+    const first = await matrix.getTriadsPage({ limit: 2 });
+    const second = await matrix.getTriadsPage({ cursor: first.nextCursor, limit: 2 });
+    const last = await matrix.getTriadsPage({ cursor: second.nextCursor, limit: 2 });
+
+    expect([...first.triads, ...second.triads, ...last.triads].map(t => t.id))
+      .toEqual(created.map(t => t.id));
+    expect(last.nextCursor).toBeNull();
+
+    const recent = await matrix.getRecentTriads(2);
+    expect(recent.map(t => t.id)).toEqual([created[4].id, created[3].id]);
+  });
+
+  test('should list only pending triads', async () => {
+    const voter = await registerValidator();
+    const validated = await matrix.createTriad({ message: 'validated' }, 'test-validator');
+    const pending = await matrix.createTriad({ message: 'pending' }, 'test-validator');
+    const own = await matrix.createTriad({ message: 'own' }, voter.getAddress());
+
+    await matrix.validateTriad(validated.id, TriadMatrix.signVote(voter, validated.id));
+
+    const listed = await matrix.getPendingTriads({ excludeValidator: voter.getAddress() });
+    expect(listed.map(t => t.id)).toEqual([pending.id]);
+    expect(matrix.getMatrixState().validatedTriadsCount).toBe(1);
+    expect(own.validated).toBe(false);
+  });
+
+  test('should reload counts and read triads on demand after a restart', async () => {
+    const cached = new TriadMatrix(path.join(__dirname, '../../data/test-cached-triad.db'), {
+      dimensions: 3,
+      complexity: 4,
+      cacheSize: 2
+    });
+    await cached.init();
+
+    let reopened;
+    try {
+      const created = [];
+      for (let i = 0; i < 4; i++) {
+        created.push(await cached.createTriad({ message: `cached ${i}` }, 'test-validator'));
+      }
+      expect(cached.triadCache.size).toBe(2);
+      await cached.closeDB();
+
+      reopened = new TriadMatrix(cached.dbPath, { dimensions: 3, complexity: 4, cacheSize: 2 });
+      await reopened.init();
+
+      expect(reopened.getMatrixState().triadsCount).toBe(4);
+      expect(reopened.triadCache.size).toBe(0);
+      expect(reopened.spatialIndex.size).toBe(4);
+      expect((await reopened.getTriadById(created[0].id)).id).toBe(created[0].id);
+
+      const next = await reopened.createTriad({ message: 'after restart' }, 'test-validator');
+      expect(next.parents).toEqual([created[3].id]);
+      expect(next.height).toBe(4);
+      expect(next.sequence).toBe(4);
+    } finally {
+      if (reopened) await reopened.closeDB();
+      fs.rmSync(cached.dbPath, { force: true, recursive: true });
+    }
+  });
+
+  test('should build the sequence index for an older database', async () => {
+    const first = await matrix.createTriad({ message: 'first' }, 'test-validator');
+    const second = await matrix.createTriad({ message: 'second' }, 'test-validator');
+
+    const state = await matrix.db.get('matrix:state_metadata');
+    const legacy = { ...state, tips: [second.id], sequenceIndexed: undefined, triadsCount: undefined };
+    await matrix.db.batch([
+      { type: 'put', key: 'matrix:state_metadata', value: legacy },
+      ...[0, 1].flatMap(n => [
+        { type: 'del', key: `seq:${matrix.formatSequence(n)}` },
+        { type: 'del', key: `pending:${matrix.formatSequence(n)}` }
+      ])
+    ]);
+    await matrix.closeDB();
+
+    matrix = new TriadMatrix(testDbPath, { dimensions: 3, complexity: 4, consensusThreshold: 0.67 });
+    await matrix.init();
+
+    const { triads } = await matrix.getTriadsPage();
+    expect(triads.map(t => t.id)).toEqual([first.id, second.id]);
+    expect(matrix.getMatrixState().triadsCount).toBe(2);
+    expect(matrix.tips.get(second.id)).toBe(1);
+  });
+
   test('should reject invalid triad data', async () => {
     await expect(matrix.createTriad(null, 'test-validator'))
       .rejects.toThrow('Invalid data format for triad');
@@ -0,0 +1,93 @@
+const { Level } = require('level');
+const ValidatorRegistry = require('../../src/core/ValidatorRegistry');
+const Wallet = require('../../src/core/Wallet');
+const path = require('path');
+const fs = require('fs');
+
+describe('ValidatorRegistry', () => {
+  jest.setTimeout(30000);
+  let db;
+  let registry;
+  let wallet;
+  const testDbPath = path.join(__dirname, '../../data/test-validator-registry.db');
+
+  beforeEach(async () => {
+    if (fs.existsSync(testDbPath)) {
+      fs.rmSync(testDbPath, { force: true, recursive: true });
+    }
+
+    db = new Level(testDbPath, { valueEncoding: 'json' });
+    registry = new ValidatorRegistry(db);
+    await registry.load();
+
+    wallet = new Wallet();
+    wallet.generateKeyPair();
+  });
+
+  afterEach(async () => {
+    await db.close();
+    if (fs.existsSync(testDbPath)) {
+      fs.rmSync(testDbPath, { force: true, recursive: true });
+    }
+  });
+
+  test('should persist registrations and reload them', async () => {
+    await registry.register(ValidatorRegistry.signRegistration(wallet), 3);
+
+    const reloaded = new ValidatorRegistry(db);
+    await reloaded.load();
+
+    expect(reloaded.get(wallet.getAddress())).toMatchObject({
+      address: wallet.getAddress(),
+      publicKey: wallet.getPublicKey(),
+      status: 'active',
+      joinHeight: 3,
+      leaveHeight: null
+    });
+    expect(reloaded.getActiveValidators()).toEqual([wallet.getAddress()]);
+  });
+
+  test('should reject a replayed registration after retiring', async () => {
+    const registration = ValidatorRegistry.signRegistration(wallet);
+    await registry.register(registration, 0);
+    await registry.retire(ValidatorRegistry.signRegistration(wallet, 'retire'), 2);
+
+    await expect(registry.register(registration, 4)).rejects.toThrow('stale or replayed');
+    expect(registry.isActive(wallet.getAddress())).toBe(false);
+  });
+
+  test('should reject requests of the wrong kind', async () => {
+    const removal = ValidatorRegistry.signRegistration(wallet, 'retire');
+
+    await expect(registry.register(removal, 0)).rejects.toThrow('signed register request');
+    await expect(registry.register({ ...ValidatorRegistry.signRegistration(wallet), timestamp: 1 }, 0))
+      .rejects.toThrow('Invalid registry request signature');
+  });
+
+  test('should jail, release and audit a validator', async () => {
+    await registry.register(ValidatorRegistry.signRegistration(wallet), 0);
+
+    await registry.jail(wallet.getAddress(), { height: 5, reason: 'equivocation' });
+    expect(registry.isActive(wallet.getAddress())).toBe(false);
+    await expect(registry.register(ValidatorRegistry.signRegistration(wallet), 6))
+      .rejects.toThrow('is jailed');
+
+    await registry.unjail(wallet.getAddress(), { height: 9 });
+    expect(registry.get(wallet.getAddress())).toMatchObject({ status: 'active', joinHeight: 9 });
+
+    const trail = await registry.getAuditTrail(wallet.getAddress());
+    expect(trail.map(entry => [entry.action, entry.status, entry.height])).toEqual([
+      ['register', 'active', 0],
+      ['jail', 'jailed', 5],
+      ['unjail', 'active', 9]
+    ]);
+    expect(trail[1].reason).toBe('equivocation');
+  });
+
+  test('should import validators from legacy metadata once', async () => {
+    expect(await registry.importLegacy([wallet.getAddress()])).toBe(1);
+    expect(await registry.importLegacy([wallet.getAddress()])).toBe(0);
+
+    expect(registry.get(wallet.getAddress())).toMatchObject({ status: 'active', publicKey: null });
+  });
+});
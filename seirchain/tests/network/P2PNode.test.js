@@ -0,0 +1,371 @@
+const WebSocket = require('ws');
+const P2PNode = require('../../src/network/P2PNode');
+const TriadMatrix = require('../../src/core/TriadMatrix');
+const Tokenomics = require('../../src/core/Tokenomics');
+const EpochManager = require('../../src/core/EpochManager');
+const ForkChoice = require('../../src/core/ForkChoice');
+const ValidatorRegistry = require('../../src/core/ValidatorRegistry');
+const Wallet = require('../../src/core/Wallet');
+const path = require('path');
+const fs = require('fs');
+
+describe('P2PNode', () => {
+  jest.setTimeout(60000);
+  const basePort = 16301;
+  const dbPath = index => path.join(__dirname, `../../data/test-p2p-${index}.db`);
+  const ledgerPath = index => path.join(__dirname, `../../data/test-p2p-ledger-${index}.db`);
+  let validators;
+  let matrices;
+  let ledgers;
+  let nodes;
+
+  const cleanUp = () => {
+    for (let index = 0; index < 3; index++) {
+      for (const file of [dbPath(index), ledgerPath(index)]) {
+        if (fs.existsSync(file)) {
+          fs.rmSync(file, { force: true, recursive: true });
+        }
+      }
+    }
+  };
+
+  const waitFor = async (condition, timeout = 15000) => {
+    const start = Date.now();
+    while (!(await condition())) {
+      if (Date.now() - start > timeout) {
+        throw new Error('Timed out waiting for condition');
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  };
+
+  const address = index => `ws://localhost:${basePort + index}`;
+
+  // A bare WebSocket client speaking the protocol by hand to the first node, which must not encrypt
+  const openClient = async (protocol = P2PNode.PROTOCOL_NAME) => {
+    const client = new WebSocket(address(0), protocol);
+    const received = [];
+    client.on('message', data => received.push(JSON.parse(data.toString())));
+    await new Promise(resolve => client.on('open', resolve));
+    await waitFor(() => received.some(message => message.type === 'HANDSHAKE'));
+    return { client, received, challenge: received.find(message => message.type === 'HANDSHAKE').payload.challenge };
+  };
+
+  const sendHandshake = ({ client }, wallet, overrides = {}) => client.send(JSON.stringify({
+    type: 'HANDSHAKE',
+    payload: {
+      networkId: nodes[0].networkId,
+      protocolVersion: P2PNode.PROTOCOL_VERSION,
+      nodeId: wallet.getAddress(),
+      publicKey: wallet.getPublicKey(),
+      challenge: 'a'.repeat(64),
+      ...overrides
+    }
+  }));
+
+  const sendAck = ({ client }, wallet, challenge) => client.send(JSON.stringify({
+    type: 'HANDSHAKE_ACK',
+    payload: { signature: wallet.signData(P2PNode.createHandshakePayload(nodes[0].networkId, challenge, wallet.getAddress(), null)) }
+  }));
+
+  const waitForClose = client => new Promise(resolve => client.on('close', code => resolve(code)));
+
+  beforeEach(async () => {
+    cleanUp();
+    validators = [new Wallet(), new Wallet(), new Wallet()];
+    validators.forEach(wallet => wallet.generateKeyPair());
+    matrices = [];
+    for (let index = 0; index < 3; index++) {
+      const matrix = new TriadMatrix(dbPath(index), { consensusThreshold: 0.67 });
+      await matrix.init();
+      for (const wallet of validators) {
+        await matrix.addValidator(ValidatorRegistry.signRegistration(wallet));
+      }
+      matrices.push(matrix);
+    }
+    ledgers = [];
+    nodes = [];
+  });
+
+  afterEach(async () => {
+    for (const node of nodes) {
+      await node.close();
+    }
+    for (const matrix of matrices) {
+      await matrix.closeDB();
+    }
+    for (const { tokenomics } of ledgers) {
+      await tokenomics.closeDB();
+    }
+    cleanUp();
+  });
+
+  // Three nodes connected in a triangle, so every gossip message reaches each node twice
+  const startTriangle = async () => {
+    nodes.push(new P2PNode(basePort, matrices[0]));
+    nodes.push(new P2PNode(basePort + 1, matrices[1], [address(0)]));
+    await waitFor(() => nodes[0].peers.size === 1);
+    nodes.push(new P2PNode(basePort + 2, matrices[2], [address(0), address(1)]));
+    await waitFor(() => nodes.every(node => Array.from(node.peers.values()).filter(peer => peer.verified).length >= 2));
+  };
+
+  test('should gossip triads and votes until every node finalizes the triad', async () => {
+    await startTriangle();
+    const imports = matrices.map(matrix => jest.spyOn(matrix, 'importTriad'));
+    const frames = [];
+    for (const peer of nodes[0].peers.values()) {
+      const send = peer.ws.send.bind(peer.ws);
+      jest.spyOn(peer.ws, 'send').mockImplementation((data, ...rest) => {
+        frames.push(data);
+        return send(data, ...rest);
+      });
+    }
+
+    const triad = await matrices[0].createTriad('gossiped', validators[0].getAddress(), { wallet: validators[0] });
+    await waitFor(async () => (await Promise.all(matrices.slice(1).map(matrix => matrix.db.getMany([`triad:${triad.id}`]))))
+      .every(([stored]) => stored));
+
+    // Each vote is cast on a different node and reaches the others through gossip
+    await matrices[1].validateTriad(triad.id, TriadMatrix.signVote(validators[1], triad.id));
+    await matrices[2].validateTriad(triad.id, TriadMatrix.signVote(validators[2], triad.id));
+    await waitFor(async () => (await Promise.all(matrices.map(matrix => matrix.getTriadById(triad.id))))
+      .every(stored => stored.validated));
+
+    // The second copy of each message was dropped by its ID before reaching the matrix
+    expect(imports[0]).not.toHaveBeenCalled();
+    expect(imports[1]).toHaveBeenCalledTimes(1);
+    expect(imports[2]).toHaveBeenCalledTimes(1);
+    for (const matrix of matrices) {
+      expect(await matrix.getVotes(triad.id)).toHaveLength(2);
+    }
+
+    // Nothing readable went over the wire
+    expect(frames.length).toBeGreaterThan(0);
+    expect(frames.every(frame => Buffer.isBuffer(frame) && !frame.includes(triad.id))).toBe(true);
+  });
+
+  test('should reject gossip whose ID does not match its content and drop repeats', async () => {
+    nodes.push(new P2PNode(basePort, matrices[0], [], { encryption: false }));
+    const connection = await openClient();
+    const { client, received } = connection;
+    sendHandshake(connection, validators[1]);
+    sendAck(connection, validators[1], connection.challenge);
+    await waitFor(() => nodes[0].peers.has(validators[1].getAddress()));
+
+    const creator = validators[0].getAddress();
+    const triad = { data: 'remote', validator: creator, timestamp: Date.now(), parents: [] };
+    triad.id = matrices[0].computeTriadHash(triad);
+    triad.publicKey = validators[0].getPublicKey();
+    triad.signature = validators[0].signData(TriadMatrix.createTriadPayload(triad.id));
+    const message = { type: 'VALIDATE_TRIAD', id: P2PNode.computeMessageId('VALIDATE_TRIAD', triad), payload: triad };
+    const importTriad = jest.spyOn(matrices[0], 'importTriad');
+
+    client.send(JSON.stringify({ ...message, id: 'f'.repeat(64) }));
+    await waitFor(() => received.some(reply => reply.type === 'ERROR'));
+    expect(importTriad).not.toHaveBeenCalled();
+
+    client.send(JSON.stringify(message));
+    client.send(JSON.stringify(message));
+    await waitFor(async () => (await matrices[0].db.getMany([`triad:${triad.id}`]))[0]);
+    await new Promise(resolve => setTimeout(resolve, 200));
+    expect(importTriad).toHaveBeenCalledTimes(1);
+    expect((await matrices[0].getTriadById(triad.id)).validated).toBe(false);
+
+    client.close();
+  });
+
+  test('should know peers by the node IDs their identity keys prove', async () => {
+    const identities = [new Wallet(), new Wallet()];
+    identities.forEach(wallet => wallet.generateKeyPair());
+    nodes.push(new P2PNode(basePort, matrices[0], [], { identity: identities[0] }));
+    const connected = jest.fn();
+    nodes[0].on('peerConnected', connected);
+    nodes.push(new P2PNode(basePort + 1, matrices[1], [address(0)], { identity: identities[1] }));
+
+    await waitFor(() => nodes[0].peers.has(identities[1].getAddress()) && nodes[1].peers.has(identities[0].getAddress()));
+    expect(nodes[0].nodeId).toBe(identities[0].getAddress());
+    expect(nodes[0].peers.size).toBe(1);
+    expect(connected).toHaveBeenCalledWith(expect.objectContaining({
+      peerId: identities[1].getAddress(),
+      direction: 'incoming',
+      address: address(1)
+    }));
+  });
+
+  test('should drop peers on another network or that cannot prove their node ID', async () => {
+    nodes.push(new P2PNode(basePort, matrices[0], [], { encryption: false }));
+    const rejected = jest.fn();
+    nodes[0].on('peerRejected', rejected);
+    const [wallet, other] = validators;
+
+    nodes.push(new P2PNode(basePort + 1, matrices[1], [address(0)], { networkId: 'other-network', encryption: false }));
+    await waitFor(() => rejected.mock.calls.length === 1);
+    expect(rejected.mock.calls[0][0].reason).toMatch('does not match seirchain-default');
+
+    // Claiming another node's ID
+    const impostor = await openClient();
+    sendHandshake(impostor, wallet, { nodeId: other.getAddress() });
+    expect(await waitForClose(impostor.client)).toBe(1008);
+    expect(rejected.mock.calls[1][0].reason).toBe('Node ID does not match its public key');
+
+    // Signing something other than the challenge it was sent
+    const replay = await openClient();
+    sendHandshake(replay, wallet);
+    sendAck(replay, wallet, 'b'.repeat(64));
+    expect(await waitForClose(replay.client)).toBe(1008);
+    expect(rejected.mock.calls[2][0].reason).toBe('Invalid handshake signature');
+
+    // Skipping the handshake
+    const eager = await openClient();
+    eager.client.send(JSON.stringify({ type: 'GET_STATUS' }));
+    expect(await waitForClose(eager.client)).toBe(1008);
+
+    const unnamed = new WebSocket(address(0));
+    expect(await waitForClose(unnamed)).toBe(1002);
+    expect(nodes[0].peers.size).toBe(0);
+  });
+
+  test('should only connect nodes that agree on encryption', async () => {
+    nodes.push(new P2PNode(basePort, matrices[0]));
+    const rejected = jest.fn();
+    nodes[0].on('peerRejected', rejected);
+
+    nodes.push(new P2PNode(basePort + 1, matrices[1], [address(0)], { encryption: false }));
+    await waitFor(() => rejected.mock.calls.length === 1);
+    expect(rejected.mock.calls[0][0].reason).toBe('Encrypted transport is required');
+    expect(nodes[0].peers.size).toBe(0);
+  });
+
+  // A ledger, epochs and fork choice on top of a matrix, for nodes that sync checkpoints
+  const createChain = async (index, { genesisValidators } = {}) => {
+    const tokenomics = new Tokenomics(ledgerPath(index));
+    await tokenomics.loadLedger();
+    const epochs = new EpochManager({ matrix: matrices[index], tokenomics, epochLength: 2, genesisValidators });
+    await epochs.load();
+    const chain = { matrix: matrices[index], tokenomics, epochs, forkChoice: new ForkChoice({ matrix: matrices[index], tokenomics, epochs }) };
+    ledgers.push(chain);
+    return chain;
+  };
+
+  const finalizeEpoch = async ({ matrix, tokenomics, epochs }, data) => {
+    const triad = await matrix.createTriad(data, validators[0].getAddress());
+    for (const wallet of validators.slice(1)) {
+      await matrix.validateTriad(triad.id, TriadMatrix.signVote(wallet, triad.id));
+    }
+    await tokenomics.mint(validators[0].getAddress(), tokenomics.parseAmount('1'));
+    const epoch = await epochs.proposeEpoch({ force: true });
+    let checkpoint = epoch;
+    for (const wallet of validators) {
+      checkpoint = await epochs.addSignature(EpochManager.signCheckpoint(wallet, epoch));
+    }
+    return checkpoint;
+  };
+
+  test('should sync a new node range by range before it takes part in gossip', async () => {
+    const source = await createChain(0);
+    let tip;
+    for (const data of ['first', 'second', 'third']) {
+      tip = await finalizeEpoch(source, data);
+    }
+    const fresh = await createChain(1);
+    const progress = jest.fn();
+    fresh.matrix.on('syncProgress', progress);
+    const synced = new Promise(resolve => fresh.matrix.once('syncComplete', resolve));
+
+    nodes.push(new P2PNode(basePort, source.matrix, [], { forkChoice: source.forkChoice }));
+    nodes.push(new P2PNode(basePort + 1, fresh.matrix, [address(0)], { forkChoice: fresh.forkChoice, syncRangeSize: 1 }));
+    expect(await synced).toEqual({
+      status: P2PNode.SYNC_STATUS.SYNCED,
+      peerId: nodes[0].nodeId,
+      current: 2,
+      target: { number: 2, hash: tip.hash }
+    });
+
+    // One checkpoint per range, each reported as it is applied
+    expect(progress.mock.calls.map(([status]) => status.current)).toEqual([null, 0, 1]);
+    expect((await fresh.epochs.getLatestCheckpoint()).hash).toBe(tip.hash);
+    expect(await fresh.matrix.getFinalizedTriadIds(0)).toEqual(await source.matrix.getFinalizedTriadIds(0));
+    expect(fresh.tokenomics.getStateRoot()).toBe(source.tokenomics.getStateRoot());
+    expect(nodes[0].getSyncStatus().status).toBe(P2PNode.SYNC_STATUS.IDLE);
+
+    const triad = await source.matrix.createTriad('live', validators[0].getAddress(), { wallet: validators[0] });
+    await waitFor(async () => (await fresh.matrix.db.getMany([`triad:${triad.id}`]))[0]);
+  });
+
+  test('should sync a node with no registered validators from its configured genesis set', async () => {
+    const source = await createChain(0);
+    const genesisValidators = source.matrix.getValidatorSet();
+    await finalizeEpoch(source, 'first');
+    const tip = await finalizeEpoch(source, 'second');
+
+    // Registrations are not synced, so a new node starts with an empty registry
+    await matrices[1].closeDB();
+    fs.rmSync(dbPath(1), { force: true, recursive: true });
+    matrices[1] = new TriadMatrix(dbPath(1), { consensusThreshold: 0.67 });
+    await matrices[1].init();
+    expect(matrices[1].getValidatorSet()).toEqual([]);
+    const fresh = await createChain(1, { genesisValidators });
+    const synced = new Promise(resolve => fresh.matrix.once('syncComplete', resolve));
+
+    nodes.push(new P2PNode(basePort, source.matrix, [], { forkChoice: source.forkChoice }));
+    nodes.push(new P2PNode(basePort + 1, fresh.matrix, [address(0)], { forkChoice: fresh.forkChoice }));
+    expect(await synced).toMatchObject({ status: P2PNode.SYNC_STATUS.SYNCED, current: 1 });
+    expect((await fresh.epochs.getLatestCheckpoint()).hash).toBe(tip.hash);
+    expect(fresh.tokenomics.getStateRoot()).toBe(source.tokenomics.getStateRoot());
+  });
+
+  test('should drop a sync peer whose range does not match its checkpoints', async () => {
+    const source = await createChain(0);
+    await finalizeEpoch(source, 'first');
+    const fresh = await createChain(1);
+    const getBranch = source.forkChoice.getBranch.bind(source.forkChoice);
+    jest.spyOn(source.forkChoice, 'getBranch').mockImplementation(async (...args) => {
+      const bundles = await getBranch(...args);
+      bundles.forEach(bundle => bundle.state.forEach(leaf => { leaf.balance = '1'; }));
+      return bundles;
+    });
+
+    nodes.push(new P2PNode(basePort, source.matrix, [], { forkChoice: source.forkChoice }));
+    nodes.push(new P2PNode(basePort + 1, fresh.matrix, [address(0)], { forkChoice: fresh.forkChoice }));
+    const rejected = jest.fn();
+    nodes[1].on('peerRejected', rejected);
+    const failed = await new Promise(resolve => nodes[1].once('syncFailed', resolve));
+
+    expect(failed).toEqual({ peerId: nodes[0].nodeId, reason: expect.stringMatching('Account state does not match') });
+    expect(rejected.mock.calls[0][0].reason).toMatch('Invalid sync range');
+    expect(nodes[1].getSyncStatus().status).toBe(P2PNode.SYNC_STATUS.IDLE);
+    expect(await fresh.epochs.getLatestCheckpoint()).toBeNull();
+  });
+
+  test('should not sync towards or ask for checkpoints signed by a made-up validator set', async () => {
+    const chain = await createChain(0);
+    await finalizeEpoch(chain, 'first');
+    nodes.push(new P2PNode(basePort, chain.matrix, [], { forkChoice: chain.forkChoice, encryption: false }));
+    const connection = await openClient();
+    sendHandshake(connection, validators[1]);
+    sendAck(connection, validators[1], connection.challenge);
+    await waitFor(() => connection.received.some(message => message.type === 'GET_LATEST_CHECKPOINT'));
+
+    const forger = new Wallet();
+    forger.generateKeyPair();
+    const forged = {
+      ...(await chain.epochs.getLatestCheckpoint()),
+      number: 1000,
+      validators: [{ validator: forger.getAddress(), publicKey: forger.getPublicKey(), weight: 1 }],
+      threshold: 0.5
+    };
+    forged.hash = EpochManager.computeHash(forged);
+    forged.signatures = [EpochManager.signCheckpoint(forger, forged)];
+
+    connection.client.send(JSON.stringify({ type: 'LATEST_CHECKPOINT', payload: { checkpoint: forged } }));
+    connection.client.send(JSON.stringify({
+      type: 'NEW_CHECKPOINT', id: P2PNode.computeMessageId('NEW_CHECKPOINT', forged), payload: forged
+    }));
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    expect(nodes[0].getSyncStatus().status).toBe(P2PNode.SYNC_STATUS.IDLE);
+    expect(connection.received.map(message => message.type)).not.toEqual(expect.arrayContaining(['GET_SYNC_RANGE']));
+    expect(connection.received.map(message => message.type)).not.toEqual(expect.arrayContaining(['GET_BRANCH']));
+    connection.client.close();
+  });
+});
@@ -0,0 +1,52 @@
+const SecureChannel = require('../../src/network/SecureChannel');
+
+describe('SecureChannel', () => {
+  const challenges = ['a'.repeat(64), 'b'.repeat(64)];
+
+  // Both ends of one connection, as each node builds them from the handshake
+  const createPair = () => {
+    const alice = SecureChannel.createKeyExchange();
+    const bob = SecureChannel.createKeyExchange();
+    return [
+      new SecureChannel({ keyExchange: alice, peerKey: bob.getPublicKey('hex'), localId: 'alice', remoteId: 'bob', challenges }),
+      new SecureChannel({ keyExchange: bob, peerKey: alice.getPublicKey('hex'), localId: 'bob', remoteId: 'alice', challenges: [...challenges].reverse() })
+    ];
+  };
+
+  test('should carry messages both ways without revealing them', () => {
+    const [alice, bob] = createPair();
+    const message = { type: 'NEW_TRIAD', payload: { data: 'secret' } };
+
+    const frame = alice.encrypt(message);
+    expect(frame.includes('secret')).toBe(false);
+    expect(bob.decrypt(frame)).toEqual(message);
+    expect(alice.decrypt(bob.encrypt({ type: 'PEERS', payload: [] }))).toEqual({ type: 'PEERS', payload: [] });
+    // The same message never gives the same frame twice
+    expect(alice.encrypt(message).equals(frame)).toBe(false);
+  });
+
+  test('should reject altered, replayed, reordered and reflected frames', () => {
+    const [alice, bob] = createPair();
+    const first = alice.encrypt({ n: 1 });
+    const second = alice.encrypt({ n: 2 });
+
+    const altered = Buffer.from(first);
+    altered[20] ^= 1;
+    expect(() => bob.decrypt(altered)).toThrow('failed authentication');
+    expect(() => bob.decrypt(second)).toThrow('out of order');
+    expect(() => alice.decrypt(first)).toThrow('failed authentication');
+    expect(bob.decrypt(first)).toEqual({ n: 1 });
+    expect(() => bob.decrypt(first)).toThrow('out of order');
+    expect(bob.decrypt(second)).toEqual({ n: 2 });
+  });
+
+  test('should not open frames from another connection', () => {
+    const [alice] = createPair();
+    const [, eve] = createPair();
+
+    expect(() => eve.decrypt(alice.encrypt({ n: 1 }))).toThrow('failed authentication');
+    expect(() => new SecureChannel({
+      keyExchange: SecureChannel.createKeyExchange(), peerKey: 'zz', localId: 'a', remoteId: 'b', challenges
+    })).toThrow('Invalid session key');
+  });
+});
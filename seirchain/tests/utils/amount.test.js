@@ -0,0 +1,36 @@
+const { parseAmount, formatAmount, toBaseUnits } = require('../../src/utils/amount');
+
+describe('amount', () => {
+  test('should parse token amounts into base units', () => {
+    expect(parseAmount('12.5')).toBe(12500000n);
+    expect(parseAmount('0.000001')).toBe(1n);
+    expect(parseAmount('.5', 2)).toBe(50n);
+    expect(parseAmount(3)).toBe(3000000n);
+    expect(parseAmount('-1.25', 2)).toBe(-125n);
+    expect(parseAmount('7', 0)).toBe(7n);
+  });
+
+  test('should reject malformed amounts and excess precision', () => {
+    expect(() => parseAmount('1.0000001')).toThrow('more than 6 decimal places');
+    expect(() => parseAmount('1e3')).toThrow('Invalid token amount');
+    expect(() => parseAmount('.')).toThrow('Invalid token amount');
+    expect(() => parseAmount(undefined)).toThrow('Invalid token amount');
+    expect(() => parseAmount('1', 19)).toThrow('Decimals must be an integer');
+  });
+
+  test('should format base units without trailing zeros', () => {
+    expect(formatAmount(12500000n)).toBe('12.5');
+    expect(formatAmount('1')).toBe('0.000001');
+    expect(formatAmount(0n)).toBe('0');
+    expect(formatAmount(-125n, 2)).toBe('-1.25');
+    expect(formatAmount(7n, 0)).toBe('7');
+    expect(formatAmount(parseAmount('98765.4321'))).toBe('98765.4321');
+  });
+
+  test('should only accept whole base units', () => {
+    expect(toBaseUnits('42')).toBe(42n);
+    expect(toBaseUnits(42n)).toBe(42n);
+    expect(() => toBaseUnits(42)).toThrow('Invalid base unit amount');
+    expect(() => toBaseUnits('4.2')).toThrow('Invalid base unit amount');
+  });
+});
@@ -0,0 +1,45 @@
+const { sha256, hashLeaf, hashPair, computeMerkleRoot, getMerkleProof, verifyProof } = require('../../src/utils/merkle');
+
+describe('merkle', () => {
+  test('should pair leaves level by level and carry an odd node up', () => {
+    const [a, b, c] = ['a', 'b', 'c'].map(hashLeaf);
+
+    expect(computeMerkleRoot([])).toBe(sha256(''));
+    expect(computeMerkleRoot(['a'])).toBe(a);
+    expect(computeMerkleRoot(['a', 'b'])).toBe(hashPair(a, b));
+    expect(computeMerkleRoot(['a', 'b', 'c'])).toBe(hashPair(hashPair(a, b), c));
+  });
+
+  test('should commit to leaf order and content', () => {
+    const root = computeMerkleRoot([{ address: 'x', balance: '1' }, 'y']);
+
+    expect(computeMerkleRoot(['y', { address: 'x', balance: '1' }])).not.toBe(root);
+    expect(computeMerkleRoot([{ address: 'x', balance: '2' }, 'y'])).not.toBe(root);
+    // An inner node cannot be passed off as a leaf
+    expect(hashLeaf(hashPair(hashLeaf('a'), hashLeaf('b')))).not.toBe(computeMerkleRoot(['a', 'b']));
+  });
+
+  test('should prove every leaf of trees of any size', () => {
+    for (let size = 1; size <= 7; size++) {
+      const leaves = Array.from({ length: size }, (_, i) => ({ index: i }));
+      const root = computeMerkleRoot(leaves);
+      leaves.forEach((leaf, index) => {
+        expect(verifyProof(leaf, getMerkleProof(leaves, index), root)).toBe(true);
+      });
+    }
+    expect(() => getMerkleProof(['a'], 1)).toThrow('out of range');
+  });
+
+  test('should reject a proof for another leaf, root or path', () => {
+    const leaves = ['a', 'b', 'c', 'd', 'e'];
+    const root = computeMerkleRoot(leaves);
+    const proof = getMerkleProof(leaves, 2);
+
+    expect(verifyProof('x', proof, root)).toBe(false);
+    expect(verifyProof('c', proof, computeMerkleRoot(['a']))).toBe(false);
+    expect(verifyProof('c', [{ ...proof[0], position: 'left' }, ...proof.slice(1)], root)).toBe(false);
+    expect(verifyProof('c', [{ ...proof[0], position: 'up' }, ...proof.slice(1)], root)).toBe(false);
+    expect(verifyProof('c', proof.slice(1), root)).toBe(false);
+    expect(verifyProof('c', null, root)).toBe(false);
+  });
+});
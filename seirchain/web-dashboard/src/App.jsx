@@ -39,9 +39,9 @@ function App() {
 
     const fetchRecentTriads = async () => {
       try {
-        const res = await axios.get(\`\${baseURL}/status\`);
+        const res = await axios.get(\`\${baseURL}/triads?order=desc&limit=10\`);
         if (res.data && res.data.triads) {
-          setTriads(res.data.triads.slice(-10).reverse());
+          setTriads(res.data.triads);
         }
       } catch (error) {
         console.error('Error fetching recent triads:', error);
@@ -78,7 +78,7 @@ function App() {
             <div><strong>Complexity:</strong> {matrixStatus.complexity}</div>
             <div><strong>Consensus Threshold:</strong> {(matrixStatus.consensusThreshold * 100).toFixed(2)}%</div>
             <div><strong>Total Triads:</strong> {matrixStatus.triadsCount}</div>
-            <div><strong>Validated Triads:</strong> {matrixStatus.triads ? matrixStatus.triads.filter(t => t.validated).length : 0}</div>
+            <div><strong>Validated Triads:</strong> {matrixStatus.validatedTriadsCount || 0}</div>
             <div><strong>Validators:</strong> {matrixStatus.validators ? matrixStatus.validators.length : 0}</div>
           </div>
         ) : (